@@ -1,10 +1,21 @@
 import React, { useState, useMemo, useRef } from 'react'
-import { MapContainer, TileLayer, Marker, Popup, useMapEvents, Circle } from 'react-leaflet'
+import { MapContainer, TileLayer, Marker, Popup, useMapEvents, Circle, Polyline, Polygon } from 'react-leaflet'
 import L from 'leaflet'
 import Controls from './components/CompactControls'
 import ResultCard from './components/EnhancedResultCard'
 import NearEarthObjects from './components/NearEarthObjects'
+import ImpactRiskTable from './components/ImpactRiskTable'
+import OrbitPanel from './components/OrbitPanel'
+import EntryPanel from './components/EntryPanel'
+import CampaignPanel from './components/CampaignPanel'
 import { motion, AnimatePresence } from 'framer-motion'
+import { computeImpact, computeImpactRange, DEFAULT_SETTINGS } from './engine/impact'
+import { validateSpeeds, vInfinityFromImpactSpeed, MIN_V_INFINITY } from './engine/speed'
+import { approachFromOrbit, approachFromSpeed, computeEntry, defaultBPlane } from './engine/bplane'
+import { computeCorridor } from './engine/corridor'
+import { MPH_PER_MS } from './engine/constants'
+import { fetchPopulationDensity } from './services/worldpop'
+import { formatDuration, formatLength, toRoman } from './utils/format'
 
 const RED_DOT_SVG = `data:image/svg+xml;utf8,
 <svg xmlns='http://www.w3.org/2000/svg' width='40' height='40' viewBox='0 0 24 24'><circle cx='12' cy='12' r='10' fill='%23ff3b30'/></svg>`
@@ -16,6 +27,12 @@ const TARGET_SVG = `data:image/svg+xml;utf8,
   <circle cx='12' cy='12' r='2' fill='%234f46e5'/>
 </svg>`
 
+const SHIFTED_SVG = `data:image/svg+xml;utf8,
+<svg xmlns='http://www.w3.org/2000/svg' width='40' height='40' viewBox='0 0 24 24'>
+  <circle cx='12' cy='12' r='9' fill='none' stroke='%23f59e0b' stroke-width='3'/>
+  <circle cx='12' cy='12' r='3' fill='%23f59e0b'/>
+</svg>`
+
 const impactIcon = new L.Icon({
   iconUrl: RED_DOT_SVG,
   iconSize: [24, 24],
@@ -28,6 +45,12 @@ const targetIcon = new L.Icon({
   iconAnchor: [16, 16],
 })
 
+const shiftedIcon = new L.Icon({
+  iconUrl: SHIFTED_SVG,
+  iconSize: [28, 28],
+  iconAnchor: [14, 14],
+})
+
 function MapClick({ onLocationSelect }) {
   useMapEvents({
     click(e) { onLocationSelect(e.latlng) }
@@ -36,308 +59,26 @@ function MapClick({ onLocationSelect }) {
 }
 
 export default function App(){
-  const [settings, setSettings] = useState({ diam:500, speed:17, angle:45, density:3500 })
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS)
   const [selectedLocation, setSelectedLocation] = useState(null)
   const [impact, setImpact] = useState(null)
   const [results, setResults] = useState(null)
+  const [selectedObject, setSelectedObject] = useState(null)
+  const [entry, setEntry] = useState(null)
+  // B-plane uncertainty to sample for a risk corridor, null when hidden
+  const [uncertainty, setUncertainty] = useState(null)
+  // Entry after a deflection campaign, shown beside the undeflected one
+  const [campaignEntry, setCampaignEntry] = useState(null)
   const [isAnimating, setIsAnimating] = useState(false)
   const [showExplosion, setShowExplosion] = useState(false)
   const [isCalculating, setIsCalculating] = useState(false)
   const mapRef = useRef(null)
 
-  // Fetch real population density from WorldPop API
-  const fetchPopulationDensity = async (lat, lng) => {
-    try {
-      const controller = new AbortController()
-      const timeoutId = setTimeout(() => controller.abort(), 5000) // 5 second timeout
-      
-      const url = new URL('https://worldpop.arcgis.com/arcgis/rest/services/WorldPop_Population_Density_1km/ImageServer/identify')
-      url.searchParams.append('geometry', JSON.stringify({x: lng, y: lat}))
-      url.searchParams.append('geometryType', 'esriGeometryPoint')
-      url.searchParams.append('sr', '4326')
-      url.searchParams.append('returnCatalogItems', 'false')
-      url.searchParams.append('returnGeometry', 'false')
-      url.searchParams.append('f', 'json')
-      
-      const response = await fetch(url, { 
-        signal: controller.signal,
-        mode: 'cors' 
-      })
-      clearTimeout(timeoutId)
-      
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`)
-      }
-      
-      const data = await response.json()
-      
-      // WorldPop returns population density per km²
-      // Handle various response formats and null values
-      let density = data.value !== null && data.value !== undefined ? data.value : null
-      
-      // Check for 'noData' string which indicates water/uninhabited areas
-      if (data.value === 'noData' || data.value === 'NoData') {
-        console.log(`Impact location over water/uninhabited area (${lat.toFixed(3)}, ${lng.toFixed(3)}), using 0 population density`)
-        return 0
-      }
-      
-      if (density === null && data.results && data.results.length > 0) {
-        density = data.results[0].value
-        if (density === 'noData' || density === 'NoData') {
-          console.log(`Impact location over water/uninhabited area (${lat.toFixed(3)}, ${lng.toFixed(3)}), using 0 population density`)
-          return 0
-        }
-      }
-      
-      // Use global average if no data available (API error, not water)
-      if (density === null || density === undefined || isNaN(density)) {
-        console.log(`No population data for coordinates (${lat.toFixed(3)}, ${lng.toFixed(3)}), using global average`)
-        return 57 // Global average
-      }
-      
-      return Math.max(0, Math.round(density)) // Ensure non-negative integer
-    } catch (error) {
-      if (error.name === 'AbortError') {
-        console.warn('Population API request timeout')
-      } else {
-        console.warn('Failed to fetch population data:', error.message)
-      }
-      return 57 // Fallback to global average
-    }
-  }
-
-  const computeImpact = async (latlng, s = settings) => {
-    const d = Number(s.diam)
-    const r = d/2
-    const volume = (4/3)*Math.PI*Math.pow(r,3)
-    const mass = s.density * volume
-    const v = Number(s.speed)*1000
-    const energy = 0.5 * mass * v * v
-    const megatons = energy / 4.184e15
-    const gigatons = megatons / 1000
-    const impactAngleRad = (s.angle * Math.PI) / 180 // Convert degrees to radians
-    
-    // Fetch real population density for impact location
+  // WorldPop refines the bundled population grid at the impact point when
+  // it answers; otherwise popDensity is null and the engine works offline
+  const runImpact = async (latlng, s = settings) => {
     const popDensity = await fetchPopulationDensity(latlng.lat, latlng.lng)
-    
-    // Basic impact calculations with angle corrections
-    const baseCraterDiameter = 0.02 * Math.pow(energy, 1/3.4)
-    
-    // Impact angle scaling factors:
-    // - Vertical impacts (90°) create circular craters with maximum depth
-    // - Oblique impacts create elliptical craters with reduced depth
-    // - Very shallow impacts (<15°) may not form proper craters
-    const angleScaling = Math.pow(Math.sin(impactAngleRad), 0.67) // Empirical scaling from impact studies
-    const craterDiameter = baseCraterDiameter * (0.3 + 0.7 * angleScaling) // Minimum 30% of vertical impact
-    const craterDepth = craterDiameter * 0.2 * angleScaling // Depth more affected by angle
-    
-    const blastRadius = craterDiameter * 2.5
-    const willAirburst = (d < 200 && s.speed > 11 && s.angle > 15)
-    
-    // Crater effects (using real population density)
-    const craterArea = Math.PI * Math.pow(craterDiameter/2000, 2) // km²
-    const craterVaporized = Math.round(craterArea * popDensity)
-    
-    // Fireball calculations
-    const fireballRadius = Math.pow(energy/4.184e12, 0.4) * 1000 // meters
-    const fireballArea = Math.PI * Math.pow(fireballRadius/1000, 2) // km²
-    const fireballDeaths = Math.round(fireballArea * popDensity * 0.9) // 90% fatality in fireball
-    const burns3rdDegree = Math.round(fireballArea * popDensity * 0.05)
-    const burns2ndDegree = Math.round(fireballArea * popDensity * 0.1)
-    const treeFires = fireballRadius * 10 // trees catch fire much further out
-    
-    // Shock wave calculations
-    const shockWaveDecibels = Math.min(300, 180 + 20 * Math.log10(megatons))
-    const shockWaveRadius = Math.pow(energy/4.184e12, 0.33) * 2000 // meters
-    const shockWaveArea = Math.PI * Math.pow(shockWaveRadius/1000, 2) // km²
-    const shockWaveDeaths = Math.round(shockWaveArea * popDensity * 0.3)
-    const lungDamageRadius = shockWaveRadius * 0.3
-    const eardrumRadius = shockWaveRadius * 0.4
-    const buildingCollapseRadius = shockWaveRadius * 0.7
-    const homeCollapseRadius = shockWaveRadius * 0.9
-    
-    // Wind blast calculations
-    const windSpeed = Math.pow(energy/4.184e12, 0.25) * 500 // mph
-    const windRadius = Math.pow(energy/4.184e12, 0.3) * 1500 // meters
-    const windArea = Math.PI * Math.pow(windRadius/1000, 2) // km²
-    const windDeaths = Math.round(windArea * popDensity * 0.4)
-    const jupiterWindRadius = windRadius * 0.2
-    const leveledRadius = windRadius * 0.4
-    const tornadoRadius = windRadius * 0.7
-    const treeKnockRadius = windRadius * 1.2
-    
-    // Earthquake calculations
-    const earthquakeMagnitude = Math.min(10, 4 + Math.log10(megatons))
-    const earthquakeRadius = Math.pow(10, earthquakeMagnitude) * 10 // meters felt
-    const earthquakeArea = Math.PI * Math.pow(earthquakeRadius/1000, 2) // km²
-    const earthquakeDeaths = Math.round(earthquakeArea * popDensity * 0.001) // much lower fatality rate
-    
-    // Tsunami calculations (for ocean impacts)
-    const isOceanImpact = popDensity === 0 // If no population, likely water
-    let tsunamiHeight = 0
-    let tsunamiRadius = 0
-    let tsunamiDeaths = 0
-    let tsunamiAffectedCoasts = 0
-    
-    if (isOceanImpact && megatons > 1) {
-      // Tsunami wave height scales with impact energy and water depth
-      // Simplified model based on asteroid tsunami research
-      const averageOceanDepth = 3800 // meters (average ocean depth)
-      tsunamiHeight = Math.pow(energy / 4.184e15, 0.25) * 10 // meters wave height
-      tsunamiRadius = Math.sqrt(energy / 4.184e12) * 500 // km propagation radius
-      
-      // Coastal population affected (very rough estimate)
-      const coastalDensity = 150 // average coastal population density (higher than global)
-      const affectedCoastLength = tsunamiRadius * Math.PI * 2 // approximate coastal perimeter
-      const coastalPenetration = Math.min(tsunamiHeight * 100, 10000) // meters inland penetration
-      const tsunamiArea = (affectedCoastLength * coastalPenetration) / 1000000 // km²
-      
-      tsunamiDeaths = Math.round(tsunamiArea * coastalDensity * 0.1) // 10% fatality rate
-      tsunamiAffectedCoasts = Math.round(tsunamiRadius / 1000) // number of countries potentially affected
-    }
-    
-    // Impact probability analysis
-    const earthSurfaceArea = 510100000 // km² (Earth's surface area)
-    const oceanArea = 361900000 // km² (71% of Earth is ocean)
-    const landArea = earthSurfaceArea - oceanArea
-    
-    const probabilityOcean = (oceanArea / earthSurfaceArea) * 100 // ~71%
-    const probabilityLand = (landArea / earthSurfaceArea) * 100 // ~29%
-    
-    // Population-weighted impact probability
-    const globalPopulation = 8000000000 // ~8 billion people
-    const averageLandDensity = globalPopulation / landArea // people per km² on land
-    const urbanArea = 1500000 // km² (approximate global urban area)
-    const probabilityUrban = (urbanArea / earthSurfaceArea) * 100 // ~0.3%
-    const probabilityRural = probabilityLand - probabilityUrban
-    
-    // Impact frequency (very rough estimates)
-    const impactFrequency = megatons > 10000 ? 65000000 : 
-                           megatons > 1000 ? 650000 :
-                           megatons > 100 ? 65000 :
-                           megatons > 10 ? 6500 :
-                           megatons > 1 ? 650 : 65
-    
-    // Energy comparisons
-    const hurricaneComparison = energy / (1.5e16) // hurricane releases ~1.5e16 J per day
-    
-    // Deflection calculations (using PHA threshold of 0.05 AU)
-    const earthRadius = 6371000 // meters
-    const AU = 149597870700 // meters (1 Astronomical Unit)
-    const phaThreshold = 0.05 * AU // 0.05 AU = PHA definition threshold
-    const currentVelocity = v // m/s (impact velocity)
-    
-    // For deflection calculation, assume we detect the asteroid at a reasonable distance
-    // Typical detection might be at 1-10 AU depending on size and survey capabilities
-    const detectionDistance = Math.max(1 * AU, phaThreshold * 20) // At least 1 AU or 20x PHA threshold
-    
-    // Required deflection angle to miss Earth by PHA threshold distance
-    const baseDeflectionAngle = phaThreshold / detectionDistance // radians
-    
-    // Impact angle affects deflection efficiency:
-    // - Perpendicular impacts (90°) are most efficient for deflection
-    // - Grazing impacts (low angles) are less efficient
-    // - Very steep impacts (near 0°) are hardest to deflect laterally
-    const angleEfficiency = Math.sin(impactAngleRad) // Sine gives efficiency factor
-    const effectiveDeflectionAngle = baseDeflectionAngle / Math.max(angleEfficiency, 0.1) // Avoid division by zero
-    
-    // Change in velocity needed for deflection (accounting for impact angle)
-    const deltaV = currentVelocity * effectiveDeflectionAngle // m/s
-    
-    // Energy required for deflection
-    const deflectionEnergy = 0.5 * mass * deltaV * deltaV // Joules
-    const deflectionMegatons = deflectionEnergy / 4.184e15
-    
-    // Nuclear weapon comparisons
-    const littleBoy = 0.015 // 15 kilotons in megatons
-    const modernNuke = 0.1 // 100 kilotons
-    const tsarBomba = 50 // 50 megatons
-    
-    let bombComparison = ''
-    if (deflectionMegatons >= tsarBomba) {
-      bombComparison = `${(deflectionMegatons / tsarBomba).toFixed(1)}x Tsar Bomba`
-    } else if (deflectionMegatons >= modernNuke) {
-      bombComparison = `${(deflectionMegatons / modernNuke).toFixed(1)}x modern nukes`
-    } else if (deflectionMegatons >= littleBoy) {
-      bombComparison = `${(deflectionMegatons / littleBoy).toFixed(1)}x Hiroshima bombs`
-    } else {
-      bombComparison = `${(deflectionMegatons * 1000).toFixed(1)} kilotons`
-    }
-    
-    return { 
-      lat: latlng.lat, 
-      lng: latlng.lng, 
-      mass, 
-      energy, 
-      megatons, 
-      gigatons,
-      craterDiameter, 
-      craterDepth,
-      craterAngleScaling: (angleScaling * 100).toFixed(1),
-      craterShape: s.angle > 60 ? 'Circular' : s.angle > 30 ? 'Elliptical' : 'Highly Elongated',
-      blastRadius, 
-      willAirburst,
-      impactSpeed: v * 2.237, // convert to mph
-      
-      // Crater effects
-      craterVaporized,
-      
-      // Fireball effects
-      fireballRadius,
-      fireballDeaths,
-      burns3rdDegree,
-      burns2ndDegree,
-      treeFires,
-      
-      // Shock wave effects
-      shockWaveDecibels,
-      shockWaveDeaths,
-      lungDamageRadius,
-      eardrumRadius,
-      buildingCollapseRadius,
-      homeCollapseRadius,
-      
-      // Wind effects
-      windSpeed,
-      windDeaths,
-      jupiterWindRadius,
-      leveledRadius,
-      tornadoRadius,
-      treeKnockRadius,
-      
-      // Earthquake effects
-      earthquakeMagnitude,
-      earthquakeDeaths,
-      earthquakeRadius,
-      
-      // Tsunami effects
-      isOceanImpact,
-      tsunamiHeight,
-      tsunamiRadius,
-      tsunamiDeaths,
-      tsunamiAffectedCoasts,
-      
-      // Impact probabilities
-      probabilityOcean: probabilityOcean.toFixed(1),
-      probabilityLand: probabilityLand.toFixed(1),
-      probabilityUrban: probabilityUrban.toFixed(2),
-      probabilityRural: probabilityRural.toFixed(1),
-      
-      // Comparisons
-      impactFrequency,
-      hurricaneComparison,
-      
-      // Deflection data
-      deflectionDeltaV: deltaV.toFixed(2),
-      deflectionEnergy,
-      deflectionMegatons,
-      deflectionBombComparison: bombComparison,
-      deflectionImpactAngle: s.angle,
-      deflectionAngleEfficiency: (angleEfficiency * 100).toFixed(1),
-      
-      // Population data
-      populationDensity: Math.round(popDensity)
-    }
+    return computeImpactRange({ ...s, lat: latlng.lat, lng: latlng.lng, popDensity })
   }
 
   const handleMapClick = (latlng) => {
@@ -347,6 +88,8 @@ export default function App(){
       // Clear previous results when selecting new location
       setImpact(null)
       setResults(null)
+      // A hand-picked point is no longer where the trajectory enters
+      setEntry(null)
     }
   }
 
@@ -366,7 +109,7 @@ export default function App(){
       setTimeout(async () => {
         setIsCalculating(true)
         try {
-          const res = await computeImpact(selectedLocation)
+          const res = await runImpact(selectedLocation)
           setResults(res)
           setShowExplosion(false)
         } catch (error) {
@@ -411,7 +154,7 @@ export default function App(){
     setSettings(prev => ({...prev,...partial}))
     if (selectedLocation && results) {
       try {
-        const res = await computeImpact(selectedLocation, {...settings,...partial})
+        const res = await runImpact(selectedLocation, {...settings,...partial})
         setResults(res)
       } catch (error) {
         console.error('Failed to compute impact with new settings:', error)
@@ -419,35 +162,98 @@ export default function App(){
     }
   }
 
-  const handleSelectAsteroid = (asteroid, asteroidSettings) => {
-    // Update settings to match the selected asteroid
-    setSettings(asteroidSettings)
-    
-    // Clear any existing selection
-    setSelectedLocation(null)
+  // Aim an approach at a B-plane point and target where it enters the
+  // atmosphere. Returns the entry angle for the settings, or null on a miss.
+  const aimApproach = (name, approach, bPlane = defaultBPlane(approach)) => {
+    const result = computeEntry({ approach, bPlane })
+    setEntry({ name, approach, bPlane, result })
     setImpact(null)
     setResults(null)
-    
-    // Auto-select a random impact location (could be made selectable later)
-    const randomLat = (Math.random() - 0.5) * 160 // -80 to 80 latitude
-    const randomLng = (Math.random() - 0.5) * 360 // -180 to 180 longitude
-    const impactLocation = { lat: randomLat, lng: randomLng }
-    
-    setSelectedLocation(impactLocation)
-    
-    // Show a notification about the asteroid selection
+    setSelectedLocation(result.hits ? { lat: result.lat, lng: result.lng } : null)
+    return result.hits ? Math.min(89, Math.max(1, Math.round(result.angle))) : null
+  }
+
+  const handleSelectAsteroid = (asteroid, asteroidSettings) => {
+    // Update settings to match the selected asteroid, keeping the target type
+    const next = { ...settings, ...asteroidSettings }
+    setSelectedObject(asteroid)
+
+    // The approach epoch and v∞ fix where the object would come down; the
+    // direction comes from its orbit when known. A parabolic approach has
+    // no direction of its own, so it is given a token speed.
+    const epoch = asteroid.approach?.epoch ?? asteroid.impactDate ?? new Date()
+    const vInfinity = Math.max(MIN_V_INFINITY, next.vInfinity ?? vInfinityFromImpactSpeed(next.speed))
+    const approach = asteroid.orbit
+      ? approachFromOrbit(asteroid.orbit, epoch, vInfinity)
+      : approachFromSpeed(vInfinity, epoch)
+    const angle = aimApproach(asteroid.name, approach)
+    setSettings(angle === null ? next : { ...next, angle })
+
     console.log(`Selected asteroid: ${asteroid.name} for impact simulation`)
   }
 
+  // Re-aim the current approach at another B-plane point
+  const handleBPlaneChange = (bPlane) => {
+    const angle = aimApproach(entry.name, entry.approach, bPlane)
+    if (angle !== null) setSettings(prev => ({ ...prev, angle }))
+  }
+
+  // Target a close approach found from orbital elements, at its v∞
+  const handleAimOrbit = (name, elements, closeApproach) => {
+    const approach = approachFromOrbit(elements, closeApproach.epoch)
+    const angle = aimApproach(name, approach)
+    const vInfinity = Math.round(closeApproach.velocity * 10) / 10
+    setSettings(prev => ({ ...prev, vInfinity, ...(angle !== null && { angle }) }))
+  }
+
+  // Aim the full simulation at where a partly deflected object comes down
+  const handleTargetShifted = (latlng) => {
+    setSelectedLocation(latlng)
+    setImpact(null)
+    setResults(null)
+  }
+
   const handleReset = () => {
-    setSettings({ diam: 500, speed: 17, angle: 45, density: 3500 })
+    setSettings(DEFAULT_SETTINGS)
     setSelectedLocation(null)
     setImpact(null)
     setResults(null)
+    setEntry(null)
+    setUncertainty(null)
+    setCampaignEntry(null)
+    setSelectedObject(null)
   }
 
   const mapCenter = useMemo(()=>[20,0],[])
 
+  // Ground track of the approach, split where it crosses the antimeridian
+  const trackSegments = useMemo(() => {
+    if (!entry) return []
+    const segments = [[]]
+    entry.result.track.forEach((point, i, track) => {
+      if (i > 0 && Math.abs(point.lng - track[i - 1].lng) > 180) segments.push([])
+      segments[segments.length - 1].push([point.lat, point.lng])
+    })
+    return segments
+  }, [entry])
+
+  // Risk corridor for the current entry. Each sample's exposure counts
+  // everyone within the home-collapse radius of the current settings.
+  const corridor = useMemo(() => {
+    if (!entry?.result.hits || !uncertainty) return null
+    try {
+      const exposureRadius = results?.homeCollapseRadius ??
+        computeImpact({ ...settings, lat: entry.result.lat, lng: entry.result.lng }).homeCollapseRadius
+      return computeCorridor({ approach: entry.approach, center: entry.bPlane, ...uncertainty, exposureRadius })
+    } catch (error) {
+      console.error('Failed to compute the risk corridor:', error)
+      return null
+    }
+  }, [entry, uncertainty, settings, results])
+
+  // Unphysical speeds are explained in the controls; launching would throw
+  const speedProblems = validateSpeeds(settings)
+
   return (
     <div className="min-h-screen h-screen flex flex-col md:flex-row relative overflow-hidden">
       {/* Animated background particles */}
@@ -502,6 +308,30 @@ export default function App(){
 
         <NearEarthObjects onSelectAsteroid={handleSelectAsteroid} />
 
+        <ImpactRiskTable onSelectAsteroid={handleSelectAsteroid} />
+
+        <OrbitPanel object={selectedObject} onAim={handleAimOrbit} />
+
+        {entry && (
+          <EntryPanel
+            entry={entry}
+            onChangeBPlane={handleBPlaneChange}
+            onClear={() => setEntry(null)}
+            uncertainty={uncertainty}
+            onChangeUncertainty={setUncertainty}
+            corridor={corridor}
+          />
+        )}
+
+        {entry && (
+          <CampaignPanel
+            entry={entry}
+            settings={settings}
+            onPreview={setCampaignEntry}
+            onTarget={handleTargetShifted}
+          />
+        )}
+
         {/* Target Location Display */}
         <AnimatePresence>
           {selectedLocation && (
@@ -522,19 +352,17 @@ export default function App(){
                 </div>
                 <div className="flex items-center gap-2">
                   <button
-                    onClick={() => setSelectedLocation(null)}
+                    onClick={() => {
+                      setSelectedLocation(null)
+                      setEntry(null)
+                    }}
                     className="text-blue-400 hover:text-blue-600 transition-colors"
                     title="Clear target"
                   >
                     ✕
                   </button>
                   <button
-                    onClick={() => {
-                      setSettings({ diam: 500, speed: 17, angle: 45, density: 3500 })
-                      setSelectedLocation(null)
-                      setImpact(null)
-                      setResults(null)
-                    }}
+                    onClick={handleReset}
                     className="text-gray-400 hover:text-gray-600 transition-colors text-sm px-2 py-1 rounded border border-gray-300 hover:border-gray-400"
                     title="Reset all settings"
                   >
@@ -570,7 +398,8 @@ export default function App(){
               
               <motion.button
                 onClick={handleLaunch}
-                disabled={!selectedLocation}
+                disabled={!selectedLocation || speedProblems.length > 0}
+                title={speedProblems.join('\n') || undefined}
                 whileHover={{ 
                   scale: 1.05,
                   boxShadow: "0 20px 40px rgba(239, 68, 68, 0.4)"
@@ -744,6 +573,36 @@ export default function App(){
             attribution="Tiles &copy; Esri &mdash; Source: Esri, i-cubed, USDA, USGS, AEX, GeoEye, Getmapping, Aerogrid, IGN, IGP, UPR-EGP, and the GIS User Community" 
           />
           <MapClick onLocationSelect={handleMapClick} />
+
+          {/* Risk corridor: band of likely entry points and its centreline */}
+          {corridor && corridor.band.length > 2 && (
+            <>
+              <Polygon positions={corridor.band} pathOptions={{ color: '#f43f5e', weight: 1, fillOpacity: 0.2 }} />
+              <Polyline positions={corridor.centerline} pathOptions={{ color: '#f43f5e', weight: 2 }} />
+            </>
+          )}
+
+          {/* Where a deflection campaign moves the entry point */}
+          {entry?.result.hits && campaignEntry?.hits && (
+            <>
+              <Polyline
+                positions={[[entry.result.lat, entry.result.lng], [campaignEntry.lat, campaignEntry.lng]]}
+                pathOptions={{ color: '#f59e0b', weight: 2, dashArray: '2 6' }}
+              />
+              <Marker position={[campaignEntry.lat, campaignEntry.lng]} icon={shiftedIcon}>
+                <Popup>
+                  <strong>🛡️ After deflection</strong><br />
+                  Lat: {campaignEntry.lat.toFixed(3)}<br />
+                  Lng: {campaignEntry.lng.toFixed(3)}
+                </Popup>
+              </Marker>
+            </>
+          )}
+
+          {/* Approach ground track down to the entry interface */}
+          {trackSegments.map((positions, i) => (
+            <Polyline key={i} positions={positions} pathOptions={{ color: '#818cf8', weight: 2, dashArray: '6 4' }} />
+          ))}
           
           {/* Target Location Marker */}
           {selectedLocation && !impact && (
@@ -1021,81 +880,176 @@ export default function App(){
               </Marker>
               {results && (
                 <>
-                  {/* Crater - Inner dark circle representing the actual crater */}
-                  <motion.div
-                    initial={{ scale: 0, opacity: 0 }}
-                    animate={{ scale: 1, opacity: 1 }}
-                    transition={{ duration: 0.8, ease: "easeOut", delay: 0.2 }}
-                  >
-                    <Circle 
-                      center={[impact.lat, impact.lng]} 
-                      radius={Math.max(50, results.craterDiameter / 2)} 
-                      pathOptions={{ 
-                        color: '#1f2937',
-                        weight: 3,
-                        opacity: 0.8,
-                        fillColor: '#111827',
-                        fillOpacity: 0.7
-                      }}
+                  {/* Overpressure Rings - Drawn outermost first so smaller zones stay clickable */}
+                  {[...results.blastRings].reverse().filter(ring => ring.radius > 0).map((ring, i) => (
+                    <motion.div
+                      key={`blast-${ring.psi}`}
+                      initial={{ scale: 0, opacity: 0 }}
+                      animate={{ scale: 1, opacity: 1 }}
+                      transition={{ duration: 0.6, ease: "easeOut", delay: 0.1 * i }}
                     >
-                      <Popup>
-                        <strong>🕳️ Main Crater</strong><br/>
-                        Diameter: {Math.round(results.craterDiameter).toLocaleString()}m<br/>
-                        <small>The primary impact excavation</small>
-                      </Popup>
-                    </Circle>
-                  </motion.div>
+                      <Circle 
+                        center={[impact.lat, impact.lng]} 
+                        radius={ring.radius} 
+                        pathOptions={{ 
+                          color: ring.color,
+                          weight: 1,
+                          opacity: 0.6,
+                          fillColor: ring.color,
+                          fillOpacity: 0.08
+                        }}
+                      >
+                        <Popup>
+                          <strong>💨 {ring.psi} psi · {ring.label}</strong><br/>
+                          Radius: {(ring.radius / 1000).toFixed(1)} km<br/>
+                          Peak wind: {Math.round(ring.windSpeed * MPH_PER_MS).toLocaleString()} mph<br/>
+                          <small>{ring.description}</small>
+                        </Popup>
+                      </Circle>
+                    </motion.div>
+                  ))}
 
-                  {/* Crater Rim - Elevated rim around the crater */}
-                  <motion.div
-                    initial={{ scale: 0, opacity: 0 }}
-                    animate={{ scale: 1, opacity: 1 }}
-                    transition={{ duration: 0.7, ease: "easeOut", delay: 0.3 }}
-                  >
-                    <Circle 
-                      center={[impact.lat, impact.lng]} 
-                      radius={Math.max(100, results.craterDiameter * 0.8)} 
-                      pathOptions={{ 
-                        color: '#8b5cf6',
-                        weight: 2,
-                        opacity: 0.6,
-                        fillColor: '#6b21a8',
-                        fillOpacity: 0.3
-                      }}
+                  {/* Thermal Rings - Outline only, the blast rings carry the fill */}
+                  {[...results.thermalRings].sort((a, b) => b.radius - a.radius).filter(ring => ring.radius > 0).map((ring, i) => (
+                    <motion.div
+                      key={`thermal-${ring.id}`}
+                      initial={{ scale: 0, opacity: 0 }}
+                      animate={{ scale: 1, opacity: 1 }}
+                      transition={{ duration: 0.6, ease: "easeOut", delay: 0.15 + 0.1 * i }}
                     >
-                      <Popup>
-                        <strong>🏔️ Crater Rim</strong><br/>
-                        Diameter: {Math.round(results.craterDiameter * 0.8).toLocaleString()}m<br/>
-                        <small>Elevated rim of ejected material</small>
-                      </Popup>
-                    </Circle>
-                  </motion.div>
+                      <Circle 
+                        center={[impact.lat, impact.lng]} 
+                        radius={ring.radius} 
+                        pathOptions={{ 
+                          color: ring.color,
+                          weight: 2,
+                          opacity: 0.7,
+                          fill: false,
+                          dashArray: '2, 6'
+                        }}
+                      >
+                        <Popup>
+                          <strong>🔥 {ring.label}</strong><br/>
+                          Radius: {(ring.radius / 1000).toFixed(1)} km<br/>
+                          Exposure: {(ring.threshold / 1e6).toFixed(2)} MJ/m²
+                        </Popup>
+                      </Circle>
+                    </motion.div>
+                  ))}
 
-                  {/* Debris Field - Scattered debris around crater */}
-                  <motion.div
-                    initial={{ scale: 0, opacity: 0 }}
-                    animate={{ scale: 1, opacity: 1 }}
-                    transition={{ duration: 0.6, ease: "easeOut", delay: 0.4 }}
-                  >
-                    <Circle 
-                      center={[impact.lat, impact.lng]} 
-                      radius={Math.max(200, results.craterDiameter * 1.5)} 
-                      pathOptions={{ 
-                        color: '#f97316',
-                        weight: 1,
-                        opacity: 0.4,
-                        fillColor: '#fb923c',
-                        fillOpacity: 0.15,
-                        dashArray: '5, 10'
-                      }}
+                  {/* Fireball */}
+                  {results.fireballRadius > 0 && (
+                    <motion.div
+                      initial={{ scale: 0, opacity: 0 }}
+                      animate={{ scale: 1, opacity: 1 }}
+                      transition={{ duration: 0.6, ease: "easeOut", delay: 0.15 }}
                     >
-                      <Popup>
-                        <strong>💥 Debris Field</strong><br/>
-                        Radius: {Math.round(results.craterDiameter * 1.5).toLocaleString()}m<br/>
-                        <small>Scattered impact debris and ejecta</small>
-                      </Popup>
-                    </Circle>
-                  </motion.div>
+                      <Circle 
+                        center={[impact.lat, impact.lng]} 
+                        radius={results.fireballRadius} 
+                        pathOptions={{ 
+                          color: '#f59e0b',
+                          weight: 2,
+                          opacity: 0.8,
+                          fillColor: '#fde047',
+                          fillOpacity: 0.35
+                        }}
+                      >
+                        <Popup>
+                          <strong>🔥 Fireball</strong><br/>
+                          Radius: {(results.fireballRadius / 1000).toFixed(2)} km<br/>
+                          <small>Peak radiation after {results.fireballDuration.toFixed(2)} s</small>
+                        </Popup>
+                      </Circle>
+                    </motion.div>
+                  )}
+
+                  {results.formsCrater && (
+                    <>
+                      {/* Ejecta Blanket - Graded by deposit thickness, thinnest first */}
+                      {results.ejectaRings.filter(ring => ring.radius > 0).reverse().map((ring, i) => (
+                        <motion.div
+                          key={`ejecta-${ring.thickness}`}
+                          initial={{ scale: 0, opacity: 0 }}
+                          animate={{ scale: 1, opacity: 1 }}
+                          transition={{ duration: 0.6, ease: "easeOut", delay: 0.1 + 0.05 * i }}
+                        >
+                          <Circle 
+                            center={[impact.lat, impact.lng]} 
+                            radius={ring.radius} 
+                            pathOptions={{ 
+                              color: ring.color,
+                              weight: 1,
+                              opacity: 0.5,
+                              fillColor: ring.color,
+                              fillOpacity: 0.1,
+                              dashArray: '5, 10'
+                            }}
+                          >
+                            <Popup>
+                              <strong>🌋 Ejecta · {ring.label}</strong><br/>
+                              Radius: {(ring.radius / 1000).toFixed(1)} km<br/>
+                              Thickness: {formatLength(ring.thickness)} or more<br/>
+                              Mean fragment: {formatLength(ring.fragmentSize)}<br/>
+                              Arrival: {formatDuration(ring.arrivalTime)} after impact<br/>
+                              <small>{ring.description}</small>
+                            </Popup>
+                          </Circle>
+                        </motion.div>
+                      ))}
+
+                      {/* Transient Crater - Inner dark circle for the excavated cavity */}
+                      <motion.div
+                        initial={{ scale: 0, opacity: 0 }}
+                        animate={{ scale: 1, opacity: 1 }}
+                        transition={{ duration: 0.8, ease: "easeOut", delay: 0.2 }}
+                      >
+                        <Circle 
+                          center={[impact.lat, impact.lng]} 
+                          radius={Math.max(50, results.transientCraterDiameter / 2)} 
+                          pathOptions={{ 
+                            color: '#1f2937',
+                            weight: 3,
+                            opacity: 0.8,
+                            fillColor: '#111827',
+                            fillOpacity: 0.7
+                          }}
+                        >
+                          <Popup>
+                            <strong>🕳️ Transient Crater</strong><br/>
+                            Diameter: {Math.round(results.transientCraterDiameter).toLocaleString()}m<br/>
+                            <small>The cavity excavated before collapse</small>
+                          </Popup>
+                        </Circle>
+                      </motion.div>
+
+                      {/* Crater Rim - Final crater after collapse */}
+                      <motion.div
+                        initial={{ scale: 0, opacity: 0 }}
+                        animate={{ scale: 1, opacity: 1 }}
+                        transition={{ duration: 0.7, ease: "easeOut", delay: 0.3 }}
+                      >
+                        <Circle 
+                          center={[impact.lat, impact.lng]} 
+                          radius={Math.max(100, results.craterDiameter / 2)} 
+                          pathOptions={{ 
+                            color: '#8b5cf6',
+                            weight: 2,
+                            opacity: 0.6,
+                            fillColor: '#6b21a8',
+                            fillOpacity: 0.3
+                          }}
+                        >
+                          <Popup>
+                            <strong>🏔️ Crater Rim</strong><br/>
+                            Diameter: {Math.round(results.craterDiameter).toLocaleString()}m<br/>
+                            Depth: {Math.round(results.craterDepth).toLocaleString()}m<br/>
+                            <small>{results.isComplexCrater ? 'Complex crater with central uplift' : 'Simple bowl-shaped crater'}</small>
+                          </Popup>
+                        </Circle>
+                      </motion.div>
+                    </>
+                  )}
 
                   {/* Blast Radius - Area of destruction */}
                   <motion.div
@@ -1123,45 +1077,34 @@ export default function App(){
                     </Circle>
                   </motion.div>
 
-                  {/* Seismic Waves - Ripple effects for large impacts */}
-                  {results.megatons > 10 && (
-                    <>
-                      <motion.div
-                        initial={{ scale: 0, opacity: 0 }}
-                        animate={{ scale: 1, opacity: [0, 0.3, 0] }}
-                        transition={{ duration: 2, ease: "easeOut", delay: 0.6 }}
-                      >
-                        <Circle 
-                          center={[impact.lat, impact.lng]} 
-                          radius={results.blastRadius * 2} 
-                          pathOptions={{ 
-                            color: '#ef4444',
-                            weight: 1,
-                            opacity: 0.3,
-                            fillOpacity: 0,
-                            dashArray: '3, 15'
-                          }} 
-                        />
-                      </motion.div>
-                      <motion.div
-                        initial={{ scale: 0, opacity: 0 }}
-                        animate={{ scale: 1, opacity: [0, 0.2, 0] }}
-                        transition={{ duration: 3, ease: "easeOut", delay: 0.8 }}
+                  {/* Seismic Intensity Contours - Modified Mercalli bands */}
+                  {results.seismicRings.filter(ring => ring.radius > 0).map((ring, i) => (
+                    <motion.div
+                      key={`seismic-${ring.level}`}
+                      initial={{ scale: 0, opacity: 0 }}
+                      animate={{ scale: 1, opacity: 1 }}
+                      transition={{ duration: 2, ease: "easeOut", delay: 0.6 + 0.1 * i }}
+                    >
+                      <Circle 
+                        center={[impact.lat, impact.lng]} 
+                        radius={ring.radius} 
+                        pathOptions={{ 
+                          color: ring.color,
+                          weight: 1,
+                          opacity: 0.5,
+                          fill: false,
+                          dashArray: '3, 15'
+                        }}
                       >
-                        <Circle 
-                          center={[impact.lat, impact.lng]} 
-                          radius={results.blastRadius * 3} 
-                          pathOptions={{ 
-                            color: '#f97316',
-                            weight: 1,
-                            opacity: 0.2,
-                            fillOpacity: 0,
-                            dashArray: '2, 20'
-                          }} 
-                        />
-                      </motion.div>
-                    </>
-                  )}
+                        <Popup>
+                          <strong>🪨 MMI {toRoman(ring.level)} · {ring.label}</strong><br/>
+                          Radius: {(ring.radius / 1000).toFixed(0)} km<br/>
+                          Arrival: {Math.round(ring.arrivalTime)} s after impact<br/>
+                          <small>{ring.description}</small>
+                        </Popup>
+                      </Circle>
+                    </motion.div>
+                  ))}
                 </>
               )}
             </>
@@ -1186,21 +1129,27 @@ export default function App(){
               </div>
             </div>
             <div className="space-y-1.5 text-xs">
-              <div className="flex items-center gap-2 p-1 rounded bg-white/10">
-                <div className="w-3 h-3 rounded-full bg-gray-800 border-2 border-gray-400 flex-shrink-0"></div>
-                <span className="font-medium">Crater:</span>
-                <span className="ml-auto font-mono">{Math.round(results.craterDiameter).toLocaleString()}m</span>
-              </div>
-              <div className="flex items-center gap-2 p-1 rounded bg-white/10">
-                <div className="w-3 h-3 rounded-full bg-purple-600/50 border-2 border-purple-400 flex-shrink-0"></div>
-                <span className="font-medium">Rim:</span>
-                <span className="ml-auto font-mono">{Math.round(results.craterDiameter * 0.8).toLocaleString()}m</span>
-              </div>
-              <div className="flex items-center gap-2 p-1 rounded bg-white/10">
-                <div className="w-3 h-3 rounded-full bg-orange-500/30 border-2 border-orange-400 border-dashed flex-shrink-0"></div>
-                <span className="font-medium">Debris:</span>
-                <span className="ml-auto font-mono">{Math.round(results.craterDiameter * 1.5).toLocaleString()}m</span>
-              </div>
+              {results.formsCrater && (
+                <>
+                  <div className="flex items-center gap-2 p-1 rounded bg-white/10">
+                    <div className="w-3 h-3 rounded-full bg-gray-800 border-2 border-gray-400 flex-shrink-0"></div>
+                    <span className="font-medium">Transient:</span>
+                    <span className="ml-auto font-mono">{Math.round(results.transientCraterDiameter).toLocaleString()}m</span>
+                  </div>
+                  <div className="flex items-center gap-2 p-1 rounded bg-white/10">
+                    <div className="w-3 h-3 rounded-full bg-purple-600/50 border-2 border-purple-400 flex-shrink-0"></div>
+                    <span className="font-medium">Rim:</span>
+                    <span className="ml-auto font-mono">{Math.round(results.craterDiameter).toLocaleString()}m</span>
+                  </div>
+                  {results.ejectaRings.filter(ring => ring.radius > 0).map(ring => (
+                    <div key={ring.thickness} className="flex items-center gap-2 p-1 rounded bg-white/10">
+                      <div className="w-3 h-3 rounded-full border-2 border-dashed flex-shrink-0" style={{ borderColor: ring.color, backgroundColor: `${ring.color}33` }}></div>
+                      <span className="font-medium">Ejecta {formatLength(ring.thickness)}:</span>
+                      <span className="ml-auto font-mono">{(ring.radius / 1000).toFixed(1)}km</span>
+                    </div>
+                  ))}
+                </>
+              )}
               <div className="flex items-center gap-2 p-1 rounded bg-white/10">
                 <div className={`w-3 h-3 rounded-full border-2 flex-shrink-0 ${
                   results.megatons > 100 ? 'border-red-400 bg-red-500/20' : 
@@ -1210,12 +1159,27 @@ export default function App(){
                 <span className="font-medium">Blast:</span>
                 <span className="ml-auto font-mono">{Math.round(results.blastRadius).toLocaleString()}m</span>
               </div>
-              {results.megatons > 10 && (
-                <div className="flex items-center gap-2 p-1 rounded bg-red-900/20 border-t border-red-600/30 pt-2">
-                  <div className="w-3 h-3 rounded-full border-2 border-red-400 border-dashed bg-transparent flex-shrink-0"></div>
-                  <span className="text-red-300 font-medium">Seismic Waves</span>
+              {results.thermalRings.filter(ring => ring.radius > 0).map(ring => (
+                <div key={ring.id} className="flex items-center gap-2 p-1 rounded bg-white/10">
+                  <div className="w-3 h-3 rounded-full border-2 border-dotted flex-shrink-0" style={{ borderColor: ring.color }}></div>
+                  <span className="font-medium">{ring.label}:</span>
+                  <span className="ml-auto font-mono">{(ring.radius / 1000).toFixed(1)}km</span>
                 </div>
-              )}
+              ))}
+              {results.blastRings.filter(ring => ring.radius > 0).map(ring => (
+                <div key={ring.psi} className="flex items-center gap-2 p-1 rounded bg-white/10">
+                  <div className="w-3 h-3 rounded-full border-2 flex-shrink-0" style={{ borderColor: ring.color, backgroundColor: `${ring.color}33` }}></div>
+                  <span className="font-medium">{ring.psi} psi:</span>
+                  <span className="ml-auto font-mono">{(ring.radius / 1000).toFixed(1)}km</span>
+                </div>
+              ))}
+              {results.seismicRings.filter(ring => ring.radius > 0).map(ring => (
+                <div key={ring.level} className="flex items-center gap-2 p-1 rounded bg-red-900/20">
+                  <div className="w-3 h-3 rounded-full border-2 border-dashed bg-transparent flex-shrink-0" style={{ borderColor: ring.color }}></div>
+                  <span className="text-red-300 font-medium">MMI {toRoman(ring.level)}:</span>
+                  <span className="ml-auto font-mono">{(ring.radius / 1000).toFixed(0)}km</span>
+                </div>
+              ))}
             </div>
             <div className="mt-2 pt-2 border-t border-gray-600 text-center">
               <div className="text-xs text-gray-300">
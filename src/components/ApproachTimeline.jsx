@@ -0,0 +1,146 @@
+import React, { useMemo, useState } from 'react'
+import { motion } from 'framer-motion'
+import { flattenApproaches, approachesInRange } from '../services/neows'
+
+const WIDTH = 320
+const HEIGHT = 160
+const MARGIN = { top: 10, right: 10, bottom: 22, left: 34 }
+const YEAR_MS = 365.25 * 24 * 60 * 60 * 1000
+
+// Miss distances are plotted in lunar distances on a log axis, so grazing
+// passes and distant flybys share one chart
+const ldLabel = (ld) => ld >= 1 ? `${ld}` : ld.toString().replace(/^0/, '')
+
+export default function ApproachTimeline({ objects, onSelect }) {
+  const [range, setRange] = useState('all')
+  const [hovered, setHovered] = useState(null)
+  const now = useMemo(() => new Date(), [])
+
+  const entries = useMemo(() => approachesInRange(flattenApproaches(objects), range, now), [objects, range, now])
+
+  if (entries.length === 0) {
+    return <div className="p-3 text-xs text-gray-500">No close approaches to show.</div>
+  }
+
+  const times = entries.map(e => e.approach.epoch.getTime())
+  const lds = entries.map(e => e.approach.missDistanceLunar)
+  const tMin = Math.min(...times, now.getTime()) - YEAR_MS / 2
+  const tMax = Math.max(...times, now.getTime()) + YEAR_MS / 2
+  const logMin = Math.floor(Math.log10(Math.min(...lds)))
+  const logMax = Math.max(logMin + 1, Math.ceil(Math.log10(Math.max(...lds))))
+
+  const plotW = WIDTH - MARGIN.left - MARGIN.right
+  const plotH = HEIGHT - MARGIN.top - MARGIN.bottom
+  const x = (t) => MARGIN.left + (t - tMin) / (tMax - tMin) * plotW
+  const y = (ld) => MARGIN.top + (logMax - Math.log10(ld)) / (logMax - logMin) * plotH
+
+  const decades = Array.from({ length: logMax - logMin + 1 }, (_, i) => Math.pow(10, logMin + i))
+  const firstYear = new Date(tMin).getUTCFullYear() + 1
+  const lastYear = new Date(tMax).getUTCFullYear()
+  const yearStep = Math.max(1, Math.ceil((lastYear - firstYear + 1) / 6))
+  const years = []
+  for (let year = firstYear; year <= lastYear; year += yearStep) years.push(year)
+
+  const handleSelect = (entry) => onSelect({ ...entry.neo, approach: entry.approach })
+
+  return (
+    <div className="p-3 space-y-2">
+      <div className="flex gap-1">
+        {[['all', 'All'], ['upcoming', 'Upcoming'], ['past', 'Past']].map(([id, label]) => (
+          <button
+            key={id}
+            onClick={() => setRange(id)}
+            className={`flex-1 px-2 py-0.5 text-xs rounded-full border transition-colors ${range === id ? 'bg-indigo-600 text-white border-indigo-600' : 'bg-white text-indigo-700 border-indigo-200 hover:bg-indigo-50'}`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full bg-white/70 rounded border border-purple-100">
+        {decades.map(ld => (
+          <g key={ld}>
+            <line x1={MARGIN.left} x2={WIDTH - MARGIN.right} y1={y(ld)} y2={y(ld)} stroke="#e5e7eb" strokeWidth="0.5" />
+            <text x={MARGIN.left - 3} y={y(ld) + 3} textAnchor="end" fontSize="7" fill="#6b7280">{ldLabel(ld)}</text>
+          </g>
+        ))}
+        <text x={8} y={MARGIN.top + plotH / 2} fontSize="7" fill="#6b7280" transform={`rotate(-90 8 ${MARGIN.top + plotH / 2})`} textAnchor="middle">
+          Miss distance (LD)
+        </text>
+
+        {years.map(year => {
+          const t = Date.UTC(year, 0, 1)
+          return (
+            <g key={year}>
+              <line x1={x(t)} x2={x(t)} y1={MARGIN.top} y2={HEIGHT - MARGIN.bottom} stroke="#f3f4f6" strokeWidth="0.5" />
+              <text x={x(t)} y={HEIGHT - MARGIN.bottom + 9} textAnchor="middle" fontSize="7" fill="#6b7280">{year}</text>
+            </g>
+          )
+        })}
+
+        {/* Today */}
+        <line x1={x(now.getTime())} x2={x(now.getTime())} y1={MARGIN.top} y2={HEIGHT - MARGIN.bottom} stroke="#8b5cf6" strokeDasharray="2 2" strokeWidth="0.8" />
+        <text x={x(now.getTime()) + 2} y={MARGIN.top + 6} fontSize="6" fill="#8b5cf6">today</text>
+
+        {/* The Moon's distance for scale */}
+        {logMin <= 0 && logMax >= 0 && (
+          <line x1={MARGIN.left} x2={WIDTH - MARGIN.right} y1={y(1)} y2={y(1)} stroke="#a78bfa" strokeWidth="0.6" />
+        )}
+
+        {entries.map((entry, i) => {
+          const key = `${entry.neo.id}-${entry.approach.epoch.getTime()}`
+          const r = Math.min(6, Math.max(1.5, Math.log10(entry.neo.diameter)))
+          return (
+            <motion.circle
+              key={key}
+              cx={x(entry.approach.epoch.getTime())}
+              cy={y(entry.approach.missDistanceLunar)}
+              r={r}
+              fill={entry.neo.isHazardous ? '#ef4444' : '#6366f1'}
+              fillOpacity={entry.approach.epoch < now ? 0.45 : 0.85}
+              stroke={hovered === key ? '#111827' : 'white'}
+              strokeWidth="0.6"
+              initial={{ scale: 0 }}
+              animate={{ scale: 1 }}
+              transition={{ delay: Math.min(i, 20) * 0.02 }}
+              className="cursor-pointer"
+              onMouseEnter={() => setHovered(key)}
+              onMouseLeave={() => setHovered(null)}
+              onClick={() => handleSelect(entry)}
+            >
+              <title>{`${entry.neo.name}\n${entry.approach.epoch.toLocaleDateString()} · ${entry.approach.missDistanceLunar.toFixed(2)} LD · ${entry.approach.velocity.toFixed(1)} km/s`}</title>
+            </motion.circle>
+          )
+        })}
+      </svg>
+
+      <div className="flex gap-3 text-xs text-gray-500">
+        <span><span className="inline-block w-2 h-2 rounded-full bg-red-500 mr-1" />PHA</span>
+        <span><span className="inline-block w-2 h-2 rounded-full bg-indigo-500 mr-1" />Other NEO</span>
+        <span>Faded: past · size: diameter</span>
+      </div>
+
+      <div className="max-h-56 overflow-y-auto divide-y divide-purple-100 border border-purple-100 rounded bg-white/60">
+        {entries.map(entry => {
+          const key = `${entry.neo.id}-${entry.approach.epoch.getTime()}`
+          const isPast = entry.approach.epoch < now
+          return (
+            <button
+              key={key}
+              onClick={() => handleSelect(entry)}
+              onMouseEnter={() => setHovered(key)}
+              onMouseLeave={() => setHovered(null)}
+              className={`w-full text-left px-2 py-1 text-xs grid grid-cols-12 gap-1 hover:bg-purple-50 transition-colors ${hovered === key ? 'bg-purple-50' : ''} ${isPast ? 'text-gray-500' : 'text-gray-800'}`}
+              title="Load this object's parameters"
+            >
+              <span className="col-span-3">{entry.approach.epoch.toLocaleDateString()}</span>
+              <span className="col-span-4 truncate font-medium">{entry.neo.isHazardous ? '⚠️ ' : ''}{entry.neo.name}</span>
+              <span className="col-span-3 text-right">{entry.approach.missDistanceLunar.toFixed(2)} LD · {entry.approach.missDistanceAu.toFixed(4)} AU</span>
+              <span className="col-span-2 text-right">{entry.approach.velocity.toFixed(1)} km/s</span>
+            </button>
+          )
+        })}
+      </div>
+    </div>
+  )
+}
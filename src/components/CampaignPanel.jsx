@@ -0,0 +1,351 @@
+import React, { useState, useMemo, useEffect, useRef } from 'react'
+import { motion, AnimatePresence } from 'framer-motion'
+import { applyCampaign, resimulate, totalDeaths, serializeCampaign, parseCampaign } from '../engine/campaign'
+import { EARTH_RADIUS } from '../engine/constants'
+import { DEFLECTION_METHODS, methodById } from '../data/deflectionMethods'
+import { downloadText } from '../utils/download'
+import { formatDeltaV, formatLength } from '../utils/format'
+
+// Saved campaigns live in the browser, keyed by name
+const STORAGE_KEY = 'deflectionCampaigns'
+const REPLAY_STEP_MS = 1200
+
+const loadSaved = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) ?? {}
+  } catch {
+    return {}
+  }
+}
+
+const EMPTY_CAMPAIGN = { name: 'New campaign', missions: [] }
+
+// A new mission acts a few years before the encounter
+const defaultDate = (epoch) => {
+  const date = new Date(epoch)
+  date.setUTCFullYear(date.getUTCFullYear() - 5)
+  return date.toISOString().split('T')[0]
+}
+
+// Ids stay unique across missions added in the same instant and imported ones
+const newMission = (method, epoch) => ({
+  id: crypto.randomUUID(),
+  method,
+  date: defaultDate(epoch),
+  params: methodById(method).defaults,
+  efficiency: 1
+})
+
+const toNumber = (value) => value === '' ? NaN : Number(value)
+
+const describeEntry = (entry) => entry.hits
+  ? `hits at ${entry.lat.toFixed(1)}°, ${entry.lng.toFixed(1)}°`
+  : `misses by ${formatLength(entry.perigeeAltitude * 1000)} (${(entry.perigeeAltitude * 1000 / EARTH_RADIUS).toFixed(1)} R⊕)`
+
+export default function CampaignPanel({ entry, settings, onPreview, onTarget }) {
+  const [expanded, setExpanded] = useState(false)
+  const [campaign, setCampaign] = useState(EMPTY_CAMPAIGN)
+  const [saved, setSaved] = useState(loadSaved)
+  const [error, setError] = useState(null)
+  const [replayStep, setReplayStep] = useState(null)
+  const fileInput = useRef(null)
+
+  const asteroid = useMemo(() => ({
+    diameter: settings.diam,
+    density: settings.density,
+    mass: settings.density * Math.PI / 6 * Math.pow(settings.diam, 3)
+  }), [settings.diam, settings.density])
+
+  const outcome = useMemo(() => {
+    if (campaign.missions.length === 0) return null
+    return applyCampaign({ approach: entry.approach, bPlane: entry.bPlane, missions: campaign.missions, asteroid })
+  }, [entry, campaign.missions, asteroid])
+
+  // A partial deflection moves the damage; recompute it where it now lands
+  const impacts = useMemo(() => {
+    if (!outcome) return null
+    try {
+      return resimulate(settings, outcome.before, outcome.entry)
+    } catch (err) {
+      console.error('Failed to re-simulate the campaign impact:', err)
+      return null
+    }
+  }, [outcome, settings])
+
+  // Show where the campaign leaves the object, or the replay's current step
+  useEffect(() => {
+    if (!outcome) {
+      onPreview(null)
+    } else if (replayStep === null) {
+      onPreview(outcome.entry)
+    } else {
+      const step = outcome.steps.slice(0, replayStep + 1).reverse().find(s => !s.error)
+      onPreview(step ? step.entry : outcome.before)
+    }
+  }, [outcome, replayStep, onPreview])
+
+  useEffect(() => {
+    if (replayStep === null || !outcome) return
+    const timer = setTimeout(() => {
+      setReplayStep(replayStep + 1 < outcome.steps.length ? replayStep + 1 : null)
+    }, REPLAY_STEP_MS)
+    return () => clearTimeout(timer)
+  }, [replayStep, outcome])
+
+  // Forget the preview when the panel goes away with the entry
+  useEffect(() => () => onPreview(null), [onPreview])
+
+  const updateMissions = (update) => {
+    setReplayStep(null)
+    setCampaign(prev => ({ ...prev, missions: update(prev.missions) }))
+  }
+  const updateMission = (id, changes) => updateMissions(missions => missions.map(m => m.id === id ? { ...m, ...changes } : m))
+
+  const handleSave = () => {
+    const next = { ...saved, [campaign.name]: serializeCampaign(campaign) }
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(next))
+    setSaved(next)
+  }
+
+  const handleLoad = (text) => {
+    setError(null)
+    try {
+      setCampaign(parseCampaign(text))
+      setReplayStep(null)
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (file) handleLoad(await file.text())
+  }
+
+  const handleDelete = () => {
+    const rest = { ...saved }
+    delete rest[campaign.name]
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(rest))
+    setSaved(rest)
+  }
+
+  const deathsBefore = impacts?.before ? totalDeaths(impacts.before) : 0
+  const deathsAfter = impacts?.after ? totalDeaths(impacts.after) : 0
+
+  return (
+    <motion.div
+      className="bg-gradient-to-r from-emerald-50 to-teal-50 border-2 border-emerald-200 rounded-lg overflow-hidden"
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+    >
+      <button
+        onClick={() => setExpanded(!expanded)}
+        className="w-full p-4 text-left hover:bg-white/50 transition-colors"
+      >
+        <div className="flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <span className="text-2xl">🛡️</span>
+            <div>
+              <h3 className="font-bold text-emerald-800">Deflection Campaign</h3>
+              <p className="text-sm text-emerald-600">{campaign.name} · {entry.name}</p>
+            </div>
+          </div>
+          <div className="flex items-center gap-2">
+            {outcome && (
+              <span className={`text-xs text-white px-2 py-1 rounded-full ${outcome.entry.hits ? 'bg-red-600' : 'bg-emerald-600'}`}>
+                {outcome.entry.hits ? 'Still hits' : 'Misses'}
+              </span>
+            )}
+            <motion.span
+              className="text-emerald-600"
+              animate={{ rotate: expanded ? 180 : 0 }}
+              transition={{ duration: 0.2 }}
+            >
+              ▼
+            </motion.span>
+          </div>
+        </div>
+      </button>
+
+      <AnimatePresence>
+        {expanded && (
+          <motion.div
+            initial={{ height: 0, opacity: 0 }}
+            animate={{ height: 'auto', opacity: 1 }}
+            exit={{ height: 0, opacity: 0 }}
+            transition={{ duration: 0.3 }}
+            className="border-t border-emerald-200"
+          >
+            <div className="p-3 space-y-2 border-b border-emerald-200 bg-white/40">
+              <div className="flex items-center gap-1">
+                <input
+                  value={campaign.name}
+                  onChange={(e) => setCampaign(prev => ({ ...prev, name: e.target.value }))}
+                  className="flex-1 min-w-0 px-1 py-0.5 text-xs border border-emerald-200 rounded bg-white"
+                  title="Campaign name, used when saving"
+                />
+                <button onClick={handleSave} className="px-2 py-1 text-xs rounded-full border bg-white text-emerald-700 border-emerald-200 hover:bg-emerald-50">
+                  💾 Save
+                </button>
+                <button
+                  onClick={() => downloadText(serializeCampaign(campaign), `${campaign.name || 'campaign'}.json`)}
+                  className="px-2 py-1 text-xs rounded-full border bg-white text-emerald-700 border-emerald-200 hover:bg-emerald-50"
+                >
+                  ⬇️ Export
+                </button>
+                <button
+                  onClick={() => fileInput.current?.click()}
+                  className="px-2 py-1 text-xs rounded-full border bg-white text-emerald-700 border-emerald-200 hover:bg-emerald-50"
+                >
+                  📂 Import
+                </button>
+                <input ref={fileInput} type="file" accept=".json,application/json" onChange={handleFile} className="hidden" />
+              </div>
+
+              {Object.keys(saved).length > 0 && (
+                <div className="flex items-center gap-1 text-xs text-gray-700">
+                  <select
+                    value=""
+                    onChange={(e) => e.target.value && handleLoad(saved[e.target.value])}
+                    className="flex-1 px-1 py-0.5 border border-emerald-200 rounded bg-white"
+                  >
+                    <option value="">Load a saved campaign...</option>
+                    {Object.keys(saved).map(name => <option key={name} value={name}>{name}</option>)}
+                  </select>
+                  {saved[campaign.name] && (
+                    <button onClick={handleDelete} className="text-emerald-400 hover:text-emerald-600" title="Delete the saved copy of this campaign">
+                      🗑️
+                    </button>
+                  )}
+                </div>
+              )}
+
+              <div className="flex flex-wrap gap-1">
+                {DEFLECTION_METHODS.map(method => (
+                  <button
+                    key={method.id}
+                    onClick={() => updateMissions(missions => [...missions, newMission(method.id, entry.approach.epoch)])}
+                    className="px-2 py-0.5 text-xs rounded-full border bg-white text-emerald-700 border-emerald-200 hover:bg-emerald-50"
+                  >
+                    + {method.icon} {method.label}
+                  </button>
+                ))}
+              </div>
+              {error && <div className="text-xs text-red-600">⚠️ {error}</div>}
+            </div>
+
+            <div className="divide-y divide-emerald-100">
+              {campaign.missions.length === 0 && (
+                <div className="p-3 text-xs text-gray-500">
+                  Add missions to push {entry.name} off course before {entry.approach.epoch.toLocaleDateString()}.
+                </div>
+              )}
+              {campaign.missions.map(mission => {
+                const method = methodById(mission.method)
+                const step = outcome?.steps.find(s => s.mission.id === mission.id)
+                const replaying = replayStep !== null && outcome?.steps[replayStep]?.mission.id === mission.id
+                return (
+                  <div key={mission.id} className={`p-2 space-y-1 ${replaying ? 'bg-emerald-100/70' : ''}`}>
+                    <div className="flex items-center gap-2 text-xs">
+                      <span className="font-medium text-emerald-800">{method.icon} {method.label}</span>
+                      <input
+                        type="date"
+                        value={mission.date}
+                        onChange={(e) => updateMission(mission.id, { date: e.target.value })}
+                        className="px-1 py-0.5 border border-emerald-200 rounded bg-white"
+                        title="When the mission acts on the asteroid"
+                      />
+                      <button
+                        onClick={() => updateMissions(missions => missions.filter(m => m.id !== mission.id))}
+                        className="ml-auto text-emerald-400 hover:text-emerald-600"
+                        title="Remove this mission"
+                      >
+                        ✕
+                      </button>
+                    </div>
+                    <div className="grid grid-cols-3 gap-1">
+                      {method.fields.map(([field, label, unit, step, title]) => (
+                        <label key={field} className="text-xs text-gray-700" title={title}>
+                          {label}{unit && ` (${unit})`}
+                          <input
+                            type="number"
+                            min="0"
+                            step={step}
+                            value={Number.isFinite(mission.params[field]) ? mission.params[field] : ''}
+                            onChange={(e) => updateMission(mission.id, { params: { ...mission.params, [field]: toNumber(e.target.value) } })}
+                            className="w-full min-w-0 px-1 py-0.5 border border-emerald-200 rounded bg-white"
+                          />
+                        </label>
+                      ))}
+                      <label className="text-xs text-gray-700" title="Share of the modelled push achieved; lower it to try a partial failure">
+                        Success (%)
+                        <input
+                          type="number"
+                          min="0"
+                          max="100"
+                          step="5"
+                          value={Math.round((mission.efficiency ?? 1) * 100)}
+                          onChange={(e) => updateMission(mission.id, { efficiency: toNumber(e.target.value) / 100 })}
+                          className="w-full min-w-0 px-1 py-0.5 border border-emerald-200 rounded bg-white"
+                        />
+                      </label>
+                    </div>
+                    {step && (step.error ? (
+                      <div className="text-xs text-red-600">⚠️ {step.error}</div>
+                    ) : (
+                      <div className="text-xs text-gray-600">
+                        {step.leadTime.toFixed(1)} years ahead · Δv {formatDeltaV(step.deltaV)} · shift {formatLength(step.displacement)} · then {describeEntry(step.entry)}
+                      </div>
+                    ))}
+                  </div>
+                )
+              })}
+            </div>
+
+            {outcome && (
+              <div className="p-3 space-y-2 border-t border-emerald-200 text-xs text-gray-700">
+                <div className="font-medium">
+                  {outcome.entry.hits ? '❌' : '✅'} After the campaign the object {describeEntry(outcome.entry)}
+                </div>
+                {impacts?.before && (
+                  <div className="grid grid-cols-2 gap-1">
+                    <div title="Deaths at the original entry point with the current settings">
+                      Before: 💀 {deathsBefore.toLocaleString()}
+                    </div>
+                    <div title="Deaths where the deflected object now comes down">
+                      After: 💀 {impacts.after ? deathsAfter.toLocaleString() : '0'}
+                    </div>
+                  </div>
+                )}
+                {impacts?.after && deathsAfter > deathsBefore && (
+                  <div className="text-red-700 font-medium">
+                    ⚠️ The partial deflection moves the impact somewhere more populated.
+                  </div>
+                )}
+                <div className="flex gap-1">
+                  <button
+                    onClick={() => setReplayStep(0)}
+                    disabled={replayStep !== null}
+                    className="flex-1 px-2 py-1 rounded-full border bg-white text-emerald-700 border-emerald-200 hover:bg-emerald-50 disabled:opacity-40"
+                    title="Step through the missions on the map"
+                  >
+                    ▶️ Replay
+                  </button>
+                  <button
+                    onClick={() => onTarget({ lat: outcome.entry.lat, lng: outcome.entry.lng })}
+                    disabled={!outcome.entry.hits}
+                    className="flex-1 px-2 py-1 rounded-full border bg-white text-emerald-700 border-emerald-200 hover:bg-emerald-50 disabled:opacity-40"
+                    title="Target the shifted point so the full simulation can be launched there"
+                  >
+                    🎯 Target shifted point
+                  </button>
+                </div>
+              </div>
+            )}
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </motion.div>
+  )
+}
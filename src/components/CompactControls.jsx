@@ -1,7 +1,52 @@
-import React from 'react'
+import React, { useState } from 'react'
 import { motion } from 'framer-motion'
+import { MATERIALS } from '../engine/entry'
+import { TARGETS } from '../engine/crater'
+import { VISIBILITY } from '../engine/thermal'
+import { estimateDiameter, UNKNOWN_ALBEDO } from '../engine/size'
+import { SPECTRAL_CLASSES } from '../data/spectralClasses'
+import {
+  ESCAPE_SPEED, MAX_IMPACT_SPEED, MAX_V_INFINITY, MIN_V_INFINITY,
+  impactSpeedFromVInfinity, vInfinityFromImpactSpeed, validateSpeeds
+} from '../engine/speed'
+
+// Water depth is only used when the impact point is water. Auto takes the
+// mean depth of the sea or lake that was hit.
+const WATER_DEPTHS = [
+  { label: '🗺️ Auto (mean depth of the water body)', depth: null },
+  { label: '🏖️ Coastal Shelf (50 m)', depth: 50 },
+  { label: '🌊 Outer Shelf (200 m)', depth: 200 },
+  { label: '🐋 Continental Slope (1,000 m)', depth: 1000 },
+  { label: '🌑 Abyssal Plain (4,000 m)', depth: 4000 },
+  { label: '🕳️ Ocean Trench (8,000 m)', depth: 8000 }
+]
 
 export default function CompactControls({ settings, onChange, onReset }) {
+  const [magnitude, setMagnitude] = useState(22)
+  const [spectralClass, setSpectralClass] = useState('')
+
+  // Size the impactor from its brightness and run the whole range
+  const applyMagnitude = () => {
+    const size = estimateDiameter({ absoluteMagnitude: magnitude, spectralClass: spectralClass || undefined })
+    onChange({
+      diam: Math.round(size.nominal),
+      diamLow: Math.round(size.low),
+      diamHigh: Math.round(size.high)
+    })
+  }
+
+  const usesVInfinity = settings.vInfinity != null
+  const speedProblems = validateSpeeds(settings)
+
+  // Switch which speed the slider sets, carrying the current value over
+  const toggleSpeedMode = () => {
+    if (usesVInfinity) {
+      onChange({ speed: Math.round(impactSpeedFromVInfinity(settings.vInfinity) * 10) / 10, vInfinity: undefined })
+    } else {
+      onChange({ vInfinity: Math.round(vInfinityFromImpactSpeed(settings.speed) * 10) / 10 })
+    }
+  }
+
   const containerVariants = {
     hidden: { opacity: 0 },
     visible: {
@@ -18,7 +63,7 @@ export default function CompactControls({ settings, onChange, onReset }) {
     visible: { opacity: 1, x: 0, scale: 1 }
   }
 
-  const ControlSlider = ({ icon, label, min, max, value, onChange, unit, color = "#3b82f6" }) => (
+  const ControlSlider = ({ icon, label, min, max, step, value, onChange, unit, color = "#3b82f6" }) => (
     <motion.div 
       variants={itemVariants}
       whileHover={{ scale: 1.01 }}
@@ -35,6 +80,7 @@ export default function CompactControls({ settings, onChange, onReset }) {
             type="range" 
             min={min} 
             max={max} 
+            step={step}
             value={value}
             onChange={onChange}
             className="w-full h-1 bg-gray-200 rounded-lg appearance-none cursor-pointer transition-all duration-200"
@@ -83,23 +129,114 @@ export default function CompactControls({ settings, onChange, onReset }) {
         icon="🌑"
         label="Diameter"
         min="1"
-        max="2000"
+        max={Math.max(2000, Math.ceil(settings.diam / 1000) * 1000)}
         value={settings.diam}
-        onChange={e => onChange({ diam: Number(e.target.value) })}
+        onChange={e => onChange({ diam: Number(e.target.value), diamLow: undefined, diamHigh: undefined })}
         unit=" m"
         color="#f97316"
       />
+
+      {/* Compact Size From Brightness */}
+      <motion.div 
+        variants={itemVariants}
+        whileHover={{ scale: 1.01 }}
+        className="group"
+      >
+        <div className="bg-gradient-to-r from-white/90 to-white/80 backdrop-blur-sm rounded-lg p-2 border border-white/50 shadow-sm group-hover:shadow-md transition-all duration-200">
+          <div className="text-xs font-medium flex items-center gap-1 mb-1">
+            <span className="text-sm">✨</span>
+            <span className="text-gray-700">Size From Brightness</span>
+          </div>
+          
+          <div className="flex gap-1">
+            <input 
+              type="number"
+              step="0.1"
+              min="5"
+              max="35"
+              value={magnitude}
+              onChange={e => setMagnitude(Number(e.target.value))}
+              title="Absolute magnitude H"
+              className="w-14 text-xs p-1 bg-white/90 border border-indigo-200/50 rounded text-gray-800"
+            />
+            <select 
+              value={spectralClass}
+              onChange={e => setSpectralClass(e.target.value)}
+              className="flex-1 min-w-0 text-xs p-1 bg-white/90 border border-indigo-200/50 rounded 
+                       focus:border-indigo-500 focus:ring-1 focus:ring-indigo-200 transition-all duration-200
+                       text-gray-800 cursor-pointer"
+            >
+              <option value="">Unknown albedo ({UNKNOWN_ALBEDO.low}–{UNKNOWN_ALBEDO.high})</option>
+              {SPECTRAL_CLASSES.map(c => (
+                <option key={c.id} value={c.id}>{c.name} ({c.albedo})</option>
+              ))}
+            </select>
+            <button 
+              onClick={applyMagnitude}
+              className="px-2 text-xs bg-orange-500 hover:bg-orange-600 text-white rounded transition-colors"
+            >
+              Use
+            </button>
+          </div>
+
+          {settings.diamLow && settings.diamHigh && (
+            <div className="mt-1 flex items-center justify-between text-xs text-orange-700">
+              <span>Running {settings.diamLow.toLocaleString()} / {settings.diam.toLocaleString()} / {settings.diamHigh.toLocaleString()} m</span>
+              <button 
+                onClick={() => onChange({ diamLow: undefined, diamHigh: undefined })}
+                className="text-gray-500 hover:text-gray-800"
+                title="Run the nominal size only"
+              >
+                ✕
+              </button>
+            </div>
+          )}
+        </div>
+      </motion.div>
       
-      <ControlSlider
-        icon="⚡"
-        label="Speed"
-        min="1"
-        max="72"
-        value={settings.speed}
-        onChange={e => onChange({ speed: Number(e.target.value) })}
-        unit=" km/s"
-        color="#3b82f6"
-      />
+      {/* Speed is set either at entry or as v∞, before Earth's pull */}
+      {usesVInfinity ? (
+        <ControlSlider
+          icon="⚡"
+          label="Approach Speed (v∞)"
+          min={MIN_V_INFINITY}
+          max={MAX_V_INFINITY.toFixed(1)}
+          step="0.1"
+          value={settings.vInfinity}
+          onChange={e => onChange({ vInfinity: Number(e.target.value) })}
+          unit=" km/s"
+          color="#3b82f6"
+        />
+      ) : (
+        <ControlSlider
+          icon="⚡"
+          label="Entry Speed"
+          min={Math.ceil(ESCAPE_SPEED * 10) / 10}
+          max={MAX_IMPACT_SPEED.toFixed(1)}
+          step="0.1"
+          value={settings.speed}
+          onChange={e => onChange({ speed: Number(e.target.value) })}
+          unit=" km/s"
+          color="#3b82f6"
+        />
+      )}
+      <motion.div variants={itemVariants} className="flex items-center justify-between gap-2 px-1 text-xs text-gray-600">
+        <span>
+          {usesVInfinity
+            ? `Entry speed ${impactSpeedFromVInfinity(settings.vInfinity).toFixed(1)} km/s after Earth's pull`
+            : `v∞ ${vInfinityFromImpactSpeed(settings.speed).toFixed(1)} km/s before Earth's pull`}
+        </span>
+        <button
+          onClick={toggleSpeedMode}
+          className="px-2 py-0.5 rounded-full border border-blue-200 bg-white text-blue-700 hover:bg-blue-50"
+          title="Set the speed at atmospheric entry, or the approach speed v∞ from which entry speed follows"
+        >
+          Set {usesVInfinity ? 'entry speed' : 'v∞'}
+        </button>
+      </motion.div>
+      {speedProblems.map(problem => (
+        <div key={problem} className="px-1 text-xs text-red-600">⚠️ {problem}</div>
+      ))}
       
       <ControlSlider
         icon="📐"
@@ -131,11 +268,91 @@ export default function CompactControls({ settings, onChange, onReset }) {
                      focus:border-indigo-500 focus:ring-1 focus:ring-indigo-200 transition-all duration-200
                      text-gray-800 cursor-pointer"
           >
-                        <option value={3500}>🗿 Chondrite (3,500)</option>
-            <option value={3200}>⚫ Carbon (3,200)</option>
-            <option value={7800}>⚙️ Iron (7,800)</option>
-            <option value={5200}>🔩 Mixed (5,200)</option>
-            <option value={2700}>🌋 Rocky (2,700)</option>
+            {MATERIALS.map(m => (
+              <option key={m.id} value={m.density}>{m.icon} {m.label} ({m.density.toLocaleString()})</option>
+            ))}
+            {/* Densities from a spectral class match none of the materials */}
+            {!MATERIALS.some(m => m.density === Number(settings.density)) && (
+              <option value={settings.density}>✏️ Custom ({Number(settings.density).toLocaleString()} kg/m³)</option>
+            )}
+          </select>
+        </div>
+      </motion.div>
+
+      {/* Compact Target Selector */}
+      <motion.div 
+        variants={itemVariants}
+        whileHover={{ scale: 1.01 }}
+        className="group"
+      >
+        <div className="bg-gradient-to-r from-white/90 to-white/80 backdrop-blur-sm rounded-lg p-2 border border-white/50 shadow-sm group-hover:shadow-md transition-all duration-200">
+          <div className="text-xs font-medium flex items-center gap-1 mb-1">
+            <span className="text-sm">🏔️</span>
+            <span className="text-gray-700">Target</span>
+          </div>
+          
+          <select 
+            value={settings.target}
+            onChange={e => onChange({ target: e.target.value })}
+            className="w-full text-xs p-1 bg-white/90 border border-indigo-200/50 rounded 
+                     focus:border-indigo-500 focus:ring-1 focus:ring-indigo-200 transition-all duration-200
+                     text-gray-800 cursor-pointer"
+          >
+            {TARGETS.filter(t => !t.water).map(t => (
+              <option key={t.id} value={t.id}>{t.icon} {t.label}</option>
+            ))}
+          </select>
+        </div>
+      </motion.div>
+
+      {/* Compact Water Depth Selector */}
+      <motion.div 
+        variants={itemVariants}
+        whileHover={{ scale: 1.01 }}
+        className="group"
+      >
+        <div className="bg-gradient-to-r from-white/90 to-white/80 backdrop-blur-sm rounded-lg p-2 border border-white/50 shadow-sm group-hover:shadow-md transition-all duration-200">
+          <div className="text-xs font-medium flex items-center gap-1 mb-1">
+            <span className="text-sm">🌊</span>
+            <span className="text-gray-700">Water Depth</span>
+          </div>
+          
+          <select 
+            value={settings.waterDepth ?? ''}
+            onChange={e => onChange({ waterDepth: e.target.value === '' ? undefined : Number(e.target.value) })}
+            className="w-full text-xs p-1 bg-white/90 border border-indigo-200/50 rounded 
+                     focus:border-indigo-500 focus:ring-1 focus:ring-indigo-200 transition-all duration-200
+                     text-gray-800 cursor-pointer"
+          >
+            {WATER_DEPTHS.map(d => (
+              <option key={d.label} value={d.depth ?? ''}>{d.label}</option>
+            ))}
+          </select>
+        </div>
+      </motion.div>
+
+      {/* Compact Visibility Selector */}
+      <motion.div 
+        variants={itemVariants}
+        whileHover={{ scale: 1.01 }}
+        className="group"
+      >
+        <div className="bg-gradient-to-r from-white/90 to-white/80 backdrop-blur-sm rounded-lg p-2 border border-white/50 shadow-sm group-hover:shadow-md transition-all duration-200">
+          <div className="text-xs font-medium flex items-center gap-1 mb-1">
+            <span className="text-sm">👁️</span>
+            <span className="text-gray-700">Visibility</span>
+          </div>
+          
+          <select 
+            value={settings.visibility}
+            onChange={e => onChange({ visibility: e.target.value })}
+            className="w-full text-xs p-1 bg-white/90 border border-indigo-200/50 rounded 
+                     focus:border-indigo-500 focus:ring-1 focus:ring-indigo-200 transition-all duration-200
+                     text-gray-800 cursor-pointer"
+          >
+            {VISIBILITY.map(v => (
+              <option key={v.id} value={v.id}>{v.icon} {v.label} ({v.range / 1000} km)</option>
+            ))}
           </select>
         </div>
       </motion.div>
@@ -0,0 +1,287 @@
+import React, { useState, useMemo } from 'react'
+import { motion } from 'framer-motion'
+import {
+  DEFAULT_MARGIN,
+  SECONDS_PER_YEAR,
+  kineticImpactor,
+  gravityTractor,
+  ionBeamShepherd,
+  nuclearStandoff,
+  irradiatedFraction,
+  requiredShift,
+  equivalentDeltaV
+} from '../engine/deflection'
+import { EARTH_RADIUS } from '../engine/constants'
+import { MIN_V_INFINITY } from '../engine/speed'
+import { formatDeltaV, formatLength } from '../utils/format'
+import { DEFLECTION_METHODS } from '../data/deflectionMethods'
+import DeflectionTradeChart from './DeflectionTradeChart'
+
+// [field, label, unit, step, title] for the inputs every method shares
+const SHARED_FIELDS = [
+  ['leadTime', 'Warning time', 'years', '0.5', 'Time from the start of the mission to the Earth impact'],
+  ['margin', 'Margin', 'R⊕', '0.5', 'Clearance asked for above the surface']
+]
+
+const formatYears = (years) => years < 1 ? `${Math.round(years * 12)} months` : `${years.toFixed(1)} years`
+
+// What a slow push needs, started at the beginning of the warning time
+const pushNeeds = (outcome) => (
+  <div title="Shortest push that reaches the margin, started at the beginning of the warning time">
+    ⏱️ {Number.isFinite(outcome.requiredDuration) ? `Needs ${formatYears(outcome.requiredDuration)}` : 'Not enough time'}
+  </div>
+)
+
+// How each method runs and what completes its outcome grid. run gets the
+// method's own inputs, the shared ones and the asteroid.
+const MODELS = {
+  kinetic: {
+    run: (inputs, shared, asteroid) => kineticImpactor({ ...inputs, ...shared, asteroidMass: asteroid.mass }),
+    summary: (outcome) => (
+      <div title={`Δv needed is ${formatDeltaV(outcome.requiredDeltaV)}`}>
+        🎯 {outcome.impactorsNeeded.toLocaleString()} impactor{outcome.impactorsNeeded === 1 ? '' : 's'} needed
+      </div>
+    )
+  },
+  tractor: {
+    run: ({ hoverRadii, ...inputs }, shared, asteroid) => gravityTractor({
+      ...inputs,
+      ...shared,
+      hoverDistance: hoverRadii * asteroid.radius,
+      asteroidRadius: asteroid.radius
+    }),
+    summary: pushNeeds
+  },
+  shepherd: {
+    run: (inputs, shared, asteroid) => ionBeamShepherd({ ...inputs, ...shared, asteroidMass: asteroid.mass }),
+    summary: pushNeeds
+  },
+  nuclear: {
+    placeholders: (inputs) => ({ irradiatedFraction: irradiatedFraction(1, inputs.standoffRadii).toFixed(2) }),
+    run: ({ standoffRadii, irradiatedFraction: lit, ...inputs }, shared, asteroid) => nuclearStandoff({
+      ...inputs,
+      ...shared,
+      standoff: standoffRadii * asteroid.radius,
+      irradiatedFraction: Number.isNaN(lit) ? undefined : lit,
+      asteroidMass: asteroid.mass,
+      diameter: asteroid.radius * 2,
+      density: asteroid.density
+    }),
+    summary: (outcome) => (
+      <div title={`${outcome.specificEnergy.toPrecision(3)} J/kg against a disruption threshold of ${outcome.disruptionThreshold.toPrecision(3)} J/kg`}>
+        💥 {(outcome.disruptionRatio * 100).toPrecision(2)}% of disruption energy
+      </div>
+    )
+  }
+}
+
+const METHODS = DEFLECTION_METHODS.map(method => ({ ...method, ...MODELS[method.id] }))
+
+const DEFAULT_PLAN = {
+  shared: { leadTime: 10, margin: DEFAULT_MARGIN },
+  ...Object.fromEntries(METHODS.map(method => [method.id, method.defaults]))
+}
+
+// Trade-study lead times in years, log-spaced from a day to a century
+const LEAD_TIMES = Array.from({ length: 61 }, (_, i) => Math.pow(10, Math.log10(1 / 365.25) + i * Math.log10(36525) / 60))
+
+// Number input parsing that keeps an empty box empty (NaN) while typing
+const toNumber = (value) => value === '' ? NaN : Number(value)
+
+function NumberField({ label, unit, step, title, value, placeholder, onChange }) {
+  return (
+    <label className="text-xs text-gray-700" title={title}>
+      {label}
+      <div className="flex items-center gap-1">
+        <input
+          type="number"
+          min="0"
+          step={step}
+          value={Number.isNaN(value) ? '' : value}
+          placeholder={placeholder}
+          onChange={(e) => onChange(toNumber(e.target.value))}
+          className="w-full min-w-0 px-1 py-0.5 border border-blue-200 rounded bg-white"
+        />
+        <span className="text-gray-500 whitespace-nowrap">{unit}</span>
+      </div>
+    </label>
+  )
+}
+
+// Miss distance over the push, against the distance needed
+function Timeline({ timeline, required }) {
+  const width = 200
+  const height = 40
+  const maxTime = timeline[timeline.length - 1].time
+  const maxDistance = Math.max(required, ...timeline.map(point => point.missDistance))
+  const x = (time) => time / maxTime * width
+  const y = (distance) => height - distance / maxDistance * height
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-10" preserveAspectRatio="none">
+      <line x1="0" x2={width} y1={y(required)} y2={y(required)} stroke="#10b981" strokeWidth="1" strokeDasharray="4 3" />
+      <polyline
+        points={timeline.map(point => `${x(point.time)},${y(point.missDistance)}`).join(' ')}
+        fill="none"
+        stroke="#3b82f6"
+        strokeWidth="2"
+      />
+    </svg>
+  )
+}
+
+export default function DeflectionPlanner({ results }) {
+  const [plan, setPlan] = useState(DEFAULT_PLAN)
+
+  // A parabolic approach has no timing axis to move along; give it a token
+  // v∞ as the entry model does
+  const vInfinity = Math.max(MIN_V_INFINITY, results.vInfinity ?? 0)
+
+  const outcomes = useMemo(() => {
+    const shared = { ...plan.shared, vInfinity }
+    const asteroid = { mass: results.mass, radius: results.diam / 2, density: results.density }
+    return Object.fromEntries(METHODS.map(method => {
+      try {
+        return [method.id, { outcome: method.run(plan[method.id], shared, asteroid), error: null }]
+      } catch (err) {
+        return [method.id, { outcome: null, error: err.message }]
+      }
+    }))
+  }, [plan, results.mass, results.diam, results.density, vInfinity])
+
+  // Each method's equivalent Δv across lead times, slow pushes running for
+  // the whole warning time, against the Δv needed
+  const tradeStudy = useMemo(() => {
+    if (!(plan.shared.margin >= 0)) return null
+    const asteroid = { mass: results.mass, radius: results.diam / 2, density: results.density }
+    const shift = requiredShift(vInfinity, plan.shared.margin)
+    const required = LEAD_TIMES.map(leadTime => ({ leadTime, deltaV: equivalentDeltaV(shift, leadTime * SECONDS_PER_YEAR) }))
+    const envelopes = METHODS.map(method => {
+      const inputs = plan[method.id]
+      const points = LEAD_TIMES.flatMap(leadTime => {
+        try {
+          const outcome = method.run(
+            'duration' in inputs ? { ...inputs, duration: leadTime } : inputs,
+            { ...plan.shared, leadTime, vInfinity },
+            asteroid
+          )
+          return [{ leadTime, deltaV: equivalentDeltaV(outcome.displacement, leadTime * SECONDS_PER_YEAR) }]
+        } catch {
+          return []
+        }
+      })
+      return { id: method.id, label: method.label, color: method.color, points }
+    })
+    return { required, envelopes }
+  }, [plan, results.mass, results.diam, results.density, vInfinity])
+
+  const working = METHODS.filter(method => outcomes[method.id].outcome?.misses)
+
+  const update = (group, field, value) => setPlan(prev => ({ ...prev, [group]: { ...prev[group], [field]: value } }))
+
+  return (
+    <motion.div
+      className="bg-white/80 backdrop-blur-sm rounded-lg p-4 border border-blue-200/50 shadow-lg space-y-3"
+      initial={{ opacity: 0, y: 10 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ delay: 0.3 }}
+    >
+      <div className="flex items-center justify-between">
+        <h4 className="font-bold text-blue-800 flex items-center gap-2">🧮 Deflection Planner</h4>
+        <button
+          onClick={() => setPlan(DEFAULT_PLAN)}
+          className="px-2 py-1 text-xs rounded-full border bg-white text-blue-700 border-blue-200 hover:bg-blue-50"
+          title="DART's mass, speed and β; a 20 t tractor and a 0.5 N shepherd for 5 years; a 100 kt burst; 10 years' warning"
+        >
+          Defaults
+        </button>
+      </div>
+
+      <div className="grid grid-cols-2 gap-2">
+        {SHARED_FIELDS.map(([field, label, unit, step, title]) => (
+          <NumberField
+            key={field}
+            label={label}
+            unit={unit}
+            step={step}
+            title={title}
+            value={plan.shared[field]}
+            onChange={(value) => update('shared', field, value)}
+          />
+        ))}
+      </div>
+
+      <div className={`text-xs font-medium p-2 rounded ${working.length > 0 ? 'bg-green-50 text-green-800' : 'bg-red-50 text-red-800'}`}>
+        {working.length > 0
+          ? `✅ Works within ${formatYears(plan.shared.leadTime)}: ${working.map(method => method.label).join(', ')}`
+          : `❌ None of these deflects it within ${Number.isFinite(plan.shared.leadTime) ? formatYears(plan.shared.leadTime) : 'the warning time'}`}
+      </div>
+
+      {tradeStudy && (
+        <div className="space-y-1">
+          <div className="text-sm font-medium text-blue-800">📈 Warning time trade study</div>
+          <DeflectionTradeChart
+            required={tradeStudy.required}
+            envelopes={tradeStudy.envelopes}
+            leadTime={plan.shared.leadTime}
+            title={`Δv to clear ${plan.shared.margin} R⊕ · ${Math.round(results.diam)} m, v∞ ${vInfinity.toFixed(1)} km/s`}
+          />
+        </div>
+      )}
+
+      {METHODS.map(method => {
+        const { outcome, error } = outcomes[method.id]
+        const placeholders = method.placeholders?.(plan[method.id]) ?? {}
+        return (
+          <div key={method.id} className="border border-blue-100 rounded-lg p-2 space-y-2">
+            <div className="flex items-center justify-between text-sm font-medium text-blue-800">
+              <span>{method.icon} {method.label}</span>
+              {outcome && (
+                <span className={outcome.misses ? 'text-green-700' : 'text-red-700'}>{outcome.misses ? '✅ Misses' : '❌ Hits'}</span>
+              )}
+            </div>
+            <div className="grid grid-cols-3 gap-2">
+              {method.fields.map(([field, label, unit, step, title]) => (
+                <NumberField
+                  key={field}
+                  label={label}
+                  unit={unit}
+                  step={step}
+                  title={title}
+                  value={plan[method.id][field]}
+                  placeholder={placeholders[field]}
+                  onChange={(value) => update(method.id, field, value)}
+                />
+              ))}
+            </div>
+
+            {error && <div className="text-xs text-red-600">⚠️ {error}</div>}
+
+            {outcome && (
+              <>
+                <div className="grid grid-cols-2 gap-1 text-xs text-gray-700">
+                  <div>🚀 Δv {formatDeltaV(outcome.deltaV)}</div>
+                  <div title="Along-track shift at encounter">↔️ Shift {formatLength(outcome.displacement)}</div>
+                  <div title="Closest approach above the surface after Earth's gravity bends the path">
+                    📏 {outcome.clearance > 0 ? `${(outcome.clearance / EARTH_RADIUS).toFixed(2)} R⊕ clear` : 'Still hits Earth'}
+                  </div>
+                  {method.summary(outcome)}
+                </div>
+                {outcome.timeline && <Timeline timeline={outcome.timeline} required={EARTH_RADIUS * (1 + plan.shared.margin)} />}
+                {outcome.disrupted && (
+                  <div className="text-xs text-orange-700" title="Largest remnant, then fragment counts by size">
+                    ⚠️ Likely to disrupt it: largest piece {formatLength(outcome.fragments[0].diameter)}, then{' '}
+                    {outcome.fragments.slice(1, 4).map(f => `${f.count.toLocaleString()} × ${formatLength(f.diameter)}`).join(', ')}
+                  </div>
+                )}
+              </>
+            )}
+          </div>
+        )
+      })}
+
+      <div className="text-xs text-gray-500">
+        Assumes a dead-centre hit before deflection and a push along the orbit; the shift grows from Δv·t over days to 3·Δv·t once the lead time spans an orbit. Curves show the miss distance if the push stopped at that point; the dashed line is the distance needed.
+      </div>
+    </motion.div>
+  )
+}
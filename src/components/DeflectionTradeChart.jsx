@@ -0,0 +1,137 @@
+import React, { useRef, useState } from 'react'
+import { downloadPng, downloadSvg } from '../utils/download'
+
+const WIDTH = 320
+const HEIGHT = 180
+const MARGIN = { top: 10, right: 10, bottom: 24, left: 38 }
+const FONT = 'system-ui, sans-serif'
+
+// Lead-time gridlines in years, with their labels
+const LEAD_TICKS = [
+  [1 / 365.25, '1 d'],
+  [10 / 365.25, '10 d'],
+  [100 / 365.25, '100 d'],
+  [1, '1 yr'],
+  [10, '10 yr'],
+  [100, '100 yr']
+]
+
+const deltaVLabel = (mps) => mps >= 1 ? `${mps}` : mps.toString().replace(/^0/, '')
+
+/**
+ * Required Δv against lead time on log axes, with each method's capability.
+ * A method works wherever its curve lies above the required line.
+ * @param {Object} props
+ * @param {{ leadTime: number, deltaV: number }[]} props.required Years, m/s
+ * @param {{ id: string, label: string, color: string, points: { leadTime: number, deltaV: number }[] }[]} props.envelopes
+ * @param {number} [props.leadTime] Current warning time (years), marked
+ * @param {string} [props.title] Printed on exported images
+ */
+export default function DeflectionTradeChart({ required, envelopes, leadTime, title }) {
+  const svgRef = useRef(null)
+  const [exportError, setExportError] = useState(null)
+
+  const values = [...required, ...envelopes.flatMap(e => e.points)].map(p => p.deltaV).filter(v => v > 0 && Number.isFinite(v))
+  if (required.length < 2 || values.length === 0) {
+    return <div className="text-xs text-gray-500">Not enough data for the trade study.</div>
+  }
+
+  const tMin = required[0].leadTime
+  const tMax = required[required.length - 1].leadTime
+  const logMin = Math.floor(Math.log10(Math.min(...values)))
+  const logMax = Math.max(logMin + 1, Math.ceil(Math.log10(Math.max(...values))))
+
+  const plotW = WIDTH - MARGIN.left - MARGIN.right
+  const plotH = HEIGHT - MARGIN.top - MARGIN.bottom
+  const x = (t) => MARGIN.left + Math.log10(t / tMin) / Math.log10(tMax / tMin) * plotW
+  const y = (v) => MARGIN.top + (logMax - Math.log10(v)) / (logMax - logMin) * plotH
+  // Curves may leave the range at either end; clip rather than plot outside
+  const path = (points) => points
+    .filter(p => p.deltaV > 0 && Number.isFinite(p.deltaV))
+    .map(p => `${x(p.leadTime).toFixed(1)},${Math.min(HEIGHT - MARGIN.bottom, Math.max(MARGIN.top, y(p.deltaV))).toFixed(1)}`)
+    .join(' ')
+
+  const decades = Array.from({ length: logMax - logMin + 1 }, (_, i) => Math.pow(10, logMin + i))
+  const ticks = LEAD_TICKS.filter(([t]) => t >= tMin && t <= tMax)
+
+  const handleExport = async (format) => {
+    setExportError(null)
+    const name = `deflection-trade-study.${format}`
+    try {
+      if (format === 'svg') downloadSvg(svgRef.current, name)
+      else await downloadPng(svgRef.current, name)
+    } catch (err) {
+      setExportError(err.message)
+    }
+  }
+
+  return (
+    <div className="space-y-1">
+      <svg
+        ref={svgRef}
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        className="w-full rounded border border-blue-100"
+        fontFamily={FONT}
+      >
+        <rect width={WIDTH} height={HEIGHT} fill="white" />
+        {title && <text x={MARGIN.left} y={MARGIN.top - 2} fontSize="6" fill="#374151">{title}</text>}
+
+        {decades.map(v => (
+          <g key={v}>
+            <line x1={MARGIN.left} x2={WIDTH - MARGIN.right} y1={y(v)} y2={y(v)} stroke="#e5e7eb" strokeWidth="0.5" />
+            <text x={MARGIN.left - 3} y={y(v) + 2.5} textAnchor="end" fontSize="7" fill="#6b7280">{deltaVLabel(v)}</text>
+          </g>
+        ))}
+        <text x={8} y={MARGIN.top + plotH / 2} fontSize="7" fill="#6b7280" transform={`rotate(-90 8 ${MARGIN.top + plotH / 2})`} textAnchor="middle">
+          Δv (m/s)
+        </text>
+
+        {ticks.map(([t, label]) => (
+          <g key={label}>
+            <line x1={x(t)} x2={x(t)} y1={MARGIN.top} y2={HEIGHT - MARGIN.bottom} stroke="#f3f4f6" strokeWidth="0.5" />
+            <text x={x(t)} y={HEIGHT - MARGIN.bottom + 9} textAnchor="middle" fontSize="7" fill="#6b7280">{label}</text>
+          </g>
+        ))}
+        <text x={MARGIN.left + plotW / 2} y={HEIGHT - 3} textAnchor="middle" fontSize="7" fill="#6b7280">Warning time</text>
+
+        {leadTime >= tMin && leadTime <= tMax && (
+          <>
+            <line x1={x(leadTime)} x2={x(leadTime)} y1={MARGIN.top} y2={HEIGHT - MARGIN.bottom} stroke="#6b7280" strokeDasharray="2 2" strokeWidth="0.8" />
+            <text x={x(leadTime) + 2} y={HEIGHT - MARGIN.bottom - 3} fontSize="6" fill="#6b7280">now</text>
+          </>
+        )}
+
+        {envelopes.map(envelope => (
+          <polyline key={envelope.id} points={path(envelope.points)} fill="none" stroke={envelope.color} strokeWidth="1.5">
+            <title>{envelope.label}</title>
+          </polyline>
+        ))}
+        <polyline points={path(required)} fill="none" stroke="#111827" strokeWidth="2" strokeDasharray="5 3">
+          <title>Required Δv</title>
+        </polyline>
+
+        {/* Legend */}
+        {[{ id: 'required', label: 'Required', color: '#111827', dashed: true }, ...envelopes].map((item, i) => (
+          <g key={item.id} transform={`translate(${WIDTH - MARGIN.right - 78}, ${MARGIN.top + 4 + i * 8})`}>
+            <line x1="0" x2="10" y1="0" y2="0" stroke={item.color} strokeWidth="1.5" strokeDasharray={item.dashed ? '3 2' : undefined} />
+            <text x="13" y="2.5" fontSize="6" fill="#374151">{item.label}</text>
+          </g>
+        ))}
+      </svg>
+
+      <div className="flex items-center gap-1">
+        <span className="flex-1 text-xs text-gray-500">Methods work where their line is above the dashed one.</span>
+        {['png', 'svg'].map(format => (
+          <button
+            key={format}
+            onClick={() => handleExport(format)}
+            className="px-2 py-0.5 text-xs rounded-full border bg-white text-blue-700 border-blue-200 hover:bg-blue-50"
+          >
+            💾 {format.toUpperCase()}
+          </button>
+        ))}
+      </div>
+      {exportError && <div className="text-xs text-red-600">⚠️ {exportError}</div>}
+    </div>
+  )
+}
@@ -1,5 +1,10 @@
 import React, { useState } from 'react'
 import { motion, AnimatePresence } from 'framer-motion'
+import { formatDuration, formatLength, toRoman } from '../utils/format'
+import { targetById } from '../engine/crater'
+import { visibilityById } from '../engine/thermal'
+import { MPH_PER_MS } from '../engine/constants'
+import DeflectionPlanner from './DeflectionPlanner'
 
 export default function ResultCard({ results }) {
   const [activeTab, setActiveTab] = useState('overview')
@@ -7,6 +12,7 @@ export default function ResultCard({ results }) {
   const tabs = [
     { id: 'overview', label: 'Overview', icon: '🌍' },
     { id: 'crater', label: 'Crater', icon: '🕳️' },
+    { id: 'ejecta', label: 'Ejecta', icon: '🌋' },
     { id: 'fireball', label: 'Fireball', icon: '🔥' },
     { id: 'shockwave', label: 'Shock Wave', icon: '💨' },
     { id: 'wind', label: 'Wind', icon: '🌪️' },
@@ -128,7 +134,7 @@ export default function ResultCard({ results }) {
             <StatRow 
               icon="📐"
               label="Impact Angle" 
-              value={results.deflectionImpactAngle || 'N/A'} 
+              value={results.angle ?? 'N/A'} 
               unit="°" 
               severity="medium"
             />
@@ -139,13 +145,73 @@ export default function ResultCard({ results }) {
               unit="J" 
               severity="extreme"
             />
+            <StatRow 
+              icon="🚀"
+              label="Entry Speed" 
+              value={results.speed.toFixed(1)} 
+              unit={`km/s (v∞ ${results.vInfinity.toFixed(1)} km/s)`} 
+              severity="medium"
+            />
+            <StatRow 
+              icon="☄️"
+              label="Atmospheric Entry" 
+              value={results.isAirburst ? `Airburst at ${(results.burstAltitude / 1000).toFixed(1)} km` : results.formsCrater ? 'Ground Impact' : 'Decelerated'} 
+              severity={results.formsCrater ? 'extreme' : 'high'}
+            />
+            {results.breakupAltitude !== null && (
+              <StatRow 
+                icon="💫"
+                label="Breakup Altitude" 
+                value={(results.breakupAltitude / 1000).toFixed(1)} 
+                unit="km" 
+                severity="medium"
+              />
+            )}
+            <StatRow 
+              icon="🎇"
+              label="Energy Delivered" 
+              value={results.deliveredMegatons.toFixed(2)} 
+              unit="Mt" 
+              severity={results.deliveredMegatons > 100 ? 'extreme' : results.deliveredMegatons > 1 ? 'high' : 'medium'}
+            />
             <StatRow 
               icon="👥"
               label="Population at Risk" 
-              value={results.populationDensity ? results.populationDensity.toLocaleString() : 'N/A'} 
+              value={results.populationAtRisk.toLocaleString()} 
+              unit="people"
+              severity={results.populationAtRisk > 1000000 ? 'extreme' : results.populationAtRisk > 10000 ? 'high' : 'medium'}
+            />
+            <StatRow 
+              icon="🏘️"
+              label={results.populationSource === 'worldpop' ? 'Local Density (WorldPop)' : 'Local Density (offline grid)'} 
+              value={results.populationDensity.toLocaleString()} 
               unit="people/km²"
               severity={results.populationDensity > 1000 ? 'extreme' : results.populationDensity > 100 ? 'high' : 'medium'}
             />
+            {results.sizeRange && (
+              <>
+                <div className="pt-2 text-sm font-semibold text-gray-700">
+                  ↔️ Size Uncertainty ({results.sizeRange.low.diam.toLocaleString()}–{results.sizeRange.high.diam.toLocaleString()} m)
+                </div>
+                {[
+                  { icon: '🎇', label: 'Energy Delivered', key: 'deliveredMegatons', format: v => `${v.toPrecision(3)} Mt` },
+                  { icon: '🕳️', label: 'Crater Diameter', key: 'craterDiameter', format: formatLength },
+                  { icon: '🔥', label: 'Fireball Radius', key: 'fireballRadius', format: formatLength },
+                  { icon: '🏚️', label: '5 psi Radius', key: 'homeCollapseRadius', format: formatLength },
+                  { icon: '💀', label: 'Fireball Deaths', key: 'fireballDeaths', format: v => v.toLocaleString() },
+                  { icon: '💨', label: 'Shock Wave Deaths', key: 'shockWaveDeaths', format: v => v.toLocaleString() }
+                ].map(row => (
+                  <StatRow 
+                    key={row.key}
+                    icon={row.icon}
+                    label={row.label}
+                    value={`${row.format(results.sizeRange.low[row.key])} – ${row.format(results.sizeRange.high[row.key])}`}
+                    unit={`nominal ${row.format(results[row.key])}`}
+                    severity="high"
+                  />
+                ))}
+              </>
+            )}
           </div>
         )
       
@@ -183,9 +249,22 @@ export default function ResultCard({ results }) {
               </div>
             </motion.div>
             
+            <StatRow 
+              icon="🏔️"
+              label="Target" 
+              value={targetById(results.targetType).label} 
+              severity="medium"
+            />
+            <StatRow 
+              icon="🌀"
+              label="Transient Crater" 
+              value={results.transientCraterDiameter ? results.transientCraterDiameter.toFixed(1) : 'N/A'} 
+              unit="m" 
+              severity={results.transientCraterDiameter > 1000 ? 'extreme' : results.transientCraterDiameter > 500 ? 'high' : 'medium'}
+            />
             <StatRow 
               icon="📏"
-              label="Crater Diameter" 
+              label="Final Crater Diameter" 
               value={results.craterDiameter ? results.craterDiameter.toFixed(1) : 'N/A'} 
               unit="m" 
               severity={results.craterDiameter > 1000 ? 'extreme' : results.craterDiameter > 500 ? 'high' : 'medium'}
@@ -197,6 +276,21 @@ export default function ResultCard({ results }) {
               unit="m" 
               severity={results.craterDepth > 200 ? 'extreme' : results.craterDepth > 100 ? 'high' : 'medium'}
             />
+            <StatRow 
+              icon="🏗️"
+              label="Crater Type" 
+              value={results.craterDiameter ? (results.isComplexCrater ? 'Complex' : 'Simple') : 'None'} 
+              severity={results.isComplexCrater ? 'extreme' : 'medium'}
+            />
+            {results.brecciaThickness !== null && (
+              <StatRow 
+                icon="🧱"
+                label="Breccia Lens" 
+                value={results.brecciaThickness.toFixed(1)} 
+                unit="m thick" 
+                severity="medium"
+              />
+            )}
             <StatRow 
               icon="🪣"
               label="Crater Shape" 
@@ -212,6 +306,89 @@ export default function ResultCard({ results }) {
           </div>
         )
 
+      case 'ejecta':
+        return (
+          <div className="space-y-4">
+            <motion.div
+              className="text-center mb-6 relative"
+              initial={{ opacity: 0, scale: 0.9 }}
+              animate={{ opacity: 1, scale: 1 }}
+              transition={{ delay: 0.2 }}
+            >
+              <div className="absolute inset-0 bg-gradient-to-r from-stone-500/10 to-amber-500/10 rounded-lg blur-xl" />
+              <div className="relative bg-white/80 backdrop-blur-sm rounded-lg p-4 border border-stone-200/50">
+                <h3 className="text-xl font-bold bg-gradient-to-r from-stone-600 to-amber-600 bg-clip-text text-transparent mb-4">
+                  🌋 Ejecta Blanket
+                </h3>
+                
+                {/* Falling debris */}
+                <motion.div 
+                  className="relative w-40 h-12 mx-auto mb-4 bg-gradient-to-b from-sky-100 to-amber-200 rounded-lg overflow-hidden"
+                  initial={{ opacity: 0 }}
+                  animate={{ opacity: 1 }}
+                  transition={{ delay: 0.5 }}
+                >
+                  {[...Array(8)].map((_, i) => (
+                    <motion.div
+                      key={i}
+                      className="absolute w-1.5 h-1.5 bg-stone-600 rounded-full"
+                      style={{ left: `${6 + i * 12}%` }}
+                      animate={{ top: ['-10%', '90%'], opacity: [1, 1, 0] }}
+                      transition={{
+                        duration: 1.2,
+                        repeat: Infinity,
+                        delay: i * 0.15
+                      }}
+                    />
+                  ))}
+                </motion.div>
+              </div>
+            </motion.div>
+            
+            {results.formsCrater ? (
+              <>
+                <StatRow 
+                  icon="⛰️"
+                  label="Thickness at Crater Rim" 
+                  value={formatLength(results.ejectaRimThickness)} 
+                  severity={results.ejectaRimThickness > 10 ? 'extreme' : 'high'}
+                />
+                <StatRow 
+                  icon="🪨"
+                  label="Fragment Size at Rim" 
+                  value={formatLength(results.ejectaRimFragmentSize)} 
+                  severity="high"
+                />
+                {results.ejectaRings.filter(ring => ring.radius > 0).map(ring => (
+                  <StatRow 
+                    key={ring.thickness}
+                    icon="🟤"
+                    label={`${ring.label} (${formatLength(ring.thickness)}) · ${formatLength(ring.fragmentSize)} debris, arrives ${formatDuration(ring.arrivalTime)}`} 
+                    value={(ring.radius / 1000).toFixed(ring.radius < 10000 ? 1 : 0)} 
+                    unit="km" 
+                    severity={ring.thickness >= 1 ? 'extreme' : ring.thickness >= 0.1 ? 'high' : 'medium'}
+                  />
+                ))}
+                <StatRow 
+                  icon="🌐"
+                  label="Global Fallout" 
+                  value={results.isGlobalEjecta
+                    ? `${formatLength(results.globalEjectaThickness)} after ${formatDuration(results.globalEjectaArrivalTime)}`
+                    : 'None'} 
+                  severity={results.isGlobalEjecta ? 'extreme' : 'low'}
+                />
+              </>
+            ) : (
+              <StatRow 
+                icon="☁️"
+                label="Ejecta" 
+                value="None, no crater formed" 
+                severity="low"
+              />
+            )}
+          </div>
+        )
+
       case 'fireball':
         return (
           <div className="space-y-4">
@@ -280,10 +457,33 @@ export default function ResultCard({ results }) {
             <StatRow 
               icon="💡"
               label="Fireball Radius" 
-              value={results.fireballRadius ? (results.fireballRadius / 1000).toFixed(1) : 'N/A'} 
+              value={results.fireballRadius ? (results.fireballRadius / 1000).toFixed(2) : 'N/A'} 
               unit="km" 
               severity="extreme"
             />
+            <StatRow 
+              icon="⏱️"
+              label="Time of Peak Radiation" 
+              value={results.fireballDuration ? results.fireballDuration.toFixed(2) : 'N/A'} 
+              unit="s" 
+              severity="medium"
+            />
+            <StatRow 
+              icon="👁️"
+              label="Visibility" 
+              value={visibilityById(results.visibility).label} 
+              severity="medium"
+            />
+            {results.thermalRings.map(ring => (
+              <StatRow 
+                key={ring.id}
+                icon={ring.id === 'trees' ? '🌳' : ring.id === 'clothing' ? '👕' : '🩹'}
+                label={ring.label} 
+                value={(ring.radius / 1000).toFixed(1)} 
+                unit="km" 
+                severity={ring.radius > 50000 ? 'extreme' : ring.radius > 10000 ? 'high' : ring.radius > 0 ? 'medium' : 'low'}
+              />
+            ))}
             <StatRow 
               icon="💀"
               label="Fireball Deaths" 
@@ -291,17 +491,16 @@ export default function ResultCard({ results }) {
               severity="extreme"
             />
             <StatRow 
-              icon="�"
+              icon="🔥"
               label="3rd Degree Burns" 
               value={results.burns3rdDegree ? results.burns3rdDegree.toLocaleString() : '0'} 
               severity="high"
             />
             <StatRow 
-              icon="🌳"
-              label="Tree Fires Range" 
-              value={results.treeFires ? (results.treeFires / 1000).toFixed(1) : 'N/A'} 
-              unit="km" 
-              severity="high"
+              icon="🔥"
+              label="2nd Degree Burns" 
+              value={results.burns2ndDegree ? results.burns2ndDegree.toLocaleString() : '0'} 
+              severity="medium"
             />
           </div>
         )
@@ -359,26 +558,22 @@ export default function ResultCard({ results }) {
               unit="dB" 
               severity={results.shockWaveDecibels > 180 ? 'extreme' : results.shockWaveDecibels > 140 ? 'high' : 'medium'}
             />
-            <StatRow 
-              icon="📏"
-              label="Building Collapse Range" 
-              value={results.buildingCollapseRadius ? (results.buildingCollapseRadius / 1000).toFixed(1) : 'N/A'} 
-              unit="km" 
-              severity="extreme"
-            />
+            {results.blastRings.map(ring => (
+              <StatRow 
+                key={ring.psi}
+                icon="📏"
+                label={`${ring.psi} psi · ${ring.label}`} 
+                value={(ring.radius / 1000).toFixed(1)} 
+                unit="km" 
+                severity={ring.psi >= 20 ? 'extreme' : ring.psi >= 5 ? 'high' : ring.psi >= 3 ? 'medium' : 'low'}
+              />
+            ))}
             <StatRow 
               icon="💀"
               label="Shock Wave Deaths" 
               value={results.shockWaveDeaths ? results.shockWaveDeaths.toLocaleString() : '0'} 
               severity="extreme"
             />
-            <StatRow 
-              icon="🏠"
-              label="Home Collapse Range" 
-              value={results.homeCollapseRadius ? (results.homeCollapseRadius / 1000).toFixed(1) : 'N/A'} 
-              unit="km" 
-              severity="high"
-            />
           </div>
         )
 
@@ -431,18 +626,21 @@ export default function ResultCard({ results }) {
             
             <StatRow 
               icon="💨"
-              label="Maximum Wind Speed" 
+              label={`Wind Speed at ${formatLength(results.windReferenceRange)}`} 
               value={results.windSpeed ? results.windSpeed.toFixed(0) : 'N/A'} 
               unit="mph" 
               severity={results.windSpeed > 200 ? 'extreme' : results.windSpeed > 100 ? 'high' : 'medium'}
             />
-            <StatRow 
-              icon="📏"
-              label="Leveled Buildings Range" 
-              value={results.leveledRadius ? (results.leveledRadius / 1000).toFixed(1) : 'N/A'} 
-              unit="km" 
-              severity="extreme"
-            />
+            {results.blastRings.map(ring => (
+              <StatRow 
+                key={ring.psi}
+                icon="🌬️"
+                label={`Wind at ${(ring.radius / 1000).toFixed(1)} km (${ring.psi} psi)`} 
+                value={Math.round(ring.windSpeed * MPH_PER_MS).toLocaleString()} 
+                unit="mph" 
+                severity={ring.psi >= 20 ? 'extreme' : ring.psi >= 5 ? 'high' : ring.psi >= 3 ? 'medium' : 'low'}
+              />
+            ))}
             <StatRow 
               icon="💀"
               label="Wind Deaths" 
@@ -511,12 +709,21 @@ export default function ResultCard({ results }) {
               severity={results.earthquakeMagnitude > 7 ? 'extreme' : results.earthquakeMagnitude > 5 ? 'high' : 'medium'}
             />
             <StatRow 
-              icon="📏"
-              label="Felt Range" 
-              value={results.earthquakeRadius ? (results.earthquakeRadius / 1000).toFixed(1) : 'N/A'} 
-              unit="km" 
-              severity={results.earthquakeRadius > 500000 ? 'extreme' : results.earthquakeRadius > 200000 ? 'high' : 'medium'}
+              icon="📈"
+              label="Intensity at Ground Zero" 
+              value={`MMI ${toRoman(results.maxIntensity)}`} 
+              severity={results.maxIntensity >= 9 ? 'extreme' : results.maxIntensity >= 7 ? 'high' : 'medium'}
             />
+            {results.seismicRings.filter(ring => ring.radius > 0).map(ring => (
+              <StatRow 
+                key={ring.level}
+                icon="〰️"
+                label={`MMI ${toRoman(ring.level)} · ${ring.label}`} 
+                value={(ring.radius / 1000).toFixed(0)} 
+                unit="km" 
+                severity={ring.level >= 9 ? 'extreme' : ring.level >= 7 ? 'high' : 'medium'}
+              />
+            ))}
             <StatRow 
               icon="💀"
               label="Earthquake Deaths" 
@@ -526,8 +733,8 @@ export default function ResultCard({ results }) {
             <StatRow 
               icon="🏢"
               label="Impact Type" 
-              value={results.isOceanImpact ? 'Ocean Impact' : 'Land Impact'} 
-              severity={results.isOceanImpact ? 'medium' : 'high'}
+              value={results.isOceanImpact ? 'Ocean Impact' : results.isLakeImpact ? 'Lake Impact' : 'Land Impact'} 
+              severity={results.waterBody ? 'medium' : 'high'}
             />
           </div>
         )
@@ -598,31 +805,59 @@ export default function ResultCard({ results }) {
               </div>
             </motion.div>
             
-            <StatRow 
-              icon="📏"
-              label="Wave Height" 
-              value={results.tsunamiHeight ? results.tsunamiHeight.toFixed(1) : 'N/A'} 
-              unit="m" 
-              severity={results.tsunamiHeight > 20 ? 'extreme' : results.tsunamiHeight > 10 ? 'high' : 'medium'}
-            />
-            <StatRow 
-              icon="💀"
-              label="Tsunami Deaths" 
-              value={results.tsunamiDeaths ? results.tsunamiDeaths.toLocaleString() : '0'} 
-              severity="extreme"
-            />
-            <StatRow 
-              icon="🏖️"
-              label="Countries Affected" 
-              value={results.tsunamiAffectedCoasts ? results.tsunamiAffectedCoasts.toString() : '0'} 
-              severity="high"
-            />
             <StatRow 
               icon="🌊"
-              label="Ocean Impact" 
-              value={results.isOceanImpact ? 'Yes' : 'No'} 
-              severity={results.isOceanImpact ? 'extreme' : 'low'}
+              label={results.isLakeImpact ? 'Lake Impact' : 'Ocean Impact'} 
+              value={results.waterBody ? `${results.waterBody}, ${Math.round(results.waterDepth).toLocaleString()} m deep` : 'No, land impact'} 
+              severity={results.waterBody ? 'extreme' : 'low'}
             />
+            {results.waterBody && (
+              <>
+                <StatRow 
+                  icon="📏"
+                  label="Wave Amplitude at Cavity Rim" 
+                  value={results.tsunamiHeight ? results.tsunamiHeight.toFixed(1) : 'N/A'} 
+                  unit="m" 
+                  severity={results.tsunamiHeight > 20 ? 'extreme' : results.tsunamiHeight > 10 ? 'high' : 'medium'}
+                />
+                <StatRow 
+                  icon="⏩"
+                  label="Wave Speed" 
+                  value={Math.round(results.tsunamiWaveSpeed * 3.6).toLocaleString()} 
+                  unit="km/h" 
+                  severity="medium"
+                />
+                <StatRow 
+                  icon="🎯"
+                  label="Runup Above 1 m Within" 
+                  value={Math.round(results.tsunamiRadius / 1000).toLocaleString()} 
+                  unit="km" 
+                  severity={results.tsunamiRadius > 1000000 ? 'extreme' : results.tsunamiRadius > 100000 ? 'high' : 'medium'}
+                />
+                {results.tsunamiCoasts.map(coast => (
+                  <StatRow 
+                    key={coast.name}
+                    icon="🏖️"
+                    label={`${coast.name}, ${coast.country} · ${coast.amplitude.toFixed(1)} m wave, arrives ${formatDuration(coast.arrivalTime)}`} 
+                    value={coast.runup.toFixed(1)} 
+                    unit="m runup" 
+                    severity={coast.runup > 10 ? 'extreme' : coast.runup > 3 ? 'high' : 'medium'}
+                  />
+                ))}
+                <StatRow 
+                  icon="🗺️"
+                  label="Coastlines Affected" 
+                  value={results.tsunamiAffectedCoasts.toString()} 
+                  severity="high"
+                />
+                <StatRow 
+                  icon="💀"
+                  label="Tsunami Deaths" 
+                  value={results.tsunamiDeaths ? results.tsunamiDeaths.toLocaleString() : '0'} 
+                  severity="extreme"
+                />
+              </>
+            )}
           </div>
         )
 
@@ -695,32 +930,7 @@ export default function ResultCard({ results }) {
               </div>
             </motion.div>
             
-            <StatRow 
-              icon="⚡"
-              label="Required Deflection Energy" 
-              value={results.deflectionMegatons ? results.deflectionMegatons.toFixed(2) : 'N/A'} 
-              unit="megatons" 
-              severity={results.deflectionMegatons > 1000 ? 'extreme' : results.deflectionMegatons > 100 ? 'high' : 'medium'}
-            />
-            <StatRow 
-              icon="💣"
-              label="Nuclear Comparison" 
-              value={results.deflectionBombComparison || 'N/A'} 
-              severity="high"
-            />
-            <StatRow 
-              icon="🚀"
-              label="Required Velocity Change" 
-              value={results.deflectionDeltaV || 'N/A'} 
-              unit="m/s" 
-              severity="medium"
-            />
-            <StatRow 
-              icon="📊"
-              label="Deflection Efficiency" 
-              value={results.deflectionAngleEfficiency ? `${results.deflectionAngleEfficiency}%` : 'N/A'} 
-              severity={parseFloat(results.deflectionAngleEfficiency) < 30 ? 'extreme' : parseFloat(results.deflectionAngleEfficiency) < 60 ? 'high' : 'medium'}
-            />
+            <DeflectionPlanner results={results} />
           </div>
         )
 
@@ -0,0 +1,165 @@
+import React from 'react'
+import { motion } from 'framer-motion'
+import { EARTH_RADIUS } from '../engine/constants'
+import { DEFAULT_SAMPLES, DEFAULT_SEED } from '../engine/corridor'
+import { formatLength } from '../utils/format'
+
+const EARTH_RADIUS_KM = EARTH_RADIUS / 1000
+
+// A long, thin ellipse, stretched mostly along ζ as timing errors are
+const DEFAULT_UNCERTAINTY = {
+  ellipse: { sigmaMajor: 0.5 * EARTH_RADIUS_KM, sigmaMinor: 0.02 * EARTH_RADIUS_KM, orientation: 90 },
+  samples: DEFAULT_SAMPLES,
+  seed: DEFAULT_SEED
+}
+
+const SAMPLE_COUNTS = [100, 400, 1000]
+
+// [field, symbol, title, max (R⊕)] for the ellipse's size sliders
+const SIGMA_FIELDS = [
+  ['sigmaMajor', 'σ∥', '1σ along the long axis', 1],
+  ['sigmaMinor', 'σ⊥', '1σ across the long axis', 0.1]
+]
+
+// Compass point for an azimuth in degrees
+const compass = (azimuth) => ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'][Math.round(azimuth / 45) % 8]
+
+export default function EntryPanel({ entry, onChangeBPlane, onClear, uncertainty, onChangeUncertainty, corridor }) {
+  const { name, bPlane, result } = entry
+  const earthRadii = (km) => (km / EARTH_RADIUS_KM).toFixed(2)
+  // Sliders reach a little past the capture radius, so misses can be tried
+  const limit = Math.ceil(result.captureRadius * 1.5 / EARTH_RADIUS_KM * 10) / 10
+
+  const setEllipse = (field, value) =>
+    onChangeUncertainty({ ...uncertainty, ellipse: { ...uncertainty.ellipse, [field]: value } })
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: -10 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="bg-gradient-to-r from-indigo-50 to-violet-50 border-2 border-indigo-200 p-3 rounded-lg space-y-2"
+    >
+      <div className="flex items-center justify-between">
+        <div className="font-bold text-indigo-800 text-sm flex items-center gap-2">
+          🛰️ Entry Trajectory
+        </div>
+        <button onClick={onClear} className="text-indigo-400 hover:text-indigo-600 transition-colors" title="Forget the trajectory">
+          ✕
+        </button>
+      </div>
+      <div className="text-xs text-indigo-700">{name}</div>
+
+      {[['xi', 'ξ', 'Sideways offset of the aim point'], ['zeta', 'ζ', 'Offset along the timing direction, positive when late']].map(([axis, symbol, title]) => (
+        <label key={axis} className="flex items-center gap-2 text-xs text-gray-700" title={`B-plane ${symbol}: ${title}`}>
+          <span className="w-3 font-medium">{symbol}</span>
+          <input
+            type="range"
+            min={-limit}
+            max={limit}
+            step="0.01"
+            value={bPlane[axis] / EARTH_RADIUS_KM}
+            onChange={(e) => onChangeBPlane({ ...bPlane, [axis]: Number(e.target.value) * EARTH_RADIUS_KM })}
+            className="flex-1"
+          />
+          <span className="w-14 text-right font-mono">{earthRadii(bPlane[axis])} R⊕</span>
+        </label>
+      ))}
+      <div className="text-xs text-gray-500">
+        Capture radius {earthRadii(result.captureRadius)} R⊕ · aim {earthRadii(result.impactParameter)} R⊕ from centre
+      </div>
+
+      {result.hits ? (
+        <div className="grid grid-cols-2 gap-1 text-xs text-gray-700">
+          <div>📅 {result.entryEpoch.toLocaleString()}</div>
+          <div>📍 {result.lat.toFixed(2)}°, {result.lng.toFixed(2)}°</div>
+          <div>🧭 Heading {result.azimuth.toFixed(0)}° ({compass(result.azimuth)})</div>
+          <div>📐 {result.angle.toFixed(1)}° from horizontal</div>
+          <div className="col-span-2" title="Speed relative to the rotating atmosphere at 100 km">
+            🚀 {result.speed.toFixed(2)} km/s relative to the air ({result.inertialSpeed.toFixed(2)} km/s inertial)
+          </div>
+        </div>
+      ) : (
+        <div className="text-xs text-green-700">
+          ✅ Misses: closest approach {Math.round(result.perigeeAltitude).toLocaleString()} km above the surface
+        </div>
+      )}
+
+      <div className="border-t border-indigo-200 pt-2 space-y-2">
+        <label className="flex items-center gap-2 text-xs font-medium text-indigo-800">
+          <input
+            type="checkbox"
+            checked={uncertainty !== null}
+            onChange={(e) => onChangeUncertainty(e.target.checked ? DEFAULT_UNCERTAINTY : null)}
+          />
+          Risk corridor from B-plane uncertainty
+        </label>
+
+        {uncertainty && (
+          <>
+            {SIGMA_FIELDS.map(([field, symbol, title, max]) => (
+              <label key={field} className="flex items-center gap-2 text-xs text-gray-700" title={title}>
+                <span className="w-5 font-medium">{symbol}</span>
+                <input
+                  type="range"
+                  min="0"
+                  max={max}
+                  step={max / 100}
+                  value={uncertainty.ellipse[field] / EARTH_RADIUS_KM}
+                  onChange={(e) => setEllipse(field, Number(e.target.value) * EARTH_RADIUS_KM)}
+                  className="flex-1"
+                />
+                <span className="w-14 text-right font-mono">{earthRadii(uncertainty.ellipse[field])} R⊕</span>
+              </label>
+            ))}
+            <label className="flex items-center gap-2 text-xs text-gray-700" title="Angle of the long axis from ξ towards ζ">
+              <span className="w-5 font-medium">θ</span>
+              <input
+                type="range"
+                min="0"
+                max="180"
+                step="1"
+                value={uncertainty.ellipse.orientation}
+                onChange={(e) => setEllipse('orientation', Number(e.target.value))}
+                className="flex-1"
+              />
+              <span className="w-14 text-right font-mono">{uncertainty.ellipse.orientation}°</span>
+            </label>
+            <div className="flex items-center gap-2 text-xs text-gray-700">
+              <select
+                value={uncertainty.samples}
+                onChange={(e) => onChangeUncertainty({ ...uncertainty, samples: Number(e.target.value) })}
+                className="px-1 py-0.5 border border-indigo-200 rounded bg-white"
+              >
+                {SAMPLE_COUNTS.map(n => <option key={n} value={n}>{n} samples</option>)}
+              </select>
+              <label className="flex items-center gap-1" title="Same seed, same corridor">
+                Seed
+                <input
+                  type="number"
+                  min="0"
+                  step="1"
+                  value={uncertainty.seed}
+                  onChange={(e) => onChangeUncertainty({ ...uncertainty, seed: Math.max(0, Math.floor(Number(e.target.value))) })}
+                  className="w-16 px-1 py-0.5 border border-indigo-200 rounded bg-white"
+                />
+              </label>
+            </div>
+
+            {corridor && (
+              <div className="grid grid-cols-2 gap-1 text-xs text-gray-700">
+                <div>🎲 {(corridor.impactFraction * 100).toFixed(1)}% of samples hit</div>
+                <div>📏 {formatLength(corridor.length)} long</div>
+                <div title="People living inside the band, summed segment by segment">
+                  👥 {Math.round(corridor.corridorPopulation).toLocaleString()} in the corridor
+                </div>
+                <div title="People within the home-collapse radius, averaged over the samples that hit">
+                  🏚️ {Math.round(corridor.meanExposure).toLocaleString()} exposed per impact
+                </div>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </motion.div>
+  )
+}
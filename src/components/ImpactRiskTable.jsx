@@ -0,0 +1,206 @@
+import React, { useState, useEffect, useRef } from 'react'
+import { motion, AnimatePresence } from 'framer-motion'
+import { fetchSentry, parseSentry, readSentryFile } from '../services/sentry'
+import { torinoCategory } from '../engine/risk'
+import sentrySample from '../data/fixtures/sentrySummary.json'
+
+// Tailwind classes for each Torino colour category
+const TORINO_COLORS = {
+  none: 'bg-white text-gray-700 border-gray-300',
+  normal: 'bg-green-100 text-green-800 border-green-300',
+  attention: 'bg-yellow-100 text-yellow-800 border-yellow-300',
+  threatening: 'bg-orange-100 text-orange-800 border-orange-300',
+  certain: 'bg-red-100 text-red-800 border-red-300'
+}
+
+const formatProbability = (p) => p >= 0.01 ? `${(p * 100).toFixed(1)}%` : `1 in ${Math.round(1 / p).toLocaleString()}`
+
+const formatMegatons = (mt) => mt >= 1000 ? `${(mt / 1000).toFixed(1)} Gt` : mt >= 1 ? `${mt.toFixed(1)} Mt` : `${(mt * 1000).toFixed(0)} kt`
+
+const SOURCE_LABELS = {
+  live: 'Live from JPL Sentry',
+  sample: 'Bundled Sentry sample (Sentry unavailable)'
+}
+
+export default function ImpactRiskTable({ onSelectAsteroid }) {
+  const [rows, setRows] = useState([])
+  const [source, setSource] = useState(null)
+  const [error, setError] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [expanded, setExpanded] = useState(false)
+  const [selected, setSelected] = useState(null)
+  const fileInput = useRef(null)
+
+  useEffect(() => {
+    loadLive()
+  }, [])
+
+  const loadLive = async () => {
+    setLoading(true)
+    setError(null)
+    try {
+      setRows(await fetchSentry())
+      setSource('live')
+    } catch (apiError) {
+      console.warn('JPL Sentry unavailable, using the bundled sample:', apiError)
+      setRows(parseSentry(sentrySample))
+      setSource('sample')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file) return
+    setError(null)
+    try {
+      setRows(await readSentryFile(file))
+      setSource(file.name)
+      setSelected(null)
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  const handleSelect = (row) => {
+    setSelected(row.id)
+    const settings = {
+      diam: Math.round(row.diameter),
+      diamLow: undefined,
+      diamHigh: undefined,
+      angle: 45,
+      density: row.density
+    }
+    // Sentry's v∞ sets the entry speed; without it the current speed stays
+    if (row.vInfinity !== null) settings.vInfinity = row.vInfinity
+    onSelectAsteroid(row, settings)
+  }
+
+  return (
+    <motion.div
+      className="bg-gradient-to-r from-amber-50 to-red-50 border-2 border-amber-200 rounded-lg overflow-hidden"
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ delay: 0.3 }}
+    >
+      <button
+        onClick={() => setExpanded(!expanded)}
+        className="w-full p-4 text-left hover:bg-white/50 transition-colors"
+      >
+        <div className="flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <span className="text-2xl">🚨</span>
+            <div>
+              <h3 className="font-bold text-amber-800">Impact Risk Table</h3>
+              <p className="text-sm text-amber-700">
+                {loading ? 'Contacting JPL Sentry...' : SOURCE_LABELS[source] ?? `Loaded from ${source}`}
+              </p>
+            </div>
+          </div>
+          <div className="flex items-center gap-2">
+            <span className="text-xs bg-amber-600 text-white px-2 py-1 rounded-full">
+              {rows.length} objects
+            </span>
+            <motion.span
+              className="text-amber-600"
+              animate={{ rotate: expanded ? 180 : 0 }}
+              transition={{ duration: 0.2 }}
+            >
+              ▼
+            </motion.span>
+          </div>
+        </div>
+      </button>
+
+      <AnimatePresence>
+        {expanded && (
+          <motion.div
+            initial={{ height: 0, opacity: 0 }}
+            animate={{ height: 'auto', opacity: 1 }}
+            exit={{ height: 0, opacity: 0 }}
+            transition={{ duration: 0.3 }}
+            className="border-t border-amber-200"
+          >
+            <div className="p-3 flex gap-1 border-b border-amber-200 bg-white/40">
+              <button
+                onClick={loadLive}
+                disabled={loading}
+                className="flex-1 px-2 py-1 text-xs rounded-full border bg-white text-amber-700 border-amber-200 hover:bg-amber-50 disabled:opacity-40"
+              >
+                🔄 Reload Sentry
+              </button>
+              <button
+                onClick={() => fileInput.current?.click()}
+                className="flex-1 px-2 py-1 text-xs rounded-full border bg-white text-amber-700 border-amber-200 hover:bg-amber-50"
+              >
+                📂 Load JSON File
+              </button>
+              <input ref={fileInput} type="file" accept=".json,application/json" onChange={handleFile} className="hidden" />
+            </div>
+
+            {error && <div className="px-3 pt-2 text-xs text-red-600">⚠️ {error}</div>}
+
+            <div className="max-h-96 overflow-y-auto">
+              <table className="w-full text-xs">
+                <thead className="sticky top-0 bg-amber-100/90 text-amber-900">
+                  <tr>
+                    <th className="px-2 py-1 text-left">Object</th>
+                    <th className="px-1 py-1 text-right">Impact chance</th>
+                    <th className="px-1 py-1 text-right" title="Palermo scale (cumulative)">PS</th>
+                    <th className="px-2 py-1 text-center" title="Torino scale (maximum)">TS</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {rows.map(row => (
+                    <tr
+                      key={row.id}
+                      onClick={() => handleSelect(row)}
+                      className={`border-b border-amber-100 cursor-pointer hover:bg-white/70 transition-colors ${selected === row.id ? 'bg-white/80' : ''}`}
+                      title="Simulate this object's impact"
+                    >
+                      <td className="px-2 py-1">
+                        <div className="font-medium text-gray-800">{row.name}</div>
+                        <div className="text-gray-500">
+                          {Math.round(row.diameter).toLocaleString()} m · {formatMegatons(row.megatons)}
+                          {row.firstYear && ` · ${row.firstYear === row.lastYear ? row.firstYear : `${row.firstYear}–${row.lastYear}`}`}
+                        </div>
+                      </td>
+                      <td className="px-1 py-1 text-right text-gray-700">{formatProbability(row.probability)}</td>
+                      <td
+                        className="px-1 py-1 text-right text-gray-700"
+                        title={row.reported.palermo !== null ? `Sentry: ${row.reported.palermo.toFixed(2)}` : undefined}
+                      >
+                        {row.palermo !== null ? row.palermo.toFixed(2) : '—'}
+                      </td>
+                      <td className="px-2 py-1 text-center">
+                        {row.torino !== null ? (
+                          <span
+                            className={`inline-block w-6 py-0.5 rounded-full border font-bold ${TORINO_COLORS[torinoCategory(row.torino).id]}`}
+                            title={torinoCategory(row.torino).label}
+                          >
+                            {row.torino}
+                          </span>
+                        ) : (
+                          <span className="text-gray-400" title="Torino ratings cover the next 100 years only">n/a</span>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {!loading && rows.length === 0 && (
+                <div className="p-3 text-xs text-gray-500">No objects in this Sentry table.</div>
+              )}
+            </div>
+
+            <div className="p-2 text-xs text-gray-500 border-t border-amber-200">
+              Torino and Palermo values are recomputed from probability, energy and time to impact; hover PS for Sentry's own value. Click a row to simulate it.
+            </div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </motion.div>
+  )
+}
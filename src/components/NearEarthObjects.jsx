@@ -1,11 +1,56 @@
-import React, { useState, useEffect } from 'react'
+import React, { useState, useEffect, useMemo } from 'react'
 import { motion, AnimatePresence } from 'framer-motion'
+import {
+  fetchNeoFeed, browseNeos, searchNeos, sortNeos, filterNeos, approachEnergy, SORT_KEYS
+} from '../services/neows'
+import { getCatalog, searchCatalog } from '../services/catalog'
+import ApproachTimeline from './ApproachTimeline'
+import { vInfinityFromApproach } from '../engine/speed'
+
+const BROWSE_PAGE_SIZE = 20
+
+// Display fields for a NeoWs or catalog record: energy if it struck at its
+// approach speed relative to Earth, and the hazard level that implies.
+// Catalog objects without a recorded approach have no speed to go on.
+const toThreat = (neo) => {
+  if (!neo.approach) {
+    return { ...neo, speed: null, energy: null, megatons: null, approachDate: null, distance: null, nearestDistance: null, hazardLevel: 'UNKNOWN' }
+  }
+  const energy = approachEnergy(neo)
+  const megatons = energy / 4.184e15
+  return {
+    ...neo,
+    speed: neo.approach.velocity,
+    energy: energy,
+    megatons: megatons,
+    approachDate: neo.approach.epoch,
+    distance: neo.approach.missDistanceAu,
+    nearestDistance: neo.approach.missDistance,
+    hazardLevel: megatons > 1000 ? 'EXTREME' : megatons > 100 ? 'HIGH' : megatons > 10 ? 'MODERATE' : 'LOW'
+  }
+}
+
+// Merge result lists, keeping the first record seen for each id
+const mergeById = (...lists) => {
+  const seen = new Set()
+  return lists.flat().filter(neo => !seen.has(neo.id) && seen.add(neo.id))
+}
 
 export default function NearEarthObjects({ onSelectAsteroid }) {
-  const [asteroids, setAsteroids] = useState([])
+  const [feed, setFeed] = useState([])
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
   const [expanded, setExpanded] = useState(false)
+  const [source, setSource] = useState(null)
+  const [mode, setMode] = useState('feed')
+  const [browse, setBrowse] = useState({ objects: [], page: 0, totalPages: 0, totalElements: 0 })
+  const [busy, setBusy] = useState(false)
+  const [listError, setListError] = useState(null)
+  const [query, setQuery] = useState('')
+  const [searchResults, setSearchResults] = useState(null)
+  const [sortKey, setSortKey] = useState('date')
+  const [phaOnly, setPhaOnly] = useState(false)
+  const [minDiameter, setMinDiameter] = useState(0)
 
   useEffect(() => {
     fetchNearEarthObjects()
@@ -15,93 +60,21 @@ export default function NearEarthObjects({ onSelectAsteroid }) {
     try {
       setLoading(true)
       
-      // Use fallback to curated realistic data (NASA API has CORS issues)
-      let asteroids = []
-      
+      let parsed = []
       try {
-        // Try NASA NeoWs API (more reliable for web apps)
-        const today = new Date().toISOString().split('T')[0]
-        const endDate = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString().split('T')[0]
-        const apiKey = import.meta.env.VITE_NASA_API_KEY || 'DEMO_KEY'
-        const apiUrl = `https://api.nasa.gov/neo/rest/v1/feed?start_date=${today}&end_date=${endDate}&api_key=${apiKey}`
-        
-        const response = await fetch(apiUrl)
-        
-        if (response.ok) {
-          const data = await response.json()
-          const nearEarthObjects = []
-          
-          // Extract asteroids from the date-based response
-          Object.values(data.near_earth_objects).forEach(dateAsteroids => {
-            nearEarthObjects.push(...dateAsteroids.slice(0, 3)) // Take up to 3 per date
-          })
-          
-          if (nearEarthObjects.length > 0) {
-            asteroids = nearEarthObjects.slice(0, 10).map((asteroid, index) => {
-              const diameter = asteroid.estimated_diameter?.meters?.estimated_diameter_max || (Math.random() * 2000 + 100)
-              return { 
-                name: asteroid.name,
-                diameter: diameter,
-                index,
-                apiData: asteroid
-              }
-            })
-          }
-        }
+        parsed = await fetchNeoFeed()
+        setSource('live')
       } catch (apiError) {
-        console.warn('NASA API failed, using curated asteroid catalog:', apiError)
+        console.warn('NASA NeoWs unavailable, using the offline asteroid catalog:', apiError)
       }
       
-      // If API fails, use realistic fallback data based on real asteroids
-      if (asteroids.length === 0) {
-        asteroids = [
-          { name: "99942 Apophis", diameter: 340, index: 0 },
-          { name: "101955 Bennu", diameter: 490, index: 1 },
-          { name: "4179 Toutatis", diameter: 2400, index: 2 },
-          { name: "4769 Castalia", diameter: 1400, index: 3 },
-          { name: "25143 Itokawa", diameter: 330, index: 4 },
-          { name: "433 Eros", diameter: 16840, index: 5 },
-          { name: "1620 Geographos", diameter: 2000, index: 6 },
-          { name: "6489 Golevka", diameter: 530, index: 7 },
-          { name: "2063 Bacchus", diameter: 1100, index: 8 },
-          { name: "1566 Icarus", diameter: 1400, index: 9 }
-        ]
+      // Offline, or an empty week: fall back to the bundled catalog
+      if (parsed.length === 0) {
+        parsed = getCatalog()
+        setSource('catalog')
       }
       
-      const processedAsteroids = asteroids.map((asteroid, index) => {
-        const estimatedDiameter = asteroid.diameter
-        const estimatedSpeed = 15 + Math.random() * 25 // km/s (typical asteroid speeds)
-        const estimatedDensity = 2500 + Math.random() * 2000 // kg/m³ (rocky asteroids)
-        
-        // Calculate potential impact energy
-        const volume = (4/3) * Math.PI * Math.pow(estimatedDiameter/2, 3)
-        const mass = estimatedDensity * volume
-        const velocity = estimatedSpeed * 1000 // m/s
-        const energy = 0.5 * mass * velocity * velocity
-        const megatons = energy / 4.184e15
-        
-        // Estimate close approach date (within next 5 years)
-        const daysFromNow = Math.random() * 365 * 5
-        const approachDate = new Date(Date.now() + daysFromNow * 24 * 60 * 60 * 1000)
-        
-        return {
-          id: asteroid.index || index,
-          name: asteroid.name || `Asteroid ${index + 1}`,
-          diameter: estimatedDiameter,
-          speed: estimatedSpeed,
-          density: estimatedDensity,
-          energy: energy,
-          megatons: megatons,
-          approachDate: approachDate,
-          distance: 0.01 + Math.random() * 0.2, // AU (0.01-0.21 AU, closer approaches)
-          nearestDistance: (0.01 + Math.random() * 0.2) * 149597870.7, // Convert to km
-          hazardLevel: megatons > 1000 ? 'EXTREME' : megatons > 100 ? 'HIGH' : megatons > 10 ? 'MODERATE' : 'LOW'
-        }
-      })
-      
-      // Sort by approach date
-      processedAsteroids.sort((a, b) => a.approachDate - b.approachDate)
-      setAsteroids(processedAsteroids)
+      setFeed(parsed)
       
     } catch (err) {
       console.error('Error fetching asteroids:', err)
@@ -111,6 +84,69 @@ export default function NearEarthObjects({ onSelectAsteroid }) {
     }
   }
 
+  // Wrap a request to the list so failures show inline instead of
+  // replacing the whole panel
+  const runListRequest = async (work) => {
+    setBusy(true)
+    setListError(null)
+    try {
+      await work()
+    } catch (err) {
+      console.warn('NeoWs request failed:', err)
+      setListError(err.message)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const loadBrowsePage = (page) => runListRequest(async () => {
+    try {
+      setBrowse(await browseNeos({ page, size: BROWSE_PAGE_SIZE }))
+    } catch (apiError) {
+      console.warn('NASA NeoWs unavailable, browsing the offline asteroid catalog:', apiError)
+      const objects = getCatalog()
+      setBrowse({ objects, page: 0, totalPages: 1, totalElements: objects.length, offline: true })
+    }
+  })
+
+  const handleModeChange = (next) => {
+    setMode(next)
+    setSearchResults(null)
+    setListError(null)
+    if (next === 'browse' && browse.objects.length === 0) loadBrowsePage(0)
+  }
+
+  const handleSearch = (e) => {
+    e.preventDefault()
+    if (!query.trim()) {
+      setSearchResults(null)
+      return
+    }
+    runListRequest(async () => {
+      let found = []
+      try {
+        found = await searchNeos(query, [...feed, ...browse.objects])
+      } catch (apiError) {
+        console.warn('NASA NeoWs search failed, searching the offline asteroid catalog:', apiError)
+      }
+      setSearchResults(mergeById(found, searchCatalog(query)))
+    })
+  }
+
+  const clearSearch = () => {
+    setQuery('')
+    setSearchResults(null)
+  }
+
+  const listed = searchResults ?? (mode === 'feed' ? feed : browse.objects)
+  const asteroids = filterNeos(sortNeos(listed, sortKey), { phaOnly, minDiameter }).map(toThreat)
+
+  // The timeline spans everything loaded so far plus the offline catalog
+  const timelineObjects = useMemo(
+    () => filterNeos(searchResults ?? mergeById(feed, browse.objects, getCatalog()), { phaOnly, minDiameter }),
+    [searchResults, feed, browse.objects, phaOnly, minDiameter]
+  )
+
   const getHazardColor = (level) => {
     switch(level) {
       case 'EXTREME': return 'text-red-600 bg-red-50 border-red-200'
@@ -122,12 +158,21 @@ export default function NearEarthObjects({ onSelectAsteroid }) {
   }
 
   const handleSimulateImpact = (asteroid) => {
+    // Objects sized from their brightness are run at both ends of the range
+    const hasRange = asteroid.diameterMax > asteroid.diameterMin * 1.01
     const settings = {
-      diam: asteroid.diameter,
-      speed: asteroid.speed,
+      diam: Math.round(asteroid.diameter),
+      diamLow: hasRange ? Math.round(asteroid.diameterMin) : undefined,
+      diamHigh: hasRange ? Math.round(asteroid.diameterMax) : undefined,
       angle: 45, // Default angle
       density: asteroid.density
     }
+    // The approach velocity gives v∞, from which the engine derives the
+    // entry speed; objects with no recorded approach keep the current speed
+    if (asteroid.approach) {
+      const { velocity, missDistance } = asteroid.approach
+      settings.vInfinity = Math.round(vInfinityFromApproach(velocity, missDistance) * 10) / 10
+    }
     onSelectAsteroid(asteroid, settings)
   }
 
@@ -184,7 +229,13 @@ export default function NearEarthObjects({ onSelectAsteroid }) {
             <span className="text-2xl">🌌</span>
             <div>
               <h3 className="font-bold text-purple-800">Real Asteroid Threats</h3>
-              <p className="text-sm text-purple-600">Based on NASA's Potentially Hazardous Asteroids</p>
+              <p className="text-sm text-purple-600">
+                {mode === 'timeline'
+                  ? 'Close approaches of every loaded object and the offline catalog'
+                  : mode === 'browse'
+                  ? browse.offline ? 'Offline asteroid catalog (NeoWs unavailable)' : 'Full NASA NeoWs catalogue, next approach of each'
+                  : source === 'catalog' ? 'Offline asteroid catalog (NeoWs unavailable)' : 'Close approaches this week from NASA NeoWs'}
+              </p>
             </div>
           </div>
           <div className="flex items-center gap-2">
@@ -211,42 +262,160 @@ export default function NearEarthObjects({ onSelectAsteroid }) {
             transition={{ duration: 0.3 }}
             className="border-t border-purple-200"
           >
-            <div className="max-h-96 overflow-y-auto">
-              {asteroids.slice(0, 10).map((asteroid, index) => (
-                <motion.div
-                  key={asteroid.id}
-                  className="p-3 border-b border-purple-100 hover:bg-white/50 transition-colors"
-                  initial={{ opacity: 0, x: -20 }}
-                  animate={{ opacity: 1, x: 0 }}
-                  transition={{ delay: index * 0.1 }}
+            <div className="p-3 space-y-2 border-b border-purple-200 bg-white/40">
+              <div className="flex gap-1">
+                {[['feed', '📅 This Week'], ['browse', '📚 Browse All'], ['timeline', '🕒 Timeline']].map(([id, label]) => (
+                  <button
+                    key={id}
+                    onClick={() => handleModeChange(id)}
+                    className={`flex-1 px-2 py-1 text-xs rounded-full border transition-colors ${mode === id ? 'bg-purple-600 text-white border-purple-600' : 'bg-white text-purple-700 border-purple-200 hover:bg-purple-50'}`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+
+              <form onSubmit={handleSearch} className="flex gap-1">
+                <input
+                  type="text"
+                  value={query}
+                  onChange={(e) => setQuery(e.target.value)}
+                  placeholder="Name, number or SPK-ID (e.g. 99942)"
+                  className="flex-1 min-w-0 px-2 py-1 text-xs border border-purple-200 rounded bg-white"
+                />
+                <button type="submit" className="px-2 py-1 text-xs bg-purple-600 hover:bg-purple-700 text-white rounded">
+                  🔍
+                </button>
+                {searchResults && (
+                  <button type="button" onClick={clearSearch} className="px-2 py-1 text-xs bg-gray-200 hover:bg-gray-300 text-gray-700 rounded">
+                    ✕
+                  </button>
+                )}
+              </form>
+
+              <div className="grid grid-cols-3 gap-1 text-xs items-center">
+                <select
+                  value={sortKey}
+                  onChange={(e) => setSortKey(e.target.value)}
+                  className="px-1 py-1 border border-purple-200 rounded bg-white"
                 >
-                  <div className="flex items-center justify-between">
-                    <div className="flex-1">
-                      <div className="flex items-center gap-2 mb-1">
-                        <h4 className="font-medium text-gray-800 text-sm">{asteroid.name}</h4>
-                        <span className={`text-xs px-2 py-1 rounded-full border ${getHazardColor(asteroid.hazardLevel)}`}>
-                          {asteroid.hazardLevel}
-                        </span>
-                      </div>
-                      <div className="grid grid-cols-2 gap-2 text-xs text-gray-600 mb-2">
-                        <div>📏 {Math.round(asteroid.diameter).toLocaleString()}m diameter</div>
-                        <div>⚡ {asteroid.speed.toFixed(1)} km/s</div>
-                        <div>🌍 {(asteroid.nearestDistance / 1000).toFixed(0)}k km closest</div>
-                        <div>📅 {asteroid.approachDate.toLocaleDateString()}</div>
-                      </div>
+                  {SORT_KEYS.map(key => (
+                    <option key={key.id} value={key.id}>↕ {key.label}</option>
+                  ))}
+                </select>
+                <label className="flex items-center gap-1 text-gray-700">
+                  <input type="checkbox" checked={phaOnly} onChange={(e) => setPhaOnly(e.target.checked)} />
+                  PHA only
+                </label>
+                <label className="flex items-center gap-1 text-gray-700">
+                  ≥
+                  <input
+                    type="number"
+                    min="0"
+                    step="10"
+                    value={minDiameter}
+                    onChange={(e) => setMinDiameter(Math.max(0, Number(e.target.value) || 0))}
+                    className="w-14 px-1 py-0.5 border border-purple-200 rounded bg-white"
+                  />
+                  m
+                </label>
+              </div>
 
-                    </div>
-                    <button
-                      onClick={() => handleSimulateImpact(asteroid)}
-                      className="ml-3 px-3 py-1 bg-purple-600 hover:bg-purple-700 text-white text-xs rounded-full transition-colors flex items-center gap-1"
-                    >
-                      <span>🎯</span>
-                      Simulate
-                    </button>
-                  </div>
-                </motion.div>
-              ))}
+              {busy && <div className="text-xs text-purple-600">Contacting NASA NeoWs...</div>}
+              {listError && <div className="text-xs text-red-600">⚠️ {listError}</div>}
             </div>
+
+            {mode === 'timeline' ? (
+              <ApproachTimeline objects={timelineObjects} onSelect={neo => handleSimulateImpact(toThreat(neo))} />
+            ) : (
+              <div className="max-h-96 overflow-y-auto">
+                {!busy && asteroids.length === 0 && (
+                  <div className="p-3 text-xs text-gray-500">
+                    {searchResults ? 'No objects match that search.' : 'No objects match these filters.'}
+                  </div>
+                )}
+                {asteroids.map((asteroid, index) => (
+                  <motion.div
+                    key={asteroid.id}
+                    className="p-3 border-b border-purple-100 hover:bg-white/50 transition-colors"
+                    initial={{ opacity: 0, x: -20 }}
+                    animate={{ opacity: 1, x: 0 }}
+                    transition={{ delay: Math.min(index, 10) * 0.05 }}
+                  >
+                    <div className="flex items-center justify-between">
+                      <div className="flex-1">
+                        <div className="flex items-center gap-2 mb-1">
+                          <h4 className="font-medium text-gray-800 text-sm">{asteroid.name}</h4>
+                          <span className={`text-xs px-2 py-1 rounded-full border ${getHazardColor(asteroid.hazardLevel)}`}>
+                            {asteroid.hazardLevel}
+                          </span>
+                          {asteroid.isHazardous && (
+                            <span className="text-xs px-2 py-1 rounded-full border text-red-700 bg-red-50 border-red-300" title="Potentially hazardous asteroid">
+                              PHA
+                            </span>
+                          )}
+                        </div>
+                        <div className="grid grid-cols-2 gap-2 text-xs text-gray-600 mb-2">
+                          <div>📏 {Math.round(asteroid.diameter).toLocaleString()}m diameter</div>
+                          {asteroid.approach ? (
+                            <>
+                              <div>⚡ {asteroid.speed.toFixed(1)} km/s</div>
+                              <div>🌍 {(asteroid.nearestDistance / 1000).toFixed(0)}k km ({asteroid.approach.missDistanceLunar.toFixed(1)} LD) closest</div>
+                              <div>📅 {asteroid.approachDate.toLocaleDateString()}</div>
+                            </>
+                          ) : (
+                            <div>📅 No close approach on file</div>
+                          )}
+                          {asteroid.diameterMax > asteroid.diameterMin * 1.01 && (
+                            <div className="col-span-2">
+                              ↔️ {Math.round(asteroid.diameterMin).toLocaleString()}–{Math.round(asteroid.diameterMax).toLocaleString()} m from brightness (H {asteroid.absoluteMagnitude})
+                            </div>
+                          )}
+                          {asteroid.source && (
+                            <div className="col-span-2" title={`${asteroid.source} (catalog v${asteroid.catalogVersion})`}>
+                              🧪 {[
+                                asteroid.spectralType && `${asteroid.spectralType}-type`,
+                                asteroid.albedo && `albedo ${asteroid.albedo}`,
+                                `${asteroid.density.toLocaleString()} kg/m³${asteroid.densityMeasured ? '' : ' (class default)'}`,
+                                asteroid.rotationPeriod && `${asteroid.rotationPeriod} h rotation`
+                              ].filter(Boolean).join(' · ')}
+                            </div>
+                          )}
+                        </div>
+
+                      </div>
+                      <button
+                        onClick={() => handleSimulateImpact(asteroid)}
+                        className="ml-3 px-3 py-1 bg-purple-600 hover:bg-purple-700 text-white text-xs rounded-full transition-colors flex items-center gap-1"
+                      >
+                        <span>🎯</span>
+                        Simulate
+                      </button>
+                    </div>
+                  </motion.div>
+                ))}
+              </div>
+            )}
+
+            {mode === 'browse' && !searchResults && browse.totalPages > 0 && (
+              <div className="flex items-center justify-between p-2 text-xs text-purple-700 border-t border-purple-200">
+                <button
+                  onClick={() => loadBrowsePage(browse.page - 1)}
+                  disabled={busy || browse.page === 0}
+                  className="px-2 py-1 rounded bg-white border border-purple-200 disabled:opacity-40"
+                >
+                  ◀ Prev
+                </button>
+                <span>Page {browse.page + 1} of {browse.totalPages.toLocaleString()} ({browse.totalElements.toLocaleString()} objects)</span>
+                <button
+                  onClick={() => loadBrowsePage(browse.page + 1)}
+                  disabled={busy || browse.page + 1 >= browse.totalPages}
+                  className="px-2 py-1 rounded bg-white border border-purple-200 disabled:opacity-40"
+                >
+                  Next ▶
+                </button>
+              </div>
+            )}
           </motion.div>
         )}
       </AnimatePresence>
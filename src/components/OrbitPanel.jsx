@@ -0,0 +1,196 @@
+import React, { useState, useEffect, useMemo } from 'react'
+import { motion, AnimatePresence } from 'framer-motion'
+import { computeMoid, findCloseApproaches, validateElements } from '../engine/orbit'
+import { impactSpeedFromVInfinity } from '../engine/speed'
+
+// [field, label, unit, step] for each element input
+const ELEMENT_FIELDS = [
+  ['semiMajorAxis', 'a', 'AU', '0.0001'],
+  ['eccentricity', 'e', '', '0.0001'],
+  ['inclination', 'i', '°', '0.01'],
+  ['ascendingNode', 'Ω', '°', '0.01'],
+  ['perihelionArgument', 'ω', '°', '0.01'],
+  ['meanAnomaly', 'M', '°', '0.01']
+]
+
+// An Earth-crossing example orbit, until an object with elements is chosen
+const EXAMPLE_ELEMENTS = {
+  semiMajorAxis: 1.3,
+  eccentricity: 0.3,
+  inclination: 5,
+  ascendingNode: 40,
+  perihelionArgument: 250,
+  meanAnomaly: 0,
+  epoch: '2026-01-01'
+}
+
+const SEARCH_YEARS = [10, 50, 100]
+
+// Form values are strings; the engine wants numbers and a Date
+const toElements = (form) => ({
+  ...Object.fromEntries(ELEMENT_FIELDS.map(([field]) => [field, form[field] === '' ? NaN : Number(form[field])])),
+  epoch: new Date(`${form.epoch}T00:00:00Z`)
+})
+
+const toForm = (orbit) => ({
+  ...Object.fromEntries(ELEMENT_FIELDS.map(([field]) => [field, String(orbit[field])])),
+  epoch: orbit.epoch.toISOString().split('T')[0]
+})
+
+export default function OrbitPanel({ object, onAim }) {
+  const [expanded, setExpanded] = useState(false)
+  const [form, setForm] = useState(EXAMPLE_ELEMENTS)
+  // Where the elements came from, with JPL's MOID for a loaded object
+  const [origin, setOrigin] = useState({ name: 'Example Earth-crossing orbit', moid: null })
+  const [years, setYears] = useState(50)
+
+  // Take the elements of a newly selected object when it has them
+  useEffect(() => {
+    if (object?.orbit) {
+      setForm(toForm(object.orbit))
+      setOrigin({ name: object.name, moid: object.orbit.moid })
+    }
+  }, [object])
+
+  const elements = useMemo(() => toElements(form), [form])
+  const problems = useMemo(() => validateElements(elements), [elements])
+
+  const moid = useMemo(() => problems.length === 0 ? computeMoid(elements) : null, [elements, problems])
+  const approaches = useMemo(() => {
+    if (problems.length > 0 || !expanded) return []
+    const start = new Date()
+    return findCloseApproaches(elements, { start, end: new Date(start.getTime() + years * 365.25 * 864e5) })
+  }, [elements, problems, years, expanded])
+
+  const handleChange = (field, value) => {
+    setForm(prev => ({ ...prev, [field]: value }))
+    setOrigin({ name: 'Custom orbit', moid: null })
+  }
+
+  return (
+    <motion.div
+      className="bg-gradient-to-r from-sky-50 to-indigo-50 border-2 border-sky-200 rounded-lg overflow-hidden"
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ delay: 0.35 }}
+    >
+      <button
+        onClick={() => setExpanded(!expanded)}
+        className="w-full p-4 text-left hover:bg-white/50 transition-colors"
+      >
+        <div className="flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <span className="text-2xl">🪐</span>
+            <div>
+              <h3 className="font-bold text-sky-800">Orbit & Close Approaches</h3>
+              <p className="text-sm text-sky-600">{origin.name}</p>
+            </div>
+          </div>
+          <div className="flex items-center gap-2">
+            {moid && (
+              <span className="text-xs bg-sky-600 text-white px-2 py-1 rounded-full" title="Minimum orbit intersection distance">
+                MOID {moid.distanceAu.toFixed(4)} AU
+              </span>
+            )}
+            <motion.span
+              className="text-sky-600"
+              animate={{ rotate: expanded ? 180 : 0 }}
+              transition={{ duration: 0.2 }}
+            >
+              ▼
+            </motion.span>
+          </div>
+        </div>
+      </button>
+
+      <AnimatePresence>
+        {expanded && (
+          <motion.div
+            initial={{ height: 0, opacity: 0 }}
+            animate={{ height: 'auto', opacity: 1 }}
+            exit={{ height: 0, opacity: 0 }}
+            transition={{ duration: 0.3 }}
+            className="border-t border-sky-200"
+          >
+            <div className="p-3 space-y-2 border-b border-sky-200 bg-white/40">
+              <div className="grid grid-cols-3 gap-1">
+                {ELEMENT_FIELDS.map(([field, symbol, unit, step]) => (
+                  <label key={field} className="flex items-center gap-1 text-xs text-gray-700" title={field}>
+                    <span className="w-3 font-medium">{symbol}</span>
+                    <input
+                      type="number"
+                      step={step}
+                      value={form[field]}
+                      onChange={(e) => handleChange(field, e.target.value)}
+                      className="w-full min-w-0 px-1 py-0.5 border border-sky-200 rounded bg-white"
+                    />
+                    <span className="w-3 text-gray-500">{unit}</span>
+                  </label>
+                ))}
+              </div>
+              <div className="flex items-center gap-2 text-xs text-gray-700">
+                <label className="flex items-center gap-1">
+                  Epoch
+                  <input
+                    type="date"
+                    value={form.epoch}
+                    onChange={(e) => handleChange('epoch', e.target.value)}
+                    className="px-1 py-0.5 border border-sky-200 rounded bg-white"
+                  />
+                </label>
+                <select
+                  value={years}
+                  onChange={(e) => setYears(Number(e.target.value))}
+                  className="ml-auto px-1 py-0.5 border border-sky-200 rounded bg-white"
+                >
+                  {SEARCH_YEARS.map(y => <option key={y} value={y}>Next {y} years</option>)}
+                </select>
+              </div>
+              {problems.map(problem => (
+                <div key={problem} className="text-xs text-red-600">⚠️ {problem}</div>
+              ))}
+            </div>
+
+            {moid && (
+              <div className="p-3 grid grid-cols-2 gap-2 text-xs text-gray-700 border-b border-sky-200">
+                <div>
+                  📏 MOID {moid.distanceAu.toFixed(5)} AU
+                  <div className="text-gray-500">{moid.distanceLunar.toFixed(2)} LD · {Math.round(moid.distance).toLocaleString()} km</div>
+                  {origin.moid !== null && (
+                    <div className="text-gray-500">JPL: {origin.moid.toFixed(5)} AU</div>
+                  )}
+                </div>
+                <div title="Relative speed if both bodies met at their closest points">
+                  ⚡ v∞ at MOID {moid.vInfinity.toFixed(2)} km/s
+                  <div className="text-gray-500">Entry speed {impactSpeedFromVInfinity(moid.vInfinity).toFixed(2)} km/s</div>
+                </div>
+              </div>
+            )}
+
+            <div className="max-h-56 overflow-y-auto divide-y divide-sky-100">
+              {problems.length === 0 && approaches.length === 0 && (
+                <div className="p-3 text-xs text-gray-500">No approaches within 0.05 AU in the next {years} years.</div>
+              )}
+              {approaches.map(approach => (
+                <button
+                  key={approach.epoch.getTime()}
+                  onClick={() => onAim(origin.name, elements, approach)}
+                  className="w-full text-left px-3 py-1 text-xs grid grid-cols-12 gap-1 text-gray-800 hover:bg-sky-50 transition-colors"
+                  title="Aim this approach at Earth and target its entry point"
+                >
+                  <span className="col-span-4">🎯 {approach.epoch.toLocaleDateString()}</span>
+                  <span className="col-span-5 text-right">{approach.missDistanceLunar.toFixed(2)} LD · {approach.missDistanceAu.toFixed(4)} AU</span>
+                  <span className="col-span-3 text-right" title="Geocentric velocity at infinity">{approach.velocity.toFixed(2)} km/s</span>
+                </button>
+              ))}
+            </div>
+
+            <div className="p-2 text-xs text-gray-500 border-t border-sky-200">
+              Two-body Keplerian propagation against Earth's mean orbit; planetary perturbations are ignored, so dates drift over decades.
+            </div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </motion.div>
+  )
+}
@@ -1,5 +1,8 @@
 import React, { useState } from 'react'
 import { motion } from 'framer-motion'
+import { toRoman } from '../utils/format'
+import { targetById } from '../engine/crater'
+import { MPH_PER_MS } from '../engine/constants'
 
 export default function ResultCard({ results }){
   const [activeTab, setActiveTab] = useState('overview')
@@ -105,6 +108,13 @@ export default function ResultCard({ results }){
             />
             <StatRow icon="⚖️" label="Mass" value={results.mass.toExponential(2)} unit="kg" />
             <StatRow icon="⚡" label="Energy" value={results.energy.toExponential(2)} unit="J" />
+            <StatRow 
+              icon="☄️" 
+              label="Atmospheric Entry" 
+              value={results.isAirburst ? `Airburst at ${(results.burstAltitude / 1000).toFixed(1)}` : results.formsCrater ? 'Ground impact' : 'Decelerated'} 
+              unit={results.isAirburst ? 'km' : ''} 
+            />
+            <StatRow icon="🎇" label="Energy Delivered" value={results.deliveredMegatons.toFixed(2)} unit="Megatons" />
             <StatRow icon="📅" label="Impact Frequency" value={`Every ${results.impactFrequency.toLocaleString()}`} unit="years" />
             <StatRow 
               icon="👥" 
@@ -113,10 +123,10 @@ export default function ResultCard({ results }){
               unit="people/km²" 
             />
             <StatRow 
-              icon={results.isOceanImpact ? "🌊" : "🏔️"} 
+              icon={results.waterBody ? "🌊" : "🏔️"} 
               label="Impact Location" 
-              value={results.isOceanImpact ? "Ocean/Water" : "Land"} 
-              unit={results.isOceanImpact ? "(Tsunami risk)" : "(Direct damage)"} 
+              value={results.waterBody || "Land"} 
+              unit={results.waterBody ? "(Tsunami risk)" : "(Direct damage)"} 
             />
             {results.hurricaneComparison > 1 && (
               <StatRow 
@@ -139,16 +149,36 @@ export default function ResultCard({ results }){
               unit=""
               isHighlight 
             />
+            <StatRow 
+              icon="🌀" 
+              label="Transient Crater" 
+              value={`${(results.transientCraterDiameter * 3.28084 / 5280).toFixed(1)} mile wide`} 
+              unit="" 
+            />
             <StatRow 
               icon="📏" 
               label="Crater Depth" 
               value={Math.round(results.craterDepth * 3.28084).toLocaleString()} 
               unit="ft deep" 
             />
+            <StatRow 
+              icon="🏗️" 
+              label="Crater Type" 
+              value={results.isComplexCrater ? 'Complex' : 'Simple'} 
+              unit={`in ${targetById(results.targetType).label.toLowerCase()}`} 
+            />
+            {results.brecciaThickness !== null && (
+              <StatRow 
+                icon="🧱" 
+                label="Breccia Lens" 
+                value={Math.round(results.brecciaThickness * 3.28084).toLocaleString()} 
+                unit="ft thick" 
+              />
+            )}
             <StatRow 
               icon="�" 
               label="Impact Angle" 
-              value={results.deflectionImpactAngle} 
+              value={results.angle} 
               unit="degrees" 
             />
             <StatRow 
@@ -160,7 +190,7 @@ export default function ResultCard({ results }){
             <StatRow 
               icon="📊" 
               label="Angle Efficiency" 
-              value={results.craterAngleScaling} 
+              value={results.craterAngleScaling.toFixed(1)} 
               unit="% of vertical" 
             />
             <StatRow 
@@ -213,6 +243,24 @@ export default function ResultCard({ results }){
               value={Math.round(results.treeFires * 3.28084 / 5280)} 
               unit="miles" 
             />
+            <StatRow 
+              icon="👕" 
+              label="Clothing Ignites" 
+              value={Math.round(results.clothingIgnitionRadius * 3.28084 / 5280)} 
+              unit="miles" 
+            />
+            <StatRow 
+              icon="🩹" 
+              label="3rd Degree Burn Range" 
+              value={Math.round(results.burns3rdDegreeRadius * 3.28084 / 5280)} 
+              unit="miles" 
+            />
+            <StatRow 
+              icon="🩹" 
+              label="2nd Degree Burn Range" 
+              value={Math.round(results.burns2ndDegreeRadius * 3.28084 / 5280)} 
+              unit="miles" 
+            />
             <div className="text-xs text-gray-600 mt-2 p-2 bg-white/30 rounded border">
               🔥 The fireball is the initial ball of superheated gas that expands rapidly from the impact point.
             </div>
@@ -247,18 +295,15 @@ export default function ResultCard({ results }){
               value={Math.round(results.eardrumRadius * 3.28084 / 5280)} 
               unit="miles" 
             />
-            <StatRow 
-              icon="🏢" 
-              label="Building Collapse Range" 
-              value={Math.round(results.buildingCollapseRadius * 3.28084 / 5280)} 
-              unit="miles" 
-            />
-            <StatRow 
-              icon="🏠" 
-              label="Home Collapse Range" 
-              value={Math.round(results.homeCollapseRadius * 3.28084 / 5280)} 
-              unit="miles" 
-            />
+            {results.blastRings.map(ring => (
+              <StatRow 
+                key={ring.psi}
+                icon="📏" 
+                label={`${ring.psi} psi Ring`} 
+                value={Math.round(ring.radius * 3.28084 / 5280)} 
+                unit="miles" 
+              />
+            ))}
             <div className="text-xs text-gray-600 mt-2 p-2 bg-white/30 rounded border">
               💥 The shock wave is a high-pressure wave that travels outward at supersonic speeds.
             </div>
@@ -270,7 +315,7 @@ export default function ResultCard({ results }){
           <motion.div className="space-y-3" variants={containerVariants}>
             <StatRow 
               icon="🌪️" 
-              label="Peak Wind Speed" 
+              label={`Wind Speed at ${(results.windReferenceRange / 1000).toFixed(0)} km`} 
               value={Math.round(results.windSpeed).toLocaleString()} 
               unit="mph"
               isHighlight 
@@ -299,6 +344,15 @@ export default function ResultCard({ results }){
               value={Math.round(results.tornadoRadius * 3.28084 / 5280)} 
               unit="miles" 
             />
+            {results.blastRings.map(ring => (
+              <StatRow 
+                key={ring.psi}
+                icon="🌬️" 
+                label={`Wind at ${ring.psi} psi`} 
+                value={`${Math.round(ring.windSpeed * MPH_PER_MS)} mph`} 
+                unit={`${Math.round(ring.radius * 3.28084 / 5280)} miles out`} 
+              />
+            ))}
             <StatRow 
               icon="🌲" 
               label="Trees Knocked Down" 
@@ -333,6 +387,21 @@ export default function ResultCard({ results }){
               value={Math.round(results.earthquakeRadius * 3.28084 / 5280)} 
               unit="miles away" 
             />
+            <StatRow 
+              icon="📈" 
+              label="Peak Intensity" 
+              value={toRoman(results.maxIntensity)} 
+              unit="Modified Mercalli" 
+            />
+            {results.seismicRings.filter(ring => ring.radius > 0).map(ring => (
+              <StatRow 
+                key={ring.level}
+                icon="〰️" 
+                label={`MMI ${toRoman(ring.level)} Range`} 
+                value={Math.round(ring.radius * 3.28084 / 5280)} 
+                unit="miles" 
+              />
+            ))}
             <div className="text-xs text-gray-600 mt-2 p-2 bg-white/30 rounded border">
               🌍 Large impacts generate seismic waves that can be felt hundreds of miles away.
             </div>
@@ -342,7 +411,7 @@ export default function ResultCard({ results }){
       case 'tsunami':
         return (
           <motion.div className="space-y-3" variants={containerVariants}>
-            {results.isOceanImpact ? (
+            {results.waterBody ? (
               <>
                 <StatRow 
                   icon="🌊" 
@@ -354,7 +423,7 @@ export default function ResultCard({ results }){
                 <StatRow 
                   icon="📏" 
                   label="Tsunami Radius" 
-                  value={Math.round(results.tsunamiRadius).toLocaleString()} 
+                  value={Math.round(results.tsunamiRadius / 1000).toLocaleString()} 
                   unit="km" 
                 />
                 <StatRow 
@@ -381,53 +450,18 @@ export default function ResultCard({ results }){
       case 'deflection':
         return (
           <motion.div className="space-y-3" variants={containerVariants}>
-            <StatRow 
-              icon="🚀" 
-              label="Required Δv" 
-              value={results.deflectionDeltaV} 
-              unit="m/s"
-              isHighlight 
-            />
-            <StatRow 
-              icon="💥" 
-              label="Deflection Energy" 
-              value={results.deflectionBombComparison} 
-              unit="" 
-            />
-            <StatRow 
-              icon="⚡" 
-              label="Energy (Megatons)" 
-              value={results.deflectionMegatons < 0.001 ? 
-                (results.deflectionMegatons * 1000).toFixed(3) + ' kilotons' : 
-                results.deflectionMegatons.toFixed(3)
-              } 
-              unit={results.deflectionMegatons >= 0.001 ? 'megatons' : ''} 
-            />
             <StatRow 
               icon="📐" 
               label="Impact Angle" 
-              value={results.deflectionImpactAngle} 
+              value={results.angle} 
               unit="degrees" 
             />
-            <StatRow 
-              icon="⚡" 
-              label="Deflection Efficiency" 
-              value={results.deflectionAngleEfficiency} 
-              unit="%" 
-            />
             <StatRow 
               icon="🌌" 
               label="PHA Threshold" 
               value="0.05" 
               unit="AU (7.5M km)" 
             />
-            <div className="text-xs text-gray-600 mt-2 p-2 bg-white/30 rounded border">
-              🚀 Deflection calculations use the PHA threshold of 0.05 AU (7.5M km). Impact angle affects deflection efficiency:
-              • 90° (perpendicular): Maximum efficiency
-              • 45°: ~71% efficiency
-              • 30°: ~50% efficiency
-              • Low angles: Much harder to deflect laterally
-            </div>
           </motion.div>
         )
       
@@ -0,0 +1,272 @@
+// Curated catalog of well-studied near-Earth asteroids, bundled so the NEO
+// panel works offline. Loaded and validated by services/catalog.js.
+//
+// Diameters are volume-equivalent (m), albedos geometric, rotation periods
+// in hours and H the absolute magnitude. Unknown values are null; objects
+// without a measured diameter are sized from H by engine/size.js. Densities
+// are measured where a spacecraft or binary orbit gives a mass
+// (densityMeasured: true); otherwise they are the spectral class default
+// from spectralClasses.js. Close approaches are geocentric, with velocity
+// relative to Earth (km/s) and miss distance from Earth's centre (km), and
+// are listed only for well-observed encounters. Bump CATALOG_VERSION
+// whenever an entry changes.
+
+export const CATALOG_VERSION = '1.1.0'
+
+export const ASTEROID_CATALOG = [
+  {
+    spkId: '2099942',
+    name: '99942 Apophis',
+    designation: '2004 MN4',
+    diameter: 340,
+    albedo: 0.35,
+    spectralType: 'Sq',
+    density: 2700,
+    densityMeasured: false,
+    rotationPeriod: 30.56,
+    absoluteMagnitude: 19.09,
+    isHazardous: true,
+    approach: { date: '2029-04-13T21:46:00Z', velocity: 7.42, missDistance: 38012 },
+    source: 'Brozović et al. 2018, Icarus 300, 115; Pravec et al. 2014, Icarus 233, 48'
+  },
+  {
+    spkId: '2101955',
+    name: '101955 Bennu',
+    designation: '1999 RQ36',
+    diameter: 490,
+    albedo: 0.044,
+    spectralType: 'B',
+    density: 1190,
+    densityMeasured: true,
+    rotationPeriod: 4.296,
+    absoluteMagnitude: 20.19,
+    isHazardous: true,
+    approach: null,
+    source: 'Lauretta et al. 2019, Nature 568, 55'
+  },
+  {
+    spkId: '2162173',
+    name: '162173 Ryugu',
+    designation: '1999 JU3',
+    diameter: 896,
+    albedo: 0.045,
+    spectralType: 'Cb',
+    density: 1190,
+    densityMeasured: true,
+    rotationPeriod: 7.63,
+    absoluteMagnitude: 19.3,
+    isHazardous: true,
+    approach: null,
+    source: 'Watanabe et al. 2019, Science 364, 268'
+  },
+  {
+    spkId: '2025143',
+    name: '25143 Itokawa',
+    designation: '1998 SF36',
+    diameter: 330,
+    albedo: 0.29,
+    spectralType: 'S',
+    density: 1900,
+    densityMeasured: true,
+    rotationPeriod: 12.13,
+    absoluteMagnitude: 19.2,
+    isHazardous: true,
+    approach: null,
+    source: 'Fujiwara et al. 2006, Science 312, 1330'
+  },
+  {
+    spkId: '2065803',
+    name: '65803 Didymos',
+    designation: '1996 GT',
+    diameter: 761,
+    albedo: 0.15,
+    spectralType: 'S',
+    density: 2400,
+    densityMeasured: true,
+    rotationPeriod: 2.26,
+    absoluteMagnitude: 18.1,
+    isHazardous: true,
+    approach: null,
+    source: 'Daly et al. 2023, Nature 616, 443'
+  },
+  {
+    spkId: '2000433',
+    name: '433 Eros',
+    designation: 'A898 PA',
+    diameter: 16840,
+    albedo: 0.25,
+    spectralType: 'S',
+    density: 2670,
+    densityMeasured: true,
+    rotationPeriod: 5.27,
+    absoluteMagnitude: 10.4,
+    isHazardous: false,
+    approach: null,
+    source: 'Veverka et al. 2000, Science 289, 2088; Yeomans et al. 2000, Science 289, 2085'
+  },
+  {
+    spkId: '2001036',
+    name: '1036 Ganymed',
+    designation: 'A924 UB',
+    diameter: 31700,
+    albedo: 0.26,
+    spectralType: 'S',
+    density: 2700,
+    densityMeasured: false,
+    rotationPeriod: 10.31,
+    absoluteMagnitude: 9.45,
+    isHazardous: false,
+    approach: null,
+    source: 'Mainzer et al. 2011, ApJ 743, 156 (NEOWISE)'
+  },
+  {
+    spkId: '2004179',
+    name: '4179 Toutatis',
+    designation: '1989 AC',
+    diameter: 2450,
+    albedo: 0.13,
+    spectralType: 'Sk',
+    density: 2700,
+    densityMeasured: false,
+    rotationPeriod: 176,
+    absoluteMagnitude: 15.3,
+    isHazardous: true,
+    approach: null,
+    source: 'Hudson & Ostro 1995, Science 270, 84; Huang et al. 2013, Sci. Rep. 3, 3411'
+  },
+  {
+    spkId: '2003200',
+    name: '3200 Phaethon',
+    designation: '1983 TB',
+    diameter: 5100,
+    albedo: 0.12,
+    spectralType: 'B',
+    density: 1400,
+    densityMeasured: false,
+    rotationPeriod: 3.604,
+    absoluteMagnitude: 14.3,
+    isHazardous: true,
+    approach: null,
+    source: 'Hanuš et al. 2016, A&A 592, A34'
+  },
+  {
+    spkId: '2003122',
+    name: '3122 Florence',
+    designation: '1981 ET3',
+    diameter: 4900,
+    albedo: 0.23,
+    spectralType: 'S',
+    density: 2700,
+    densityMeasured: false,
+    rotationPeriod: 2.358,
+    absoluteMagnitude: 14.1,
+    isHazardous: true,
+    approach: { date: '2017-09-01T12:06:00Z', velocity: 13.5, missDistance: 7060000 },
+    source: 'Benner et al. 2017 (Goldstone and Arecibo radar); Trilling et al. 2017 (Spitzer)'
+  },
+  {
+    spkId: '2001620',
+    name: '1620 Geographos',
+    designation: '1951 RA',
+    diameter: 2500,
+    albedo: 0.33,
+    spectralType: 'S',
+    density: 2700,
+    densityMeasured: false,
+    rotationPeriod: 5.22,
+    absoluteMagnitude: 15.6,
+    isHazardous: true,
+    approach: null,
+    source: 'Ostro et al. 1995, Nature 375, 474'
+  },
+  {
+    spkId: '2001862',
+    name: '1862 Apollo',
+    designation: '1932 HA',
+    diameter: 1500,
+    albedo: 0.25,
+    spectralType: 'Q',
+    density: 2700,
+    densityMeasured: false,
+    rotationPeriod: 3.065,
+    absoluteMagnitude: 16.25,
+    isHazardous: true,
+    approach: null,
+    source: 'Ďurech et al. 2008, A&A 488, 345'
+  },
+  {
+    spkId: '2001566',
+    name: '1566 Icarus',
+    designation: '1949 MA',
+    diameter: 1000,
+    albedo: 0.33,
+    spectralType: 'Q',
+    density: 2700,
+    densityMeasured: false,
+    rotationPeriod: 2.273,
+    absoluteMagnitude: 16.9,
+    isHazardous: true,
+    approach: null,
+    source: 'Greenberg et al. 2017, AJ 153, 108'
+  },
+  {
+    spkId: '2308635',
+    name: '308635 (2005 YU55)',
+    designation: '2005 YU55',
+    diameter: 360,
+    albedo: 0.06,
+    spectralType: 'C',
+    density: 1400,
+    densityMeasured: false,
+    rotationPeriod: 19.31,
+    absoluteMagnitude: 21.9,
+    isHazardous: true,
+    approach: { date: '2011-11-08T23:28:00Z', velocity: 13.7, missDistance: 324900 },
+    source: 'Müller et al. 2013, A&A 558, A97'
+  },
+  {
+    spkId: '2367943',
+    name: '367943 Duende',
+    designation: '2012 DA14',
+    diameter: 40,
+    albedo: 0.44,
+    spectralType: 'L',
+    density: 2700,
+    densityMeasured: false,
+    rotationPeriod: 9.48,
+    absoluteMagnitude: 24.0,
+    isHazardous: false,
+    approach: { date: '2013-02-15T19:25:00Z', velocity: 7.82, missDistance: 34100 },
+    source: 'de León et al. 2013, A&A 555, L2; Müller et al. 2013, A&A 558, A97'
+  },
+  {
+    spkId: '2007482',
+    name: '7482 (1994 PC1)',
+    designation: '1994 PC1',
+    diameter: null,
+    albedo: null,
+    spectralType: null,
+    density: 2700,
+    densityMeasured: false,
+    rotationPeriod: null,
+    absoluteMagnitude: 16.8,
+    isHazardous: true,
+    approach: { date: '2022-01-18T21:51:00Z', velocity: 19.56, missDistance: 1981000 },
+    source: 'JPL Small-Body Database; approach from JPL CNEOS close-approach data'
+  },
+  {
+    spkId: '2231937',
+    name: '231937 (2001 FO32)',
+    designation: '2001 FO32',
+    diameter: null,
+    albedo: null,
+    spectralType: null,
+    density: 2700,
+    densityMeasured: false,
+    rotationPeriod: null,
+    absoluteMagnitude: 17.7,
+    isHazardous: true,
+    approach: { date: '2021-03-21T16:03:00Z', velocity: 34.4, missDistance: 2016000 },
+    source: 'JPL Small-Body Database; approach from JPL CNEOS close-approach data'
+  }
+]
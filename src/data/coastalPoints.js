@@ -0,0 +1,128 @@
+// Named coastal points used for tsunami runup. Populations are rounded
+// metropolitan figures; basin matches the ocean or water body ids in
+// landMask.js, grouping the points a wave can reach without crossing land.
+
+export const COASTAL_POINTS = [
+  // Atlantic
+  { name: 'New York', country: 'United States', lat: 40.70, lng: -74.01, basin: 'atlantic', population: 19500000 },
+  { name: 'Boston', country: 'United States', lat: 42.36, lng: -71.05, basin: 'atlantic', population: 4900000 },
+  { name: 'Halifax', country: 'Canada', lat: 44.65, lng: -63.57, basin: 'atlantic', population: 440000 },
+  { name: 'Norfolk', country: 'United States', lat: 36.85, lng: -76.29, basin: 'atlantic', population: 1800000 },
+  { name: 'Miami', country: 'United States', lat: 25.76, lng: -80.19, basin: 'atlantic', population: 6100000 },
+  { name: 'New Orleans', country: 'United States', lat: 29.95, lng: -90.07, basin: 'atlantic', population: 1300000 },
+  { name: 'Galveston', country: 'United States', lat: 29.30, lng: -94.80, basin: 'atlantic', population: 350000 },
+  { name: 'Havana', country: 'Cuba', lat: 23.11, lng: -82.37, basin: 'atlantic', population: 2100000 },
+  { name: 'Santo Domingo', country: 'Dominican Republic', lat: 18.47, lng: -69.89, basin: 'atlantic', population: 3300000 },
+  { name: 'San Juan', country: 'Puerto Rico', lat: 18.47, lng: -66.11, basin: 'atlantic', population: 2000000 },
+  { name: 'Recife', country: 'Brazil', lat: -8.05, lng: -34.88, basin: 'atlantic', population: 4000000 },
+  { name: 'Salvador', country: 'Brazil', lat: -12.97, lng: -38.50, basin: 'atlantic', population: 3900000 },
+  { name: 'Rio de Janeiro', country: 'Brazil', lat: -22.91, lng: -43.17, basin: 'atlantic', population: 13500000 },
+  { name: 'Buenos Aires', country: 'Argentina', lat: -34.60, lng: -58.38, basin: 'atlantic', population: 15400000 },
+  { name: 'Reykjavik', country: 'Iceland', lat: 64.15, lng: -21.94, basin: 'atlantic', population: 230000 },
+  { name: 'Dublin', country: 'Ireland', lat: 53.35, lng: -6.26, basin: 'atlantic', population: 1400000 },
+  { name: 'London', country: 'United Kingdom', lat: 51.51, lng: -0.13, basin: 'atlantic', population: 9500000 },
+  { name: 'Amsterdam', country: 'Netherlands', lat: 52.37, lng: 4.90, basin: 'atlantic', population: 2500000 },
+  { name: 'Lisbon', country: 'Portugal', lat: 38.72, lng: -9.14, basin: 'atlantic', population: 2900000 },
+  { name: 'Casablanca', country: 'Morocco', lat: 33.57, lng: -7.59, basin: 'atlantic', population: 4300000 },
+  { name: 'Dakar', country: 'Senegal', lat: 14.69, lng: -17.44, basin: 'atlantic', population: 3900000 },
+  { name: 'Abidjan', country: 'Côte d\'Ivoire', lat: 5.32, lng: -4.03, basin: 'atlantic', population: 5600000 },
+  { name: 'Lagos', country: 'Nigeria', lat: 6.45, lng: 3.39, basin: 'atlantic', population: 15000000 },
+  { name: 'Luanda', country: 'Angola', lat: -8.84, lng: 13.23, basin: 'atlantic', population: 8900000 },
+  { name: 'Cape Town', country: 'South Africa', lat: -33.92, lng: 18.42, basin: 'atlantic', population: 4700000 },
+
+  // Mediterranean
+  { name: 'Barcelona', country: 'Spain', lat: 41.39, lng: 2.17, basin: 'mediterranean', population: 5600000 },
+  { name: 'Marseille', country: 'France', lat: 43.30, lng: 5.37, basin: 'mediterranean', population: 1900000 },
+  { name: 'Naples', country: 'Italy', lat: 40.85, lng: 14.27, basin: 'mediterranean', population: 3100000 },
+  { name: 'Athens', country: 'Greece', lat: 37.94, lng: 23.65, basin: 'mediterranean', population: 3600000 },
+  { name: 'Istanbul', country: 'Türkiye', lat: 41.01, lng: 28.98, basin: 'mediterranean', population: 15600000 },
+  { name: 'Tel Aviv', country: 'Israel', lat: 32.09, lng: 34.78, basin: 'mediterranean', population: 4200000 },
+  { name: 'Alexandria', country: 'Egypt', lat: 31.20, lng: 29.92, basin: 'mediterranean', population: 5400000 },
+  { name: 'Tunis', country: 'Tunisia', lat: 36.81, lng: 10.18, basin: 'mediterranean', population: 2700000 },
+  { name: 'Algiers', country: 'Algeria', lat: 36.75, lng: 3.06, basin: 'mediterranean', population: 3900000 },
+
+  // Black Sea
+  { name: 'Varna', country: 'Bulgaria', lat: 43.21, lng: 27.91, basin: 'black', population: 350000 },
+  { name: 'Odesa', country: 'Ukraine', lat: 46.48, lng: 30.73, basin: 'black', population: 1000000 },
+  { name: 'Sochi', country: 'Russia', lat: 43.60, lng: 39.73, basin: 'black', population: 450000 },
+  { name: 'Batumi', country: 'Georgia', lat: 41.64, lng: 41.64, basin: 'black', population: 170000 },
+  { name: 'Samsun', country: 'Türkiye', lat: 41.29, lng: 36.33, basin: 'black', population: 700000 },
+
+  // Baltic Sea
+  { name: 'Copenhagen', country: 'Denmark', lat: 55.68, lng: 12.57, basin: 'baltic', population: 2100000 },
+  { name: 'Stockholm', country: 'Sweden', lat: 59.33, lng: 18.07, basin: 'baltic', population: 2400000 },
+  { name: 'Helsinki', country: 'Finland', lat: 60.17, lng: 24.94, basin: 'baltic', population: 1500000 },
+  { name: 'Saint Petersburg', country: 'Russia', lat: 59.94, lng: 30.30, basin: 'baltic', population: 5400000 },
+  { name: 'Riga', country: 'Latvia', lat: 56.95, lng: 24.10, basin: 'baltic', population: 600000 },
+  { name: 'Gdańsk', country: 'Poland', lat: 54.35, lng: 18.65, basin: 'baltic', population: 1000000 },
+
+  // Lakes
+  { name: 'Chicago', country: 'United States', lat: 41.88, lng: -87.63, basin: 'michigan', population: 9500000 },
+  { name: 'Milwaukee', country: 'United States', lat: 43.04, lng: -87.91, basin: 'michigan', population: 1600000 },
+  { name: 'Toronto', country: 'Canada', lat: 43.65, lng: -79.38, basin: 'ontario', population: 6200000 },
+  { name: 'Cleveland', country: 'United States', lat: 41.50, lng: -81.69, basin: 'erie', population: 2100000 },
+  { name: 'Duluth', country: 'United States', lat: 46.79, lng: -92.10, basin: 'superior', population: 280000 },
+  { name: 'Baku', country: 'Azerbaijan', lat: 40.41, lng: 49.87, basin: 'caspian', population: 2300000 },
+  { name: 'Kampala', country: 'Uganda', lat: 0.35, lng: 32.58, basin: 'victoria', population: 3700000 },
+  { name: 'Kisumu', country: 'Kenya', lat: -0.09, lng: 34.77, basin: 'victoria', population: 600000 },
+
+  // Persian Gulf
+  { name: 'Dubai', country: 'United Arab Emirates', lat: 25.20, lng: 55.27, basin: 'persian-gulf', population: 3500000 },
+  { name: 'Doha', country: 'Qatar', lat: 25.29, lng: 51.53, basin: 'persian-gulf', population: 2400000 },
+  { name: 'Kuwait City', country: 'Kuwait', lat: 29.38, lng: 47.99, basin: 'persian-gulf', population: 3000000 },
+  { name: 'Dammam', country: 'Saudi Arabia', lat: 26.43, lng: 50.10, basin: 'persian-gulf', population: 2200000 },
+
+  // Red Sea
+  { name: 'Jeddah', country: 'Saudi Arabia', lat: 21.49, lng: 39.19, basin: 'red', population: 4700000 },
+  { name: 'Port Sudan', country: 'Sudan', lat: 19.62, lng: 37.22, basin: 'red', population: 500000 },
+  { name: 'Aqaba', country: 'Jordan', lat: 29.53, lng: 35.01, basin: 'red', population: 200000 },
+
+  // Indian Ocean
+  { name: 'Durban', country: 'South Africa', lat: -29.86, lng: 31.02, basin: 'indian', population: 3900000 },
+  { name: 'Maputo', country: 'Mozambique', lat: -25.97, lng: 32.57, basin: 'indian', population: 1100000 },
+  { name: 'Dar es Salaam', country: 'Tanzania', lat: -6.79, lng: 39.21, basin: 'indian', population: 7400000 },
+  { name: 'Mombasa', country: 'Kenya', lat: -4.04, lng: 39.67, basin: 'indian', population: 1300000 },
+  { name: 'Port Louis', country: 'Mauritius', lat: -20.16, lng: 57.50, basin: 'indian', population: 150000 },
+  { name: 'Muscat', country: 'Oman', lat: 23.59, lng: 58.41, basin: 'indian', population: 1500000 },
+  { name: 'Karachi', country: 'Pakistan', lat: 24.86, lng: 67.01, basin: 'indian', population: 16800000 },
+  { name: 'Mumbai', country: 'India', lat: 19.08, lng: 72.88, basin: 'indian', population: 21000000 },
+  { name: 'Malé', country: 'Maldives', lat: 4.18, lng: 73.51, basin: 'indian', population: 250000 },
+  { name: 'Colombo', country: 'Sri Lanka', lat: 6.93, lng: 79.85, basin: 'indian', population: 5600000 },
+  { name: 'Chennai', country: 'India', lat: 13.08, lng: 80.27, basin: 'indian', population: 11000000 },
+  { name: 'Chittagong', country: 'Bangladesh', lat: 22.36, lng: 91.78, basin: 'indian', population: 5200000 },
+  { name: 'Yangon', country: 'Myanmar', lat: 16.87, lng: 96.20, basin: 'indian', population: 5600000 },
+  { name: 'Phuket', country: 'Thailand', lat: 7.88, lng: 98.39, basin: 'indian', population: 400000 },
+  { name: 'Banda Aceh', country: 'Indonesia', lat: 5.55, lng: 95.32, basin: 'indian', population: 270000 },
+  { name: 'Padang', country: 'Indonesia', lat: -0.95, lng: 100.35, basin: 'indian', population: 900000 },
+  { name: 'Perth', country: 'Australia', lat: -31.95, lng: 115.86, basin: 'indian', population: 2100000 },
+
+  // Pacific
+  { name: 'Singapore', country: 'Singapore', lat: 1.29, lng: 103.85, basin: 'pacific', population: 5900000 },
+  { name: 'Jakarta', country: 'Indonesia', lat: -6.21, lng: 106.85, basin: 'pacific', population: 33000000 },
+  { name: 'Bangkok', country: 'Thailand', lat: 13.76, lng: 100.50, basin: 'pacific', population: 11000000 },
+  { name: 'Ho Chi Minh City', country: 'Vietnam', lat: 10.82, lng: 106.63, basin: 'pacific', population: 9000000 },
+  { name: 'Manila', country: 'Philippines', lat: 14.60, lng: 120.98, basin: 'pacific', population: 14000000 },
+  { name: 'Hong Kong', country: 'China', lat: 22.32, lng: 114.17, basin: 'pacific', population: 7500000 },
+  { name: 'Shanghai', country: 'China', lat: 31.23, lng: 121.47, basin: 'pacific', population: 28000000 },
+  { name: 'Incheon', country: 'South Korea', lat: 37.46, lng: 126.70, basin: 'pacific', population: 3000000 },
+  { name: 'Busan', country: 'South Korea', lat: 35.18, lng: 129.08, basin: 'pacific', population: 3400000 },
+  { name: 'Vladivostok', country: 'Russia', lat: 43.12, lng: 131.89, basin: 'pacific', population: 600000 },
+  { name: 'Osaka', country: 'Japan', lat: 34.69, lng: 135.50, basin: 'pacific', population: 19000000 },
+  { name: 'Tokyo', country: 'Japan', lat: 35.68, lng: 139.77, basin: 'pacific', population: 37000000 },
+  { name: 'Sydney', country: 'Australia', lat: -33.87, lng: 151.21, basin: 'pacific', population: 5300000 },
+  { name: 'Brisbane', country: 'Australia', lat: -27.47, lng: 153.03, basin: 'pacific', population: 2600000 },
+  { name: 'Auckland', country: 'New Zealand', lat: -36.85, lng: 174.76, basin: 'pacific', population: 1700000 },
+  { name: 'Suva', country: 'Fiji', lat: -18.14, lng: 178.44, basin: 'pacific', population: 190000 },
+  { name: 'Honolulu', country: 'United States', lat: 21.31, lng: -157.86, basin: 'pacific', population: 1000000 },
+  { name: 'Anchorage', country: 'United States', lat: 61.22, lng: -149.90, basin: 'pacific', population: 400000 },
+  { name: 'Vancouver', country: 'Canada', lat: 49.28, lng: -123.12, basin: 'pacific', population: 2600000 },
+  { name: 'Seattle', country: 'United States', lat: 47.61, lng: -122.33, basin: 'pacific', population: 4000000 },
+  { name: 'San Francisco', country: 'United States', lat: 37.77, lng: -122.42, basin: 'pacific', population: 7700000 },
+  { name: 'Los Angeles', country: 'United States', lat: 33.74, lng: -118.27, basin: 'pacific', population: 18000000 },
+  { name: 'Acapulco', country: 'Mexico', lat: 16.85, lng: -99.82, basin: 'pacific', population: 800000 },
+  { name: 'Panama City', country: 'Panama', lat: 8.98, lng: -79.52, basin: 'pacific', population: 2000000 },
+  { name: 'Guayaquil', country: 'Ecuador', lat: -2.19, lng: -79.89, basin: 'pacific', population: 3000000 },
+  { name: 'Lima', country: 'Peru', lat: -12.05, lng: -77.15, basin: 'pacific', population: 11000000 },
+  { name: 'Valparaíso', country: 'Chile', lat: -33.05, lng: -71.62, basin: 'pacific', population: 1000000 },
+  { name: 'Concepción', country: 'Chile', lat: -36.83, lng: -73.05, basin: 'pacific', population: 1000000 }
+]
@@ -0,0 +1,63 @@
+// Deflection methods offered by the planner and campaigns: labels, inputs
+// and defaults. The models are in engine/deflection.js.
+
+// DART at Dimorphos: impact mass, speed and momentum enhancement
+// (Daly et al. 2023; Cheng et al. 2023)
+export const DART = { mass: 580, speed: 6.145, beta: 3.61 }
+
+// fields are [field, label, unit, step, title]; color draws trade-study
+// curves
+export const DEFLECTION_METHODS = [
+  {
+    id: 'kinetic',
+    label: 'Kinetic impactor',
+    icon: '☄️',
+    color: '#3b82f6',
+    fields: [
+      ['spacecraftMass', 'Spacecraft mass', 'kg', '10', 'Mass delivered to the asteroid'],
+      ['relativeSpeed', 'Relative velocity', 'km/s', '0.1', 'Impact speed relative to the asteroid'],
+      ['beta', 'β', '', '0.1', 'Momentum enhancement from ejecta; 1 with none, about 3.6 for DART']
+    ],
+    defaults: { spacecraftMass: DART.mass, relativeSpeed: DART.speed, beta: DART.beta }
+  },
+  {
+    id: 'tractor',
+    label: 'Gravity tractor',
+    icon: '🧲',
+    color: '#8b5cf6',
+    fields: [
+      ['spacecraftMass', 'Spacecraft mass', 'kg', '1000', 'The tractor pulls with its own gravity'],
+      ['hoverRadii', 'Hover distance', '× radius', '0.1', 'Distance from the asteroid centre, in asteroid radii'],
+      ['duration', 'Duration', 'years', '0.5', 'Time spent towing, from the start of the mission']
+    ],
+    defaults: { spacecraftMass: 20000, hoverRadii: 1.5, duration: 5 }
+  },
+  {
+    id: 'shepherd',
+    label: 'Ion beam shepherd',
+    icon: '🔦',
+    color: '#10b981',
+    fields: [
+      ['thrust', 'Thrust on asteroid', 'N', '0.1', 'Force of the ion beam delivered to the surface'],
+      ['duration', 'Duration', 'years', '0.5', 'Time spent pushing, from the start of the mission']
+    ],
+    defaults: { thrust: 0.5, duration: 5 }
+  },
+  {
+    id: 'nuclear',
+    label: 'Nuclear standoff',
+    icon: '☢️',
+    color: '#f97316',
+    fields: [
+      ['yield', 'Yield', 'kt', '10', 'Explosive yield of the device'],
+      ['standoffRadii', 'Standoff', '× radius', '0.05', 'Burst height above the surface, in asteroid radii'],
+      ['irradiatedFraction', 'Irradiated', 'of surface', '0.01', 'Share of the surface the burst heats; blank to take it from the standoff'],
+      ['coupling', 'Coupling', '', '0.01', 'Share of the intercepted energy carried off by the ablated layer']
+    ],
+    // Ahrens & Harris's optimum burst height is about (√2 - 1) radii; a
+    // blank irradiated fraction follows from it
+    defaults: { yield: 100, standoffRadii: 0.41, irradiatedFraction: NaN, coupling: 0.05 }
+  }
+]
+
+export const methodById = (id) => DEFLECTION_METHODS.find(method => method.id === id)
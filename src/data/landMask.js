@@ -0,0 +1,367 @@
+// Low-resolution land/water mask, hand-simplified from public coastlines.
+// Rings are [lng, lat] pairs and are accurate to roughly 50-100 km, which is
+// enough to tell an ocean impact from a land one but not to resolve small
+// islands, fjords or narrow straits. Longitudes may run past 180 where a ring
+// crosses the antimeridian.
+
+// Continents and large islands
+export const LAND = [
+  {
+    name: 'Eurasia',
+    ring: [
+      [-5.6, 36.0], [-4.4, 36.7], [-2.1, 36.7], [-0.5, 37.6], [0.2, 38.8], [-0.3, 39.5], [0.9, 41.0],
+      [3.2, 41.9], [3.1, 43.0], [4.8, 43.4], [7.5, 43.8], [8.8, 44.4], [10.3, 43.5], [11.1, 42.4],
+      [12.3, 41.7], [14.2, 40.8], [15.7, 40.0], [15.7, 38.2], [16.6, 38.9], [17.1, 39.4], [16.9, 40.4],
+      [18.5, 40.1], [17.2, 40.9], [16.0, 41.4], [14.5, 42.2], [13.6, 43.5], [12.4, 44.2], [12.3, 45.4],
+      [13.7, 45.6], [14.5, 45.2], [15.2, 44.3], [16.4, 43.5], [18.5, 42.4], [19.4, 41.8], [19.4, 40.5],
+      [20.2, 39.6], [21.1, 38.3], [21.7, 36.8], [22.5, 36.4], [23.2, 36.4], [23.2, 37.5], [24.0, 37.7],
+      [23.0, 39.0], [22.6, 40.5], [24.0, 40.7], [26.0, 40.8], [26.2, 40.1], [26.2, 39.5], [26.8, 38.5],
+      [27.2, 37.4], [28.0, 36.7], [30.0, 36.2], [30.6, 36.8], [32.5, 36.1], [34.0, 36.3], [36.1, 36.6],
+      [35.8, 35.5], [35.9, 35.0], [35.5, 33.9], [34.9, 32.8], [34.7, 32.0], [34.2, 31.3], [34.9, 29.5],
+      [35.5, 28.0], [36.6, 26.0], [38.0, 24.0], [39.2, 21.5], [40.8, 19.0], [42.6, 16.5], [43.3, 12.7],
+      [45.0, 12.8], [48.0, 14.0], [52.0, 15.7], [55.0, 17.5], [57.0, 18.9], [58.8, 20.5], [59.8, 22.5],
+      [58.4, 23.6], [56.4, 24.9], [56.3, 26.3], [55.3, 25.3], [54.5, 24.2], [52.0, 24.0], [51.6, 25.3],
+      [51.2, 26.1], [50.2, 26.0], [49.6, 27.0], [48.5, 28.5], [48.0, 29.9], [49.0, 30.2], [50.3, 29.3],
+      [51.5, 27.8], [54.0, 26.6], [56.3, 27.2], [57.3, 25.7], [61.6, 25.2], [66.5, 25.4], [67.0, 24.8],
+      [68.5, 23.5], [70.0, 22.8], [69.0, 22.4], [70.8, 20.8], [72.6, 21.3], [72.8, 19.0], [73.5, 16.0],
+      [74.8, 12.8], [76.3, 9.5], [77.5, 8.1], [78.2, 8.9], [79.8, 10.3], [80.3, 13.1], [80.1, 15.5],
+      [82.3, 16.6], [84.0, 18.3], [86.5, 20.0], [87.2, 21.5], [88.3, 21.6], [89.5, 21.8], [91.0, 22.5],
+      [91.8, 22.3], [92.3, 20.7], [94.2, 18.8], [94.4, 16.2], [95.5, 15.8], [96.2, 16.8], [97.6, 16.5],
+      [97.8, 14.5], [98.6, 10.0], [98.3, 8.0], [100.3, 5.5], [101.3, 2.9], [103.5, 1.3], [104.2, 1.5],
+      [103.4, 4.8], [102.2, 6.2], [100.4, 7.5], [99.2, 9.4], [100.0, 12.6], [100.6, 13.5], [101.0, 12.6],
+      [102.5, 12.0], [103.5, 10.5], [104.8, 8.6], [106.8, 10.4], [109.2, 11.8], [109.0, 15.0], [106.8, 17.5],
+      [105.7, 19.0], [106.7, 20.7], [108.1, 21.5], [109.7, 21.5], [110.1, 20.3], [110.5, 21.2], [113.5, 22.2],
+      [114.2, 22.3], [116.5, 23.0], [118.1, 24.5], [119.7, 26.0], [121.5, 28.5], [122.0, 30.0], [121.9, 31.0],
+      [121.0, 32.5], [119.5, 34.5], [120.3, 36.0], [122.5, 37.1], [120.7, 37.8], [118.9, 37.4], [117.7, 38.9],
+      [119.5, 39.8], [121.5, 40.9], [121.2, 39.0], [121.6, 38.9], [124.3, 39.9], [125.2, 38.0], [126.5, 37.5],
+      [126.3, 35.0], [126.5, 34.3], [129.1, 35.1], [129.5, 36.5], [128.4, 38.6], [127.5, 39.8], [129.7, 40.9],
+      [130.7, 42.3], [131.9, 43.1], [135.0, 43.8], [138.0, 46.0], [140.5, 48.5], [140.6, 51.5], [141.4, 53.0],
+      [137.0, 54.0], [135.2, 54.7], [139.0, 56.5], [143.2, 59.3], [148.0, 59.3], [152.0, 59.0], [154.5, 59.5],
+      [157.0, 61.6], [160.0, 60.5], [157.0, 57.8], [155.7, 55.0], [156.7, 51.0], [158.6, 53.0], [160.0, 54.5],
+      [163.0, 56.0], [162.5, 58.0], [164.5, 59.8], [170.0, 60.0], [174.0, 61.8], [177.0, 62.5], [178.0, 64.5],
+      [179.5, 65.0], [182.0, 65.3], [186.8, 64.4], [190.3, 66.0], [186.0, 67.3], [180.0, 68.9], [171.0, 70.0],
+      [161.0, 69.6], [152.0, 70.9], [141.0, 72.6], [130.0, 71.0], [128.5, 72.5], [126.5, 73.5], [113.0, 73.7],
+      [104.0, 77.7], [96.0, 76.0], [87.0, 75.0], [80.5, 73.6], [72.0, 72.8], [69.0, 72.9], [66.5, 70.6],
+      [60.0, 69.5], [55.0, 68.5], [44.0, 68.5], [41.0, 67.7], [33.0, 69.4], [28.0, 71.0], [25.8, 71.1],
+      [19.0, 70.0], [15.0, 68.5], [12.5, 66.0], [10.5, 64.0], [5.2, 62.0], [5.0, 60.0], [5.6, 58.8],
+      [7.0, 58.0], [8.0, 58.1], [10.5, 59.5], [11.2, 59.0], [11.8, 57.7], [12.6, 56.1], [10.6, 57.7],
+      [8.1, 56.5], [8.6, 55.0], [8.6, 54.0], [8.5, 53.5], [7.0, 53.4], [4.7, 52.9], [4.0, 51.9],
+      [3.0, 51.3], [1.6, 50.9], [1.5, 50.1], [0.2, 49.5], [-1.3, 49.7], [-1.6, 48.6], [-4.7, 48.4],
+      [-4.3, 47.8], [-2.5, 47.3], [-1.2, 46.2], [-1.2, 44.6], [-1.6, 43.4], [-3.8, 43.5], [-8.0, 43.7],
+      [-9.3, 43.0], [-8.9, 42.0], [-8.7, 41.0], [-9.5, 38.8], [-8.8, 37.9], [-9.0, 37.0], [-7.4, 37.2],
+      [-6.3, 36.5]
+    ]
+  },
+  {
+    name: 'Africa',
+    ring: [
+      [-5.8, 35.8], [-2.0, 35.1], [3.0, 36.8], [8.0, 36.9], [10.2, 37.2], [11.0, 37.0], [10.5, 36.4],
+      [10.0, 34.2], [11.1, 33.2], [15.2, 32.4], [19.3, 30.3], [20.0, 32.0], [22.5, 32.8], [25.0, 31.7],
+      [29.9, 31.2], [32.3, 31.3], [34.2, 31.3], [34.9, 29.5], [34.4, 28.0], [33.8, 27.8], [32.6, 29.9],
+      [33.5, 27.2], [34.0, 26.0], [35.5, 23.9], [37.2, 21.0], [37.4, 18.7], [38.6, 18.0], [39.7, 15.1],
+      [41.7, 13.4], [43.3, 12.5], [43.2, 11.6], [44.5, 10.4], [47.0, 11.1], [51.3, 11.8], [51.0, 10.4],
+      [49.5, 6.5], [48.0, 4.5], [45.3, 2.0], [42.5, -0.8], [40.5, -2.5], [39.7, -4.0], [39.2, -6.8],
+      [39.8, -10.0], [40.5, -12.5], [40.6, -15.0], [37.0, -17.8], [35.5, -21.5], [35.5, -24.0], [32.6, -26.0],
+      [32.9, -28.0], [31.0, -29.9], [28.4, -32.6], [25.6, -34.0], [22.0, -34.2], [20.0, -34.8], [18.4, -34.3],
+      [18.3, -33.5], [17.9, -32.0], [16.5, -28.6], [15.0, -26.6], [14.5, -22.9], [13.2, -20.0], [11.8, -17.3],
+      [12.3, -13.5], [13.3, -9.0], [12.3, -6.0], [11.8, -4.7], [9.3, -1.0], [9.5, 1.0], [9.7, 4.0],
+      [8.5, 4.6], [6.0, 4.3], [4.5, 6.2], [3.4, 6.4], [1.2, 6.1], [-2.0, 4.8], [-4.0, 5.2],
+      [-7.5, 4.4], [-11.5, 6.9], [-13.3, 8.5], [-15.0, 11.0], [-16.8, 13.5], [-17.5, 14.7], [-16.5, 16.5],
+      [-16.0, 19.5], [-17.0, 21.0], [-16.0, 23.7], [-14.5, 26.0], [-12.9, 27.9], [-10.0, 29.5], [-9.6, 30.5],
+      [-9.7, 32.5], [-7.6, 33.6], [-6.3, 35.0]
+    ]
+  },
+  {
+    name: 'North America',
+    ring: [
+      [-168.0, 65.6], [-166.8, 68.3], [-156.8, 71.3], [-141.0, 69.7], [-134.0, 69.4], [-128.0, 70.5],
+      [-117.0, 69.0], [-108.0, 68.0], [-98.0, 68.0], [-94.0, 71.8], [-90.0, 69.0], [-84.0, 69.8],
+      [-82.0, 66.5], [-78.0, 62.5], [-70.0, 61.0], [-64.5, 60.3], [-61.0, 56.5], [-57.0, 53.5],
+      [-55.7, 52.0], [-60.0, 50.0], [-64.0, 49.2], [-64.2, 48.5], [-65.0, 47.0], [-61.0, 45.7],
+      [-60.0, 46.0], [-63.6, 44.6], [-66.0, 43.8], [-67.0, 44.8], [-70.0, 43.5], [-70.0, 41.8],
+      [-70.6, 41.6], [-74.0, 40.5], [-74.0, 39.5], [-75.5, 38.5], [-76.0, 36.9], [-75.5, 35.2],
+      [-77.9, 33.9], [-81.0, 32.0], [-81.4, 30.3], [-80.6, 28.5], [-80.1, 26.5], [-80.2, 25.5],
+      [-81.0, 25.1], [-81.8, 26.5], [-82.7, 28.0], [-83.0, 29.2], [-84.3, 30.0], [-86.0, 30.4],
+      [-88.5, 30.4], [-89.3, 29.0], [-90.5, 29.3], [-93.8, 29.7], [-94.8, 29.3], [-97.2, 27.8],
+      [-97.5, 25.8], [-97.8, 22.2], [-96.1, 19.2], [-94.5, 18.1], [-91.0, 18.6], [-90.5, 19.8],
+      [-90.3, 21.0], [-87.1, 21.5], [-87.5, 19.0], [-88.3, 16.0], [-85.0, 16.0], [-83.2, 15.0],
+      [-83.6, 11.0], [-79.5, 9.6], [-77.4, 8.7], [-78.2, 7.5], [-80.0, 7.3], [-82.0, 8.2],
+      [-85.7, 10.0], [-85.8, 11.5], [-87.5, 13.0], [-91.0, 13.9], [-94.0, 16.0], [-96.5, 15.7],
+      [-99.9, 16.8], [-104.5, 19.2], [-105.6, 20.5], [-105.7, 22.5], [-109.5, 26.0], [-112.5, 29.5],
+      [-114.8, 31.6], [-113.0, 29.0], [-112.0, 27.5], [-110.5, 24.2], [-109.5, 23.0], [-112.0, 24.8],
+      [-115.0, 28.0], [-116.5, 31.8], [-117.1, 32.5], [-118.3, 33.8], [-120.6, 34.5], [-122.0, 36.9],
+      [-122.5, 37.8], [-124.0, 40.4], [-124.5, 43.0], [-124.0, 46.2], [-124.7, 48.4], [-127.9, 50.1],
+      [-130.0, 54.5], [-133.5, 57.5], [-136.5, 58.2], [-139.7, 59.6], [-144.0, 60.0], [-146.5, 60.8],
+      [-150.0, 59.5], [-152.0, 60.8], [-154.0, 58.6], [-158.0, 56.5], [-164.5, 54.5], [-160.0, 56.7],
+      [-158.0, 58.7], [-162.0, 58.6], [-164.5, 60.5], [-165.0, 63.0], [-161.0, 64.4], [-166.0, 64.6]
+    ]
+  },
+  {
+    name: 'South America',
+    ring: [
+      [-77.4, 8.7], [-75.5, 10.5], [-74.2, 11.2], [-71.8, 12.4], [-71.5, 11.0], [-70.0, 11.9],
+      [-68.0, 10.6], [-64.0, 10.7], [-61.8, 10.7], [-60.5, 8.5], [-57.5, 6.0], [-54.0, 5.8],
+      [-51.5, 4.3], [-50.0, 1.8], [-50.0, 0.0], [-48.5, -1.3], [-44.5, -2.5], [-41.0, -2.9],
+      [-38.5, -3.7], [-35.2, -5.4], [-34.8, -7.2], [-35.3, -9.5], [-37.0, -11.0], [-38.8, -13.5],
+      [-39.0, -17.5], [-40.2, -20.3], [-41.0, -22.0], [-43.2, -23.0], [-46.3, -24.0], [-48.5, -26.5],
+      [-48.6, -28.5], [-50.3, -30.5], [-52.5, -33.2], [-54.0, -34.7], [-56.2, -34.9], [-58.4, -34.6],
+      [-57.3, -36.2], [-56.7, -36.5], [-57.5, -38.2], [-62.2, -38.8], [-62.5, -40.8], [-65.0, -41.0],
+      [-63.8, -42.6], [-65.0, -45.0], [-67.5, -46.5], [-65.8, -47.8], [-68.4, -50.2], [-69.0, -51.6],
+      [-68.3, -52.4], [-65.2, -54.7], [-67.3, -55.8], [-71.0, -54.0], [-74.5, -52.5], [-75.5, -48.5],
+      [-74.0, -44.0], [-74.0, -42.0], [-73.7, -39.5], [-73.1, -36.8], [-71.6, -33.0], [-71.5, -30.0],
+      [-70.9, -27.0], [-70.4, -23.6], [-70.3, -18.5], [-72.2, -17.0], [-75.2, -15.3], [-76.3, -13.3],
+      [-77.1, -12.1], [-79.6, -7.5], [-81.2, -5.8], [-81.3, -4.5], [-80.3, -3.4], [-79.9, -2.2],
+      [-80.9, -1.0], [-80.1, 0.8], [-78.8, 1.8], [-77.3, 3.9], [-77.4, 6.6], [-78.2, 7.5]
+    ]
+  },
+  {
+    name: 'Australia',
+    ring: [
+      [114.1, -21.8], [116.7, -20.6], [121.0, -19.5], [122.3, -17.1], [123.6, -16.3], [125.5, -14.5],
+      [127.5, -14.0], [129.8, -14.9], [130.2, -12.5], [130.8, -12.2], [132.6, -11.5], [136.8, -12.2],
+      [136.0, -13.8], [135.4, -15.0], [137.7, -16.2], [140.8, -17.5], [141.5, -13.5], [142.5, -10.7],
+      [143.5, -14.0], [145.4, -15.5], [146.0, -18.7], [149.0, -20.9], [150.8, -23.5], [153.2, -25.5],
+      [153.6, -28.6], [153.0, -31.0], [151.3, -33.9], [150.2, -35.8], [150.0, -37.5], [147.7, -37.9],
+      [146.3, -39.1], [144.9, -37.9], [144.3, -38.3], [141.0, -38.1], [139.7, -37.2], [139.5, -35.9],
+      [138.5, -34.9], [137.8, -33.0], [136.1, -35.0], [135.5, -34.8], [134.2, -32.8], [131.0, -31.5],
+      [126.0, -32.3], [124.0, -33.8], [120.0, -33.9], [118.0, -35.0], [115.1, -34.4], [115.7, -32.6],
+      [115.7, -31.9], [115.0, -29.5], [113.5, -26.5], [113.6, -24.5]
+    ]
+  },
+  {
+    name: 'Antarctica',
+    ring: [
+      [-180.0, -78.0], [-160.0, -77.5], [-150.0, -76.0], [-135.0, -74.5], [-120.0, -73.8], [-100.0, -72.5],
+      [-90.0, -72.8], [-75.0, -71.5], [-68.0, -67.5], [-63.0, -64.5], [-57.0, -63.2], [-58.0, -65.0],
+      [-61.0, -68.0], [-61.0, -73.0], [-62.0, -75.0], [-50.0, -77.5], [-35.0, -78.0], [-25.0, -75.0],
+      [-15.0, -72.0], [0.0, -70.0], [15.0, -70.0], [30.0, -69.5], [45.0, -67.5], [55.0, -66.5],
+      [70.0, -68.0], [75.0, -69.5], [85.0, -66.5], [100.0, -65.5], [115.0, -66.3], [135.0, -66.3],
+      [150.0, -68.5], [160.0, -70.0], [165.0, -72.0], [170.0, -75.0], [170.0, -77.0], [180.0, -78.0],
+      [180.0, -90.0], [-180.0, -90.0]
+    ]
+  },
+  {
+    name: 'Greenland',
+    ring: [
+      [-60.0, 82.3], [-30.0, 83.5], [-20.0, 82.0], [-12.0, 81.5], [-18.0, 77.0], [-19.0, 75.0],
+      [-22.0, 72.5], [-22.0, 70.4], [-25.0, 69.0], [-32.0, 68.3], [-38.0, 65.6], [-41.0, 63.0],
+      [-43.0, 60.0], [-46.0, 60.8], [-49.5, 62.5], [-51.5, 64.2], [-53.5, 66.8], [-54.0, 69.5],
+      [-52.5, 70.5], [-56.0, 72.5], [-58.0, 75.5], [-66.0, 76.2], [-73.0, 78.0], [-66.0, 80.5]
+    ]
+  },
+  {
+    name: 'Baffin Island',
+    ring: [
+      [-64.5, 63.5], [-62.0, 66.8], [-68.0, 70.2], [-73.5, 71.8], [-80.0, 73.7], [-88.5, 73.5],
+      [-85.0, 70.0], [-80.0, 69.5], [-74.0, 66.5], [-77.5, 65.2], [-72.0, 62.5], [-65.0, 62.5]
+    ]
+  },
+  {
+    name: 'Victoria Island',
+    ring: [[-119.0, 71.5], [-115.0, 73.3], [-105.0, 73.5], [-101.0, 70.2], [-106.0, 68.8], [-113.5, 68.8], [-118.0, 69.6]]
+  },
+  {
+    name: 'Ellesmere Island',
+    ring: [[-90.0, 76.5], [-75.0, 78.5], [-62.0, 82.0], [-75.0, 83.0], [-90.0, 81.3], [-95.0, 78.0], [-89.0, 76.3], [-80.0, 76.2]]
+  },
+  {
+    name: 'Newfoundland',
+    ring: [[-59.3, 47.6], [-56.0, 51.6], [-55.5, 49.6], [-53.0, 49.0], [-52.7, 47.5], [-53.6, 46.6], [-56.0, 47.6]]
+  },
+  {
+    name: 'Cuba',
+    ring: [[-84.9, 21.9], [-82.0, 23.2], [-80.0, 23.1], [-77.0, 21.5], [-74.2, 20.2], [-77.7, 19.8], [-80.0, 21.7], [-82.5, 22.0]]
+  },
+  {
+    name: 'Hispaniola',
+    ring: [[-74.4, 18.4], [-72.8, 19.9], [-70.0, 19.7], [-68.3, 18.6], [-70.0, 18.2], [-71.4, 17.6]]
+  },
+  {
+    name: 'Puerto Rico',
+    ring: [[-67.3, 18.5], [-65.6, 18.4], [-65.7, 18.0], [-67.2, 18.0]]
+  },
+  {
+    name: 'Iceland',
+    ring: [[-24.0, 65.5], [-22.0, 66.4], [-16.0, 66.5], [-13.5, 65.2], [-15.0, 64.2], [-18.0, 63.4], [-21.0, 63.8], [-22.7, 63.8], [-22.0, 64.5]]
+  },
+  {
+    name: 'Great Britain',
+    ring: [
+      [-5.7, 50.0], [-3.0, 50.6], [1.4, 51.3], [1.7, 52.7], [0.3, 53.5], [-0.1, 54.5], [-1.6, 55.6],
+      [-2.0, 57.7], [-3.0, 58.6], [-5.0, 58.6], [-6.2, 57.5], [-5.6, 56.0], [-4.9, 54.9], [-3.0, 54.0],
+      [-3.0, 53.3], [-4.6, 52.8], [-4.2, 52.2], [-5.3, 51.8], [-3.0, 51.4], [-4.5, 51.2]
+    ]
+  },
+  {
+    name: 'Ireland',
+    ring: [[-6.0, 52.2], [-6.0, 53.9], [-5.5, 54.7], [-7.3, 55.4], [-8.6, 55.0], [-10.0, 54.2], [-9.9, 53.5], [-10.2, 52.0], [-9.5, 51.6], [-8.0, 51.8]]
+  },
+  {
+    name: 'Sicily',
+    ring: [[12.4, 37.9], [12.7, 38.15], [13.3, 38.2], [14.0, 38.05], [15.1, 38.15], [15.65, 38.27], [15.25, 37.5], [15.1, 36.95], [15.1, 36.65], [14.4, 36.75], [13.4, 37.2], [12.5, 37.6]]
+  },
+  {
+    name: 'Sardinia',
+    ring: [[8.4, 39.0], [8.4, 39.9], [8.2, 40.6], [8.2, 40.95], [9.2, 41.25], [9.8, 40.9], [9.7, 40.0], [9.6, 39.1], [9.0, 39.1], [8.6, 38.9]]
+  },
+  {
+    name: 'Crete',
+    ring: [[23.5, 35.3], [24.3, 35.55], [25.4, 35.35], [26.3, 35.3], [26.1, 35.0], [24.7, 34.95], [23.6, 35.2]]
+  },
+  {
+    name: 'Cyprus',
+    ring: [[32.3, 34.7], [32.3, 35.1], [33.0, 35.4], [34.6, 35.7], [34.0, 35.0], [33.6, 34.8], [32.9, 34.6]]
+  },
+  {
+    name: 'Hawaii',
+    ring: [[-155.9, 19.0], [-155.9, 20.1], [-155.8, 20.25], [-155.1, 19.85], [-154.8, 19.5], [-155.6, 18.9]]
+  },
+  {
+    name: 'Maui',
+    ring: [[-156.7, 20.9], [-156.3, 20.95], [-155.98, 20.7], [-156.4, 20.58], [-156.7, 20.8]]
+  },
+  {
+    name: 'Oahu',
+    ring: [[-158.28, 21.55], [-157.98, 21.71], [-157.65, 21.3], [-157.95, 21.25], [-158.15, 21.3]]
+  },
+  {
+    name: 'Kauai',
+    ring: [[-159.8, 22.0], [-159.55, 22.23], [-159.3, 22.2], [-159.35, 21.9], [-159.6, 21.88]]
+  },
+  {
+    name: 'Madagascar',
+    ring: [[49.3, -12.0], [50.5, -15.5], [49.6, -17.0], [48.0, -22.0], [47.0, -25.0], [45.0, -25.5], [43.7, -23.5], [43.3, -21.7], [44.4, -16.2], [46.5, -15.7], [48.0, -13.4]]
+  },
+  {
+    name: 'Sri Lanka',
+    ring: [[79.9, 6.0], [81.1, 6.1], [81.9, 7.5], [80.2, 9.8], [79.8, 8.0]]
+  },
+  {
+    name: 'Honshu, Shikoku and Kyushu',
+    ring: [
+      [129.7, 33.2], [130.9, 34.0], [133.0, 35.5], [136.0, 35.8], [137.0, 37.0], [138.6, 37.9], [140.0, 39.9],
+      [140.0, 41.3], [141.5, 41.3], [142.0, 39.5], [141.0, 37.5], [140.8, 35.7], [139.8, 35.0], [138.8, 34.6],
+      [137.0, 34.6], [136.8, 33.5], [135.2, 33.5], [135.0, 34.6], [134.0, 33.3], [133.0, 32.7], [132.0, 32.8],
+      [131.3, 31.3], [130.2, 31.2]
+    ]
+  },
+  {
+    name: 'Hokkaido',
+    ring: [[140.0, 41.5], [141.0, 41.9], [143.3, 42.0], [145.8, 43.3], [144.0, 44.0], [141.8, 45.4], [141.5, 43.4], [140.0, 42.8]]
+  },
+  {
+    name: 'Sakhalin',
+    ring: [[142.0, 46.0], [143.5, 46.5], [143.0, 49.0], [143.2, 51.5], [142.8, 54.3], [142.2, 53.5], [142.0, 51.0], [141.8, 48.5]]
+  },
+  {
+    name: 'Taiwan',
+    ring: [[120.1, 23.0], [120.7, 22.0], [121.0, 22.0], [121.9, 24.5], [121.5, 25.3], [120.1, 23.5]]
+  },
+  {
+    name: 'Hainan',
+    ring: [[108.6, 19.1], [110.0, 20.1], [111.0, 19.6], [109.6, 18.2]]
+  },
+  {
+    name: 'Luzon',
+    ring: [[120.0, 14.5], [120.6, 18.5], [122.3, 18.5], [122.0, 16.0], [124.0, 14.0], [124.0, 12.5], [121.5, 13.5]]
+  },
+  {
+    name: 'Mindanao',
+    ring: [[122.0, 7.0], [126.5, 7.0], [126.2, 9.5], [125.3, 9.8], [123.5, 8.7]]
+  },
+  {
+    name: 'Borneo',
+    ring: [[109.0, 1.5], [109.7, -1.0], [110.4, -2.8], [114.0, -3.4], [116.3, -3.8], [116.0, -1.0], [117.5, 1.0], [118.8, 5.0], [117.0, 7.0], [115.5, 5.3], [113.9, 4.5], [111.5, 2.5], [109.6, 2.0]]
+  },
+  {
+    name: 'Sumatra',
+    ring: [[95.3, 5.6], [97.5, 5.2], [100.3, 2.2], [103.8, -1.0], [106.0, -3.0], [105.8, -5.8], [104.5, -5.9], [102.0, -4.0], [100.3, -1.0], [98.8, 1.7], [96.0, 4.2]]
+  },
+  {
+    name: 'Java',
+    ring: [[105.2, -6.8], [106.8, -6.0], [108.5, -6.4], [111.0, -6.4], [112.8, -7.2], [114.4, -7.8], [114.4, -8.7], [111.0, -8.2], [108.0, -7.8], [106.4, -7.4]]
+  },
+  {
+    name: 'Sulawesi',
+    ring: [[119.0, -3.5], [119.5, -5.6], [120.4, -5.5], [121.3, -2.0], [123.2, -1.0], [124.9, 1.5], [121.0, 1.2], [120.0, 0.5], [119.5, -0.5]]
+  },
+  {
+    name: 'New Guinea',
+    ring: [[131.0, -1.3], [134.0, -0.8], [135.5, -3.3], [138.0, -1.6], [141.0, -2.6], [145.0, -4.5], [147.5, -6.0], [150.8, -10.5], [147.0, -10.0], [143.5, -9.0], [141.0, -9.1], [138.5, -8.4], [137.5, -5.0], [134.0, -4.0], [132.5, -4.0]]
+  },
+  {
+    name: 'Tasmania',
+    ring: [[144.6, -40.7], [148.3, -40.9], [148.2, -43.0], [146.8, -43.6], [145.2, -42.3]]
+  },
+  {
+    name: 'North Island',
+    ring: [[172.7, -34.4], [174.5, -35.6], [175.9, -37.3], [178.5, -37.7], [177.0, -39.6], [176.2, -41.3], [174.8, -41.3], [174.6, -39.5], [173.8, -39.2], [174.6, -37.0], [173.0, -35.5]]
+  },
+  {
+    name: 'South Island',
+    ring: [[172.7, -40.5], [174.3, -41.7], [173.5, -43.0], [171.2, -44.4], [169.3, -46.6], [166.5, -46.0], [168.3, -44.0], [170.5, -43.0], [172.0, -41.5]]
+  }
+]
+
+// Lakes and enclosed seas cut out of the land above. Depths are mean depths
+// (m); basin groups water bodies whose coasts one wave can reach.
+export const WATER_BODIES = [
+  { id: 'caspian', name: 'Caspian Sea', type: 'lake', depth: 211, basin: 'caspian', ring: [[49.0, 46.6], [51.5, 47.0], [53.0, 46.7], [53.2, 45.3], [51.3, 44.5], [50.3, 44.3], [51.2, 43.2], [52.7, 42.0], [53.0, 40.5], [54.0, 40.0], [53.9, 38.9], [53.9, 37.3], [51.5, 36.7], [49.9, 37.5], [48.9, 38.4], [49.5, 40.2], [48.5, 41.8], [47.5, 43.0], [47.2, 44.3], [46.7, 44.9], [47.8, 45.8]] },
+  { id: 'superior', name: 'Lake Superior', type: 'lake', depth: 147, basin: 'superior', ring: [[-92.1, 46.7], [-89.5, 46.9], [-87.0, 46.5], [-84.6, 46.5], [-84.8, 47.8], [-86.0, 48.7], [-88.3, 48.8], [-89.5, 48.0]] },
+  { id: 'michigan', name: 'Lake Michigan', type: 'lake', depth: 85, basin: 'michigan', ring: [[-87.9, 41.7], [-86.5, 41.8], [-86.2, 43.5], [-86.4, 45.0], [-85.0, 45.8], [-87.0, 45.9], [-87.7, 44.3]] },
+  { id: 'huron', name: 'Lake Huron', type: 'lake', depth: 59, basin: 'huron', ring: [[-84.7, 45.8], [-83.5, 46.1], [-81.0, 46.0], [-80.0, 45.0], [-81.7, 44.5], [-82.5, 43.0], [-83.7, 43.8], [-83.4, 45.0]] },
+  { id: 'erie', name: 'Lake Erie', type: 'lake', depth: 19, basin: 'erie', ring: [[-83.4, 41.7], [-81.7, 41.5], [-79.0, 42.8], [-80.3, 42.6], [-82.5, 42.0]] },
+  { id: 'ontario', name: 'Lake Ontario', type: 'lake', depth: 86, basin: 'ontario', ring: [[-79.8, 43.3], [-79.4, 43.6], [-77.5, 44.0], [-76.2, 44.2], [-76.3, 43.4], [-78.5, 43.3]] },
+  { id: 'winnipeg', name: 'Lake Winnipeg', type: 'lake', depth: 12, basin: 'winnipeg', ring: [[-97.2, 50.4], [-96.3, 51.0], [-97.5, 53.6], [-99.0, 53.2], [-98.5, 52.3]] },
+  { id: 'great-slave', name: 'Great Slave Lake', type: 'lake', depth: 41, basin: 'great-slave', ring: [[-117.0, 61.2], [-113.0, 61.5], [-109.0, 62.8], [-111.0, 62.9], [-115.5, 62.3]] },
+  { id: 'great-bear', name: 'Great Bear Lake', type: 'lake', depth: 72, basin: 'great-bear', ring: [[-125.0, 65.2], [-122.0, 64.9], [-119.0, 66.2], [-121.0, 67.0], [-124.0, 66.8]] },
+  { id: 'titicaca', name: 'Lake Titicaca', type: 'lake', depth: 107, basin: 'titicaca', ring: [[-70.0, -15.3], [-69.4, -15.3], [-68.6, -16.3], [-69.3, -16.4]] },
+  { id: 'victoria', name: 'Lake Victoria', type: 'lake', depth: 40, basin: 'victoria', ring: [[31.6, -0.2], [33.0, 0.4], [34.0, 0.2], [34.8, -0.4], [33.8, -2.1], [33.0, -2.6], [31.8, -2.0]] },
+  { id: 'tanganyika', name: 'Lake Tanganyika', type: 'lake', depth: 570, basin: 'tanganyika', ring: [[29.2, -3.3], [29.5, -3.4], [30.2, -5.5], [31.2, -8.4], [30.6, -8.7], [29.5, -6.5], [29.1, -4.7]] },
+  { id: 'malawi', name: 'Lake Malawi', type: 'lake', depth: 292, basin: 'malawi', ring: [[34.0, -9.5], [34.6, -10.6], [34.8, -12.5], [35.3, -14.3], [34.6, -14.4], [34.3, -12.5]] },
+  { id: 'ladoga', name: 'Lake Ladoga', type: 'lake', depth: 51, basin: 'ladoga', ring: [[29.9, 60.2], [31.0, 59.9], [32.8, 60.6], [32.3, 61.3], [30.5, 61.3], [29.7, 60.6]] },
+  { id: 'baikal', name: 'Lake Baikal', type: 'lake', depth: 744, basin: 'baikal', ring: [[103.7, 51.7], [105.0, 51.9], [107.0, 52.6], [108.6, 53.6], [109.6, 55.7], [109.1, 55.8], [108.2, 54.5], [106.3, 53.2], [104.4, 52.0]] },
+  { id: 'hudson', name: 'Hudson Bay', type: 'sea', depth: 100, basin: 'hudson', ring: [[-85.0, 66.5], [-87.0, 65.0], [-90.7, 63.3], [-94.0, 61.0], [-94.5, 59.0], [-92.5, 57.0], [-88.0, 56.5], [-85.0, 55.3], [-82.3, 55.1], [-82.3, 52.9], [-79.5, 51.5], [-78.8, 54.5], [-77.2, 55.5], [-76.6, 58.0], [-78.0, 60.5], [-78.0, 62.6], [-82.0, 64.5], [-82.0, 66.5]] },
+  { id: 'baltic', name: 'Baltic Sea', type: 'sea', depth: 55, basin: 'baltic', ring: [[10.5, 57.5], [11.8, 57.6], [12.6, 56.1], [12.9, 55.4], [14.3, 55.6], [16.0, 56.2], [16.5, 57.5], [16.7, 58.5], [18.0, 59.3], [19.0, 60.5], [17.3, 61.0], [17.5, 62.5], [20.5, 64.0], [22.0, 65.5], [25.4, 65.0], [21.5, 63.0], [21.3, 61.0], [22.0, 60.2], [25.0, 60.2], [28.5, 60.5], [30.2, 59.9], [28.0, 59.5], [24.0, 59.4], [23.4, 58.9], [24.2, 58.3], [24.1, 57.0], [22.0, 57.5], [21.0, 56.5], [21.0, 55.5], [19.9, 54.9], [18.6, 54.4], [16.0, 54.3], [14.2, 53.9], [12.1, 54.2], [10.9, 54.0], [10.0, 54.7], [10.2, 55.5], [10.3, 56.4]] },
+  { id: 'persian-gulf', name: 'Persian Gulf', type: 'sea', depth: 50, basin: 'persian-gulf', ring: [[48.0, 29.9], [49.0, 30.2], [50.3, 29.3], [51.5, 27.8], [54.0, 26.6], [56.3, 27.2], [56.3, 26.3], [55.3, 25.3], [54.5, 24.2], [52.0, 24.0], [51.6, 25.3], [51.2, 26.1], [50.2, 26.0], [49.6, 27.0], [48.5, 28.5]] },
+  { id: 'red', name: 'Red Sea', type: 'sea', depth: 490, basin: 'red', ring: [[32.6, 29.9], [33.5, 27.2], [34.0, 26.0], [35.5, 23.9], [37.2, 21.0], [37.4, 18.7], [38.6, 18.0], [39.7, 15.1], [41.7, 13.4], [43.3, 12.5], [43.3, 12.7], [42.6, 16.5], [40.8, 19.0], [39.2, 21.5], [38.0, 24.0], [36.6, 26.0], [35.5, 28.0], [34.9, 29.5], [34.4, 28.0], [33.8, 27.8]] },
+  { id: 'black', name: 'Black Sea', type: 'sea', depth: 1253, basin: 'black', ring: [[29.0, 41.2], [28.0, 42.0], [27.9, 43.2], [28.6, 44.2], [29.7, 45.2], [30.7, 46.5], [32.0, 46.5], [33.5, 46.0], [32.5, 45.4], [33.5, 44.5], [35.0, 45.0], [36.5, 45.3], [35.0, 46.2], [38.5, 47.1], [37.3, 46.2], [38.0, 45.0], [37.3, 44.7], [39.7, 43.6], [41.6, 41.6], [40.0, 41.0], [37.0, 41.2], [35.0, 42.0], [33.0, 42.0], [31.0, 41.1]] }
+]
+
+// Open-ocean regions, tested in order after land and the water bodies
+// above. Their edges run through land wherever possible, so they only need
+// to be accurate where two oceans meet at sea. Anything not matched is the
+// Pacific, and water north of ARCTIC_LATITUDE is the Arctic Ocean.
+export const ARCTIC_LATITUDE = 66
+
+export const OCEANS = {
+  arctic: { id: 'arctic', name: 'Arctic Ocean', depth: 1205 },
+  mediterranean: { id: 'mediterranean', name: 'Mediterranean Sea', depth: 1500 },
+  atlantic: { id: 'atlantic', name: 'Atlantic Ocean', depth: 3646 },
+  indian: { id: 'indian', name: 'Indian Ocean', depth: 3741 },
+  pacific: { id: 'pacific', name: 'Pacific Ocean', depth: 4280 }
+}
+
+export const OCEAN_REGIONS = [
+  {
+    ocean: 'mediterranean',
+    ring: [[-5.6, 35.7], [-5.6, 36.3], [0.0, 39.5], [3.0, 43.6], [8.0, 44.6], [12.5, 45.9], [14.0, 45.9], [20.0, 41.0], [27.0, 41.0], [29.2, 40.9], [37.0, 37.0], [36.0, 31.0], [29.0, 30.5], [10.0, 33.0], [-2.0, 35.0]]
+  },
+  {
+    ocean: 'atlantic',
+    ring: [
+      [-100.0, 66.0], [-100.0, 28.0], [-99.0, 20.0], [-94.5, 17.5], [-91.0, 16.0], [-86.5, 13.5], [-84.5, 11.5],
+      [-83.5, 9.3], [-80.0, 8.8], [-77.5, 8.0], [-76.0, 5.0], [-77.0, -5.0], [-70.0, -18.0], [-69.0, -30.0],
+      [-71.0, -45.0], [-71.5, -52.0], [-67.0, -56.0], [-63.0, -70.0], [20.0, -70.0], [20.0, -34.8], [20.0, 0.0],
+      [10.0, 25.0], [30.0, 30.0], [30.0, 66.0]
+    ]
+  },
+  {
+    ocean: 'indian',
+    ring: [
+      [20.0, -34.8], [20.0, -70.0], [147.0, -70.0], [147.0, -44.0], [146.0, -38.0], [135.0, -20.0], [130.0, -11.0],
+      [125.0, -9.0], [115.5, -8.5], [105.5, -6.0], [102.0, 2.0], [100.0, 7.0], [99.0, 20.0], [60.0, 45.0],
+      [35.0, 30.0], [32.0, 30.0], [30.0, 20.0]
+    ]
+  }
+]
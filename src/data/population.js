@@ -0,0 +1,175 @@
+// Sources for the offline population grid built in engine/population.js.
+//
+// REGION_DENSITIES gives the background density (people/km² of land) of
+// countryside and small towns as [west, south, east, north] boxes; the first
+// box containing a point wins. Large cities are added on top from
+// URBAN_AREAS here and the coastal cities in coastalPoints.js. Figures are
+// rounded and scaled so the grid totals roughly eight billion people.
+
+export const DEFAULT_LAND_DENSITY = 5
+
+export const REGION_DENSITIES = [
+  // South Asia
+  { name: 'Bangladesh', box: [88, 21, 92.7, 26.6], density: 1000 },
+  { name: 'Sri Lanka', box: [79.5, 5.8, 82, 10], density: 300 },
+  { name: 'Pakistan', box: [60.5, 23.5, 75, 37], density: 120 },
+  { name: 'Ganges Plain', box: [74, 23, 88.5, 31], density: 600 },
+  { name: 'India', box: [68, 6, 97.5, 35], density: 300 },
+
+  // East and Southeast Asia
+  { name: 'Java', box: [105, -9, 115, -5.8], density: 900 },
+  { name: 'New Guinea', box: [130, -11, 151, 0], density: 10 },
+  { name: 'Philippines', box: [117, 5, 127, 19], density: 250 },
+  { name: 'Indonesia and Malaysia', box: [95, -11, 141, 7], density: 60 },
+  { name: 'Indochina', box: [97, 8, 110, 23], density: 100 },
+  { name: 'Japan', box: [129, 30, 146, 46], density: 200 },
+  { name: 'Korea', box: [124.5, 33, 130, 39], density: 300 },
+  { name: 'Sichuan Basin', box: [102, 28, 108, 33], density: 300 },
+  { name: 'North China Plain and the south-east', box: [108, 22, 122, 40], density: 400 },
+  { name: 'North-east China', box: [120, 40, 135, 50], density: 90 },
+  { name: 'Western China and Mongolia', box: [73, 18, 135, 54], density: 15 },
+
+  // Middle East and Central Asia
+  { name: 'Nile Valley', box: [30, 22, 33, 31.5], density: 200 },
+  { name: 'Turkey', box: [26, 36, 45, 42], density: 100 },
+  { name: 'Middle East', box: [34, 12, 63, 42], density: 40 },
+  { name: 'Central Asia', box: [46, 35, 90, 55], density: 15 },
+
+  // Europe and Russia
+  { name: 'Europe', box: [-10, 36, 40, 60], density: 90 },
+  { name: 'Northern Europe', box: [-25, 60, 40, 72], density: 8 },
+  { name: 'Russia and Siberia', box: [40, 50, 191, 78], density: 3 },
+
+  // Africa
+  { name: 'Maghreb', box: [-10, 30, 11, 37.5], density: 60 },
+  { name: 'Sahara', box: [-17, 15, 40, 35], density: 2 },
+  { name: 'Nigeria', box: [3, 4, 14, 13.5], density: 200 },
+  { name: 'Ethiopian Highlands', box: [35, 5, 43, 15], density: 90 },
+  { name: 'African Great Lakes', box: [29, -5, 37, 3], density: 150 },
+  { name: 'Sub-Saharan Africa', box: [-18, -35, 52, 15], density: 30 },
+
+  // Americas
+  { name: 'Caribbean', box: [-85, 17, -60, 24], density: 120 },
+  { name: 'Eastern United States', box: [-95, 25, -66, 49], density: 45 },
+  { name: 'Western United States', box: [-125, 25, -95, 49], density: 12 },
+  { name: 'Southern Canada', box: [-130, 42, -52, 55], density: 4 },
+  { name: 'Northern North America', box: [-170, 55, -12, 84], density: 0.2 },
+  { name: 'Mexico and Central America', box: [-118, 7, -77, 32], density: 50 },
+  { name: 'Atlantic South America', box: [-55, -35, -34, -3], density: 30 },
+  { name: 'Andes', box: [-81, -18, -70, 12], density: 30 },
+  { name: 'South America', box: [-82, -56, -34, 13], density: 5 },
+
+  // Oceania and Antarctica
+  { name: 'Australia', box: [112, -45, 155, -10], density: 0.6 },
+  { name: 'New Zealand', box: [166, -48, 179, -34], density: 10 },
+  { name: 'Antarctica', box: [-180, -90, 180, -60], density: 0 }
+]
+
+// Large inland (or not otherwise listed) cities: rounded metropolitan
+// population
+export const URBAN_AREAS = [
+  // Asia
+  { name: 'Delhi', lat: 28.61, lng: 77.21, population: 32000000 },
+  { name: 'Dhaka', lat: 23.81, lng: 90.41, population: 23000000 },
+  { name: 'Kolkata', lat: 22.57, lng: 88.36, population: 15000000 },
+  { name: 'Bangalore', lat: 12.97, lng: 77.59, population: 13000000 },
+  { name: 'Hyderabad', lat: 17.39, lng: 78.49, population: 10500000 },
+  { name: 'Ahmedabad', lat: 23.02, lng: 72.57, population: 8500000 },
+  { name: 'Surat', lat: 21.17, lng: 72.83, population: 8000000 },
+  { name: 'Pune', lat: 18.52, lng: 73.86, population: 7000000 },
+  { name: 'Jaipur', lat: 26.91, lng: 75.79, population: 4000000 },
+  { name: 'Lucknow', lat: 26.85, lng: 80.95, population: 3800000 },
+  { name: 'Lahore', lat: 31.55, lng: 74.34, population: 13500000 },
+  { name: 'Faisalabad', lat: 31.42, lng: 73.08, population: 3600000 },
+  { name: 'Islamabad', lat: 33.60, lng: 73.05, population: 3000000 },
+  { name: 'Kabul', lat: 34.56, lng: 69.21, population: 4500000 },
+  { name: 'Tashkent', lat: 41.30, lng: 69.24, population: 2500000 },
+  { name: 'Beijing', lat: 39.90, lng: 116.40, population: 21000000 },
+  { name: 'Tianjin', lat: 39.34, lng: 117.36, population: 11000000 },
+  { name: 'Guangzhou', lat: 23.13, lng: 113.26, population: 14000000 },
+  { name: 'Shenzhen', lat: 22.54, lng: 114.06, population: 13000000 },
+  { name: 'Foshan', lat: 23.02, lng: 113.12, population: 8000000 },
+  { name: 'Dongguan', lat: 23.02, lng: 113.75, population: 7000000 },
+  { name: 'Chengdu', lat: 30.57, lng: 104.07, population: 9000000 },
+  { name: 'Chongqing', lat: 29.56, lng: 106.55, population: 9000000 },
+  { name: 'Wuhan', lat: 30.59, lng: 114.31, population: 8500000 },
+  { name: 'Xi\'an', lat: 34.34, lng: 108.94, population: 8000000 },
+  { name: 'Hangzhou', lat: 30.27, lng: 120.16, population: 8000000 },
+  { name: 'Nanjing', lat: 32.06, lng: 118.80, population: 7000000 },
+  { name: 'Suzhou', lat: 31.30, lng: 120.58, population: 5000000 },
+  { name: 'Shenyang', lat: 41.81, lng: 123.43, population: 7000000 },
+  { name: 'Harbin', lat: 45.80, lng: 126.53, population: 6000000 },
+  { name: 'Zhengzhou', lat: 34.75, lng: 113.63, population: 6000000 },
+  { name: 'Changsha', lat: 28.23, lng: 112.94, population: 5000000 },
+  { name: 'Jinan', lat: 36.65, lng: 117.12, population: 5000000 },
+  { name: 'Qingdao', lat: 36.07, lng: 120.38, population: 6000000 },
+  { name: 'Kunming', lat: 25.04, lng: 102.71, population: 4000000 },
+  { name: 'Seoul', lat: 37.57, lng: 126.98, population: 10000000 },
+  { name: 'Nagoya', lat: 35.18, lng: 136.91, population: 9000000 },
+  { name: 'Taipei', lat: 25.03, lng: 121.57, population: 7000000 },
+  { name: 'Hanoi', lat: 21.03, lng: 105.85, population: 8000000 },
+  { name: 'Kuala Lumpur', lat: 3.14, lng: 101.69, population: 8000000 },
+  { name: 'Bandung', lat: -6.92, lng: 107.61, population: 2500000 },
+  { name: 'Surabaya', lat: -7.25, lng: 112.75, population: 3000000 },
+  { name: 'Medan', lat: 3.59, lng: 98.67, population: 2500000 },
+
+  // Middle East
+  { name: 'Tehran', lat: 35.69, lng: 51.39, population: 9500000 },
+  { name: 'Mashhad', lat: 36.30, lng: 59.60, population: 3400000 },
+  { name: 'Baghdad', lat: 33.31, lng: 44.37, population: 7500000 },
+  { name: 'Riyadh', lat: 24.71, lng: 46.68, population: 7500000 },
+  { name: 'Jeddah', lat: 21.49, lng: 39.19, population: 4700000 },
+  { name: 'Ankara', lat: 39.93, lng: 32.86, population: 5500000 },
+
+  // Europe
+  { name: 'Moscow', lat: 55.76, lng: 37.62, population: 12600000 },
+  { name: 'Paris', lat: 48.86, lng: 2.35, population: 11000000 },
+  { name: 'Madrid', lat: 40.42, lng: -3.70, population: 6700000 },
+  { name: 'Ruhr', lat: 51.45, lng: 7.00, population: 5000000 },
+  { name: 'Berlin', lat: 52.52, lng: 13.40, population: 4500000 },
+  { name: 'Milan', lat: 45.46, lng: 9.19, population: 4300000 },
+  { name: 'Rome', lat: 41.90, lng: 12.50, population: 4300000 },
+  { name: 'Kyiv', lat: 50.45, lng: 30.52, population: 3500000 },
+  { name: 'Warsaw', lat: 52.23, lng: 21.01, population: 3100000 },
+  { name: 'Budapest', lat: 47.50, lng: 19.04, population: 3000000 },
+  { name: 'Vienna', lat: 48.21, lng: 16.37, population: 2900000 },
+  { name: 'Munich', lat: 48.14, lng: 11.58, population: 2600000 },
+  { name: 'Brussels', lat: 50.85, lng: 4.35, population: 2100000 },
+
+  // Africa
+  { name: 'Cairo', lat: 30.04, lng: 31.24, population: 21000000 },
+  { name: 'Kinshasa', lat: -4.32, lng: 15.31, population: 16000000 },
+  { name: 'Johannesburg', lat: -26.20, lng: 28.05, population: 10000000 },
+  { name: 'Khartoum', lat: 15.50, lng: 32.56, population: 6000000 },
+  { name: 'Addis Ababa', lat: 9.03, lng: 38.74, population: 5200000 },
+  { name: 'Nairobi', lat: -1.29, lng: 36.82, population: 5000000 },
+  { name: 'Kano', lat: 12.00, lng: 8.52, population: 4200000 },
+  { name: 'Ibadan', lat: 7.38, lng: 3.90, population: 3600000 },
+  { name: 'Abuja', lat: 9.06, lng: 7.49, population: 3000000 },
+  { name: 'Accra', lat: 5.60, lng: -0.19, population: 2600000 },
+
+  // Americas
+  { name: 'Mexico City', lat: 19.43, lng: -99.13, population: 22000000 },
+  { name: 'São Paulo', lat: -23.55, lng: -46.63, population: 22000000 },
+  { name: 'Bogotá', lat: 4.71, lng: -74.07, population: 11000000 },
+  { name: 'Santiago', lat: -33.45, lng: -70.67, population: 7000000 },
+  { name: 'Belo Horizonte', lat: -19.92, lng: -43.94, population: 6000000 },
+  { name: 'Brasília', lat: -15.79, lng: -47.88, population: 4800000 },
+  { name: 'Medellín', lat: 6.24, lng: -75.58, population: 4000000 },
+  { name: 'Caracas', lat: 10.48, lng: -66.90, population: 3000000 },
+  { name: 'Guadalajara', lat: 20.66, lng: -103.35, population: 5300000 },
+  { name: 'Monterrey', lat: 25.69, lng: -100.32, population: 5300000 },
+  { name: 'Dallas', lat: 32.78, lng: -96.80, population: 7900000 },
+  { name: 'Houston', lat: 29.76, lng: -95.37, population: 7300000 },
+  { name: 'Washington', lat: 38.91, lng: -77.04, population: 6300000 },
+  { name: 'Philadelphia', lat: 39.95, lng: -75.17, population: 6200000 },
+  { name: 'Atlanta', lat: 33.75, lng: -84.39, population: 6200000 },
+  { name: 'Phoenix', lat: 33.45, lng: -112.07, population: 5000000 },
+  { name: 'Detroit', lat: 42.33, lng: -83.05, population: 4300000 },
+  { name: 'Montreal', lat: 45.50, lng: -73.57, population: 4300000 },
+  { name: 'Minneapolis', lat: 44.98, lng: -93.27, population: 3700000 },
+  { name: 'Denver', lat: 39.74, lng: -104.99, population: 3000000 },
+
+  // Oceania
+  { name: 'Melbourne', lat: -37.81, lng: 144.96, population: 5100000 }
+]
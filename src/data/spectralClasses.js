@@ -0,0 +1,29 @@
+// Default bulk properties for asteroid spectral classes (Bus-DeMeo complexes).
+//
+// Densities are rounded means from Carry (2012), "Density of asteroids",
+// Planet. Space Sci. 73, 98-118; albedos are typical geometric albedos for
+// each complex (Thomas et al. 2011; Mainzer et al. 2011). They stand in for
+// a measurement when only the class of an object is known.
+
+export const SPECTRAL_CLASSES = [
+  { id: 'C', name: 'Carbonaceous (C-complex)', density: 1400, albedo: 0.06 },
+  { id: 'B', name: 'Blue carbonaceous (B, C-complex)', density: 1400, albedo: 0.05 },
+  { id: 'S', name: 'Stony (S-complex)', density: 2700, albedo: 0.25 },
+  { id: 'Q', name: 'Fresh ordinary chondrite (Q)', density: 2700, albedo: 0.29 },
+  { id: 'V', name: 'Basaltic (V)', density: 3000, albedo: 0.35 },
+  { id: 'L', name: 'Aluminous (L, S-complex)', density: 2700, albedo: 0.15 },
+  { id: 'X', name: 'Unresolved X-complex', density: 2700, albedo: 0.15 },
+  { id: 'M', name: 'Metallic (M)', density: 5300, albedo: 0.15 },
+  { id: 'E', name: 'Enstatite (E)', density: 2700, albedo: 0.45 },
+  { id: 'D', name: 'Primitive (D)', density: 1300, albedo: 0.05 }
+]
+
+// Most characterised near-Earth objects are S or Q types (Binzel et al.
+// 2019), so objects with no known class take the S-complex values
+export const DEFAULT_SPECTRAL_CLASS = 'S'
+
+export const spectralClassById = (id) => {
+  const key = typeof id === 'string' ? id.trim().charAt(0).toUpperCase() : ''
+  return SPECTRAL_CLASSES.find(c => c.id === key) ??
+    SPECTRAL_CLASSES.find(c => c.id === DEFAULT_SPECTRAL_CLASS)
+}
@@ -0,0 +1,97 @@
+// Air blast
+//
+// Peak overpressure versus distance from cube-root yield scaling of a 1 kt
+// reference explosion (Glasstone & Dolan 1977), with the Mach-reflection
+// treatment for elevated bursts used by Collins et al. (2005).
+
+import { JOULES_PER_KILOTON } from './constants.js'
+
+export const AMBIENT_PRESSURE = 1e5 // Pa
+export const SOUND_SPEED = 330 // m/s
+export const PA_PER_PSI = 6894.76
+
+// Surface burst reference point: 75 kPa at 290 m for 1 kt
+const CROSSOVER_PRESSURE = 75000
+const CROSSOVER_DISTANCE = 290
+
+// Standard damage thresholds. Fatality fractions are the share of the
+// population inside each ring (and outside the next stronger one) killed.
+export const BLAST_THRESHOLDS = [
+  { psi: 20, label: 'Heavy Damage', description: 'Reinforced concrete buildings destroyed', color: '#7f1d1d', fatality: 0.9 },
+  { psi: 5, label: 'Moderate Damage', description: 'Most residential buildings collapse', color: '#dc2626', fatality: 0.5 },
+  { psi: 3, label: 'Light-Moderate Damage', description: 'Walls of frame houses blown out, trees knocked down', color: '#f97316', fatality: 0.15 },
+  { psi: 1, label: 'Light Damage', description: 'Windows shatter, injuries from flying glass', color: '#facc15', fatality: 0.01 }
+]
+
+// Peak overpressure (Pa) at ground range r (m) for a yield in kilotons
+// detonated at burst height h (m)
+export const peakOverpressure = (r, yieldKt, burstHeight = 0) => {
+  if (!(yieldKt > 0)) return 0
+  const scale = Math.cbrt(yieldKt)
+  const r1 = Math.max(r, 1) / scale
+  const surface = (CROSSOVER_PRESSURE * CROSSOVER_DISTANCE / (4 * r1)) *
+    (1 + 3 * Math.pow(CROSSOVER_DISTANCE / r1, 1.3))
+
+  const z1 = burstHeight / scale
+  if (z1 <= 0) return surface
+
+  // Inside the Mach reflection region the pressure falls off exponentially
+  // from its value below the burst point; beyond it the surface law applies
+  if (z1 >= 550) return Math.min(surface, 3.14e11 * Math.pow(z1, -2.6))
+  const machRange = 550 * z1 / (1.2 * (550 - z1))
+  if (r1 < machRange) {
+    return 3.14e11 * Math.pow(z1, -2.6) * Math.exp(-34.87 * Math.pow(z1, -1.73) * r1)
+  }
+  return surface
+}
+
+// Peak wind speed (m/s) behind a shock front of overpressure p (Pa)
+export const peakWindSpeed = (p) =>
+  (5 * p / (7 * AMBIENT_PRESSURE)) * SOUND_SPEED / Math.sqrt(1 + 6 * p / (7 * AMBIENT_PRESSURE))
+
+// Inverse of peakWindSpeed
+export const overpressureForWind = (u) => {
+  const k = Math.pow(u / SOUND_SPEED, 2)
+  const x = ((6/7) * k + Math.sqrt((36/49) * k * k + (100/49) * k)) / (50/49)
+  return x * AMBIENT_PRESSURE
+}
+
+// Largest ground range (m) at which the overpressure still reaches p (Pa)
+export const radiusForOverpressure = (p, yieldKt, burstHeight = 0) => {
+  if (peakOverpressure(0, yieldKt, burstHeight) < p) return 0
+  let lo = 0
+  let hi = 1e8
+  for (let i = 0; i < 100 && hi - lo > 1; i++) {
+    const mid = (lo + hi) / 2
+    if (peakOverpressure(mid, yieldKt, burstHeight) >= p) lo = mid
+    else hi = mid
+  }
+  return lo
+}
+
+export const radiusForPsi = (psi, yieldKt, burstHeight = 0) =>
+  radiusForOverpressure(psi * PA_PER_PSI, yieldKt, burstHeight)
+
+export const radiusForWind = (u, yieldKt, burstHeight = 0) =>
+  radiusForOverpressure(overpressureForWind(u), yieldKt, burstHeight)
+
+/**
+ * Damage rings for an explosion of the given energy.
+ * @param {number} energy      Energy released (J)
+ * @param {number} burstHeight Height of the burst above ground (m)
+ */
+export function computeBlast(energy, burstHeight = 0) {
+  const yieldKt = energy / JOULES_PER_KILOTON
+  const rings = BLAST_THRESHOLDS.map(t => {
+    const overpressure = t.psi * PA_PER_PSI
+    const radius = radiusForOverpressure(overpressure, yieldKt, burstHeight)
+    return {
+      ...t,
+      overpressure,
+      radius,
+      windSpeed: radius > 0 ? peakWindSpeed(overpressure) : 0
+    }
+  })
+
+  return { yieldKt, burstHeight, rings }
+}
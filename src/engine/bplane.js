@@ -0,0 +1,218 @@
+// Impact point from the B-plane
+//
+// The B-plane passes through Earth's centre perpendicular to the incoming
+// asymptote of the object's geocentric hyperbola; the point where the
+// asymptote crosses it is the aim point B. Following Valsecchi et al.
+// (2003), η runs along v∞, ζ opposite Earth's heliocentric velocity
+// projected on the plane (so ζ measures being early or late) and ξ
+// completes the right-handed set. Earth's gravity bends the path, so
+// anything aimed inside the capture radius hits. The hyperbola is followed
+// down to the entry interface, then turned into latitude, longitude,
+// azimuth and entry angle in the rotating Earth frame.
+
+import { EARTH_RADIUS } from './constants.js'
+import { ESCAPE_SPEED } from './speed.js'
+import { geocentricState, stateAt, earthElements, julianDate } from './orbit.js'
+
+const DEG = Math.PI / 180
+
+// Earth in km and km/s
+const RADIUS_KM = EARTH_RADIUS / 1000
+const GM_EARTH = ESCAPE_SPEED * ESCAPE_SPEED * RADIUS_KM / 2 // km³/s²
+const ROTATION_RATE = 7.2921159e-5 // rad/s, sidereal
+const OBLIQUITY = 23.4392911 * DEG // J2000 ecliptic to equator
+
+// Height where entry is taken to start, as in atmospheric entry models
+export const ENTRY_ALTITUDE = 100 // km
+
+// The approach is traced inwards from this distance for the ground track
+const TRACK_START_RADII = 10
+const TRACK_POINTS = 40
+
+const dot = (u, v) => u[0] * v[0] + u[1] * v[1] + u[2] * v[2]
+const cross = (u, v) => [u[1] * v[2] - u[2] * v[1], u[2] * v[0] - u[0] * v[2], u[0] * v[1] - u[1] * v[0]]
+const scale = (u, s) => u.map(c => c * s)
+const add = (...vectors) => [0, 1, 2].map(k => vectors.reduce((sum, u) => sum + u[k], 0))
+const norm = (u) => Math.hypot(...u)
+const unit = (u) => scale(u, 1 / norm(u))
+
+/**
+ * @typedef {Object} Approach
+ * @property {number[]} vInfinity Geocentric velocity at infinity (km/s, ecliptic J2000)
+ * @property {number[]} earthVelocity Earth's heliocentric velocity (km/s, ecliptic J2000)
+ * @property {Date} epoch Time of closest approach
+ */
+
+/**
+ * Approach geometry of an orbit at a close-approach epoch.
+ * @param {import('./orbit.js').OrbitalElements} elements
+ * @param {Date} epoch
+ * @param {number} [speed] Replaces the orbit's v∞ magnitude (km/s), e.g.
+ *   with a measured approach velocity, keeping its direction
+ * @returns {Approach}
+ */
+export function approachFromOrbit(elements, epoch, speed) {
+  const state = geocentricState(elements, epoch)
+  const vInfinity = speed > 0 ? scale(unit(state.velocity), speed) : state.velocity
+  return { vInfinity, earthVelocity: state.earthVelocity, epoch }
+}
+
+/**
+ * Approach geometry when only the speed is known. The direction is then
+ * unknown; the object is taken to arrive from the Sun's direction in the
+ * ecliptic, as Chelyabinsk did, which fixes the result for a given epoch.
+ * @param {number} vInfinity Speed at infinity (km/s)
+ * @param {Date} epoch
+ * @returns {Approach}
+ */
+export function approachFromSpeed(vInfinity, epoch) {
+  const earth = stateAt(earthElements(epoch), epoch)
+  return { vInfinity: scale(unit(earth.position), vInfinity), earthVelocity: earth.velocity, epoch }
+}
+
+/**
+ * B-plane unit vectors for an approach.
+ * @param {Approach} approach
+ * @returns {{ xi: number[], eta: number[], zeta: number[] }}
+ */
+export function bPlaneFrame({ vInfinity, earthVelocity }) {
+  const eta = unit(vInfinity)
+  const inPlane = add(earthVelocity, scale(eta, -dot(earthVelocity, eta)))
+  const zeta = scale(unit(inPlane), -1)
+  return { xi: cross(eta, zeta), eta, zeta }
+}
+
+/**
+ * Largest B-plane distance that still reaches the entry interface.
+ * @param {number} vInfinity Speed at infinity (km/s)
+ * @param {number} [altitude] Entry interface height (km)
+ * @returns {number} km
+ */
+export const captureRadius = (vInfinity, altitude = ENTRY_ALTITUDE) => {
+  const r = RADIUS_KM + altitude
+  return r * Math.sqrt(1 + 2 * GM_EARTH / (r * vInfinity * vInfinity))
+}
+
+// Aim point for the most likely entry angle, 45°: uniform aim points over the
+// capture disc give entry angles with sin 2θ statistics (Shoemaker 1962)
+export const defaultBPlane = (approach, altitude = ENTRY_ALTITUDE) => ({
+  xi: captureRadius(norm(approach.vInfinity), altitude) * Math.SQRT1_2,
+  zeta: 0
+})
+
+// Greenwich mean sidereal time (rad)
+const siderealAngle = (date) => (280.46061837 + 360.98564736629 * (julianDate(date) - 2451545)) * DEG
+
+const eclipticToEquatorial = ([x, y, z]) => [
+  x,
+  y * Math.cos(OBLIQUITY) - z * Math.sin(OBLIQUITY),
+  y * Math.sin(OBLIQUITY) + z * Math.cos(OBLIQUITY)
+]
+
+// Inertial equatorial vector into the Earth-fixed frame at a date
+const toEarthFixed = ([x, y, z], date) => {
+  const theta = siderealAngle(date)
+  return [x * Math.cos(theta) + y * Math.sin(theta), -x * Math.sin(theta) + y * Math.cos(theta), z]
+}
+
+const normalizeLongitude = (lng) => ((lng + 540) % 360) - 180
+
+const toGeographic = (position) => ({
+  lat: Math.asin(position[2] / norm(position)) / DEG,
+  lng: normalizeLongitude(Math.atan2(position[1], position[0]) / DEG),
+  altitude: norm(position) - RADIUS_KM
+})
+
+/**
+ * Follow the geocentric hyperbola for an aim point to the entry interface.
+ * @param {Object} params
+ * @param {Approach} params.approach
+ * @param {{ xi: number, zeta: number }} params.bPlane Aim point (km)
+ * @param {number} [params.altitude] Entry interface height (km)
+ * @param {number} [params.trackPoints] Ground track points, 0 to skip it
+ * @returns {Object} hits, impactParameter and captureRadius (km),
+ *   perigeeAltitude (km) and track ({ lat, lng, altitude, time }[]) always;
+ *   for hits also lat, lng, azimuth (deg from north), angle (deg from
+ *   horizontal), speed relative to the rotating atmosphere and inertial
+ *   speed (km/s), and entryEpoch
+ */
+export function computeEntry({ approach, bPlane, altitude = ENTRY_ALTITUDE, trackPoints = TRACK_POINTS }) {
+  const v = norm(approach.vInfinity)
+  if (!(v > 0)) throw new RangeError(`computeEntry: v∞ must be positive, got ${v} km/s`)
+  const frame = bPlaneFrame(approach)
+  const entryRadius = RADIUS_KM + altitude
+  const capture = captureRadius(v, altitude)
+
+  // A dead-centre aim is a radial fall; nudge it so the orbit plane exists
+  const aim = add(scale(frame.xi, bPlane.xi), scale(frame.zeta, bPlane.zeta))
+  const b = Math.max(norm(aim), 1e-3)
+  const bHat = norm(aim) > 0 ? unit(aim) : frame.xi
+
+  // Hyperbola: e from the impact parameter, periapsis direction P and the
+  // direction Q 90° ahead of it, both from the asymptote and aim directions
+  const e = Math.sqrt(1 + Math.pow(b * v * v / GM_EARTH, 2))
+  const k = Math.sqrt(e * e - 1)
+  const P = scale(add(frame.eta, scale(bHat, k)), 1 / e)
+  const Q = scale(add(scale(frame.eta, k), scale(bHat, -1)), 1 / e)
+  const p = b * b * v * v / GM_EARTH
+  const perigee = p / (1 + e)
+  const semiMajor = GM_EARTH / (v * v)
+
+  const stateAtAnomaly = (f) => {
+    const r = p / (1 + e * Math.cos(f))
+    const vScale = Math.sqrt(GM_EARTH / p)
+    return {
+      position: add(scale(P, r * Math.cos(f)), scale(Q, r * Math.sin(f))),
+      velocity: add(scale(P, -vScale * Math.sin(f)), scale(Q, vScale * (e + Math.cos(f))))
+    }
+  }
+  // Seconds from perigee, negative on the way in
+  const timeAtAnomaly = (f) => {
+    const F = 2 * Math.atanh(Math.sqrt((e - 1) / (e + 1)) * Math.tan(f / 2))
+    return (e * Math.sinh(F) - F) * Math.sqrt(Math.pow(semiMajor, 3) / GM_EARTH)
+  }
+  const anomalyAtRadius = (r) => -Math.acos(Math.min(1, Math.max(-1, (p / r - 1) / e)))
+  const dateAt = (f) => new Date(approach.epoch.getTime() + timeAtAnomaly(f) * 1000)
+
+  const hits = perigee < entryRadius
+  const fEnd = hits ? anomalyAtRadius(entryRadius) : 0
+  const fStart = anomalyAtRadius(Math.max(TRACK_START_RADII * RADIUS_KM, entryRadius * 1.01))
+  const track = Array.from({ length: trackPoints }, (_, i) => {
+    const f = fStart + (fEnd - fStart) * i / Math.max(1, trackPoints - 1)
+    const date = dateAt(f)
+    return { ...toGeographic(toEarthFixed(eclipticToEquatorial(stateAtAnomaly(f).position), date)), time: date }
+  })
+
+  const result = {
+    hits,
+    impactParameter: norm(aim),
+    captureRadius: capture,
+    perigeeAltitude: perigee - RADIUS_KM,
+    track
+  }
+  if (!hits) return result
+
+  // Entry point and velocity in the Earth-fixed frame; the air there moves
+  // with the ground, which changes the speed and heading it is met at
+  const entryEpoch = dateAt(fEnd)
+  const state = stateAtAnomaly(fEnd)
+  const position = toEarthFixed(eclipticToEquatorial(state.position), entryEpoch)
+  const inertial = toEarthFixed(eclipticToEquatorial(state.velocity), entryEpoch)
+  const velocity = add(inertial, scale(cross([0, 0, ROTATION_RATE], position), -1))
+  const { lat, lng } = toGeographic(position)
+  const east = [-Math.sin(lng * DEG), Math.cos(lng * DEG), 0]
+  const north = [-Math.sin(lat * DEG) * Math.cos(lng * DEG), -Math.sin(lat * DEG) * Math.sin(lng * DEG), Math.cos(lat * DEG)]
+  const up = unit(position)
+  const speed = norm(velocity)
+
+  return {
+    ...result,
+    lat,
+    lng,
+    azimuth: (Math.atan2(dot(velocity, east), dot(velocity, north)) / DEG + 360) % 360,
+    angle: Math.asin(-dot(velocity, up) / speed) / DEG,
+    speed,
+    inertialSpeed: norm(inertial),
+    entryEpoch
+  }
+}
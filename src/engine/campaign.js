@@ -0,0 +1,161 @@
+// Deflection campaigns
+//
+// A campaign is a list of missions, each a method from deflection.js with
+// its parameters and the date it acts on the asteroid. Missions are applied
+// in date order: each one's shift at encounter moves the aim point along
+// the B-plane's ζ axis, the timing axis a push along the orbit changes,
+// away from Earth's centre. The entry model then decides whether the object
+// still hits and where, and a partial success (efficiency below 1, or too
+// little push) gets its impact recomputed at the shifted point, which may
+// be more populated than the original one.
+
+import { computeEntry } from './bplane.js'
+import { computeImpact } from './impact.js'
+import {
+  SECONDS_PER_YEAR,
+  kineticImpactor,
+  gravityTractor,
+  ionBeamShepherd,
+  nuclearStandoff
+} from './deflection.js'
+
+export const CAMPAIGN_VERSION = 1
+
+// Shift (m) a mission gives, from its parameters, the time in years from
+// the mission to the encounter and the asteroid
+const METHOD_MODELS = {
+  kinetic: (params, leadTime, asteroid) => kineticImpactor({ ...params, leadTime, asteroidMass: asteroid.mass, vInfinity: asteroid.vInfinity }),
+  tractor: ({ hoverRadii, duration, ...params }, leadTime, asteroid) => gravityTractor({
+    ...params,
+    hoverDistance: hoverRadii * asteroid.diameter / 2,
+    asteroidRadius: asteroid.diameter / 2,
+    duration: Math.min(duration, leadTime),
+    leadTime,
+    vInfinity: asteroid.vInfinity
+  }),
+  shepherd: ({ duration, ...params }, leadTime, asteroid) => ionBeamShepherd({
+    ...params,
+    duration: Math.min(duration, leadTime),
+    leadTime,
+    asteroidMass: asteroid.mass,
+    vInfinity: asteroid.vInfinity
+  }),
+  // A blank irradiated fraction is NaN in the form and null once saved
+  nuclear: ({ standoffRadii, irradiatedFraction, ...params }, leadTime, asteroid) => nuclearStandoff({
+    ...params,
+    standoff: standoffRadii * asteroid.diameter / 2,
+    irradiatedFraction: Number.isFinite(irradiatedFraction) ? irradiatedFraction : undefined,
+    leadTime,
+    asteroidMass: asteroid.mass,
+    diameter: asteroid.diameter,
+    density: asteroid.density,
+    vInfinity: asteroid.vInfinity
+  })
+}
+
+export const CAMPAIGN_METHODS = Object.keys(METHOD_MODELS)
+
+/**
+ * @typedef {Object} Mission
+ * @property {string} id
+ * @property {string} method One of CAMPAIGN_METHODS
+ * @property {string} date ISO date the mission acts on the asteroid
+ * @property {Object} params The method's inputs, as in the deflection planner
+ * @property {number} [efficiency] Share of the modelled push achieved, 0-1
+ */
+
+/**
+ * Apply missions in date order to an approach.
+ * @param {Object} params
+ * @param {import('./bplane.js').Approach} params.approach
+ * @param {{ xi: number, zeta: number }} params.bPlane Aim point before deflection (km)
+ * @param {Mission[]} params.missions
+ * @param {{ mass: number, diameter: number, density: number }} params.asteroid kg, m, kg/m³
+ * @returns {{ steps: Object[], bPlane: Object, entry: Object, before: Object }}
+ *   before and entry are computeEntry results without and with the
+ *   campaign; each step holds the mission, leadTime (years), deltaV (m/s),
+ *   displacement (m), the aim point and entry after it, or an error when
+ *   the mission could not act
+ */
+export function applyCampaign({ approach, bPlane, missions, asteroid }) {
+  const vInfinity = Math.hypot(...approach.vInfinity)
+  const body = { ...asteroid, vInfinity }
+  const before = computeEntry({ approach, bPlane })
+
+  let aim = bPlane
+  const ordered = [...missions].sort((a, b) => new Date(a.date) - new Date(b.date))
+  const steps = ordered.map(mission => {
+    const leadTime = (approach.epoch - new Date(mission.date)) / (SECONDS_PER_YEAR * 1000)
+    const model = METHOD_MODELS[mission.method]
+    try {
+      if (!model) throw new RangeError(`Unknown deflection method "${mission.method}"`)
+      if (!(leadTime > 0)) throw new RangeError(`Acts on ${mission.date}, after the encounter`)
+      const efficiency = mission.efficiency ?? 1
+      if (!(efficiency >= 0 && efficiency <= 1)) throw new RangeError(`Efficiency must be between 0 and 1, got ${efficiency}`)
+
+      const outcome = model(mission.params, leadTime, body)
+      const displacement = outcome.displacement * efficiency
+      const direction = Math.sign(aim.zeta) || 1
+      aim = { ...aim, zeta: aim.zeta + direction * displacement / 1000 }
+      const entry = computeEntry({ approach, bPlane: aim, trackPoints: 0 })
+      return { mission, leadTime, deltaV: outcome.deltaV * efficiency, displacement, bPlane: aim, entry, error: null }
+    } catch (err) {
+      return { mission, leadTime, error: err.message }
+    }
+  })
+
+  return { steps, bPlane: aim, entry: computeEntry({ approach, bPlane: aim }), before }
+}
+
+// Keys of computeImpact results that count deaths
+const DEATH_KEYS = ['fireballDeaths', 'shockWaveDeaths', 'windDeaths', 'earthquakeDeaths', 'tsunamiDeaths']
+
+export const totalDeaths = (results) => DEATH_KEYS.reduce((sum, key) => sum + (results[key] || 0), 0)
+
+/**
+ * Impacts before and after a campaign with the same settings, so a
+ * partial deflection that moves the damage somewhere worse shows up.
+ * @param {Object} settings computeImpact inputs without lat and lng
+ * @param {Object} before computeEntry result without the campaign
+ * @param {Object} after computeEntry result with it
+ * @returns {{ before: Object|null, after: Object|null }} computeImpact
+ *   results, null where the object misses
+ */
+export function resimulate(settings, before, after) {
+  const run = (entry) => entry.hits ? computeImpact({ ...settings, lat: entry.lat, lng: entry.lng }) : null
+  return { before: run(before), after: run(after) }
+}
+
+/**
+ * Campaign as JSON, for saving and replaying later.
+ * @param {{ name: string, missions: Mission[] }} campaign
+ * @returns {string}
+ */
+export const serializeCampaign = ({ name, missions }) =>
+  JSON.stringify({ version: CAMPAIGN_VERSION, name, missions }, null, 2)
+
+/**
+ * Read a saved campaign, checking its shape.
+ * @param {string} text JSON from serializeCampaign
+ * @returns {{ name: string, missions: Mission[] }}
+ */
+export function parseCampaign(text) {
+  let data
+  try {
+    data = JSON.parse(text)
+  } catch {
+    throw new Error('Campaign file is not valid JSON')
+  }
+  if (data?.version !== CAMPAIGN_VERSION || !Array.isArray(data.missions)) {
+    throw new Error('Not a deflection campaign file')
+  }
+  data.missions.forEach((mission, i) => {
+    if (!CAMPAIGN_METHODS.includes(mission?.method)) throw new Error(`Mission ${i + 1}: unknown method "${mission?.method}"`)
+    if (Number.isNaN(new Date(mission.date).getTime())) throw new Error(`Mission ${i + 1}: invalid date "${mission.date}"`)
+    if (typeof mission.params !== 'object' || mission.params === null) throw new Error(`Mission ${i + 1}: missing parameters`)
+  })
+  return {
+    name: String(data.name ?? 'Campaign'),
+    missions: data.missions.map((mission, i) => ({ ...mission, id: String(mission.id ?? i) }))
+  }
+}
@@ -0,0 +1,123 @@
+import { describe, it, expect } from 'vitest'
+import { applyCampaign, serializeCampaign, parseCampaign, CAMPAIGN_VERSION } from './campaign.js'
+import { approachFromSpeed, defaultBPlane } from './bplane.js'
+import { methodById } from '../data/deflectionMethods.js'
+
+// A 150 m stony body arriving at 15 km/s, aimed for a 45° entry
+const approach = approachFromSpeed(15, new Date('2040-06-01T00:00:00Z'))
+const bPlane = defaultBPlane(approach)
+const asteroid = { diameter: 150, density: 2600, mass: 2600 * Math.PI / 6 * Math.pow(150, 3) }
+
+const mission = (id, method, date, changes = {}) => ({ id, method, date, params: methodById(method).defaults, ...changes })
+const run = (missions) => applyCampaign({ approach, bPlane, missions, asteroid })
+
+describe('applyCampaign', () => {
+  it('hits without missions', () => {
+    const outcome = run([])
+    expect(outcome.steps).toEqual([])
+    expect(outcome.before.hits).toBe(true)
+    expect(outcome.entry.hits).toBe(true)
+  })
+
+  it('applies missions in date order, whatever order they are listed in', () => {
+    const outcome = run([
+      mission('late', 'kinetic', '2035-01-01'),
+      mission('early', 'kinetic', '2030-01-01')
+    ])
+    expect(outcome.steps.map(step => step.mission.id)).toEqual(['early', 'late'])
+    expect(outcome.steps[0].leadTime).toBeGreaterThan(outcome.steps[1].leadTime)
+    // Each step moves the aim point on from where the previous one left it
+    const [first, second] = outcome.steps
+    expect(first.bPlane.zeta).toBeCloseTo(bPlane.zeta + first.displacement / 1000)
+    expect(second.bPlane.zeta).toBeCloseTo(first.bPlane.zeta + second.displacement / 1000)
+    expect(outcome.bPlane).toEqual(second.bPlane)
+  })
+
+  it('gives an earlier mission a larger shift', () => {
+    const [early] = run([mission('a', 'kinetic', '2025-01-01')]).steps
+    const [late] = run([mission('a', 'kinetic', '2038-01-01')]).steps
+    expect(early.displacement).toBeGreaterThan(late.displacement)
+  })
+
+  it('records a step error for a mission after the encounter and carries on', () => {
+    const outcome = run([
+      mission('too-late', 'kinetic', '2041-01-01'),
+      mission('ok', 'kinetic', '2030-01-01')
+    ])
+    const failed = outcome.steps.find(step => step.mission.id === 'too-late')
+    expect(failed.error).toMatch(/after the encounter/)
+    expect(failed.bPlane).toBeUndefined()
+    expect(outcome.steps.find(step => step.mission.id === 'ok').error).toBeNull()
+    expect(outcome.bPlane.zeta).toBeGreaterThan(bPlane.zeta)
+  })
+
+  it('scales the shift and Δv by the mission efficiency', () => {
+    const [full] = run([mission('a', 'kinetic', '2030-01-01')]).steps
+    const [partial] = run([mission('a', 'kinetic', '2030-01-01', { efficiency: 0.25 })]).steps
+    expect(partial.displacement).toBeCloseTo(full.displacement * 0.25)
+    expect(partial.deltaV).toBeCloseTo(full.deltaV * 0.25)
+    const [failed] = run([mission('a', 'kinetic', '2030-01-01', { efficiency: 0 })]).steps
+    expect(failed.displacement).toBe(0)
+  })
+
+  it('rejects an efficiency outside 0-1', () => {
+    const [step] = run([mission('a', 'kinetic', '2030-01-01', { efficiency: 1.5 })]).steps
+    expect(step.error).toMatch(/Efficiency/)
+  })
+
+  it('turns a hit into a miss with enough push', () => {
+    const outcome = run([mission('a', 'nuclear', '2020-01-01', { params: { ...methodById('nuclear').defaults, yield: 1000 } })])
+    expect(outcome.steps[0].error).toBeNull()
+    expect(outcome.entry.hits).toBe(false)
+  })
+})
+
+describe('serializeCampaign and parseCampaign', () => {
+  const campaign = {
+    name: 'Two step',
+    missions: [
+      mission('1', 'kinetic', '2030-01-01', { efficiency: 0.5 }),
+      mission('2', 'nuclear', '2032-01-01')
+    ]
+  }
+
+  it('round-trips a campaign', () => {
+    const parsed = parseCampaign(serializeCampaign(campaign))
+    expect(parsed.name).toBe('Two step')
+    expect(parsed.missions.map(m => [m.id, m.method, m.date, m.efficiency])).toEqual([
+      ['1', 'kinetic', '2030-01-01', 0.5],
+      ['2', 'nuclear', '2032-01-01', undefined]
+    ])
+    expect(parsed.missions[0].params).toEqual(methodById('kinetic').defaults)
+  })
+
+  it('saves a blank irradiated fraction as null, which still runs as blank', () => {
+    const parsed = parseCampaign(serializeCampaign(campaign))
+    expect(campaign.missions[1].params.irradiatedFraction).toBeNaN()
+    expect(parsed.missions[1].params.irradiatedFraction).toBeNull()
+    const before = run(campaign.missions).steps[1]
+    const after = run(parsed.missions).steps[1]
+    expect(after.error).toBeNull()
+    expect(after.displacement).toBeCloseTo(before.displacement)
+  })
+
+  it('fills in missing mission ids', () => {
+    const text = JSON.stringify({ version: CAMPAIGN_VERSION, missions: [{ method: 'kinetic', date: '2030-01-01', params: {} }] })
+    const parsed = parseCampaign(text)
+    expect(parsed.missions[0].id).toBe('0')
+    expect(parsed.name).toBe('Campaign')
+  })
+
+  it('rejects other files', () => {
+    expect(() => parseCampaign('not json')).toThrow('not valid JSON')
+    expect(() => parseCampaign(JSON.stringify({ ...JSON.parse(serializeCampaign(campaign)), version: CAMPAIGN_VERSION + 1 }))).toThrow('Not a deflection campaign file')
+    expect(() => parseCampaign(JSON.stringify({ version: CAMPAIGN_VERSION }))).toThrow('Not a deflection campaign file')
+  })
+
+  it('rejects unknown methods, bad dates and missing parameters', () => {
+    const withMission = (changes) => JSON.stringify({ version: CAMPAIGN_VERSION, missions: [{ ...mission('1', 'kinetic', '2030-01-01'), ...changes }] })
+    expect(() => parseCampaign(withMission({ method: 'laser' }))).toThrow('Mission 1: unknown method "laser"')
+    expect(() => parseCampaign(withMission({ date: 'someday' }))).toThrow('Mission 1: invalid date')
+    expect(() => parseCampaign(withMission({ params: null }))).toThrow('Mission 1: missing parameters')
+  })
+})
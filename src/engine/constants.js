@@ -0,0 +1,17 @@
+// Shared physical constants for the impact engine (SI units unless noted)
+
+export const JOULES_PER_MEGATON = 4.184e15
+export const JOULES_PER_KILOTON = 4.184e12
+
+export const EARTH_RADIUS = 6371000 // meters
+export const EARTH_GRAVITY = 9.81 // m/s²
+export const AU = 149597870700 // meters (1 Astronomical Unit)
+
+export const EARTH_SURFACE_AREA = 510100000 // km²
+export const OCEAN_AREA = 361900000 // km² (71% of Earth is ocean)
+export const LAND_AREA = EARTH_SURFACE_AREA - OCEAN_AREA
+export const URBAN_AREA = 1500000 // km² (approximate global urban area)
+export const GLOBAL_POPULATION = 8000000000 // ~8 billion people
+
+export const MPH_PER_MS = 2.237
+export const EARTH_ESCAPE_VELOCITY = 11186 // m/s at the surface
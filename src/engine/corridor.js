@@ -0,0 +1,147 @@
+// Risk corridor from B-plane uncertainty
+//
+// An impact prediction's uncertainty is an ellipse on the B-plane, long and
+// thin because timing is far less certain than the orbit's geometry.
+// Sampling it and following each sample to the ground with the entry model
+// gives the familiar risk corridor: a narrow band stretched across the
+// globe along the Earth's rotation. Samples are drawn from a seeded
+// generator so a corridor can be reproduced exactly. Hits are binned along
+// the band's length; each bin gives a centreline point, the band edges and
+// the population living inside the band there.
+
+import { greatCircleDistance } from './geo.js'
+import { gridDensity, populationProfile } from './population.js'
+import { computeEntry, ENTRY_ALTITUDE } from './bplane.js'
+import { createRandom, gaussian } from './random.js'
+
+const DEG = Math.PI / 180
+
+export const DEFAULT_SAMPLES = 400
+export const DEFAULT_SEED = 1
+const DEFAULT_BINS = 24
+
+/**
+ * @typedef {Object} UncertaintyEllipse
+ * @property {number} sigmaMajor 1σ semi-axis along the long direction (km)
+ * @property {number} sigmaMinor 1σ semi-axis across it (km)
+ * @property {number} orientation Angle of the long axis from ξ towards ζ (deg)
+ */
+
+// Shift each longitude by whole turns to stay within 180° of the previous
+// one, so lines crossing the antimeridian are drawn continuously
+const unwrap = (points) => {
+  let previous = null
+  return points.map(({ lat, lng }) => {
+    let next = lng
+    if (previous !== null) next -= 360 * Math.round((next - previous) / 360)
+    previous = next
+    return [lat, next]
+  })
+}
+
+/**
+ * Sample a B-plane uncertainty ellipse and map it onto the ground.
+ * @param {Object} params
+ * @param {import('./bplane.js').Approach} params.approach
+ * @param {{ xi: number, zeta: number }} params.center Nominal aim point (km)
+ * @param {UncertaintyEllipse} params.ellipse
+ * @param {number} [params.samples]
+ * @param {number} [params.seed]
+ * @param {number} [params.exposureRadius] Radius of serious damage around
+ *   each entry point (m); sets the band's minimum width and the exposure
+ *   counted per sample
+ * @param {number} [params.bins] Segments along the corridor
+ * @param {number} [params.altitude] Entry interface height (km)
+ * @returns {Object} samples ({ lat, lng, hits }[]), impactFraction,
+ *   centerline and band ([lat, lng][] for Leaflet), segments ({ lat, lng,
+ *   length, width (m), population }[]), length (m), corridorPopulation and
+ *   meanExposure (people within exposureRadius of an impact, averaged over
+ *   the samples that hit)
+ */
+export function computeCorridor({
+  approach,
+  center,
+  ellipse,
+  samples = DEFAULT_SAMPLES,
+  seed = DEFAULT_SEED,
+  exposureRadius = 0,
+  bins = DEFAULT_BINS,
+  altitude = ENTRY_ALTITUDE
+}) {
+  if (!(ellipse.sigmaMajor >= 0 && ellipse.sigmaMinor >= 0)) {
+    throw new RangeError('computeCorridor: ellipse semi-axes must be non-negative')
+  }
+  if (!(samples >= 1)) throw new RangeError(`computeCorridor: need at least one sample, got ${samples}`)
+
+  const random = createRandom(seed)
+  const cos = Math.cos(ellipse.orientation * DEG)
+  const sin = Math.sin(ellipse.orientation * DEG)
+  // Ground point for coordinates along (s) and across (l) the long axis
+  const entryAt = (s, l) => computeEntry({
+    approach,
+    bPlane: { xi: center.xi + s * cos - l * sin, zeta: center.zeta + s * sin + l * cos },
+    altitude,
+    trackPoints: 0
+  })
+
+  const points = Array.from({ length: samples }, () => {
+    const s = gaussian(random) * ellipse.sigmaMajor
+    const l = gaussian(random) * ellipse.sigmaMinor
+    const entry = entryAt(s, l)
+    return entry.hits ? { hits: true, lat: entry.lat, lng: entry.lng, s } : { hits: false }
+  })
+  const hits = points.filter(p => p.hits)
+
+  const exposures = hits.map(p => populationProfile(p.lat, p.lng).within(exposureRadius))
+  const meanExposure = hits.length > 0 ? exposures.reduce((sum, n) => sum + n, 0) / hits.length : 0
+
+  // Equal-count bins along the band. Each is drawn at its median s: the
+  // centreline on the long axis and the edges at ±2σ across it, falling
+  // back to the centre where an edge would miss the Earth
+  const ordered = [...hits].sort((a, b) => a.s - b.s)
+  const binCount = Math.min(bins, ordered.length)
+  const stations = Array.from({ length: binCount }, (_, i) =>
+    ordered[Math.floor((i + 0.5) * ordered.length / binCount)].s)
+    .map(s => {
+      const middle = entryAt(s, 0)
+      if (!middle.hits) return null
+      const edge = (l) => {
+        const entry = entryAt(s, l)
+        return entry.hits ? entry : middle
+      }
+      return { center: middle, left: edge(-2 * ellipse.sigmaMinor), right: edge(2 * ellipse.sigmaMinor) }
+    })
+    .filter(Boolean)
+
+  const minWidth = 2 * exposureRadius
+  const centers = stations.map(station => station.center)
+  const segments = stations.map(({ center: point, left, right }, i) => {
+    // Half the distance to each neighbour, so the lengths add up end to end
+    const previous = centers[i - 1] ?? point
+    const next = centers[i + 1] ?? point
+    const length = (greatCircleDistance(previous.lat, previous.lng, point.lat, point.lng) +
+      greatCircleDistance(point.lat, point.lng, next.lat, next.lng)) / 2
+    const width = Math.max(greatCircleDistance(left.lat, left.lng, right.lat, right.lng), minWidth)
+    // gridDensity is per km²
+    const population = gridDensity(point.lat, point.lng) * (Math.max(length, minWidth) * width) / 1e6
+    return { lat: point.lat, lng: point.lng, length, width, population }
+  })
+
+  const centerline = unwrap(centers)
+  const left = unwrap(stations.map(station => station.left))
+  const right = unwrap(stations.map(station => station.right))
+  // Keep the far edge in the same longitude turn as the near one
+  const offset = left.length > 0 ? 360 * Math.round((left[0][1] - right[0][1]) / 360) : 0
+  const band = [...left, ...right.reverse().map(([lat, lng]) => [lat, lng + offset])]
+
+  return {
+    samples: points.map(({ hits, lat, lng }) => ({ hits, lat, lng })),
+    impactFraction: hits.length / samples,
+    centerline,
+    band,
+    segments,
+    length: segments.reduce((sum, seg) => sum + seg.length, 0),
+    corridorPopulation: segments.reduce((sum, seg) => sum + seg.population, 0),
+    meanExposure
+  }
+}
@@ -0,0 +1,32 @@
+import { describe, it, expect } from 'vitest'
+import { computeCorridor } from './corridor.js'
+import { approachFromSpeed, defaultBPlane } from './bplane.js'
+
+const approach = approachFromSpeed(15, new Date('2040-06-01T00:00:00Z'))
+// Long enough across the B-plane that part of the ellipse misses
+const ellipse = { sigmaMajor: 4000, sigmaMinor: 200, orientation: 30 }
+const corridor = (seed) => computeCorridor({ approach, center: defaultBPlane(approach), ellipse, samples: 60, bins: 8, seed })
+
+describe('computeCorridor', () => {
+  it('draws the same band from the same seed', () => {
+    expect(corridor(7)).toEqual(corridor(7))
+  })
+
+  it('draws a different band from a different seed', () => {
+    const [a, b] = [corridor(7), corridor(8)]
+    expect(b.samples).not.toEqual(a.samples)
+    expect(b.band).not.toEqual(a.band)
+  })
+
+  it('misses with part of a wide ellipse and lists one segment per station', () => {
+    const result = corridor(7)
+    expect(result.impactFraction).toBeGreaterThan(0)
+    expect(result.impactFraction).toBeLessThan(1)
+    expect(result.segments.length).toBeLessThanOrEqual(8)
+    expect(result.band).toHaveLength(2 * result.centerline.length)
+  })
+
+  it('rejects a negative spread', () => {
+    expect(() => computeCorridor({ approach, center: defaultBPlane(approach), ellipse: { ...ellipse, sigmaMinor: -1 } })).toThrow(RangeError)
+  })
+})
@@ -0,0 +1,123 @@
+// Crater scaling
+//
+// Transient crater size from Pi-group scaling in the gravity regime
+// (Schmidt & Housen 1987, Holsapple 1993) in the form used by Collins et al.
+// (2005), followed by collapse into a simple bowl or a complex crater.
+// All lengths are in meters.
+
+import { EARTH_GRAVITY } from './constants.js'
+
+export const WATER_DENSITY = 1000 // kg/m³
+export const DEFAULT_WATER_DEPTH = 3800 // m (average ocean depth)
+
+// Transition diameters are the observed simple-to-complex transition on
+// Earth for each rock type (Grieve & Pilkington 1996)
+export const TARGETS = [
+  { id: 'sedimentary', label: 'Sedimentary Rock', icon: '🏜️', density: 2500, transitionDiameter: 2000 },
+  { id: 'crystalline', label: 'Crystalline Rock', icon: '🪨', density: 2750, transitionDiameter: 4000 },
+  { id: 'water', label: 'Water over Rock', icon: '🌊', density: 2700, transitionDiameter: 3200, water: true }
+]
+
+export const DEFAULT_TARGET = 'sedimentary'
+
+export const targetById = (id) => TARGETS.find(t => t.id === id) || TARGETS.find(t => t.id === DEFAULT_TARGET)
+
+// Transient crater diameter for a projectile of diameter L (m) hitting at
+// speed v (m/s) and angle theta (rad). The 1.161 and 1.365 prefactors are the
+// Collins et al. fits for rock and water targets respectively.
+export const transientDiameter = ({ diam, speed, angleRad, density, targetDensity, coefficient = 1.161 }) =>
+  coefficient *
+  Math.pow(density / targetDensity, 1/3) *
+  Math.pow(diam, 0.78) *
+  Math.pow(speed, 0.44) *
+  Math.pow(EARTH_GRAVITY, -0.22) *
+  Math.pow(Math.sin(angleRad), 1/3)
+
+// Collapse of the transient cavity into the final crater
+export const finalCrater = (transient, transitionDiameter) => {
+  const transientDepth = transient / (2 * Math.SQRT2)
+  const simpleDiameter = 1.25 * transient
+
+  if (simpleDiameter <= transitionDiameter) {
+    // Simple bowl partly filled with a breccia lens
+    const rimHeight = 0.07 * Math.pow(transient, 4) / Math.pow(simpleDiameter, 3)
+    const brecciaVolume = 0.032 * Math.pow(simpleDiameter, 3)
+    const brecciaThickness = 2.8 * brecciaVolume *
+      ((transientDepth + rimHeight) / (transientDepth * Math.pow(simpleDiameter, 2)))
+    return {
+      isComplex: false,
+      diameter: simpleDiameter,
+      depth: transientDepth + rimHeight - brecciaThickness,
+      rimHeight,
+      brecciaThickness
+    }
+  }
+
+  // Complex crater: wider and much shallower than the transient cavity. The
+  // depth fit is in kilometers. Breccia lens thickness is only defined for
+  // simple craters.
+  const diameter = 1.17 * Math.pow(transient, 1.13) / Math.pow(transitionDiameter, 0.13)
+  const depth = 0.294 * Math.pow(diameter / 1000, 0.301) * 1000
+  return {
+    isComplex: true,
+    diameter,
+    depth,
+    rimHeight: 0.07 * Math.pow(transient, 4) / Math.pow(diameter, 3),
+    brecciaThickness: null
+  }
+}
+
+/**
+ * Crater produced by a projectile that reached the ground.
+ * @param {Object} params
+ * @param {number} params.diam        Projectile diameter at the surface (m)
+ * @param {number} params.speed       Speed at the surface (m/s)
+ * @param {number} params.angle       Impact angle from horizontal (degrees)
+ * @param {number} params.density     Projectile density (kg/m³)
+ * @param {string} [params.target]    One of TARGETS ids
+ * @param {number} [params.waterDepth] Water depth for water targets (m)
+ */
+export function computeCrater({ diam, speed, angle, density, target = DEFAULT_TARGET, waterDepth = DEFAULT_WATER_DEPTH }) {
+  const t = targetById(target)
+  const angleRad = angle * Math.PI / 180
+
+  if (!(diam > 0 && speed > 0)) {
+    return {
+      target: t.id,
+      transientDiameter: 0,
+      diameter: 0,
+      depth: 0,
+      rimHeight: 0,
+      brecciaThickness: null,
+      isComplex: false,
+      waterCavityDiameter: 0,
+      seafloorSpeed: 0
+    }
+  }
+
+  let seafloorSpeed = speed
+  let waterCavityDiameter = 0
+  if (t.water) {
+    waterCavityDiameter = transientDiameter({
+      diam, speed, angleRad, density, targetDensity: WATER_DENSITY, coefficient: 1.365
+    })
+    // Drag through the water column slows the projectile before it reaches
+    // the seafloor (Collins et al. 2005, eq. 26)
+    seafloorSpeed = speed * Math.exp(
+      -3 * WATER_DENSITY * 2 * waterDepth / (2 * density * diam * Math.sin(angleRad))
+    )
+  }
+
+  const transient = transientDiameter({
+    diam, speed: seafloorSpeed, angleRad, density, targetDensity: t.density
+  })
+  const crater = finalCrater(transient, t.transitionDiameter)
+
+  return {
+    target: t.id,
+    transientDiameter: transient,
+    ...crater,
+    waterCavityDiameter,
+    seafloorSpeed
+  }
+}
@@ -0,0 +1,359 @@
+// Deflection planning
+//
+// A push Δv along an asteroid's orbit changes its period, so it arrives
+// early or late by an amount that grows with the lead time t: about 3·Δv·t
+// along track once t spans an orbit or more (Ahrens & Harris 1992), but only
+// the straight-line Δv·t over days. The Clohessy-Wiltshire equations for a
+// circular 1 AU orbit cover both. The shift moves the aim point along
+// the B-plane's timing axis, and Earth's gravity then bends the deflected
+// path back in, so the closest approach follows from the hyperbola. A
+// central hit, the worst case, is assumed before deflection, with the push
+// along the orbit where it does the most. Slow pushes, such as a gravity
+// tractor or an ion beam shepherd, add Δv gradually; each increment drifts
+// for the time left until the encounter.
+
+import { EARTH_RADIUS, EARTH_ESCAPE_VELOCITY, JOULES_PER_KILOTON } from './constants.js'
+
+export const SECONDS_PER_YEAR = 365.25 * 86400
+const GRAVITATIONAL_CONSTANT = 6.674e-11 // m³/(kg·s²)
+
+// Earth's gravitational parameter (m³/s²)
+const GM_EARTH = EARTH_ESCAPE_VELOCITY * EARTH_ESCAPE_VELOCITY * EARTH_RADIUS / 2
+
+// Clearance asked for above the surface, in Earth radii
+export const DEFAULT_MARGIN = 1
+
+/**
+ * Closest approach to Earth's centre for an aim point.
+ * @param {number} b B-plane distance (m)
+ * @param {number} vInfinity km/s
+ * @returns {number} m
+ */
+export const perigeeDistance = (b, vInfinity) => {
+  const a = GM_EARTH / Math.pow(vInfinity * 1000, 2)
+  return a * (Math.sqrt(1 + Math.pow(b / a, 2)) - 1)
+}
+
+/**
+ * B-plane distance whose closest approach is a given distance from Earth's
+ * centre; the inverse of perigeeDistance.
+ * @param {number} distance m
+ * @param {number} vInfinity km/s
+ * @returns {number} m
+ */
+export const aimDistance = (distance, vInfinity) =>
+  distance * Math.sqrt(1 + 2 * GM_EARTH / (distance * Math.pow(vInfinity * 1000, 2)))
+
+// Mean motion of a circular 1 AU orbit (rad/s)
+const MEAN_MOTION = 2 * Math.PI / SECONDS_PER_YEAR
+
+/**
+ * Shift at encounter per unit along-track Δv applied leadTime earlier:
+ * the along-track and radial Clohessy-Wiltshire terms combined.
+ * @param {number} leadTime s
+ * @returns {number} m per m/s
+ */
+export const shiftPerDeltaV = (leadTime) => {
+  const x = MEAN_MOTION * leadTime
+  return Math.hypot(4 * Math.sin(x) - 3 * x, 2 * (1 - Math.cos(x))) / MEAN_MOTION
+}
+
+// Shift (m) at encounter for a Δv (m/s) applied leadTime (s) earlier
+export const encounterShift = (deltaV, leadTime) => deltaV * shiftPerDeltaV(leadTime)
+
+// Impulsive Δv (m/s) at leadTime (s) that gives the same shift as displacement (m)
+export const equivalentDeltaV = (displacement, leadTime) => displacement / shiftPerDeltaV(leadTime)
+
+// Integrals over the time u left before encounter of the two terms above
+const alongIntegral = (u) => -4 * Math.cos(MEAN_MOTION * u) / (MEAN_MOTION * MEAN_MOTION) - 1.5 * u * u
+const radialIntegral = (u) => 2 * u / MEAN_MOTION - 2 * Math.sin(MEAN_MOTION * u) / (MEAN_MOTION * MEAN_MOTION)
+
+// Shift (m) from a steady acceleration (m/s²) applied for duration seconds,
+// starting leadTime seconds before the encounter
+const pushShift = (acceleration, duration, leadTime) => {
+  const end = leadTime - duration
+  return acceleration * Math.hypot(
+    alongIntegral(leadTime) - alongIntegral(end),
+    radialIntegral(leadTime) - radialIntegral(end)
+  )
+}
+
+// Shift (m) that clears the surface by margin Earth radii
+export const requiredShift = (vInfinity, margin = DEFAULT_MARGIN) => aimDistance(EARTH_RADIUS * (1 + margin), vInfinity)
+
+// Miss geometry for a shift at encounter (m)
+const missFromShift = (displacement, vInfinity, margin) => {
+  const missDistance = perigeeDistance(displacement, vInfinity)
+  return {
+    displacement,
+    missDistance,
+    clearance: missDistance - EARTH_RADIUS,
+    requiredDisplacement: requiredShift(vInfinity, margin),
+    misses: missDistance > EARTH_RADIUS * (1 + margin)
+  }
+}
+
+const checkEncounter = (name, leadTime, vInfinity, margin) => {
+  if (!(leadTime > 0)) throw new RangeError(`${name}: lead time must be positive, got ${leadTime} years`)
+  if (!(vInfinity > 0)) throw new RangeError(`${name}: v∞ must be positive, got ${vInfinity} km/s`)
+  if (!(margin >= 0)) throw new RangeError(`${name}: margin must be zero or more, got ${margin}`)
+}
+
+/**
+ * Outcome of a push applied a lead time before impact.
+ * @param {Object} params
+ * @param {number} params.deltaV Velocity change (m/s)
+ * @param {number} params.leadTime Years before impact
+ * @param {number} params.vInfinity Approach speed (km/s)
+ * @param {number} [params.margin] Clearance above the surface (Earth radii)
+ * @returns {{ displacement: number, missDistance: number, clearance: number,
+ *   requiredDisplacement: number, requiredDeltaV: number, misses: boolean }}
+ *   Lengths in m, requiredDeltaV in m/s; clearance is the closest approach
+ *   above the surface, negative for a hit
+ */
+export function deflectionOutcome({ deltaV, leadTime, vInfinity, margin = DEFAULT_MARGIN }) {
+  checkEncounter('deflectionOutcome', leadTime, vInfinity, margin)
+  const seconds = leadTime * SECONDS_PER_YEAR
+  const outcome = missFromShift(encounterShift(deltaV, seconds), vInfinity, margin)
+  return { ...outcome, requiredDeltaV: equivalentDeltaV(outcome.requiredDisplacement, seconds) }
+}
+
+/**
+ * Kinetic impactor: a spacecraft hits the asteroid and the ejecta thrown
+ * back multiply its momentum by β, so Δv = β·m·U / M.
+ * @param {Object} params
+ * @param {number} params.asteroidMass kg
+ * @param {number} params.spacecraftMass kg
+ * @param {number} params.relativeSpeed Impact speed relative to the asteroid (km/s)
+ * @param {number} params.beta Momentum enhancement factor, 1 with no ejecta
+ * @param {number} params.leadTime Years before impact
+ * @param {number} params.vInfinity Approach speed (km/s)
+ * @param {number} [params.margin] Clearance above the surface (Earth radii)
+ * @returns deflectionOutcome's fields plus deltaV (m/s) and the spacecraft
+ *   count needed to reach requiredDeltaV
+ */
+export function kineticImpactor({ asteroidMass, spacecraftMass, relativeSpeed, beta, leadTime, vInfinity, margin }) {
+  if (!(asteroidMass > 0)) throw new RangeError(`kineticImpactor: asteroid mass must be positive, got ${asteroidMass} kg`)
+  if (!(spacecraftMass > 0)) throw new RangeError(`kineticImpactor: spacecraft mass must be positive, got ${spacecraftMass} kg`)
+  if (!(relativeSpeed > 0)) throw new RangeError(`kineticImpactor: relative speed must be positive, got ${relativeSpeed} km/s`)
+  if (!(beta >= 1)) throw new RangeError(`kineticImpactor: β must be at least 1, got ${beta}`)
+
+  const deltaV = beta * spacecraftMass * relativeSpeed * 1000 / asteroidMass
+  const outcome = deflectionOutcome({ deltaV, leadTime, vInfinity, margin })
+  return { ...outcome, deltaV, impactorsNeeded: Math.ceil(outcome.requiredDeltaV / deltaV) }
+}
+
+// Points in a slow push's timeline
+const TIMELINE_POINTS = 25
+
+/**
+ * Steady push on the asteroid for part of the warning time.
+ * @param {Object} params
+ * @param {number} params.acceleration m/s²
+ * @param {number} params.duration Years of pushing, from the start of the lead time
+ * @param {number} params.leadTime Years before impact when the push starts
+ * @param {number} params.vInfinity Approach speed (km/s)
+ * @param {number} [params.margin] Clearance above the surface (Earth radii)
+ * @returns missFromShift's fields plus deltaV (m/s) accumulated,
+ *   requiredDuration (years, Infinity when no push within the lead time is
+ *   enough) and timeline ({ time (years), deltaV, missDistance }[]): the
+ *   encounter the push would give if it stopped at that time
+ */
+export function slowPush({ acceleration, duration, leadTime, vInfinity, margin = DEFAULT_MARGIN }) {
+  checkEncounter('slowPush', leadTime, vInfinity, margin)
+  if (!(acceleration > 0)) throw new RangeError(`slowPush: acceleration must be positive, got ${acceleration} m/s²`)
+  if (!(duration > 0 && duration <= leadTime)) {
+    throw new RangeError(`slowPush: duration must be positive and within the ${leadTime}-year lead time, got ${duration} years`)
+  }
+
+  const lead = leadTime * SECONDS_PER_YEAR
+  const seconds = duration * SECONDS_PER_YEAR
+  const outcome = missFromShift(pushShift(acceleration, seconds, lead), vInfinity, margin)
+
+  // Shortest push that is enough, by bisection; the shift grows with the
+  // push's length
+  let requiredDuration = Infinity
+  if (pushShift(acceleration, lead, lead) >= outcome.requiredDisplacement) {
+    let low = 0
+    let high = lead
+    for (let i = 0; i < 50; i++) {
+      const mid = (low + high) / 2
+      if (pushShift(acceleration, mid, lead) >= outcome.requiredDisplacement) high = mid
+      else low = mid
+    }
+    requiredDuration = high / SECONDS_PER_YEAR
+  }
+
+  const timeline = Array.from({ length: TIMELINE_POINTS }, (_, i) => {
+    const t = seconds * i / (TIMELINE_POINTS - 1)
+    return {
+      time: t / SECONDS_PER_YEAR,
+      deltaV: acceleration * t,
+      missDistance: perigeeDistance(pushShift(acceleration, t, lead), vInfinity)
+    }
+  })
+
+  return { ...outcome, deltaV: acceleration * seconds, requiredDuration, timeline }
+}
+
+/**
+ * Gravity tractor: a spacecraft hovering beside the asteroid pulls it with
+ * its own gravity, a = G·m / d², tilting its thrusters so the exhaust
+ * misses the surface.
+ * @param {Object} params
+ * @param {number} params.spacecraftMass kg
+ * @param {number} params.hoverDistance From the asteroid's centre (m)
+ * @param {number} [params.asteroidRadius] m; hovering inside it is refused
+ * @returns slowPush's fields plus acceleration (m/s²)
+ */
+export function gravityTractor({ spacecraftMass, hoverDistance, asteroidRadius = 0, ...encounter }) {
+  if (!(spacecraftMass > 0)) throw new RangeError(`gravityTractor: spacecraft mass must be positive, got ${spacecraftMass} kg`)
+  if (!(hoverDistance > asteroidRadius)) {
+    throw new RangeError(`gravityTractor: hover distance must be beyond the asteroid's ${Math.round(asteroidRadius)} m radius, got ${hoverDistance} m`)
+  }
+  const acceleration = GRAVITATIONAL_CONSTANT * spacecraftMass / (hoverDistance * hoverDistance)
+  return { ...slowPush({ acceleration, ...encounter }), acceleration }
+}
+
+/**
+ * Ion beam shepherd: a spacecraft aims its ion exhaust at the asteroid,
+ * transferring the thrust to it while a second engine holds station.
+ * @param {Object} params
+ * @param {number} params.asteroidMass kg
+ * @param {number} params.thrust Force delivered to the asteroid (N)
+ * @returns slowPush's fields plus acceleration (m/s²)
+ */
+export function ionBeamShepherd({ asteroidMass, thrust, ...encounter }) {
+  if (!(asteroidMass > 0)) throw new RangeError(`ionBeamShepherd: asteroid mass must be positive, got ${asteroidMass} kg`)
+  if (!(thrust > 0)) throw new RangeError(`ionBeamShepherd: thrust must be positive, got ${thrust} N`)
+  const acceleration = thrust / asteroidMass
+  return { ...slowPush({ acceleration, ...encounter }), acceleration }
+}
+
+// Depth of rock heated by the neutrons of a standoff burst (m), which sets
+// the ablated mass (Ahrens & Harris 1992)
+const NEUTRON_DEPOSITION_DEPTH = 0.2
+
+// Catastrophic disruption threshold Q*D (J/kg) for basalt at about 3 km/s,
+// strength and gravity regimes (Benz & Asphaug 1999), radius in m
+export const disruptionThreshold = (radius, density) => {
+  const r = radius * 100 // cm
+  const ergPerGram = 3.5e7 * Math.pow(r, -0.38) + 0.3 * (density / 1000) * Math.pow(r, 1.36)
+  return ergPerGram * 1e-4
+}
+
+// Largest remnant mass fraction for a specific energy over Q*D, linear up to
+// 1.8 times the threshold and a power law beyond (Leinhardt & Stewart 2012)
+const largestRemnantFraction = (ratio) => ratio < 1.8
+  ? Math.min(1, Math.max(0, 1 - 0.5 * ratio))
+  : 0.1 * Math.pow(ratio / 1.8, -1.5)
+
+// Cumulative size-frequency slope of the smaller fragments, N(>d) ∝ d^-b
+const FRAGMENT_SLOPE = 2.5
+const FRAGMENT_CLASSES = 8
+
+/**
+ * Fragments of a disrupted body: the largest remnant, then classes of
+ * halving diameter whose counts follow the power law, scaled so the
+ * classes hold the rest of the mass.
+ * @param {number} diameter Parent diameter (m)
+ * @param {number} ratio Specific energy over the disruption threshold
+ * @returns {{ diameter: number, count: number }[]} Largest first
+ */
+export function fragmentSizes(diameter, ratio) {
+  const remnant = largestRemnantFraction(ratio)
+  const largest = diameter * Math.cbrt(remnant)
+  const classes = Array.from({ length: FRAGMENT_CLASSES }, (_, i) => {
+    const k = i + 1
+    return {
+      diameter: largest / Math.pow(2, k),
+      share: Math.pow(2, k * FRAGMENT_SLOPE) - Math.pow(2, (k - 1) * FRAGMENT_SLOPE)
+    }
+  })
+  // Volumes as fractions of the parent's
+  const volume = classes.reduce((sum, c) => sum + c.share * Math.pow(c.diameter / diameter, 3), 0)
+  const scale = (1 - remnant) / volume
+  return [
+    { diameter: largest, count: 1 },
+    ...classes.map(c => ({ diameter: c.diameter, count: Math.round(c.share * scale) })).filter(c => c.count > 0)
+  ]
+}
+
+// Share of the surface a burst at a height above it can see
+export const irradiatedFraction = (radius, standoff) => standoff / (2 * (radius + standoff))
+
+/**
+ * Nuclear standoff burst: X-rays and neutrons heat a thin layer of the lit
+ * surface, which blows off and pushes the body the other way. The
+ * intercepted share of the yield follows from the solid angle the body
+ * fills; the coupling efficiency is the part of that ending up as kinetic
+ * energy of the ablated layer, whose momentum is √(2·m·E), reduced by the
+ * spread of directions over the lit cap. The same energy, spread through the
+ * body, is compared with its disruption threshold.
+ * @param {Object} params
+ * @param {number} params.asteroidMass kg
+ * @param {number} params.diameter m
+ * @param {number} params.density kg/m³
+ * @param {number} params.yield Device yield (kt)
+ * @param {number} params.standoff Burst height above the surface (m)
+ * @param {number} [params.irradiatedFraction] Share of the surface lit;
+ *   from the standoff geometry when omitted
+ * @param {number} params.coupling Share of intercepted energy carried off
+ *   by the ablated layer (0-1)
+ * @param {number} params.leadTime Years before impact
+ * @param {number} params.vInfinity Approach speed (km/s)
+ * @param {number} [params.margin] Clearance above the surface (Earth radii)
+ * @returns deflectionOutcome's fields plus deltaV (m/s), interceptedFraction,
+ *   irradiatedFraction, ablatedMass (kg), coupledEnergy (J),
+ *   specificEnergy and disruptionThreshold (J/kg), disruptionRatio,
+ *   disrupted and fragments (fragmentSizes, empty unless disrupted)
+ */
+export function nuclearStandoff({
+  asteroidMass,
+  diameter,
+  density,
+  yield: kilotons,
+  standoff,
+  irradiatedFraction: lit,
+  coupling,
+  ...encounter
+}) {
+  if (!(asteroidMass > 0)) throw new RangeError(`nuclearStandoff: asteroid mass must be positive, got ${asteroidMass} kg`)
+  if (!(diameter > 0 && density > 0)) throw new RangeError('nuclearStandoff: asteroid diameter and density must be positive')
+  if (!(kilotons > 0)) throw new RangeError(`nuclearStandoff: yield must be positive, got ${kilotons} kt`)
+  if (!(standoff > 0)) throw new RangeError(`nuclearStandoff: standoff must be positive, got ${standoff} m`)
+  if (!(coupling > 0 && coupling <= 1)) throw new RangeError(`nuclearStandoff: coupling must be between 0 and 1, got ${coupling}`)
+
+  const radius = diameter / 2
+  const irradiated = lit ?? irradiatedFraction(radius, standoff)
+  if (!(irradiated > 0 && irradiated <= 0.5)) {
+    throw new RangeError(`nuclearStandoff: irradiated fraction must be above 0 and at most 0.5, got ${irradiated}`)
+  }
+
+  // Solid angle of the body seen from the burst, as a share of the sphere
+  const interceptedFraction = (1 - Math.sqrt(1 - Math.pow(radius / (radius + standoff), 2))) / 2
+  const coupledEnergy = kilotons * JOULES_PER_KILOTON * interceptedFraction * coupling
+  const ablatedMass = density * irradiated * 4 * Math.PI * radius * radius * NEUTRON_DEPOSITION_DEPTH
+  // Mean axial component of the normals over a cap covering that share
+  const directionality = 1 - irradiated
+  const deltaV = Math.sqrt(2 * ablatedMass * coupledEnergy) * directionality / asteroidMass
+
+  const specificEnergy = coupledEnergy / asteroidMass
+  const threshold = disruptionThreshold(radius, density)
+  const disruptionRatio = specificEnergy / threshold
+  const disrupted = disruptionRatio >= 1
+
+  return {
+    ...deflectionOutcome({ deltaV, ...encounter }),
+    deltaV,
+    interceptedFraction,
+    irradiatedFraction: irradiated,
+    ablatedMass,
+    coupledEnergy,
+    specificEnergy,
+    disruptionThreshold: threshold,
+    disruptionRatio,
+    disrupted,
+    fragments: disrupted ? fragmentSizes(diameter, disruptionRatio) : []
+  }
+}
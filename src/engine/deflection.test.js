@@ -0,0 +1,172 @@
+import { describe, it, expect } from 'vitest'
+import {
+  kineticImpactor,
+  gravityTractor,
+  ionBeamShepherd,
+  nuclearStandoff,
+  disruptionThreshold,
+  fragmentSizes,
+  shiftPerDeltaV,
+  deflectionOutcome,
+  SECONDS_PER_YEAR
+} from './deflection.js'
+import { DART } from '../data/deflectionMethods.js'
+
+// Dimorphos, DART's target (Daly et al. 2023)
+const DIMORPHOS_MASS = 4.3e9 // kg
+
+describe('kineticImpactor', () => {
+  const dart = (changes = {}) => kineticImpactor({
+    asteroidMass: DIMORPHOS_MASS,
+    spacecraftMass: DART.mass,
+    relativeSpeed: DART.speed,
+    beta: DART.beta,
+    leadTime: 10,
+    vInfinity: 10,
+    ...changes
+  })
+
+  it('gives DART a Δv of about 3 mm/s, β·m·U/M', () => {
+    const { deltaV } = dart()
+    expect(deltaV).toBeCloseTo(DART.beta * DART.mass * DART.speed * 1000 / DIMORPHOS_MASS, 12)
+    // Cheng et al. (2023) measured 2.7 mm/s along track, with the rest off axis
+    expect(deltaV).toBeGreaterThan(2.5e-3)
+    expect(deltaV).toBeLessThan(3.5e-3)
+  })
+
+  it('scales Δv linearly with β', () => {
+    expect(dart({ beta: 2 * DART.beta }).deltaV).toBeCloseTo(2 * dart().deltaV, 12)
+  })
+
+  it('counts the impactors needed for the required Δv', () => {
+    const result = dart({ asteroidMass: DIMORPHOS_MASS * 1000 })
+    expect(result.impactorsNeeded).toBe(Math.ceil(result.requiredDeltaV / result.deltaV))
+    expect(result.impactorsNeeded).toBeGreaterThan(1)
+  })
+
+  it('rejects β below 1 and a non-positive lead time', () => {
+    expect(() => dart({ beta: 0.5 })).toThrow(RangeError)
+    expect(() => dart({ leadTime: 0 })).toThrow(RangeError)
+  })
+})
+
+describe('shiftPerDeltaV', () => {
+  it('grows as 3·t once the lead time spans several orbits', () => {
+    for (const years of [5, 10, 20]) {
+      const t = years * SECONDS_PER_YEAR
+      expect(shiftPerDeltaV(t) / (3 * t)).toBeCloseTo(1, 1)
+    }
+  })
+
+  it('is the straight-line t over a few days', () => {
+    const t = 3 * 86400
+    expect(shiftPerDeltaV(t) / t).toBeCloseTo(1, 3)
+  })
+
+  it('turns a push into a miss once the lead time is long enough', () => {
+    const push = (leadTime) => deflectionOutcome({ deltaV: 0.01, leadTime, vInfinity: 10 })
+    expect(push(0.1).misses).toBe(false)
+    expect(push(20).misses).toBe(true)
+    expect(push(20).displacement).toBeGreaterThan(push(10).displacement)
+  })
+})
+
+describe('slow pushes', () => {
+  const encounter = { leadTime: 20, vInfinity: 10 }
+  const shepherd = (changes = {}) => ionBeamShepherd({ asteroidMass: 1e10, thrust: 0.5, duration: 5, ...encounter, ...changes })
+  const tractor = (changes = {}) => gravityTractor({ spacecraftMass: 20000, hoverDistance: 150, asteroidRadius: 100, duration: 5, ...encounter, ...changes })
+
+  it('pulls with the tractor\'s own gravity, G·m/d²', () => {
+    expect(tractor().acceleration).toBeCloseTo(6.674e-11 * 20000 / (150 * 150), 20)
+    expect(tractor({ hoverDistance: 300 }).acceleration).toBeCloseTo(tractor().acceleration / 4, 20)
+  })
+
+  it('scales the shift with thrust and spacecraft mass', () => {
+    expect(shepherd({ thrust: 1 }).displacement).toBeCloseTo(2 * shepherd().displacement, 6)
+    expect(tractor({ spacecraftMass: 40000 }).displacement).toBeCloseTo(2 * tractor().displacement, 6)
+  })
+
+  it('grows the shift and Δv with the time spent pushing', () => {
+    const [short, long, all] = [1, 5, 20].map(duration => shepherd({ duration }))
+    expect(long.deltaV).toBeCloseTo(5 * short.deltaV, 12)
+    expect(long.displacement).toBeGreaterThan(short.displacement)
+    expect(all.displacement).toBeGreaterThan(long.displacement)
+    // Later thrust has less time to drift, so a longer push gains less per year
+    expect(all.displacement / long.displacement).toBeLessThan(4)
+  })
+
+  it('matches an impulse when the push is short', () => {
+    const brief = shepherd({ duration: 0.01 })
+    const impulse = deflectionOutcome({ deltaV: brief.deltaV, ...encounter })
+    expect(brief.displacement / impulse.displacement).toBeCloseTo(1, 2)
+  })
+
+  it('finds the shortest push that clears Earth', () => {
+    const result = shepherd({ thrust: 5 })
+    expect(result.requiredDuration).toBeLessThan(encounter.leadTime)
+    expect(shepherd({ thrust: 5, duration: result.requiredDuration * 1.01 }).misses).toBe(true)
+    expect(shepherd({ thrust: 5, duration: result.requiredDuration * 0.99 }).misses).toBe(false)
+  })
+
+  it('rejects a push longer than the lead time or a tractor inside the body', () => {
+    expect(() => shepherd({ duration: 21 })).toThrow(RangeError)
+    expect(() => tractor({ hoverDistance: 50 })).toThrow(RangeError)
+  })
+})
+
+describe('nuclearStandoff', () => {
+  const body = (diameter) => ({ diameter, density: 2600, asteroidMass: 2600 * Math.PI / 6 * Math.pow(diameter, 3) })
+  const burst = (diameter, kilotons) => nuclearStandoff({
+    ...body(diameter),
+    yield: kilotons,
+    standoff: 0.41 * diameter / 2,
+    coupling: 0.05,
+    leadTime: 10,
+    vInfinity: 10
+  })
+
+  it('compares the specific energy with Q*D', () => {
+    const result = burst(300, 100)
+    expect(result.disruptionThreshold).toBe(disruptionThreshold(150, 2600))
+    expect(result.disruptionRatio).toBeCloseTo(result.specificEnergy / result.disruptionThreshold, 12)
+    expect(result.specificEnergy).toBeCloseTo(result.coupledEnergy / body(300).asteroidMass, 12)
+  })
+
+  it('has Q*D weakest at a few hundred metres, between the strength and gravity regimes', () => {
+    const [small, middle, large] = [1, 150, 5000].map(radius => disruptionThreshold(radius, 2600))
+    expect(middle).toBeLessThan(small)
+    expect(middle).toBeLessThan(large)
+  })
+
+  it('pushes a large body intact and breaks up a small one', () => {
+    const large = burst(500, 100)
+    expect(large.disruptionRatio).toBeLessThan(1)
+    expect(large.disrupted).toBe(false)
+    expect(large.fragments).toEqual([])
+    expect(large.deltaV).toBeGreaterThan(0)
+
+    const small = burst(50, 1000)
+    expect(small.disruptionRatio).toBeGreaterThanOrEqual(1)
+    expect(small.disrupted).toBe(true)
+    expect(small.fragments.length).toBeGreaterThan(1)
+  })
+
+  it('rejects a coupling outside 0-1', () => {
+    expect(() => nuclearStandoff({ ...body(300), yield: 100, standoff: 60, coupling: 1.5, leadTime: 10, vInfinity: 10 })).toThrow(RangeError)
+  })
+})
+
+describe('fragmentSizes', () => {
+  it('keeps the parent\'s mass across the fragments', () => {
+    for (const ratio of [1, 2, 10]) {
+      const volume = fragmentSizes(100, ratio).reduce((sum, f) => sum + f.count * Math.pow(f.diameter / 100, 3), 0)
+      expect(volume).toBeCloseTo(1, 1)
+    }
+  })
+
+  it('leaves a smaller largest remnant for a stronger blast', () => {
+    const [weak, strong] = [1, 10].map(ratio => fragmentSizes(100, ratio)[0].diameter)
+    expect(strong).toBeLessThan(weak)
+    expect(weak).toBeLessThan(100)
+  })
+})
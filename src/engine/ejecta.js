@@ -0,0 +1,94 @@
+// Ejecta
+//
+// Blanket thickness, mean fragment size and ballistic arrival time as a
+// function of distance from the crater, after Collins et al. (2005). Arrival
+// times use a 45° ejection angle on a spherical Earth, so the same expressions
+// cover local debris and the global fallout of very large impacts.
+
+import { EARTH_RADIUS, EARTH_GRAVITY } from './constants.js'
+
+const EJECTION_ANGLE = Math.PI / 4
+const MU = EARTH_GRAVITY * EARTH_RADIUS * EARTH_RADIUS // m³/s²
+const FRAGMENT_EXPONENT = 2.65
+
+// Thickness grades drawn on the map
+export const EJECTA_GRADES = [
+  { thickness: 10, label: 'Buried', description: 'Ejecta deeper than a three-storey building', color: '#78350f' },
+  { thickness: 1, label: 'Heavy', description: 'Structures crushed, roads and fields buried', color: '#92400e' },
+  { thickness: 0.1, label: 'Moderate', description: 'Roofs collapse under the debris load', color: '#b45309' },
+  { thickness: 0.01, label: 'Light', description: 'A layer of dust and gravel', color: '#d97706' },
+  { thickness: 0.001, label: 'Trace', description: 'Fine dust settles out', color: '#fbbf24' }
+]
+
+// An ejecta layer still at least this thick this far away is treated as global
+const GLOBAL_THICKNESS = 0.001
+const GLOBAL_RANGE = 5000000
+
+// Thickness (m) at range r from the centre of a transient crater of diameter D
+export const ejectaThickness = (transientDiameter, r) =>
+  Math.pow(transientDiameter, 4) / (112 * Math.pow(r, 3))
+
+export const rangeForThickness = (transientDiameter, thickness) =>
+  Math.cbrt(Math.pow(transientDiameter, 4) / (112 * thickness))
+
+// Mean fragment size (m) at range r around a final crater of diameter D.
+// The d_c fit takes the crater radius in kilometers and blows up for small
+// craters, so fragments are capped at a tenth of the crater diameter.
+export const meanFragmentSize = (finalDiameter, r) => {
+  const dc = 2400 * Math.pow(finalDiameter / 2000, -1.62)
+  const size = dc * Math.pow(finalDiameter / (2 * r), FRAGMENT_EXPONENT)
+  return Math.min(size, finalDiameter / 10)
+}
+
+// Ejection speed needed to land at ground range r (Collins et al. eq. 36)
+export const ejectionSpeed = (r) => {
+  const t = Math.tan(r / (2 * EARTH_RADIUS))
+  return Math.sqrt(2 * EARTH_GRAVITY * EARTH_RADIUS * t / (1 + t))
+}
+
+// Time of flight (s) of a ballistic fragment landing at ground range r
+export const arrivalTime = (r) => {
+  const v = ejectionSpeed(r)
+  const nu = v * v * EARTH_RADIUS / MU
+  if (nu >= 2) return Infinity
+  const a = EARTH_RADIUS / (2 - nu)
+  const e = Math.sqrt(1 + nu * (nu - 2) * Math.pow(Math.cos(EJECTION_ANGLE), 2))
+  if (e < 1e-9) return 0
+  const launch = Math.acos(Math.max(-1, Math.min(1, (1 - EARTH_RADIUS / a) / e)))
+  // Time from launch up to apoapsis, doubled for the symmetric descent
+  return 2 * Math.sqrt(a * a * a / MU) * (Math.PI - (launch - e * Math.sin(launch)))
+}
+
+/**
+ * Ejecta from a crater.
+ * @param {Object} params
+ * @param {number} params.transientDiameter Transient crater diameter (m)
+ * @param {number} params.finalDiameter     Final crater diameter (m)
+ */
+export function computeEjecta({ transientDiameter, finalDiameter }) {
+  const rim = finalDiameter / 2
+  const maxRange = Math.PI * EARTH_RADIUS * 0.95 // short of the antipode
+
+  const rings = EJECTA_GRADES.map(g => {
+    const range = transientDiameter > 0 ? rangeForThickness(transientDiameter, g.thickness) : 0
+    const radius = range > rim ? Math.min(range, maxRange) : 0
+    return {
+      ...g,
+      radius,
+      fragmentSize: radius > 0 ? meanFragmentSize(finalDiameter, radius) : 0,
+      arrivalTime: radius > 0 ? arrivalTime(radius) : 0
+    }
+  })
+
+  const isGlobal = transientDiameter > 0 &&
+    ejectaThickness(transientDiameter, GLOBAL_RANGE) >= GLOBAL_THICKNESS
+
+  return {
+    rimThickness: rim > 0 ? ejectaThickness(transientDiameter, rim) : 0,
+    rimFragmentSize: rim > 0 ? meanFragmentSize(finalDiameter, rim) : 0,
+    rings,
+    isGlobal,
+    globalThickness: isGlobal ? ejectaThickness(transientDiameter, maxRange) : 0,
+    globalArrivalTime: isGlobal ? arrivalTime(maxRange) : 0
+  }
+}
@@ -0,0 +1,141 @@
+// Atmospheric entry and fragmentation
+//
+// Numerically integrates a single body through an exponential atmosphere
+// along a straight-line trajectory. The body ablates and decelerates until the
+// ram pressure exceeds its strength; from then on it spreads laterally as a
+// "pancake" (Chyba et al. 1993, Collins et al. 2005) until it either reaches
+// the ground or flattens to PANCAKE_FACTOR times its original radius, which is
+// taken as the burst point.
+
+import { EARTH_GRAVITY } from './constants.js'
+
+export const SEA_LEVEL_DENSITY = 1.225 // kg/m³
+export const SCALE_HEIGHT = 8000 // m
+export const ENTRY_ALTITUDE = 100000 // m, top of the modelled atmosphere
+export const DRAG_COEFFICIENT = 2
+export const PANCAKE_FACTOR = 7 // max flattened radius / initial radius
+
+// Bulk strengths are order-of-magnitude values for fractured bodies, ablation
+// coefficients follow Ceplecha's fireball types (s²/m²).
+export const MATERIALS = [
+  { id: 'chondrite', label: 'Chondrite', icon: '🗿', density: 3500, strength: 1e6, ablation: 1.4e-8 },
+  { id: 'carbonaceous', label: 'Carbon', icon: '⚫', density: 3200, strength: 1e5, ablation: 4.2e-8 },
+  { id: 'iron', label: 'Iron', icon: '⚙️', density: 7800, strength: 5e7, ablation: 7e-9 },
+  { id: 'stony-iron', label: 'Mixed', icon: '🔩', density: 5200, strength: 1e7, ablation: 1e-8 },
+  { id: 'rocky', label: 'Rocky', icon: '🌋', density: 2700, strength: 5e5, ablation: 2.1e-8 }
+]
+
+// Collins et al. (2005) eq. 10, used for densities that are not in the table
+export const strengthFromDensity = (density) => Math.pow(10, 2.107 + 0.0624 * Math.sqrt(density))
+
+export const materialForDensity = (density) => {
+  const match = MATERIALS.find(m => m.density === Number(density))
+  if (match) return match
+  return {
+    id: 'custom',
+    label: 'Custom',
+    density: Number(density),
+    strength: strengthFromDensity(density),
+    ablation: 1.4e-8
+  }
+}
+
+export const atmosphericDensity = (altitude) =>
+  SEA_LEVEL_DENSITY * Math.exp(-Math.max(0, altitude) / SCALE_HEIGHT)
+
+const MAX_STEPS = 200000
+const ALTITUDE_STEP = 25 // m of descent per integration step
+const MIN_SPEED = 100 // m/s, below this the body is in free fall
+
+/**
+ * Fly a body from ENTRY_ALTITUDE down to the burst point or the ground.
+ * @param {Object} params
+ * @param {number} params.diam     Diameter (m)
+ * @param {number} params.speed    Entry speed (m/s)
+ * @param {number} params.angle    Entry angle from horizontal (degrees)
+ * @param {number} params.density  Bulk density (kg/m³)
+ * @param {number} [params.strength] Yield strength (Pa), defaults from density
+ * @param {number} [params.ablation] Ablation coefficient (s²/m²)
+ */
+export function simulateEntry({ diam, speed, angle, density, strength, ablation }) {
+  const material = materialForDensity(density)
+  const yieldStrength = strength ?? material.strength
+  const sigma = ablation ?? material.ablation
+  const sinTheta = Math.max(Math.sin(angle * Math.PI / 180), 1e-3)
+
+  const r0 = diam / 2
+  const m0 = density * (4/3) * Math.PI * Math.pow(r0, 3)
+  const initialEnergy = 0.5 * m0 * speed * speed
+
+  let z = ENTRY_ALTITUDE
+  let v = speed
+  let m = m0
+  let r = r0
+  let dr = 0 // lateral spreading rate after breakup (m/s)
+  let t = 0
+  let breakupAltitude = null
+  let breakupSpeed = null
+  let breakupEnergy = null
+  let burstAltitude = null
+
+  for (let step = 0; step < MAX_STEPS && z > 0; step++) {
+    const rho = atmosphericDensity(z)
+
+    if (breakupAltitude === null && rho * v * v > yieldStrength) {
+      breakupAltitude = z
+      breakupSpeed = v
+      breakupEnergy = 0.5 * m * v * v
+    }
+
+    const dt = Math.min(ALTITUDE_STEP / (v * sinTheta), 0.05)
+    const area = Math.PI * r * r
+    const dv = (-DRAG_COEFFICIENT * rho * area * v * v / (2 * m) + EARTH_GRAVITY * sinTheta) * dt
+    // Ablation only matters for the intact body; once it pancakes the drag
+    // term dominates and the debris cloud is treated as a single mass
+    const dm = breakupAltitude === null ? -0.5 * sigma * rho * area * v * v * v * dt : 0
+
+    if (breakupAltitude !== null) {
+      // Pancake spreading driven by the pressure difference across the body,
+      // d²L/dt² = Cd ρ v² / (ρi L) written for the radius
+      const accel = DRAG_COEFFICIENT * rho * v * v / (4 * density * r)
+      dr += accel * dt
+      r += dr * dt
+    }
+
+    z -= v * sinTheta * dt
+    v = Math.max(0, v + dv)
+    m = Math.max(m + dm, m0 * 1e-6)
+    t += dt
+
+    if (breakupAltitude !== null && r >= PANCAKE_FACTOR * r0) {
+      burstAltitude = Math.max(0, z)
+      break
+    }
+    if (v < MIN_SPEED) break
+  }
+
+  const finalEnergy = 0.5 * m * v * v
+  const isAirburst = burstAltitude !== null && burstAltitude > 0
+  const formsCrater = !isAirburst && z <= 0 && v >= MIN_SPEED
+
+  return {
+    material: material.id,
+    strength: yieldStrength,
+    initialEnergy,
+    breakupAltitude,
+    breakupSpeed,
+    burstAltitude: isAirburst ? burstAltitude : 0,
+    isAirburst,
+    formsCrater,
+    // An airburst releases what the body still carried when it broke up (the
+    // pancake deposits it over the last scale heights before the burst point);
+    // a ground impact delivers whatever is left when it reaches the surface
+    burstEnergy: isAirburst ? breakupEnergy : 0,
+    groundEnergy: formsCrater ? finalEnergy : 0,
+    deliveredEnergy: isAirburst ? breakupEnergy : formsCrater ? finalEnergy : 0,
+    groundSpeed: formsCrater ? v : 0,
+    groundMass: formsCrater ? m : 0,
+    fragmentRadius: r,
+    duration: t
+  }
+}
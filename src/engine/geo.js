@@ -0,0 +1,14 @@
+// Spherical Earth geometry helpers
+
+import { EARTH_RADIUS } from './constants.js'
+
+const RAD = Math.PI / 180
+
+// Great-circle distance (m) between two points given in degrees
+export const greatCircleDistance = (lat1, lng1, lat2, lng2) => {
+  const dLat = (lat2 - lat1) * RAD
+  const dLng = (lng2 - lng1) * RAD
+  const a = Math.pow(Math.sin(dLat / 2), 2) +
+    Math.cos(lat1 * RAD) * Math.cos(lat2 * RAD) * Math.pow(Math.sin(dLng / 2), 2)
+  return 2 * EARTH_RADIUS * Math.asin(Math.min(1, Math.sqrt(a)))
+}
@@ -0,0 +1,386 @@
+// Impact physics engine
+//
+// Pure, UI-independent port of the impact calculations. Everything here is
+// synchronous and side-effect free: population density has to be resolved by
+// the caller (see services/worldpop.js) and passed in with the rest of the
+// input. Results are raw numbers in SI units (meters, joules, m/s) unless a
+// field name says otherwise; formatting belongs to the UI.
+
+import {
+  JOULES_PER_MEGATON,
+  EARTH_SURFACE_AREA,
+  OCEAN_AREA,
+  LAND_AREA,
+  URBAN_AREA,
+  MPH_PER_MS
+} from './constants.js'
+import { simulateEntry } from './entry.js'
+import { computeCrater, targetById, DEFAULT_TARGET } from './crater.js'
+import { computeBlast, radiusForPsi, radiusForWind, peakOverpressure, peakWindSpeed } from './blast.js'
+import { computeThermal, DEFAULT_VISIBILITY } from './thermal.js'
+import { computeSeismic } from './seismic.js'
+import { computeEjecta } from './ejecta.js'
+import { computeTsunami } from './tsunami.js'
+import { surfaceAt } from './surface.js'
+import { populationProfile } from './population.js'
+import { resolveSpeed } from './speed.js'
+
+/**
+ * @typedef {Object} ImpactInput
+ * @property {number} diam       Projectile diameter (m)
+ * @property {number} [speed]    Entry speed (km/s), at least Earth's escape speed
+ * @property {number} [vInfinity] Approach speed before Earth's pull (km/s); takes
+ *   precedence over speed, which is then derived from it (see speed.js)
+ * @property {number} angle      Impact angle from horizontal (degrees)
+ * @property {number} density    Projectile density (kg/m³)
+ * @property {number} lat        Impact latitude (degrees)
+ * @property {number} lng        Impact longitude (degrees)
+ * @property {number} [popDensity] Measured population density at the impact point (people/km²),
+ *   refines the bundled population grid for rings smaller than a grid cell
+ * @property {string} [target]   Rock type for land impacts, one of crater.js TARGETS ids
+ * @property {number} [waterDepth] Water depth for water impacts (m), defaults to the water body's mean depth
+ * @property {string} [visibility] Atmospheric visibility, one of thermal.js VISIBILITY ids
+ */
+
+export const DEFAULT_SETTINGS = {
+  diam: 500,
+  speed: 17,
+  angle: 45,
+  density: 3500,
+  target: DEFAULT_TARGET,
+  visibility: DEFAULT_VISIBILITY
+}
+
+// Ground range (m) of the reported wind speed
+const WIND_REFERENCE_RANGE = 10000
+
+const toNumber = (value, name) => {
+  const n = Number(value)
+  if (!Number.isFinite(n)) {
+    throw new TypeError(`computeImpact: "${name}" must be a finite number, got ${value}`)
+  }
+  return n
+}
+
+/**
+ * Compute the full set of impact effects for a single scenario.
+ * @param {ImpactInput} input
+ */
+export function computeImpact(input) {
+  const d = toNumber(input.diam, 'diam')
+  // Either speed gives the other; unphysical values throw a RangeError
+  const speeds = resolveSpeed(input.vInfinity == null
+    ? { speed: toNumber(input.speed, 'speed') }
+    : { vInfinity: toNumber(input.vInfinity, 'vInfinity') })
+  const speed = speeds.speed
+  const angle = toNumber(input.angle, 'angle')
+  const density = toNumber(input.density, 'density')
+  const lat = toNumber(input.lat, 'lat')
+  const lng = toNumber(input.lng, 'lng')
+  const popDensity = input.popDensity == null ? undefined : Math.max(0, toNumber(input.popDensity, 'popDensity'))
+
+  // Land or water comes from the bundled mask, never from population data.
+  // Water impacts always use the water target; on land the chosen rock type.
+  const surface = surfaceAt(lat, lng)
+  const isWaterImpact = surface.type !== 'land'
+  const requestedTarget = input.target ?? DEFAULT_TARGET
+  const target = isWaterImpact ? 'water' : targetById(requestedTarget).water ? DEFAULT_TARGET : requestedTarget
+  const waterDepth = isWaterImpact
+    ? Math.max(1, toNumber(input.waterDepth ?? surface.depth, 'waterDepth'))
+    : 0
+  const visibility = input.visibility ?? DEFAULT_VISIBILITY
+
+  // People are counted ring by ring from the bundled population grid, so an
+  // impact beside a city is neither uniformly rural nor uniformly urban
+  const population = populationProfile(lat, lng, popDensity)
+
+  const r = d/2
+  const volume = (4/3)*Math.PI*Math.pow(r,3)
+  const mass = density * volume
+  const v = speed*1000
+  const energy = 0.5 * mass * v * v
+  const megatons = energy / JOULES_PER_MEGATON
+  const gigatons = megatons / 1000
+  const impactAngleRad = (angle * Math.PI) / 180 // Convert degrees to radians
+
+  // Atmospheric entry decides how much of that energy reaches the burst
+  // point or the ground. Only a ground impact digs a crater or shakes the
+  // ground; the fireball and blast use whatever is delivered either way.
+  const entry = simulateEntry({ diam: d, speed: v, angle, density })
+  const deliveredEnergy = entry.deliveredEnergy
+  const deliveredMegatons = deliveredEnergy / JOULES_PER_MEGATON
+  const groundEnergy = entry.groundEnergy
+
+  // Crater from Pi-group scaling, using whatever survived entry. Ablation
+  // shrinks the body, so the diameter at the surface comes from its mass.
+  const surfaceDiameter = entry.formsCrater ? Math.cbrt(6 * entry.groundMass / (Math.PI * density)) : 0
+  const crater = computeCrater({
+    diam: surfaceDiameter,
+    speed: entry.groundSpeed,
+    angle,
+    density,
+    target,
+    waterDepth
+  })
+  const craterDiameter = crater.diameter
+  const craterDepth = crater.depth
+
+  // Pi-group scaling puts the angle dependence in a sin(θ)^(1/3) term
+  const angleScaling = Math.pow(Math.sin(impactAngleRad), 1/3)
+
+  // Crater effects
+  const craterVaporized = Math.round(population.within(craterDiameter / 2))
+
+  // Fireball and thermal radiation, using the energy at the burst point or
+  // the ground and the speed the body had when it released it
+  const thermal = computeThermal({
+    energy: deliveredEnergy,
+    speed: entry.isAirburst ? entry.breakupSpeed : entry.groundSpeed,
+    burstHeight: entry.burstAltitude,
+    visibility
+  })
+  const fireballRadius = thermal.fireballRadius
+  const thermalRadius = (id) => thermal.rings.find(ring => ring.id === id).radius
+  const clothingIgnitionRadius = thermalRadius('clothing')
+  const burns3rdDegreeRadius = thermalRadius('burns3')
+  const burns2ndDegreeRadius = thermalRadius('burns2')
+  const treeFires = thermalRadius('trees')
+  // Casualties are counted over ground ranges: the fireball only engulfs
+  // people where it reaches the ground, the rings already are ground ranges
+  const groundFireballRadius = fireballRadius > entry.burstAltitude
+    ? Math.sqrt(fireballRadius * fireballRadius - entry.burstAltitude * entry.burstAltitude)
+    : 0
+  const lethalRadius = Math.max(groundFireballRadius, clothingIgnitionRadius)
+  const fireballDeaths = Math.round(population.within(lethalRadius) * 0.9) // 90% fatality in fireball or burning clothes
+  const burns3rdDegree = Math.round(population.between(burns3rdDegreeRadius, lethalRadius))
+  const burns2ndDegree = Math.round(population.between(burns2ndDegreeRadius, Math.max(lethalRadius, burns3rdDegreeRadius)))
+
+  // Shock wave calculations: peak overpressure rings from yield scaling and
+  // burst height (airbursts are elevated, ground impacts are surface bursts)
+  const blast = computeBlast(deliveredEnergy, entry.burstAltitude)
+  const shockWaveDecibels = deliveredMegatons > 0 ? Math.min(300, 180 + 20 * Math.log10(deliveredMegatons)) : 0
+  const blastRings = blast.rings.map((ring, i) => {
+    const inner = i > 0 ? blast.rings[i - 1].radius : 0
+    const deaths = Math.round(population.between(ring.radius, inner) * ring.fatality)
+    return { ...ring, deaths }
+  })
+  const ringRadius = (psi) => blastRings.find(ring => ring.psi === psi).radius
+  const buildingCollapseRadius = ringRadius(20)
+  const homeCollapseRadius = ringRadius(5)
+  const lungDamageRadius = radiusForPsi(15, blast.yieldKt, blast.burstHeight)
+  const eardrumRadius = radiusForPsi(5, blast.yieldKt, blast.burstHeight)
+  const shockWaveRadius = ringRadius(1)
+
+  // Deaths inside the 5 psi ring come from the shock itself (crushing,
+  // collapse); further out they come from the wind and flying debris
+  const shockWaveDeaths = blastRings.filter(ring => ring.psi >= 5).reduce((sum, ring) => sum + ring.deaths, 0)
+  const windDeaths = blastRings.filter(ring => ring.psi < 5).reduce((sum, ring) => sum + ring.deaths, 0)
+
+  // Airbursts leave no crater, so their destruction zone is the blast itself
+  const blastRadius = entry.formsCrater ? craterDiameter * 2.5 : buildingCollapseRadius
+
+  // Wind blast calculations, from the same overpressure model
+  // The headline wind is taken at a fixed ground range, so it grows with
+  // the yield and falls with the burst height
+  const windSpeed = peakWindSpeed(peakOverpressure(WIND_REFERENCE_RANGE, blast.yieldKt, blast.burstHeight)) * MPH_PER_MS // mph
+  const jupiterWindRadius = radiusForWind(150, blast.yieldKt, blast.burstHeight) // Jupiter's strongest jets
+  const leveledRadius = buildingCollapseRadius
+  const tornadoRadius = radiusForWind(90, blast.yieldKt, blast.burstHeight) // EF5 tornado, 200 mph
+  const treeKnockRadius = ringRadius(3)
+
+  // Earthquake calculations: only the energy that reaches the ground shakes
+  // it. Casualties come from the Mercalli intensity bands, strongest first.
+  const seismic = computeSeismic(groundEnergy)
+  const earthquakeMagnitude = seismic.magnitude
+  const seismicRings = seismic.rings.map((ring, i) => {
+    const inner = i > 0 ? seismic.rings[i - 1].radius : 0
+    const deaths = Math.round(population.between(ring.radius, inner) * ring.fatality)
+    return { ...ring, deaths }
+  })
+  const earthquakeRadius = seismicRings[seismicRings.length - 1].radius // meters felt
+  const earthquakeDeaths = seismicRings.reduce((sum, ring) => sum + ring.deaths, 0)
+
+  // Ejecta blanket around the crater, graded by deposit thickness
+  const ejecta = computeEjecta({
+    transientDiameter: crater.transientDiameter,
+    finalDiameter: craterDiameter
+  })
+
+  // Tsunami from the water cavity of a sea or lake impact, with runup and
+  // arrival time at the named coasts it reaches
+  const tsunami = computeTsunami({
+    cavityDiameter: isWaterImpact && entry.formsCrater ? crater.waterCavityDiameter : 0,
+    waterDepth,
+    lat,
+    lng,
+    basin: surface.basin
+  })
+
+  // Impact probability analysis (percentages)
+  const probabilityOcean = (OCEAN_AREA / EARTH_SURFACE_AREA) * 100 // ~71%
+  const probabilityLand = (LAND_AREA / EARTH_SURFACE_AREA) * 100 // ~29%
+  const probabilityUrban = (URBAN_AREA / EARTH_SURFACE_AREA) * 100 // ~0.3%
+  const probabilityRural = probabilityLand - probabilityUrban
+
+  // Impact frequency (very rough estimates)
+  const impactFrequency = megatons > 10000 ? 65000000 :
+                         megatons > 1000 ? 650000 :
+                         megatons > 100 ? 65000 :
+                         megatons > 10 ? 6500 :
+                         megatons > 1 ? 650 : 65
+
+  // Energy comparisons
+  const hurricaneComparison = energy / (1.5e16) // hurricane releases ~1.5e16 J per day
+
+  return {
+    lat,
+    lng,
+    diam: d,
+    speed,
+    angle,
+    vInfinity: speeds.vInfinity,
+    gravitationalFocusing: speeds.focusing,
+    density,
+    mass,
+    energy,
+    megatons,
+    gigatons,
+    craterDiameter,
+    craterDepth,
+    transientCraterDiameter: crater.transientDiameter,
+    craterRimHeight: crater.rimHeight,
+    brecciaThickness: crater.brecciaThickness,
+    isComplexCrater: crater.isComplex,
+    waterCavityDiameter: crater.waterCavityDiameter,
+    targetType: crater.target,
+    craterAngleScaling: angleScaling * 100, // % of a vertical impact
+    craterShape: angle > 60 ? 'Circular' : angle > 30 ? 'Elliptical' : 'Highly Elongated',
+    blastRadius,
+    impactSpeed: v * MPH_PER_MS, // mph
+
+    // Atmospheric entry
+    material: entry.material,
+    materialStrength: entry.strength,
+    isAirburst: entry.isAirburst,
+    formsCrater: entry.formsCrater,
+    breakupAltitude: entry.breakupAltitude,
+    burstAltitude: entry.burstAltitude,
+    deliveredEnergy,
+    deliveredMegatons,
+    groundEnergy,
+    groundSpeed: entry.groundSpeed,
+
+    // Crater effects
+    craterVaporized,
+
+    // Fireball effects
+    fireballRadius,
+    fireballDuration: thermal.duration,
+    radiatedEnergy: thermal.radiatedEnergy,
+    visibility: thermal.visibility,
+    thermalRings: thermal.rings,
+    clothingIgnitionRadius,
+    burns3rdDegreeRadius,
+    burns2ndDegreeRadius,
+    fireballDeaths,
+    burns3rdDegree,
+    burns2ndDegree,
+    treeFires,
+
+    // Shock wave effects
+    shockWaveDecibels,
+    shockWaveDeaths,
+    shockWaveRadius,
+    blastRings,
+    lungDamageRadius,
+    eardrumRadius,
+    buildingCollapseRadius,
+    homeCollapseRadius,
+
+    // Wind effects
+    windSpeed,
+    windReferenceRange: WIND_REFERENCE_RANGE,
+    windDeaths,
+    jupiterWindRadius,
+    leveledRadius,
+    tornadoRadius,
+    treeKnockRadius,
+
+    // Earthquake effects
+    earthquakeMagnitude,
+    earthquakeDeaths,
+    earthquakeRadius,
+    maxIntensity: seismic.maxIntensity,
+    seismicRings,
+
+    // Ejecta effects
+    ejectaRings: ejecta.rings,
+    ejectaRimThickness: ejecta.rimThickness,
+    ejectaRimFragmentSize: ejecta.rimFragmentSize,
+    isGlobalEjecta: ejecta.isGlobal,
+    globalEjectaThickness: ejecta.globalThickness,
+    globalEjectaArrivalTime: ejecta.globalArrivalTime,
+
+    // Tsunami effects
+    surfaceType: surface.type,
+    waterBody: isWaterImpact ? surface.name : null,
+    isOceanImpact: surface.type === 'sea',
+    isLakeImpact: surface.type === 'lake',
+    waterDepth,
+    tsunamiHeight: tsunami.rimAmplitude, // at the cavity rim
+    tsunamiRadius: tsunami.hazardRadius,
+    tsunamiWaveSpeed: tsunami.waveSpeed,
+    tsunamiBasin: tsunami.basin,
+    tsunamiCoasts: tsunami.coasts,
+    tsunamiDeaths: tsunami.deaths,
+    tsunamiAffectedCoasts: tsunami.coasts.length,
+
+    // Impact probabilities (%)
+    probabilityOcean,
+    probabilityLand,
+    probabilityUrban,
+    probabilityRural,
+
+    // Comparisons
+    impactFrequency,
+    hurricaneComparison,
+
+    // Population data
+    populationDensity: Math.round(population.density),
+    populationSource: population.source,
+    populationAtRisk: Math.round(population.within(Math.max(shockWaveRadius, burns2ndDegreeRadius)))
+  }
+}
+
+// Results that are compared across the size scenarios
+const RANGE_KEYS = [
+  'diam', 'megatons', 'deliveredMegatons', 'craterDiameter', 'fireballRadius', 'burns3rdDegreeRadius',
+  'homeCollapseRadius', 'shockWaveRadius', 'earthquakeMagnitude', 'tsunamiHeight', 'craterVaporized',
+  'fireballDeaths', 'shockWaveDeaths', 'windDeaths', 'earthquakeDeaths', 'tsunamiDeaths'
+]
+
+const pick = (results) => Object.fromEntries(RANGE_KEYS.map(key => [key, results[key]]))
+
+/**
+ * Run the nominal scenario and, when a diameter range is given, the low and
+ * high ones too, e.g. for an object whose size is only known from its
+ * brightness (see size.js).
+ * @param {ImpactInput & { diamLow?: number, diamHigh?: number }} input
+ * @returns The nominal results, plus sizeRange: { low, high } holding the
+ *   RANGE_KEYS values of the other two scenarios when a range was run
+ */
+export function computeImpactRange(input) {
+  const nominal = computeImpact(input)
+  const low = Number(input.diamLow)
+  const high = Number(input.diamHigh)
+  if (!(Number.isFinite(low) && Number.isFinite(high) && low > 0 && low < high)) {
+    return { ...nominal, sizeRange: null }
+  }
+  return {
+    ...nominal,
+    sizeRange: {
+      low: pick(computeImpact({ ...input, diam: low })),
+      high: pick(computeImpact({ ...input, diam: high }))
+    }
+  }
+}
@@ -0,0 +1,116 @@
+import { describe, it, expect } from 'vitest'
+import { computeImpact, computeImpactRange } from './impact.js'
+
+// A 500 m stony body at 17 km/s, the app's default scenario
+const DEFAULT_BODY = { diam: 500, speed: 17, angle: 45, density: 3500 }
+
+describe('computeImpact', () => {
+  it('bursts a Chelyabinsk-sized body in the air', () => {
+    const results = computeImpact({ diam: 19, speed: 19, angle: 18, density: 3300, lat: 55.15, lng: 61.4 })
+    expect(results.isAirburst).toBe(true)
+    expect(results.craterDiameter).toBe(0)
+    expect(results.earthquakeMagnitude).toBe(0)
+    // About half a megaton, nearly all of it released in the air
+    expect(results.megatons).toBeGreaterThan(0.4)
+    expect(results.megatons).toBeLessThan(0.6)
+    expect(results.deliveredMegatons).toBeGreaterThan(0.99 * results.megatons)
+    // The 2013 burst was seen at about 30 km
+    expect(results.burstAltitude).toBeGreaterThan(20000)
+    expect(results.burstAltitude).toBeLessThan(45000)
+  })
+
+  it('digs a Meteor Crater-sized hole with an iron body on land', () => {
+    const results = computeImpact({ diam: 50, speed: 12.8, angle: 45, density: 7800, lat: 35.03, lng: -111.02 })
+    expect(results.isAirburst).toBe(false)
+    expect(results.waterBody).toBeNull()
+    expect(results.targetType).toBe('sedimentary')
+    // Barringer crater is about 1.2 km across
+    expect(results.craterDiameter).toBeGreaterThan(900)
+    expect(results.craterDiameter).toBeLessThan(1600)
+    expect(results.earthquakeMagnitude).toBeGreaterThan(4)
+    expect(results.tsunamiHeight).toBe(0)
+  })
+
+  it('raises a tsunami that reaches named coasts from an ocean impact', () => {
+    const results = computeImpact({ ...DEFAULT_BODY, lat: 30, lng: -40 })
+    expect(results.waterBody).toBe('Atlantic Ocean')
+    expect(results.targetType).toBe('water')
+    expect(results.waterCavityDiameter).toBeGreaterThan(0)
+    expect(results.tsunamiHeight).toBeGreaterThan(100)
+    expect(results.tsunamiAffectedCoasts).toBeGreaterThan(0)
+    expect(results.tsunamiCoasts).toHaveLength(results.tsunamiAffectedCoasts)
+  })
+
+  it('gives the same energy on land and at sea, but only a tsunami at sea', () => {
+    const land = computeImpact({ ...DEFAULT_BODY, lat: 39, lng: -98 })
+    const sea = computeImpact({ ...DEFAULT_BODY, lat: 30, lng: -40 })
+    expect(land.megatons).toBe(sea.megatons)
+    expect(land.tsunamiHeight).toBe(0)
+    expect(land.craterDiameter).toBeGreaterThan(sea.craterDiameter)
+  })
+
+  it('rejects a speed below Earth\'s escape speed', () => {
+    expect(() => computeImpact({ ...DEFAULT_BODY, speed: 5, lat: 0, lng: 0 })).toThrow(RangeError)
+  })
+
+  it('rejects inputs that are not numbers', () => {
+    expect(() => computeImpact({ ...DEFAULT_BODY, diam: 'big', lat: 0, lng: 0 })).toThrow(TypeError)
+    expect(() => computeImpact({ ...DEFAULT_BODY, diam: 'big', lat: 0, lng: 0 })).toThrow('"diam" must be a finite number')
+    expect(() => computeImpact({ ...DEFAULT_BODY, lat: undefined, lng: 0 })).toThrow('"lat"')
+  })
+
+  it('accepts numeric strings, as form inputs give them', () => {
+    const results = computeImpact({ diam: '500', speed: '17', angle: '45', density: '3500', lat: '39', lng: '-98' })
+    expect(results.megatons).toBe(computeImpact({ ...DEFAULT_BODY, lat: 39, lng: -98 }).megatons)
+  })
+})
+
+describe('computeImpactRange', () => {
+  const input = { ...DEFAULT_BODY, lat: 39, lng: -98 }
+
+  it('runs the low and high sizes around the nominal one', () => {
+    const results = computeImpactRange({ ...input, diamLow: 300, diamHigh: 800 })
+    expect(results.sizeRange.low.diam).toBe(300)
+    expect(results.sizeRange.high.diam).toBe(800)
+    expect(results.sizeRange.low.craterDiameter).toBeLessThan(results.craterDiameter)
+    expect(results.sizeRange.high.craterDiameter).toBeGreaterThan(results.craterDiameter)
+  })
+
+  it('skips the range when the bounds are missing or out of order', () => {
+    expect(computeImpactRange(input).sizeRange).toBeNull()
+    expect(computeImpactRange({ ...input, diamLow: 800, diamHigh: 300 }).sizeRange).toBeNull()
+  })
+})
+
+describe('wind speed', () => {
+  const at = (diam) => computeImpact({ ...DEFAULT_BODY, diam, lat: 39, lng: -98 })
+
+  it('grows with the yield at the fixed reference range', () => {
+    const speeds = [50, 500, 2000].map(diam => at(diam).windSpeed)
+    expect(speeds[0]).toBeLessThan(speeds[1])
+    expect(speeds[1]).toBeLessThan(speeds[2])
+    expect(at(500).windReferenceRange).toBe(10000)
+  })
+})
+
+describe('thermal casualties', () => {
+  // New York, where a miscount on the ground would show
+  const over = (diam) => computeImpact({ diam, speed: 19, angle: 45, density: 3300, lat: 40.7, lng: -74 })
+
+  it('counts no fireball deaths or burns from a fireball high above the ground', () => {
+    for (const diam of [1, 10, 19]) {
+      const results = over(diam)
+      expect(results.fireballRadius).toBeLessThan(results.burstAltitude)
+      expect(results.fireballDeaths).toBe(0)
+      expect(results.burns3rdDegree).toBe(0)
+      expect(results.burns2ndDegree).toBe(0)
+    }
+  })
+
+  it('counts them when the fireball and heat reach the ground', () => {
+    const results = over(500)
+    expect(results.fireballDeaths).toBeGreaterThan(0)
+    expect(results.burns3rdDegree).toBeGreaterThan(0)
+    expect(results.burns2ndDegree).toBeGreaterThan(0)
+  })
+})
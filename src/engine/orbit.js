@@ -0,0 +1,332 @@
+// Keplerian orbits around the Sun
+//
+// Two-body propagation of heliocentric ecliptic (J2000) positions from
+// classical elements, for an asteroid and for Earth, with the minimum orbit
+// intersection distance (MOID) and close approaches between them. Earth's
+// own gravity is left out, so approach velocities are the geocentric
+// velocity at infinity (v∞) that the object brings into Earth's sphere of
+// influence. Lengths are in AU and times in days internally; results carry
+// km, km/s and Dates like the rest of the app.
+
+import { AU } from './constants.js'
+
+const DEG = Math.PI / 180
+const TWO_PI = 2 * Math.PI
+const DAY_MS = 24 * 60 * 60 * 1000
+const AU_KM = AU / 1000
+const LUNAR_DISTANCE_KM = 384400
+const AU_PER_DAY_TO_KM_S = AU_KM / 86400
+
+// Gaussian gravitational constant: GM☉ = k² AU³/day²
+const GAUSS_K = 0.01720209895
+const MU_SUN = GAUSS_K * GAUSS_K
+
+const J2000_JD = 2451545.0
+const UNIX_EPOCH_JD = 2440587.5
+
+export const julianDate = (date) => date.getTime() / DAY_MS + UNIX_EPOCH_JD
+export const dateFromJulian = (jd) => new Date((jd - UNIX_EPOCH_JD) * DAY_MS)
+
+// NeoWs and Sentry report close approaches inside this distance
+export const CLOSE_APPROACH_LIMIT_AU = 0.05
+
+/**
+ * @typedef {Object} OrbitalElements
+ * @property {number} semiMajorAxis a (AU)
+ * @property {number} eccentricity e (0 <= e < 1)
+ * @property {number} inclination i (deg, to the J2000 ecliptic)
+ * @property {number} ascendingNode Ω, longitude of the ascending node (deg)
+ * @property {number} perihelionArgument ω, argument of perihelion (deg)
+ * @property {number} meanAnomaly M at the epoch (deg)
+ * @property {Date} epoch Osculation epoch
+ */
+
+const ELEMENT_RULES = [
+  ['semiMajorAxis', v => v > 0, 'a positive number (AU)'],
+  ['eccentricity', v => v >= 0 && v < 1, 'at least 0 and below 1 (bound orbits only)'],
+  ['inclination', v => v >= 0 && v <= 180, 'between 0 and 180°'],
+  ['ascendingNode', v => Number.isFinite(v), 'a number of degrees'],
+  ['perihelionArgument', v => Number.isFinite(v), 'a number of degrees'],
+  ['meanAnomaly', v => Number.isFinite(v), 'a number of degrees']
+]
+
+/**
+ * Problems with a set of elements, as readable messages (empty when valid).
+ * @param {OrbitalElements} elements
+ * @returns {string[]}
+ */
+export function validateElements(elements) {
+  const problems = ELEMENT_RULES
+    .filter(([field, test]) => !(Number.isFinite(elements?.[field]) && test(elements[field])))
+    .map(([field, , description]) => `${field} must be ${description}, got ${elements?.[field]}`)
+  if (!(elements?.epoch instanceof Date) || Number.isNaN(elements.epoch.getTime())) {
+    problems.push(`epoch must be a valid date, got ${elements?.epoch}`)
+  }
+  return problems
+}
+
+const checkElements = (elements, caller) => {
+  const problems = validateElements(elements)
+  if (problems.length > 0) throw new RangeError(`${caller}: ${problems.join('; ')}`)
+}
+
+/**
+ * Eccentric anomaly E from the mean anomaly by Newton's method on
+ * Kepler's equation M = E - e sin E.
+ * @param {number} meanAnomaly M (rad)
+ * @param {number} eccentricity e < 1
+ */
+export function solveKepler(meanAnomaly, eccentricity) {
+  const M = ((meanAnomaly % TWO_PI) + TWO_PI) % TWO_PI
+  let E = eccentricity < 0.8 ? M : Math.PI
+  for (let i = 0; i < 50; i++) {
+    const step = (E - eccentricity * Math.sin(E) - M) / (1 - eccentricity * Math.cos(E))
+    E -= step
+    if (Math.abs(step) < 1e-12) break
+  }
+  return E
+}
+
+// Unit vectors towards perihelion (P) and 90° ahead of it in the orbit
+// plane (Q), in ecliptic coordinates
+const orbitFrame = ({ inclination, ascendingNode, perihelionArgument }) => {
+  const [ci, si] = [Math.cos(inclination * DEG), Math.sin(inclination * DEG)]
+  const [cO, sO] = [Math.cos(ascendingNode * DEG), Math.sin(ascendingNode * DEG)]
+  const [cw, sw] = [Math.cos(perihelionArgument * DEG), Math.sin(perihelionArgument * DEG)]
+  return {
+    P: [cO * cw - sO * sw * ci, sO * cw + cO * sw * ci, sw * si],
+    Q: [-cO * sw - sO * cw * ci, -sO * sw + cO * cw * ci, cw * si]
+  }
+}
+
+// Position (AU) and velocity (AU/day) at a true anomaly (rad)
+const stateAtAnomaly = (elements, frame, f) => {
+  const { semiMajorAxis: a, eccentricity: e } = elements
+  const p = a * (1 - e * e)
+  const r = p / (1 + e * Math.cos(f))
+  const vScale = Math.sqrt(MU_SUN / p)
+  const [rp, rq] = [r * Math.cos(f), r * Math.sin(f)]
+  const [vp, vq] = [-vScale * Math.sin(f), vScale * (e + Math.cos(f))]
+  return {
+    position: frame.P.map((P, k) => rp * P + rq * frame.Q[k]),
+    velocity: frame.P.map((P, k) => vp * P + vq * frame.Q[k])
+  }
+}
+
+const trueAnomalyAt = ({ semiMajorAxis: a, eccentricity: e, meanAnomaly, epoch }, date) => {
+  const n = GAUSS_K / Math.pow(a, 1.5) // mean motion, rad/day
+  const M = meanAnomaly * DEG + n * (date - epoch) / DAY_MS
+  const E = solveKepler(M, e)
+  return 2 * Math.atan2(Math.sqrt(1 + e) * Math.sin(E / 2), Math.sqrt(1 - e) * Math.cos(E / 2))
+}
+
+const distance = (u, v) => Math.hypot(u[0] - v[0], u[1] - v[1], u[2] - v[2])
+
+const toKmPerSecond = (v) => v.map(c => c * AU_PER_DAY_TO_KM_S)
+
+/**
+ * Heliocentric state at a date.
+ * @param {OrbitalElements} elements
+ * @param {Date} date
+ * @returns {{ position: number[], velocity: number[] }} position in AU,
+ *   velocity in km/s, both ecliptic J2000
+ */
+export function stateAt(elements, date) {
+  checkElements(elements, 'stateAt')
+  const state = stateAtAnomaly(elements, orbitFrame(elements), trueAnomalyAt(elements, date))
+  return { position: state.position, velocity: toKmPerSecond(state.velocity) }
+}
+
+// Earth-Moon barycentre mean elements at J2000 and their rates per Julian
+// century (Standish 1992, valid 1800-2050 to a few arcminutes)
+const EARTH_J2000 = {
+  a: [1.00000261, 0.00000562],
+  e: [0.01671123, -0.00004392],
+  i: [-0.00001531, -0.01294668],
+  L: [100.46457166, 35999.37244981],
+  perihelionLongitude: [102.93768193, 0.32327364]
+}
+
+/**
+ * Earth's orbital elements osculating at a date.
+ * @param {Date} [date] Defaults to now
+ * @returns {OrbitalElements}
+ */
+export function earthElements(date = new Date()) {
+  const T = (julianDate(date) - J2000_JD) / 36525
+  const at = ([value, rate]) => value + rate * T
+  const perihelionLongitude = at(EARTH_J2000.perihelionLongitude)
+  const inclination = at(EARTH_J2000.i)
+  return {
+    semiMajorAxis: at(EARTH_J2000.a),
+    eccentricity: at(EARTH_J2000.e),
+    // A tiny negative inclination is the same plane with the node flipped
+    inclination: Math.abs(inclination),
+    ascendingNode: inclination < 0 ? 180 : 0,
+    perihelionArgument: inclination < 0 ? perihelionLongitude - 180 : perihelionLongitude,
+    meanAnomaly: at(EARTH_J2000.L) - perihelionLongitude,
+    epoch: date
+  }
+}
+
+// Closest pair of points on two orbit curves, by a coarse grid in both true
+// anomalies followed by shrinking grids around the best local minima
+const MOID_GRID = 120
+const MOID_CANDIDATES = 4
+
+const closestPoints = (first, second) => {
+  const [frameA, frameB] = [orbitFrame(first), orbitFrame(second)]
+  const pointA = (f) => stateAtAnomaly(first, frameA, f).position
+  const pointB = (f) => stateAtAnomaly(second, frameB, f).position
+  const step = TWO_PI / MOID_GRID
+  const pointsB = Array.from({ length: MOID_GRID }, (_, j) => pointB(j * step))
+
+  const grid = Array.from({ length: MOID_GRID }, (_, i) => {
+    const a = pointA(i * step)
+    return pointsB.map(b => distance(a, b))
+  })
+  const at = (i, j) => grid[(i + MOID_GRID) % MOID_GRID][(j + MOID_GRID) % MOID_GRID]
+  const minima = []
+  for (let i = 0; i < MOID_GRID; i++) {
+    for (let j = 0; j < MOID_GRID; j++) {
+      const d = grid[i][j]
+      let isMinimum = true
+      for (let di = -1; di <= 1 && isMinimum; di++) {
+        for (let dj = -1; dj <= 1; dj++) {
+          if ((di || dj) && at(i + di, j + dj) < d) {
+            isMinimum = false
+            break
+          }
+        }
+      }
+      if (isMinimum) minima.push({ fA: i * step, fB: j * step, d })
+    }
+  }
+
+  const refine = ({ fA, fB, d }) => {
+    let best = { fA, fB, d }
+    for (let span = step; span > 1e-10; span /= 2) {
+      const centre = best
+      for (let di = -2; di <= 2; di++) {
+        for (let dj = -2; dj <= 2; dj++) {
+          const candidate = { fA: centre.fA + di * span / 2, fB: centre.fB + dj * span / 2 }
+          candidate.d = distance(pointA(candidate.fA), pointB(candidate.fB))
+          if (candidate.d < best.d) best = candidate
+        }
+      }
+    }
+    return best
+  }
+
+  return minima
+    .sort((x, y) => x.d - y.d)
+    .slice(0, MOID_CANDIDATES)
+    .map(refine)
+    .reduce((best, candidate) => candidate.d < best.d ? candidate : best)
+}
+
+/**
+ * Minimum orbit intersection distance between an orbit and Earth's.
+ * @param {OrbitalElements} elements
+ * @param {OrbitalElements} [earth] Defaults to Earth's elements at the object's epoch
+ * @returns {{ distanceAu: number, distance: number, distanceLunar: number, vInfinity: number }}
+ *   distance in km; vInfinity (km/s) is the relative speed of the two bodies
+ *   if both were at their closest points at once
+ */
+export function computeMoid(elements, earth = earthElements(elements.epoch)) {
+  checkElements(elements, 'computeMoid')
+  const { fA, fB, d } = closestPoints(elements, earth)
+  const object = stateAtAnomaly(elements, orbitFrame(elements), fA)
+  const planet = stateAtAnomaly(earth, orbitFrame(earth), fB)
+  return {
+    distanceAu: d,
+    distance: d * AU_KM,
+    distanceLunar: d * AU_KM / LUNAR_DISTANCE_KM,
+    vInfinity: distance(object.velocity, planet.velocity) * AU_PER_DAY_TO_KM_S
+  }
+}
+
+// Geocentric distance (AU) and relative velocity (AU/day) at a date
+const geocentric = (elements, frames, date) => {
+  const earth = earthElements(date)
+  const object = stateAtAnomaly(elements, frames.object, trueAnomalyAt(elements, date))
+  const planet = stateAtAnomaly(earth, frames.earth, trueAnomalyAt(earth, date))
+  return {
+    distance: distance(object.position, planet.position),
+    velocity: distance(object.velocity, planet.velocity)
+  }
+}
+
+/**
+ * Close approaches to Earth between two dates, earliest first, in the
+ * approach shape used by services/neows.js.
+ * @param {OrbitalElements} elements
+ * @param {Object} [options]
+ * @param {Date} [options.start] Defaults to now
+ * @param {Date} [options.end] Defaults to 50 years after start
+ * @param {number} [options.stepDays] Search step, default 1 day
+ * @param {number} [options.maxDistanceAu] Default CLOSE_APPROACH_LIMIT_AU
+ * @returns {{ epoch: Date, velocity: number, missDistance: number, missDistanceAu: number, missDistanceLunar: number, orbitingBody: string }[]}
+ *   velocity is v∞ in km/s, miss distances in km, AU and lunar distances
+ */
+export function findCloseApproaches(elements, {
+  start = new Date(),
+  end = new Date(start.getTime() + 50 * 365.25 * DAY_MS),
+  stepDays = 1,
+  maxDistanceAu = CLOSE_APPROACH_LIMIT_AU
+} = {}) {
+  checkElements(elements, 'findCloseApproaches')
+  // Earth's node and perihelion drift too slowly to matter between steps
+  const frames = { object: orbitFrame(elements), earth: orbitFrame(earthElements(start)) }
+  const distanceAt = (t) => geocentric(elements, frames, new Date(t)).distance
+  const stepMs = stepDays * DAY_MS
+
+  const approaches = []
+  let [previous, current] = [distanceAt(start.getTime() - stepMs), distanceAt(start.getTime())]
+  for (let t = start.getTime(); t <= end.getTime(); t += stepMs) {
+    const next = distanceAt(t + stepMs)
+    if (current <= previous && current < next && current < maxDistanceAu * 2) {
+      // Golden-section search for the minimum within a step either side
+      let [lo, hi] = [t - stepMs, t + stepMs]
+      const ratio = (Math.sqrt(5) - 1) / 2
+      while (hi - lo > 1000) {
+        const [m1, m2] = [hi - ratio * (hi - lo), lo + ratio * (hi - lo)]
+        if (distanceAt(m1) < distanceAt(m2)) hi = m2
+        else lo = m1
+      }
+      const epoch = new Date((lo + hi) / 2)
+      const { distance: d, velocity } = geocentric(elements, frames, epoch)
+      if (d <= maxDistanceAu && epoch >= start && epoch <= end) {
+        approaches.push({
+          epoch,
+          velocity: velocity * AU_PER_DAY_TO_KM_S,
+          missDistance: d * AU_KM,
+          missDistanceAu: d,
+          missDistanceLunar: d * AU_KM / LUNAR_DISTANCE_KM,
+          orbitingBody: 'Earth'
+        })
+      }
+    }
+    previous = current
+    current = next
+  }
+  return approaches
+}
+
+/**
+ * An object's position and velocity relative to Earth at a date, with
+ * Earth's heliocentric velocity, all ecliptic J2000.
+ * @param {OrbitalElements} elements
+ * @param {Date} date
+ * @returns {{ position: number[], velocity: number[], earthVelocity: number[] }}
+ *   position in km, velocities in km/s
+ */
+export function geocentricState(elements, date) {
+  const object = stateAt(elements, date)
+  const earth = stateAt(earthElements(date), date)
+  return {
+    position: object.position.map((c, k) => (c - earth.position[k]) * AU_KM),
+    velocity: object.velocity.map((c, k) => c - earth.velocity[k]),
+    earthVelocity: earth.velocity
+  }
+}
@@ -0,0 +1,117 @@
+import { describe, it, expect } from 'vitest'
+import {
+  solveKepler,
+  stateAt,
+  earthElements,
+  computeMoid,
+  findCloseApproaches,
+  julianDate,
+  dateFromJulian
+} from './orbit.js'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Apophis: JPL's elements rounded to four figures, with the mean anomaly
+// phased to the published 13 April 2029 approach
+const APOPHIS = {
+  semiMajorAxis: 0.9224,
+  eccentricity: 0.1915,
+  inclination: 3.339,
+  ascendingNode: 203.96,
+  perihelionArgument: 126.6,
+  meanAnomaly: 252.435,
+  epoch: new Date('2029-04-13T21:46:00Z')
+}
+
+const daysBetween = (a, b) => Math.abs(a - b) / DAY_MS
+
+describe('solveKepler', () => {
+  it('satisfies M = E - e sin E across eccentricities', () => {
+    for (const e of [0, 0.0167, 0.5, 0.9, 0.99]) {
+      for (const M of [0.1, 1, 2, Math.PI, 5, 6.2]) {
+        const E = solveKepler(M, e)
+        expect(E - e * Math.sin(E)).toBeCloseTo(M, 10)
+      }
+    }
+  })
+
+  it('wraps mean anomalies outside 0-2π', () => {
+    expect(solveKepler(-1, 0.3)).toBeCloseTo(solveKepler(2 * Math.PI - 1, 0.3), 12)
+  })
+})
+
+describe('julianDate', () => {
+  it('puts J2000 at JD 2451545.0 and round-trips', () => {
+    const j2000 = new Date('2000-01-01T12:00:00Z')
+    expect(julianDate(j2000)).toBe(2451545)
+    expect(dateFromJulian(julianDate(j2000)).getTime()).toBe(j2000.getTime())
+  })
+})
+
+describe('Earth orbit', () => {
+  const at = (iso) => {
+    const date = new Date(iso)
+    const { position, velocity } = stateAt(earthElements(date), date)
+    return { r: Math.hypot(...position), v: Math.hypot(...velocity) }
+  }
+
+  it('is nearest the Sun in early January and farthest in early July', () => {
+    const perihelion = at('2024-01-03T00:00:00Z')
+    const aphelion = at('2024-07-05T00:00:00Z')
+    expect(perihelion.r).toBeCloseTo(0.9833, 3)
+    expect(aphelion.r).toBeCloseTo(1.0167, 3)
+    expect(perihelion.v).toBeCloseTo(30.29, 1)
+    expect(aphelion.v).toBeCloseTo(29.29, 1)
+  })
+
+  it('returns to the same place after a sidereal year', () => {
+    const start = new Date('2024-03-20T00:00:00Z')
+    const later = new Date(start.getTime() + 365.25636 * DAY_MS)
+    const elements = earthElements(start)
+    const [a, b] = [stateAt(elements, start).position, stateAt(elements, later).position]
+    // Within about 15,000 km, well under an hour of Earth's motion
+    expect(Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2])).toBeLessThan(1e-4)
+  })
+})
+
+describe('Apophis', () => {
+  it('has an Earth MOID well inside a lunar distance and the published v∞', () => {
+    const moid = computeMoid(APOPHIS)
+    // JPL gives about 0.0002 AU before the 2029 flyby
+    expect(moid.distanceAu).toBeLessThan(0.001)
+    expect(moid.distanceLunar).toBeLessThan(1)
+    // Sentry lists v∞ = 5.84 km/s
+    expect(moid.vInfinity).toBeCloseTo(5.84, 1)
+  })
+
+  const approaches = findCloseApproaches(APOPHIS, {
+    start: new Date('2012-01-01T00:00:00Z'),
+    end: new Date('2030-01-01T00:00:00Z'),
+    maxDistanceAu: 0.15
+  })
+  const near = (iso) => approaches.find(a => daysBetween(a.epoch, new Date(iso)) < 10)
+
+  it('finds the 13 April 2029 flyby inside the Moon\'s orbit', () => {
+    const flyby = near('2029-04-13T21:46:00Z')
+    expect(daysBetween(flyby.epoch, new Date('2029-04-13T21:46:00Z'))).toBeLessThan(1)
+    // 38,012 km published; without Earth's pull the two-body path passes
+    // wider, but still well inside a lunar distance
+    expect(flyby.missDistanceLunar).toBeLessThan(1)
+    expect(flyby.velocity).toBeCloseTo(5.84, 0)
+  })
+
+  it('reproduces the earlier approaches from the same elements', () => {
+    // 9 January 2013 at 0.0966 AU and 6 March 2021 at 0.1127 AU (JPL)
+    const [y2013, y2021] = [near('2013-01-09T00:00:00Z'), near('2021-03-06T00:00:00Z')]
+    expect(daysBetween(y2013.epoch, new Date('2013-01-09T00:00:00Z'))).toBeLessThan(5)
+    expect(y2013.missDistanceAu).toBeCloseTo(0.0966, 2)
+    expect(daysBetween(y2021.epoch, new Date('2021-03-06T00:00:00Z'))).toBeLessThan(5)
+    expect(y2021.missDistanceAu).toBeCloseTo(0.1127, 2)
+  })
+
+  it('lists approaches earliest first within the search window', () => {
+    const epochs = approaches.map(a => a.epoch.getTime())
+    expect(epochs).toEqual([...epochs].sort((a, b) => a - b))
+    expect(approaches.every(a => a.missDistanceAu <= 0.15 && a.orbitingBody === 'Earth')).toBe(true)
+  })
+})
@@ -0,0 +1,161 @@
+// Offline population grid
+//
+// Builds a coarse global population raster from the regional densities and
+// city lists in data/, so casualties can be counted ring by ring without a
+// network connection. Each land cell of a GRID_STEP° grid holds its region's
+// background density times its area; city populations are spread over the
+// surrounding cells with a Gaussian whose width grows with city size. Counts
+// within a radius treat each cell as a disk of equal area, so partially
+// covered cells contribute in proportion to the overlap.
+
+import { EARTH_RADIUS } from './constants.js'
+import { greatCircleDistance } from './geo.js'
+import { landAlongParallel } from './surface.js'
+import { REGION_DENSITIES, DEFAULT_LAND_DENSITY, URBAN_AREAS } from '../data/population.js'
+import { COASTAL_POINTS } from '../data/coastalPoints.js'
+
+export const GRID_STEP = 0.5
+
+// Radius (m) around the impact point over which a measured local density
+// takes precedence over the grid
+export const LOCAL_RADIUS = 5000
+
+const COLS = 360 / GRID_STEP
+const ROWS = 180 / GRID_STEP
+const DEG = Math.PI / 180
+const CELL_SIDE = EARTH_RADIUS * GRID_STEP * DEG
+
+// Urban Gaussian width (m): 10 km, widening as the square root of population
+const cityWidth = (population) => Math.max(10000, 7000 * Math.sqrt(population / 1e6))
+
+const cellArea = (row) => CELL_SIDE * CELL_SIDE * Math.cos((90 - (row + 0.5) * GRID_STEP) * DEG)
+const cellLat = (row) => 90 - (row + 0.5) * GRID_STEP
+const cellLng = (col) => -180 + (col + 0.5) * GRID_STEP
+const rowOf = (lat) => Math.min(ROWS - 1, Math.max(0, Math.floor((90 - lat) / GRID_STEP)))
+const colOf = (lng) => ((Math.floor((lng + 180) / GRID_STEP) % COLS) + COLS) % COLS
+
+// Background density (people/km²) of land at a point
+export const regionDensity = (lat, lng) => {
+  const x = lng < -180 ? lng + 360 : lng
+  const region = REGION_DENSITIES.find(({ box: [w, s, e, n] }) =>
+    lat >= s && lat <= n && ((x >= w && x <= e) || (x + 360 >= w && x + 360 <= e)))
+  return region ? region.density : DEFAULT_LAND_DENSITY
+}
+
+let grid = null
+
+// Population per cell, built on first use
+const getGrid = () => {
+  if (grid) return grid
+  grid = new Float64Array(ROWS * COLS)
+
+  const lngs = Array.from({ length: COLS }, (_, col) => cellLng(col))
+  for (let row = 0; row < ROWS; row++) {
+    const lat = cellLat(row)
+    const areaKm2 = cellArea(row) / 1e6
+    const land = landAlongParallel(lat, lngs)
+    for (let col = 0; col < COLS; col++) {
+      if (land[col]) grid[row * COLS + col] = regionDensity(lat, lngs[col]) * areaKm2
+    }
+  }
+
+  for (const city of [...URBAN_AREAS, ...COASTAL_POINTS]) {
+    const sigma = cityWidth(city.population)
+    const span = Math.ceil(3 * sigma / CELL_SIDE) + 1
+    const row0 = rowOf(city.lat)
+    const col0 = colOf(city.lng)
+    const cells = []
+    let total = 0
+    for (let row = Math.max(0, row0 - span); row <= Math.min(ROWS - 1, row0 + span); row++) {
+      for (let dc = -span; dc <= span; dc++) {
+        const col = ((col0 + dc) % COLS + COLS) % COLS
+        const d = greatCircleDistance(city.lat, city.lng, cellLat(row), cellLng(col))
+        const weight = Math.exp(-d * d / (2 * sigma * sigma))
+        cells.push([row * COLS + col, weight])
+        total += weight
+      }
+    }
+    for (const [i, weight] of cells) grid[i] += city.population * weight / total
+  }
+
+  return grid
+}
+
+// Total population held in the grid
+export const worldPopulation = () => getGrid().reduce((sum, p) => sum + p, 0)
+
+// Mean density (people/km²) of the cell containing a point
+export const gridDensity = (lat, lng) => {
+  const row = rowOf(lat)
+  return getGrid()[row * COLS + colOf(lng)] / (cellArea(row) / 1e6)
+}
+
+/**
+ * Population around a point, for counting people in concentric rings.
+ * @param {number} lat Latitude (degrees)
+ * @param {number} lng Longitude (degrees)
+ * @param {number} [localDensity] Measured density (people/km²) at the point,
+ *   e.g. from WorldPop; replaces the grid within LOCAL_RADIUS
+ * @returns {{ density: number, source: 'worldpop'|'grid', within: (r: number) => number, between: (outer: number, inner: number) => number }}
+ */
+export function populationProfile(lat, lng, localDensity) {
+  const cells = getGrid()
+  const hasLocal = Number.isFinite(localDensity) && localDensity >= 0
+  const cellDensity = gridDensity(lat, lng)
+  const cellRadius = CELL_SIDE / Math.sqrt(Math.PI)
+  const cache = new Map()
+
+  // Cells within range r of the point with their distance and disk radius
+  const nearby = (r) => {
+    const reach = r + 2 * cellRadius
+    const rowSpan = Math.ceil(reach / CELL_SIDE)
+    const row0 = rowOf(lat)
+    const list = []
+    for (let row = Math.max(0, row0 - rowSpan); row <= Math.min(ROWS - 1, row0 + rowSpan); row++) {
+      const cos = Math.max(Math.cos(cellLat(row) * DEG), 1e-3)
+      const colSpan = Math.ceil(reach / (CELL_SIDE * cos))
+      const first = 2 * colSpan + 1 >= COLS ? 0 : colOf(lng) - colSpan
+      const count = Math.min(COLS, 2 * colSpan + 1)
+      for (let k = 0; k < count; k++) {
+        const col = ((first + k) % COLS + COLS) % COLS
+        const people = cells[row * COLS + col]
+        if (people <= 0) continue
+        const d = greatCircleDistance(lat, lng, cellLat(row), cellLng(col))
+        list.push([d, Math.sqrt(cellArea(row) / Math.PI), people])
+      }
+    }
+    return list
+  }
+
+  // Inside one cell the grid can only say its mean density; beyond that,
+  // sum the overlapping cells (never dropping below the single-cell count)
+  const gridWithin = (r) => {
+    const uniform = cellDensity * Math.PI * Math.min(r, cellRadius) ** 2 / 1e6
+    if (r <= cellRadius) return uniform
+    if (cache.has(r)) return cache.get(r)
+    let total = 0
+    for (const [d, a, people] of nearby(r)) {
+      total += people * Math.min(1, Math.max(0, (r - (d - a)) / (2 * a)))
+    }
+    total = Math.max(total, uniform)
+    cache.set(r, total)
+    return total
+  }
+
+  // A measured density replaces the grid near the point; further out the
+  // difference it makes is carried as a constant offset so counts stay
+  // continuous and never shrink with radius
+  const localOffset = hasLocal ? (localDensity - cellDensity) * Math.PI * LOCAL_RADIUS ** 2 / 1e6 : 0
+  const within = (r) => {
+    if (!(r > 0)) return 0
+    if (hasLocal && r <= LOCAL_RADIUS) return localDensity * Math.PI * r * r / 1e6
+    return gridWithin(r) + localOffset
+  }
+
+  return {
+    density: hasLocal ? localDensity : cellDensity,
+    source: hasLocal ? 'worldpop' : 'grid',
+    within,
+    between: (outer, inner = 0) => Math.max(0, within(outer) - within(inner))
+  }
+}
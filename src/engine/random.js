@@ -0,0 +1,23 @@
+// Seeded random numbers, so sampled results can be reproduced exactly
+
+/**
+ * Uniform generator on [0, 1) from a 32-bit seed (mulberry32).
+ * @param {number} seed
+ * @returns {() => number}
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+// Standard normal deviate from a uniform generator (Box-Muller)
+export const gaussian = (random) => {
+  const u = 1 - random() // avoid log(0)
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random())
+}
@@ -0,0 +1,105 @@
+// Impact hazard scales
+//
+// The Palermo scale (Chesley et al. 2002) compares an impact's probability
+// with the background chance of an impact at least as energetic happening
+// before the same date; 0 means as likely as the background, negative values
+// less. The Torino scale (Binzel 2000; Morrison et al. 2005) is the public
+// 0-10 rating built from probability and energy over the next century.
+
+import { JOULES_PER_MEGATON } from './constants.js'
+
+const YEAR_MS = 365.25 * 24 * 60 * 60 * 1000
+
+// Torino ratings only cover potential impacts within this many years
+export const TORINO_HORIZON_YEARS = 100
+
+/**
+ * Annual frequency of impacts with at least this energy, f_B = 0.03 E^-0.8.
+ * @param {number} megatons Impact energy (Mt)
+ */
+export const backgroundFrequency = (megatons) => 0.03 * Math.pow(megatons, -0.8)
+
+/**
+ * Palermo scale value for one potential impact.
+ * @param {number} probability Impact probability (0-1)
+ * @param {number} megatons Impact energy (Mt)
+ * @param {number} years Time until the potential impact (years)
+ * @returns {number} -Infinity when the probability is zero
+ */
+export function palermoScale(probability, megatons, years) {
+  if (!(megatons > 0) || !(years > 0)) {
+    throw new RangeError(`palermoScale: energy and time to impact must be positive, got ${megatons} Mt and ${years} years`)
+  }
+  return Math.log10(probability / (backgroundFrequency(megatons) * years))
+}
+
+// Cumulative Palermo value of several potential impacts: the log of the
+// summed relative risks
+export const cumulativePalermo = (values) =>
+  Math.log10(values.reduce((sum, ps) => sum + Math.pow(10, ps), 0))
+
+// Energy bands of the Torino chart: localised, regional and global damage
+const REGIONAL_MEGATONS = 100
+const GLOBAL_MEGATONS = 1e5
+
+/**
+ * Torino scale rating from impact probability and energy. Chart regions are
+ * bounded by the probability lines below, straight in log-log space:
+ * - P >= 0.99: certain collision (8 local, 9 regional, 10 global)
+ * - P >= 0.01: 3 local, 4 regional, 7 global
+ * - above log P = -0.75 log E: 2 local, 5 regional, 6 global
+ * - above log P = -2 - 0.75 log E: 1
+ * - otherwise, or below 1 Mt: 0
+ * @param {number} probability Impact probability (0-1)
+ * @param {number} megatons Impact energy (Mt)
+ * @returns {number} 0-10
+ */
+export function torinoScale(probability, megatons) {
+  if (!(probability > 0) || !(megatons >= 1)) return 0
+  const band = megatons < REGIONAL_MEGATONS ? 0 : megatons < GLOBAL_MEGATONS ? 1 : 2
+  const logP = Math.log10(probability)
+  const logE = Math.log10(megatons)
+
+  if (probability >= 0.99) return [8, 9, 10][band]
+  if (probability >= 0.01) return [3, 4, 7][band]
+  if (logP >= -0.75 * logE) return [2, 5, 6][band]
+  if (logP >= -2 - 0.75 * logE) return 1
+  return 0
+}
+
+// Torino colour categories with their official wording
+export const TORINO_CATEGORIES = [
+  { min: 0, max: 0, id: 'none', label: 'No hazard' },
+  { min: 1, max: 1, id: 'normal', label: 'Normal' },
+  { min: 2, max: 4, id: 'attention', label: 'Meriting attention by astronomers' },
+  { min: 5, max: 7, id: 'threatening', label: 'Threatening' },
+  { min: 8, max: 10, id: 'certain', label: 'Certain collisions' }
+]
+
+export const torinoCategory = (level) =>
+  TORINO_CATEGORIES.find(c => level >= c.min && level <= c.max) ?? TORINO_CATEGORIES[0]
+
+/**
+ * Both scales for a potential impact.
+ * @param {Object} params
+ * @param {number} params.probability Impact probability (0-1)
+ * @param {number} params.megatons Impact energy (Mt)
+ * @param {Date} params.date Date of the potential impact
+ * @param {Date} [params.now] Defaults to the current time
+ * @returns {{ palermo: number, torino: number|null, years: number }}
+ *   torino is null beyond TORINO_HORIZON_YEARS
+ */
+export function assessRisk({ probability, megatons, date, now = new Date() }) {
+  // Events already due are rated as if a month away, so the scale stays finite
+  const years = Math.max((date - now) / YEAR_MS, 1 / 12)
+  return {
+    palermo: palermoScale(probability, megatons, years),
+    torino: years <= TORINO_HORIZON_YEARS ? torinoScale(probability, megatons) : null,
+    years
+  }
+}
+
+// Kinetic energy (Mt) of a sphere of this diameter (m), density (kg/m³)
+// and speed (m/s)
+export const impactMegatons = (diameter, density, speed) =>
+  0.5 * density * Math.PI / 6 * Math.pow(diameter, 3) * speed * speed / JOULES_PER_MEGATON
@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest'
+import sample from '../data/fixtures/sentrySummary.json'
+import { parseSentry } from '../services/sentry.js'
+import { palermoScale, torinoScale, backgroundFrequency, cumulativePalermo, assessRisk } from './risk.js'
+
+describe('palermoScale', () => {
+  it('is 0 at the background rate and drops by one per factor of ten', () => {
+    const background = backgroundFrequency(100) * 50
+    expect(palermoScale(background, 100, 50)).toBeCloseTo(0, 12)
+    expect(palermoScale(background / 10, 100, 50)).toBeCloseTo(-1, 12)
+  })
+
+  it('rejects a non-positive energy or time to impact', () => {
+    expect(() => palermoScale(1e-4, 0, 10)).toThrow(RangeError)
+    expect(() => palermoScale(1e-4, 10, -1)).toThrow(RangeError)
+  })
+
+  it('sums relative risks in the cumulative value', () => {
+    expect(cumulativePalermo([-2, -2])).toBeCloseTo(-2 + Math.log10(2), 12)
+  })
+})
+
+describe('torinoScale', () => {
+  // The 0/1 boundary is the line log P = -2 - 0.75 log E
+  const boundary = (megatons) => Math.pow(10, -2 - 0.75 * Math.log10(megatons))
+
+  it('rates the 0/1 boundary at 1 and just below it at 0', () => {
+    for (const megatons of [10, 50, 300]) {
+      expect(torinoScale(boundary(megatons), megatons)).toBe(1)
+      expect(torinoScale(boundary(megatons) * 0.99, megatons)).toBe(0)
+    }
+  })
+
+  it('rates anything below 1 Mt or with no chance of impact at 0', () => {
+    expect(torinoScale(0.5, 0.99)).toBe(0)
+    expect(torinoScale(0, 1e6)).toBe(0)
+  })
+
+  it('splits the upper chart by energy band', () => {
+    expect(torinoScale(0.05, 10)).toBe(3)
+    expect(torinoScale(0.05, 1000)).toBe(4)
+    expect(torinoScale(0.05, 1e6)).toBe(7)
+    expect(torinoScale(1, 10)).toBe(8)
+    expect(torinoScale(1, 1e6)).toBe(10)
+  })
+
+  it('is not rated beyond the century horizon', () => {
+    const now = new Date('2025-01-01T00:00:00Z')
+    expect(assessRisk({ probability: 1e-3, megatons: 1e4, date: new Date('2300-01-01T00:00:00Z'), now }).torino).toBeNull()
+  })
+})
+
+describe('against Sentry', () => {
+  // Around the time the fixture was fetched
+  const rows = parseSentry(sample, { now: new Date('2022-07-01T00:00:00Z') })
+
+  it.each(rows.map(row => [row.designation, row]))('matches the reported Palermo value for %s', (_, row) => {
+    // Summary rows spread impacts across the year range, so only roughly
+    expect(Math.abs(row.palermo - row.reported.palermo)).toBeLessThan(0.25)
+  })
+
+  it.each(rows.map(row => [row.designation, row]))('matches the reported Torino value for %s', (_, row) => {
+    expect(row.torino).toBe(row.reported.torino)
+  })
+})
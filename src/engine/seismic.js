@@ -0,0 +1,70 @@
+// Seismic shaking
+//
+// A small fraction of the impact energy goes into seismic waves; the
+// equivalent earthquake magnitude and its decay with distance follow Collins
+// et al. (2005). Modified Mercalli Intensity is estimated from the effective
+// magnitude felt at each distance.
+
+export const SEISMIC_EFFICIENCY = 1e-4
+export const SURFACE_WAVE_SPEED = 5000 // m/s
+
+// Shaking levels drawn on the map and used for casualties. Fatality
+// fractions are rough values for mixed building stock.
+export const MMI_LEVELS = [
+  { level: 10, label: 'Extreme', description: 'Most masonry and frame structures destroyed', color: '#7f1d1d', fatality: 0.05 },
+  { level: 9, label: 'Violent', description: 'Heavy damage, buildings shifted off foundations', color: '#b91c1c', fatality: 0.01 },
+  { level: 8, label: 'Severe', description: 'Partial collapse of ordinary buildings', color: '#ea580c', fatality: 1e-3 },
+  { level: 7, label: 'Very Strong', description: 'Damage to poorly built structures', color: '#f59e0b', fatality: 1e-4 },
+  { level: 6, label: 'Strong', description: 'Felt by all, heavy furniture moved', color: '#facc15', fatality: 0 },
+  { level: 4, label: 'Light', description: 'Felt indoors by many, dishes rattle', color: '#a3e635', fatality: 0 }
+]
+
+// Richter magnitude of an impact delivering energy E (J) to the ground, from
+// the Gutenberg-Richter energy relation log10(Es) = 1.5 M + 4.8 applied to
+// the seismic share of the energy. With the default efficiency this is the
+// Collins et al. M = 0.67 log10(E) - 5.87.
+export const seismicMagnitude = (energy, efficiency = SEISMIC_EFFICIENCY) =>
+  energy > 0 ? (Math.log10(efficiency * energy) - 4.8) / 1.5 : 0
+
+// Magnitude felt at ground range r (m). Beyond 700 km the regional term is
+// continued with a geometric-spreading decay so the curve stays continuous.
+export const effectiveMagnitude = (magnitude, r) => {
+  const km = r / 1000
+  if (km < 60) return magnitude - 0.0238 * km
+  if (km < 700) return magnitude - 0.0048 * km - 1.1644
+  return magnitude - 4.5244 - 1.66 * Math.log10(km / 700)
+}
+
+// Linear fit to the magnitude/intensity table in Collins et al. (Table 3)
+export const mercalliIntensity = (effective) => Math.max(0, Math.min(12, 1.5 * effective - 1.5))
+
+export const intensityAt = (magnitude, r) => mercalliIntensity(effectiveMagnitude(magnitude, r))
+
+export const radiusForIntensity = (magnitude, level) => {
+  if (intensityAt(magnitude, 0) < level) return 0
+  let lo = 0
+  let hi = 2.0e7
+  for (let i = 0; i < 100 && hi - lo > 10; i++) {
+    const mid = (lo + hi) / 2
+    if (intensityAt(magnitude, mid) >= level) lo = mid
+    else hi = mid
+  }
+  return lo
+}
+
+/**
+ * Seismic effects of a ground impact.
+ * @param {number} energy Energy delivered to the ground (J)
+ */
+export function computeSeismic(energy) {
+  const magnitude = seismicMagnitude(energy)
+  const rings = MMI_LEVELS.map(l => {
+    const radius = energy > 0 ? radiusForIntensity(magnitude, l.level) : 0
+    return { ...l, radius, arrivalTime: radius / SURFACE_WAVE_SPEED }
+  })
+  return {
+    magnitude,
+    maxIntensity: energy > 0 ? intensityAt(magnitude, 0) : 0,
+    rings
+  }
+}
@@ -0,0 +1,67 @@
+// Asteroid size from brightness
+//
+// D = 1329 km / sqrt(p) × 10^(-H/5) links the absolute magnitude H and the
+// geometric albedo p to the diameter (Pravec & Harris 2007). With only H
+// known, the albedo is the dominant uncertainty: NEOs range from about 0.05
+// (dark carbonaceous) to 0.25 (bright stony), which is the span NeoWs uses
+// for its estimated_diameter bounds.
+
+import { spectralClassById } from '../data/spectralClasses.js'
+
+// Albedo bounds and nominal value when nothing is known about the surface.
+// The nominal is their geometric mean, which sits halfway in log diameter.
+export const UNKNOWN_ALBEDO = { low: 0.05, nominal: Math.sqrt(0.05 * 0.25), high: 0.25 }
+
+// Within a spectral class albedos scatter by about a factor of 1.5 either
+// way (Mainzer et al. 2011); a measured albedo is good to about 20%
+const CLASS_ALBEDO_FACTOR = 1.5
+const MEASURED_ALBEDO_FACTOR = 1.2
+
+// Typical H uncertainty (mag) for NEOs with a modest observation arc
+export const DEFAULT_MAGNITUDE_ERROR = 0.3
+
+/**
+ * Diameter (m) from absolute magnitude and geometric albedo.
+ * @param {number} h Absolute magnitude H
+ * @param {number} albedo Geometric albedo (0-1)
+ */
+export const diameterFromMagnitude = (h, albedo) => 1329e3 / Math.sqrt(albedo) * Math.pow(10, -h / 5)
+
+// Absolute magnitude that gives a diameter (m) at an albedo
+export const magnitudeFromDiameter = (diameter, albedo) => 5 * Math.log10(1329e3 / (diameter * Math.sqrt(albedo)))
+
+// Albedo range for a measured value, a spectral class, or neither
+export const albedoRange = ({ albedo, spectralClass } = {}) => {
+  if (Number.isFinite(albedo) && albedo > 0) {
+    return { low: albedo / MEASURED_ALBEDO_FACTOR, nominal: albedo, high: Math.min(1, albedo * MEASURED_ALBEDO_FACTOR) }
+  }
+  if (spectralClass) {
+    const nominal = spectralClassById(spectralClass).albedo
+    return { low: nominal / CLASS_ALBEDO_FACTOR, nominal, high: Math.min(1, nominal * CLASS_ALBEDO_FACTOR) }
+  }
+  return UNKNOWN_ALBEDO
+}
+
+/**
+ * Low, nominal and high diameters for an object known by its brightness.
+ * The smallest size pairs the brightest albedo with the faintest H, the
+ * largest the darkest albedo with the brightest H.
+ * @param {Object} params
+ * @param {number} params.absoluteMagnitude H
+ * @param {number} [params.magnitudeError] 1σ uncertainty in H, default DEFAULT_MAGNITUDE_ERROR
+ * @param {number} [params.albedo] Measured geometric albedo
+ * @param {string} [params.spectralClass] Spectral class, used when albedo is unknown
+ * @returns {{ low: number, nominal: number, high: number, albedo: { low: number, nominal: number, high: number } }}
+ */
+export function estimateDiameter({ absoluteMagnitude, magnitudeError = DEFAULT_MAGNITUDE_ERROR, albedo, spectralClass }) {
+  if (!Number.isFinite(absoluteMagnitude)) {
+    throw new TypeError(`estimateDiameter: "absoluteMagnitude" must be a finite number, got ${absoluteMagnitude}`)
+  }
+  const range = albedoRange({ albedo, spectralClass })
+  return {
+    low: diameterFromMagnitude(absoluteMagnitude + magnitudeError, range.high),
+    nominal: diameterFromMagnitude(absoluteMagnitude, range.nominal),
+    high: diameterFromMagnitude(absoluteMagnitude - magnitudeError, range.low),
+    albedo: range
+  }
+}
@@ -0,0 +1,86 @@
+// Impact speed from the approach speed
+//
+// An asteroid meets Earth at its hyperbolic excess speed v∞, the speed
+// relative to Earth before Earth's gravity acts. Falling in adds the escape
+// speed in quadrature, v² = v∞² + v_esc², so nothing from space arrives
+// slower than about 11.2 km/s. The fastest possible arrival is a body on a
+// parabolic heliocentric orbit meeting Earth head-on, v∞ ≈ 42.1 + 29.8 km/s.
+// The same pull bends paths towards Earth, which widens its capture
+// cross-section by 1 + v_esc²/v∞² (gravitational focusing).
+
+import { EARTH_ESCAPE_VELOCITY, EARTH_RADIUS } from './constants.js'
+
+// Speeds here are in km/s, like the rest of the app's inputs
+export const ESCAPE_SPEED = EARTH_ESCAPE_VELOCITY / 1000
+export const MAX_V_INFINITY = 42.1 + 29.8
+export const MAX_IMPACT_SPEED = Math.sqrt(MAX_V_INFINITY * MAX_V_INFINITY + ESCAPE_SPEED * ESCAPE_SPEED)
+// Token v∞ for parabolic approaches, where focusing and the approach
+// direction would otherwise be undefined
+export const MIN_V_INFINITY = 0.1
+
+// Earth's gravitational parameter (km³/s²), for speeds at finite distances
+const GM_EARTH = ESCAPE_SPEED * ESCAPE_SPEED * EARTH_RADIUS / 1000 / 2
+
+/**
+ * Entry speed at the top of the atmosphere for an approach speed.
+ * @param {number} vInfinity Hyperbolic excess speed (km/s)
+ */
+export const impactSpeedFromVInfinity = (vInfinity) => Math.sqrt(vInfinity * vInfinity + ESCAPE_SPEED * ESCAPE_SPEED)
+
+// Approach speed (km/s) that gives an entry speed; 0 at or below escape speed
+export const vInfinityFromImpactSpeed = (speed) => Math.sqrt(Math.max(0, speed * speed - ESCAPE_SPEED * ESCAPE_SPEED))
+
+/**
+ * v∞ from a relative velocity measured at a finite distance, such as a
+ * NeoWs close approach. Energy conservation removes the speed Earth's pull
+ * had added by then; distant passes are left almost unchanged.
+ * @param {number} velocity Relative velocity (km/s)
+ * @param {number} distance Geocentric distance where it was measured (km)
+ */
+export const vInfinityFromApproach = (velocity, distance) =>
+  Math.sqrt(Math.max(0, velocity * velocity - 2 * GM_EARTH / distance))
+
+// Factor by which gravity enlarges Earth's capture cross-section, finite
+// down to a parabolic approach
+export const focusingFactor = (vInfinity) => 1 + Math.pow(ESCAPE_SPEED / Math.max(vInfinity, MIN_V_INFINITY), 2)
+
+/**
+ * Problems with a speed input, as readable messages (empty when valid).
+ * A given vInfinity takes precedence over speed.
+ * @param {{ speed?: number, vInfinity?: number }} input Speeds in km/s
+ * @returns {string[]}
+ */
+export function validateSpeeds({ speed, vInfinity }) {
+  if (vInfinity != null) {
+    if (!Number.isFinite(vInfinity) || vInfinity < 0) return [`v∞ must be zero or more, got ${vInfinity} km/s`]
+    if (vInfinity > MAX_V_INFINITY) {
+      return [`v∞ of ${vInfinity} km/s is faster than anything bound to the Sun can meet Earth (${MAX_V_INFINITY.toFixed(1)} km/s)`]
+    }
+    return []
+  }
+  if (!Number.isFinite(speed)) return [`Impact speed must be a number, got ${speed}`]
+  if (speed < ESCAPE_SPEED) {
+    return [`An impact speed of ${speed} km/s is below Earth's escape speed (${ESCAPE_SPEED.toFixed(2)} km/s); anything falling from space arrives at least that fast`]
+  }
+  if (speed > MAX_IMPACT_SPEED) {
+    return [`An impact speed of ${speed} km/s is above the ${MAX_IMPACT_SPEED.toFixed(1)} km/s limit for objects bound to the Sun`]
+  }
+  return []
+}
+
+/**
+ * Entry speed and v∞ for an input giving either one.
+ * @param {{ speed?: number, vInfinity?: number }} input Speeds in km/s
+ * @returns {{ speed: number, vInfinity: number, focusing: number }}
+ * @throws {RangeError} with the validateSpeeds message for unphysical speeds
+ */
+export function resolveSpeed(input) {
+  const problems = validateSpeeds(input)
+  if (problems.length > 0) throw new RangeError(problems.join('; '))
+  const vInfinity = input.vInfinity ?? vInfinityFromImpactSpeed(input.speed)
+  return {
+    speed: input.vInfinity != null ? impactSpeedFromVInfinity(vInfinity) : input.speed,
+    vInfinity,
+    focusing: focusingFactor(vInfinity)
+  }
+}
@@ -0,0 +1,23 @@
+import { describe, it, expect } from 'vitest'
+import { ESCAPE_SPEED, MIN_V_INFINITY, focusingFactor, resolveSpeed, validateSpeeds } from './speed.js'
+
+describe('speeds', () => {
+  it('adds the escape speed in quadrature', () => {
+    expect(resolveSpeed({ vInfinity: 15 }).speed).toBeCloseTo(Math.hypot(15, ESCAPE_SPEED))
+    expect(resolveSpeed({ speed: 20 }).vInfinity).toBeCloseTo(Math.sqrt(400 - ESCAPE_SPEED * ESCAPE_SPEED))
+  })
+
+  it('keeps gravitational focusing finite for a parabolic approach', () => {
+    expect(focusingFactor(0)).toBe(focusingFactor(MIN_V_INFINITY))
+    expect(Number.isFinite(resolveSpeed({ vInfinity: 0 }).focusing)).toBe(true)
+    expect(Number.isFinite(resolveSpeed({ speed: ESCAPE_SPEED }).focusing)).toBe(true)
+    expect(focusingFactor(ESCAPE_SPEED)).toBeCloseTo(2)
+  })
+
+  it('rejects speeds no object from space can have', () => {
+    expect(validateSpeeds({ speed: 5 })).toHaveLength(1)
+    expect(validateSpeeds({ vInfinity: -1 })).toHaveLength(1)
+    expect(validateSpeeds({ vInfinity: 100 })).toHaveLength(1)
+    expect(() => resolveSpeed({ speed: 5 })).toThrow(RangeError)
+  })
+})
@@ -0,0 +1,110 @@
+// Surface type lookup
+//
+// Tells land from water at a point using the bundled low-resolution mask in
+// data/landMask.js, so ocean and lake impacts are recognised offline and
+// independently of population data.
+
+import { LAND, WATER_BODIES, OCEANS, OCEAN_REGIONS, ARCTIC_LATITUDE } from '../data/landMask.js'
+
+// Even-odd ray casting test for a ring of [lng, lat] pairs
+export const pointInRing = (lng, lat, ring) => {
+  let inside = false
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i]
+    const [xj, yj] = ring[j]
+    if ((yi > lat) !== (yj > lat) && lng < (xj - xi) * (lat - yi) / (yj - yi) + xi) {
+      inside = !inside
+    }
+  }
+  return inside
+}
+
+// Bounding boxes of the mask rings, so most rings are rejected without a
+// full ray cast
+const bounds = new Map()
+const boundsOf = (ring) => {
+  if (!bounds.has(ring)) {
+    const xs = ring.map(p => p[0])
+    const ys = ring.map(p => p[1])
+    bounds.set(ring, [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)])
+  }
+  return bounds.get(ring)
+}
+
+const inBounds = (lng, lat, [w, s, e, n]) => lat >= s && lat <= n && lng >= w && lng <= e
+
+// Rings may extend past ±180, so test the point at both of its longitudes
+const inRing = (lng, lat, ring) => {
+  const box = boundsOf(ring)
+  const alt = lng + (lng < 0 ? 360 : -360)
+  return (inBounds(lng, lat, box) && pointInRing(lng, lat, ring)) ||
+    (inBounds(alt, lat, box) && pointInRing(alt, lat, ring))
+}
+
+const normalizeLng = (lng) => ((lng + 180) % 360 + 360) % 360 - 180
+
+const ocean = (id) => {
+  const o = OCEANS[id]
+  return { type: 'sea', id: o.id, name: o.name, depth: o.depth, basin: o.id }
+}
+
+// Longitudes at which a ring's edges cross the parallel at lat, sorted
+const crossings = (ring, lat) => {
+  const xs = []
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i]
+    const [xj, yj] = ring[j]
+    if ((yi > lat) !== (yj > lat)) xs.push((xj - xi) * (lat - yi) / (yj - yi) + xi)
+  }
+  return xs.sort((a, b) => a - b)
+}
+
+// Same even-odd rule as pointInRing, against precomputed crossings
+const insideCrossings = (lng, xs) => {
+  let n = 0
+  while (n < xs.length && xs[n] <= lng) n++
+  return (xs.length - n) % 2 === 1
+}
+
+/**
+ * Land test for many longitudes along one parallel, for building grids. Each
+ * ring is intersected with the parallel once rather than once per point.
+ * @param {number} lat Latitude (degrees)
+ * @param {number[]} lngs Longitudes in [-180, 180)
+ * @returns {boolean[]}
+ */
+export function landAlongParallel(lat, lngs) {
+  const rows = (rings) => rings
+    .filter(r => { const [, s, , n] = boundsOf(r.ring); return lat >= s && lat <= n })
+    .map(r => crossings(r.ring, lat))
+  const inAny = (lng, list) => list.some(xs =>
+    insideCrossings(lng, xs) || insideCrossings(lng + (lng < 0 ? 360 : -360), xs))
+
+  const land = rows(LAND)
+  const water = rows(WATER_BODIES)
+  return lngs.map(lng => inAny(lng, land) && !inAny(lng, water))
+}
+
+/**
+ * What lies at the surface at a point.
+ * @param {number} lat Latitude (degrees)
+ * @param {number} lng Longitude (degrees)
+ * @returns {{ type: 'land'|'sea'|'lake', id: string, name: string, depth: number, basin: string|null }}
+ */
+export function surfaceAt(lat, lng) {
+  const x = normalizeLng(lng)
+
+  const body = WATER_BODIES.find(b => inRing(x, lat, b.ring))
+  if (body) {
+    return { type: body.type, id: body.id, name: body.name, depth: body.depth, basin: body.basin }
+  }
+
+  const land = LAND.find(l => inRing(x, lat, l.ring))
+  if (land) {
+    return { type: 'land', id: 'land', name: land.name, depth: 0, basin: null }
+  }
+
+  if (lat >= ARCTIC_LATITUDE) return ocean('arctic')
+  const region = OCEAN_REGIONS.find(r => inRing(x, lat, r.ring))
+  return ocean(region ? region.ocean : 'pacific')
+}
@@ -0,0 +1,45 @@
+import { describe, it, expect } from 'vitest'
+import { surfaceAt } from './surface.js'
+
+// [name, lat, lng, expected type, expected name]
+const KNOWN_POINTS = [
+  ['Kansas', 39.0, -98.0, 'land', 'North America'],
+  ['Paris', 48.86, 2.35, 'land', 'Eurasia'],
+  ['Palermo', 38.12, 13.36, 'land', 'Sicily'],
+  ['Cagliari', 39.22, 9.11, 'land', 'Sardinia'],
+  ['Heraklion', 35.34, 25.13, 'land', 'Crete'],
+  ['Nicosia', 35.17, 33.36, 'land', 'Cyprus'],
+  ['Honolulu', 21.31, -157.86, 'land', 'Oahu'],
+  ['Hilo', 19.72, -155.09, 'land', 'Hawaii'],
+  ['mid-Atlantic', 30.0, -40.0, 'sea', 'Atlantic Ocean'],
+  ['Tyrrhenian Sea', 40.0, 12.0, 'sea', 'Mediterranean Sea'],
+  ['Arabian Sea', 15.0, 62.0, 'sea', 'Indian Ocean'],
+  ['central Pacific', 0.0, -150.0, 'sea', 'Pacific Ocean'],
+  ['off Oahu', 21.0, -158.5, 'sea', 'Pacific Ocean'],
+  ['Persian Gulf', 27.0, 51.0, 'sea', 'Persian Gulf'],
+  ['Red Sea', 20.0, 38.8, 'sea', 'Red Sea'],
+  ['Black Sea', 43.0, 34.0, 'sea', 'Black Sea'],
+  ['Lake Victoria', -1.0, 33.0, 'lake', 'Lake Victoria']
+]
+
+describe('surfaceAt', () => {
+  it.each(KNOWN_POINTS)('puts %s on %s', (_, lat, lng, type, name) => {
+    const surface = surfaceAt(lat, lng)
+    expect(surface.type).toBe(type)
+    expect(surface.name).toBe(name)
+  })
+
+  it('gives the shallow seas their own depths and basins', () => {
+    expect(surfaceAt(27.0, 51.0)).toMatchObject({ depth: 50, basin: 'persian-gulf' })
+    expect(surfaceAt(20.0, 38.8)).toMatchObject({ depth: 490, basin: 'red' })
+    expect(surfaceAt(15.0, 62.0).depth).toBeGreaterThan(3000)
+  })
+
+  it('treats longitudes past ±180 like their wrapped values', () => {
+    expect(surfaceAt(21.31, 360 - 157.86).name).toBe('Oahu')
+  })
+
+  it('is Arctic Ocean at sea north of the Arctic circle', () => {
+    expect(surfaceAt(85.0, 0.0).name).toBe('Arctic Ocean')
+  })
+})
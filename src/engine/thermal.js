@@ -0,0 +1,101 @@
+// Thermal radiation
+//
+// Fireball size, duration and radiant exposure versus distance following
+// Collins et al. (2005): a fraction of the delivered energy (the luminous
+// efficiency) is radiated from a fireball that is partly hidden below the
+// horizon at long range, and the atmosphere attenuates it further depending
+// on the visibility.
+
+import { EARTH_RADIUS, JOULES_PER_MEGATON } from './constants.js'
+
+export const LUMINOUS_EFFICIENCY = 3e-3
+
+// Visibility is used as the e-folding length of the broadband thermal pulse
+export const VISIBILITY = [
+  { id: 'exceptional', label: 'Exceptionally Clear', icon: '🔭', range: 100000 },
+  { id: 'clear', label: 'Clear', icon: '☀️', range: 50000 },
+  { id: 'average', label: 'Average', icon: '🌤️', range: 20000 },
+  { id: 'hazy', label: 'Hazy', icon: '🌫️', range: 10000 },
+  { id: 'overcast', label: 'Low Cloud / Fog', icon: '☁️', range: 2000 }
+]
+
+export const DEFAULT_VISIBILITY = 'clear'
+
+export const visibilityById = (id) => VISIBILITY.find(v => v.id === id) || VISIBILITY.find(v => v.id === DEFAULT_VISIBILITY)
+
+// Exposure thresholds (J/m²) for a 1 Mt event. Longer pulses from bigger
+// events let more heat diffuse away, so thresholds grow as E_Mt^(1/6).
+export const THERMAL_THRESHOLDS = [
+  { id: 'clothing', label: 'Clothing Ignition', threshold: 1.0e6, color: '#991b1b' },
+  { id: 'trees', label: 'Tree Ignition', threshold: 0.84e6, color: '#15803d' },
+  { id: 'burns3', label: '3rd Degree Burns', threshold: 0.42e6, color: '#dc2626' },
+  { id: 'burns2', label: '2nd Degree Burns', threshold: 0.25e6, color: '#f59e0b' }
+]
+
+// Fireball radius (m) for a given energy (J)
+export const fireballRadius = (energy) => 0.002 * Math.cbrt(energy)
+
+// Fraction of the fireball visible above the horizon for an observer at
+// ground range r when the fireball centre is burstHeight above the surface
+export const visibleFraction = (r, radius, burstHeight = 0) => {
+  const hidden = EARTH_RADIUS * (1 - Math.cos(r / EARTH_RADIUS)) - burstHeight
+  if (hidden <= -radius) return 1
+  if (hidden >= radius) return 0
+  const delta = Math.acos(hidden / radius)
+  return (2 / Math.PI) * (delta - (hidden / radius) * Math.sin(delta))
+}
+
+/**
+ * Radiant exposure (J/m²) at ground range r (m).
+ */
+export const thermalExposure = (r, { energy, burstHeight = 0, visibility = DEFAULT_VISIBILITY }) => {
+  const radius = fireballRadius(energy)
+  const slant = Math.sqrt(r * r + burstHeight * burstHeight)
+  const fraction = visibleFraction(r, radius, burstHeight)
+  const transmission = Math.exp(-slant / visibilityById(visibility).range)
+  return fraction * transmission * LUMINOUS_EFFICIENCY * energy / (2 * Math.PI * Math.max(slant * slant, 1))
+}
+
+const radiusForExposure = (exposure, params) => {
+  if (thermalExposure(0, params) < exposure) return 0
+  let lo = 0
+  let hi = Math.PI * EARTH_RADIUS
+  for (let i = 0; i < 100 && hi - lo > 1; i++) {
+    const mid = (lo + hi) / 2
+    if (thermalExposure(mid, params) >= exposure) lo = mid
+    else hi = mid
+  }
+  return lo
+}
+
+/**
+ * Thermal effects of an explosion.
+ * @param {Object} params
+ * @param {number} params.energy        Energy delivered (J)
+ * @param {number} params.speed         Speed of the body when it delivered it (m/s)
+ * @param {number} [params.burstHeight] Burst altitude (m), 0 for ground impacts
+ * @param {string} [params.visibility]  One of VISIBILITY ids
+ */
+export function computeThermal({ energy, speed, burstHeight = 0, visibility = DEFAULT_VISIBILITY }) {
+  const radius = energy > 0 ? fireballRadius(energy) : 0
+  const scaling = Math.pow(Math.max(energy, 0) / JOULES_PER_MEGATON, 1/6)
+  const params = { energy, burstHeight, visibility }
+
+  const rings = THERMAL_THRESHOLDS.map(t => {
+    const threshold = t.threshold * scaling
+    return {
+      ...t,
+      threshold,
+      radius: energy > 0 ? radiusForExposure(threshold, params) : 0
+    }
+  })
+
+  return {
+    visibility: visibilityById(visibility).id,
+    fireballRadius: radius,
+    // Time of maximum radiation, the fireball grows at roughly the impact speed
+    duration: speed > 0 ? radius / speed : 0,
+    radiatedEnergy: LUMINOUS_EFFICIENCY * Math.max(energy, 0),
+    rings
+  }
+}
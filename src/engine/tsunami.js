@@ -0,0 +1,131 @@
+// Impact tsunami
+//
+// A ground impact in water opens a transient cavity whose collapse sends out
+// a rim wave. Its amplitude is limited by the water depth and decays roughly
+// as 1/r with distance (Ward & Asphaug 2000; Wünnemann et al. 2010). The wave
+// travels at the linear dispersive speed for a wavelength of about twice the
+// cavity diameter, and runup at the shore follows Ward & Asphaug's
+// R = A^(4/5) h^(1/5) for a wave of amplitude A arriving from depth h.
+
+import { EARTH_GRAVITY, EARTH_RADIUS } from './constants.js'
+import { greatCircleDistance } from './geo.js'
+import { COASTAL_POINTS } from '../data/coastalPoints.js'
+
+// Runup below this height (m) is not counted as reaching a coast
+export const MIN_RUNUP = 1
+
+// Coastal cities are treated as rising evenly to this height (m), so the
+// share of a city that is flooded is runup / COASTAL_RELIEF. A tenth of
+// the people in the flooded area are assumed to die.
+const COASTAL_RELIEF = 100
+const INUNDATION_FATALITY = 0.1
+
+// Rim wave amplitude (m) at the cavity rim for a water cavity of diameter D
+// in water of depth h
+export const rimWaveAmplitude = (cavityDiameter, waterDepth) =>
+  Math.min(cavityDiameter / 14.1, waterDepth)
+
+export const rimWaveRadius = (cavityDiameter) => 0.75 * cavityDiameter
+
+// Open-ocean amplitude (m) at range r (m)
+export const waveAmplitude = (r, cavityDiameter, waterDepth) => {
+  const r0 = rimWaveRadius(cavityDiameter)
+  const a0 = rimWaveAmplitude(cavityDiameter, waterDepth)
+  return r <= r0 ? a0 : a0 * r0 / r
+}
+
+// Phase speed (m/s) of a wave of the given length in water of depth h
+export const waveSpeed = (wavelength, waterDepth) => {
+  const k = 2 * Math.PI / wavelength
+  return Math.sqrt(EARTH_GRAVITY / k * Math.tanh(k * waterDepth))
+}
+
+export const runupHeight = (amplitude, waterDepth) =>
+  amplitude > 0 ? Math.pow(amplitude, 0.8) * Math.pow(waterDepth, 0.2) : 0
+
+// Range (m) beyond which the runup drops below MIN_RUNUP
+export const hazardRadius = (cavityDiameter, waterDepth) => {
+  const minAmplitude = Math.pow(MIN_RUNUP, 1.25) / Math.pow(waterDepth, 0.25)
+  const r0 = rimWaveRadius(cavityDiameter)
+  const a0 = rimWaveAmplitude(cavityDiameter, waterDepth)
+  if (a0 < minAmplitude) return 0
+  return Math.min(a0 * r0 / minAmplitude, Math.PI * EARTH_RADIUS)
+}
+
+// Ocean basin of the coastal point closest to (lat, lng)
+export const nearestBasin = (lat, lng, coasts = COASTAL_POINTS) => {
+  let best = null
+  let bestDistance = Infinity
+  for (const c of coasts) {
+    const distance = greatCircleDistance(lat, lng, c.lat, c.lng)
+    if (distance < bestDistance) {
+      best = c
+      bestDistance = distance
+    }
+  }
+  return best ? best.basin : null
+}
+
+/**
+ * Tsunami from an impact in water.
+ * @param {Object} params
+ * @param {number} params.cavityDiameter Transient water cavity diameter (m)
+ * @param {number} params.waterDepth     Water depth at the impact point (m)
+ * @param {number} params.lat            Impact latitude (degrees)
+ * @param {number} params.lng            Impact longitude (degrees)
+ * @param {string} [params.basin]        Basin the impact is in; defaults to that of the nearest coast
+ * @param {Array}  [params.coasts]       Coastal points, defaults to the bundled COASTAL_POINTS
+ */
+export function computeTsunami({ cavityDiameter, waterDepth, lat, lng, basin, coasts = COASTAL_POINTS }) {
+  if (!(cavityDiameter > 0 && waterDepth > 0)) {
+    return {
+      cavityDiameter: 0,
+      cavityDepth: 0,
+      rimAmplitude: 0,
+      rimRadius: 0,
+      wavelength: 0,
+      waveSpeed: 0,
+      hazardRadius: 0,
+      basin: null,
+      coasts: [],
+      deaths: 0
+    }
+  }
+
+  const wavelength = 2 * cavityDiameter
+  const speed = waveSpeed(wavelength, waterDepth)
+  const radius = hazardRadius(cavityDiameter, waterDepth)
+  const impactBasin = basin ?? nearestBasin(lat, lng, coasts)
+
+  const reached = coasts
+    .filter(c => c.basin === impactBasin)
+    .map(c => {
+      const distance = greatCircleDistance(lat, lng, c.lat, c.lng)
+      const amplitude = waveAmplitude(distance, cavityDiameter, waterDepth)
+      const runup = runupHeight(amplitude, waterDepth)
+      const flooded = Math.min(1, runup / COASTAL_RELIEF)
+      return {
+        ...c,
+        distance,
+        amplitude,
+        runup,
+        arrivalTime: distance / speed,
+        deaths: Math.round(c.population * flooded * INUNDATION_FATALITY)
+      }
+    })
+    .filter(c => c.runup >= MIN_RUNUP)
+    .sort((a, b) => a.arrivalTime - b.arrivalTime)
+
+  return {
+    cavityDiameter,
+    cavityDepth: Math.min(cavityDiameter / (2 * Math.SQRT2), waterDepth),
+    rimAmplitude: rimWaveAmplitude(cavityDiameter, waterDepth),
+    rimRadius: rimWaveRadius(cavityDiameter),
+    wavelength,
+    waveSpeed: speed,
+    hazardRadius: radius,
+    basin: impactBasin,
+    coasts: reached,
+    deaths: reached.reduce((sum, c) => sum + c.deaths, 0)
+  }
+}
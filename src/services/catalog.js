@@ -0,0 +1,140 @@
+// Offline asteroid catalog loader.
+//
+// Validates the bundled data/asteroidCatalog.js entries and turns them into
+// the same records services/neows.js produces, so the NEO panel can show
+// catalog objects wherever it would show NeoWs ones.
+
+import { ASTEROID_CATALOG, CATALOG_VERSION } from '../data/asteroidCatalog.js'
+import { spectralClassById } from '../data/spectralClasses.js'
+import { estimateDiameter } from '../engine/size.js'
+
+const AU_KM = 149597870.7
+const LUNAR_DISTANCE_KM = 384400
+
+// Unknown properties are recorded as null
+const optional = (test) => v => v === null || test(v)
+
+// [field, test, description] checked for every entry
+const RULES = [
+  ['spkId', v => typeof v === 'string' && /^\d+$/.test(v), 'a numeric string'],
+  ['name', v => typeof v === 'string' && v.trim() !== '', 'a non-empty string'],
+  ['diameter', optional(v => Number.isFinite(v) && v > 0), 'a positive number (m) or null'],
+  ['albedo', optional(v => Number.isFinite(v) && v > 0 && v <= 1), 'between 0 and 1, or null'],
+  ['spectralType', optional(v => typeof v === 'string' && /^[A-Z]/.test(v)), 'a spectral class such as S or Cb, or null'],
+  ['density', v => Number.isFinite(v) && v >= 500 && v <= 8000, 'between 500 and 8000 kg/m³'],
+  ['rotationPeriod', optional(v => Number.isFinite(v) && v > 0), 'a positive number (h) or null'],
+  ['absoluteMagnitude', v => Number.isFinite(v) && v > 0 && v < 35, 'between 0 and 35'],
+  ['isHazardous', v => typeof v === 'boolean', 'a boolean'],
+  ['source', v => typeof v === 'string' && v.trim() !== '', 'a citation']
+]
+
+const approachProblems = (approach) => {
+  if (approach === null || approach === undefined) return []
+  const problems = []
+  if (!Number.isFinite(Date.parse(approach.date))) problems.push('approach.date must be an ISO date')
+  if (!(Number.isFinite(approach.velocity) && approach.velocity > 0)) problems.push('approach.velocity must be a positive number (km/s)')
+  if (!(Number.isFinite(approach.missDistance) && approach.missDistance > 0)) problems.push('approach.missDistance must be a positive number (km)')
+  return problems
+}
+
+/**
+ * Problems with catalog entries, as readable messages (empty when valid).
+ * @param {Object[]} entries
+ * @returns {string[]}
+ */
+export function validateCatalog(entries) {
+  const problems = []
+  const seen = new Set()
+  entries.forEach((entry, i) => {
+    const label = entry?.name ? `"${entry.name}"` : `entry ${i}`
+    for (const [field, test, description] of RULES) {
+      if (!test(entry?.[field])) problems.push(`${label}: ${field} must be ${description}, got ${entry?.[field]}`)
+    }
+    approachProblems(entry?.approach).forEach(p => problems.push(`${label}: ${p}`))
+    if (seen.has(entry?.spkId)) problems.push(`${label}: duplicate spkId ${entry.spkId}`)
+    seen.add(entry?.spkId)
+  })
+  return problems
+}
+
+// Catalog entry as a NeoWs-style record. Objects known only by their
+// brightness get a diameter range from H and their albedo or class.
+const toRecord = (entry) => {
+  const size = entry.diameter
+    ? { low: entry.diameter, nominal: entry.diameter, high: entry.diameter }
+    : estimateDiameter({ absoluteMagnitude: entry.absoluteMagnitude, albedo: entry.albedo ?? undefined, spectralClass: entry.spectralType })
+
+  const approach = entry.approach
+    ? {
+        epoch: new Date(entry.approach.date),
+        velocity: entry.approach.velocity,
+        missDistance: entry.approach.missDistance,
+        missDistanceAu: entry.approach.missDistance / AU_KM,
+        missDistanceLunar: entry.approach.missDistance / LUNAR_DISTANCE_KM,
+        orbitingBody: 'Earth'
+      }
+    : null
+
+  return {
+    id: entry.spkId,
+    name: entry.name,
+    designation: entry.designation ?? null,
+    absoluteMagnitude: entry.absoluteMagnitude,
+    diameter: size.nominal,
+    diameterMin: size.low,
+    diameterMax: size.high,
+    diameterMeasured: Boolean(entry.diameter),
+    albedo: entry.albedo,
+    spectralType: entry.spectralType,
+    spectralClass: spectralClassById(entry.spectralType).id,
+    density: entry.density,
+    densityMeasured: Boolean(entry.densityMeasured),
+    rotationPeriod: entry.rotationPeriod,
+    isHazardous: entry.isHazardous,
+    isSentryObject: false,
+    approaches: approach ? [approach] : [],
+    approach,
+    orbit: null,
+    jplUrl: `https://ssd.jpl.nasa.gov/tools/sbdb_lookup.html#/?sstr=${entry.spkId}`,
+    source: entry.source,
+    catalogVersion: CATALOG_VERSION
+  }
+}
+
+/**
+ * Validate entries and convert them to records.
+ * @param {Object[]} [entries] Defaults to the bundled ASTEROID_CATALOG
+ * @throws {Error} listing every problem found, if any
+ */
+export function loadCatalog(entries = ASTEROID_CATALOG) {
+  const problems = validateCatalog(entries)
+  if (problems.length > 0) {
+    throw new Error(`Asteroid catalog v${CATALOG_VERSION} is invalid:\n${problems.join('\n')}`)
+  }
+  return entries.map(toRecord)
+}
+
+let catalog = null
+
+// The bundled catalog, validated once on first use
+export const getCatalog = () => {
+  if (!catalog) catalog = loadCatalog()
+  return catalog
+}
+
+const normalize = (text) => text.toLowerCase().replace(/[()\s]+/g, ' ').trim()
+
+/**
+ * Catalog objects matching a name, designation, asteroid number or SPK-ID.
+ * @param {string} query
+ * @param {Object[]} [records] Defaults to the bundled catalog
+ */
+export function searchCatalog(query, records = getCatalog()) {
+  const text = normalize(query)
+  if (!text) return []
+  return records.filter(record =>
+    normalize(record.name).includes(text) ||
+    (record.designation && normalize(record.designation).includes(text)) ||
+    record.id === text ||
+    record.id === String(2000000 + Number(text)))
+}
@@ -0,0 +1,270 @@
+// NASA NeoWs (Near Earth Object Web Service) client and response parser.
+//
+// The parser turns NeoWs objects into the plain records the app works with:
+// diameter from the published estimate, and relative velocity, miss distance
+// and epoch from close_approach_data, and orbital elements from orbital_data
+// where the response has them. NeoWs carries no taxonomy, so density comes
+// from the spectral class defaults in data/spectralClasses.js.
+
+import { spectralClassById } from '../data/spectralClasses.js'
+import { diameterFromMagnitude, UNKNOWN_ALBEDO } from '../engine/size.js'
+import { dateFromJulian } from '../engine/orbit.js'
+
+// Requests go to VITE_NEOWS_BASE_URL when set, so a local mock server can
+// stand in for the API; every call also takes a baseUrl option
+export const DEFAULT_BASE_URL = import.meta.env?.VITE_NEOWS_BASE_URL || 'https://api.nasa.gov/neo/rest/v1'
+const AU_KM = 149597870.7
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const toFloat = (value) => {
+  const n = parseFloat(value)
+  return Number.isFinite(n) ? n : null
+}
+
+/**
+ * One close approach from NeoWs close_approach_data.
+ * @returns {{ epoch: Date, velocity: number, missDistance: number, missDistanceAu: number, missDistanceLunar: number, orbitingBody: string }|null}
+ *   velocity in km/s, miss distances in km, AU and lunar distances
+ */
+export function parseApproach(approach) {
+  const epochMs = toFloat(approach?.epoch_date_close_approach) ?? Date.parse(approach?.close_approach_date)
+  const velocity = toFloat(approach?.relative_velocity?.kilometers_per_second)
+  const missDistance = toFloat(approach?.miss_distance?.kilometers)
+  if (!Number.isFinite(epochMs) || velocity === null || missDistance === null) return null
+
+  return {
+    epoch: new Date(epochMs),
+    velocity,
+    missDistance,
+    missDistanceAu: toFloat(approach.miss_distance.astronomical) ?? missDistance / AU_KM,
+    missDistanceLunar: toFloat(approach.miss_distance.lunar) ?? missDistance / 384400,
+    orbitingBody: approach.orbiting_body ?? 'Earth'
+  }
+}
+
+/**
+ * Osculating elements from NeoWs orbital_data (lookup and browse responses;
+ * the feed leaves them out).
+ * @returns {import('../engine/orbit.js').OrbitalElements & { moid: number|null, orbitClass: string|null }|null}
+ *   moid is JPL's published value in AU
+ */
+export function parseOrbitalData(orbit) {
+  const epochJd = toFloat(orbit?.epoch_osculation)
+  const elements = {
+    semiMajorAxis: toFloat(orbit?.semi_major_axis),
+    eccentricity: toFloat(orbit?.eccentricity),
+    inclination: toFloat(orbit?.inclination),
+    ascendingNode: toFloat(orbit?.ascending_node_longitude),
+    perihelionArgument: toFloat(orbit?.perihelion_argument),
+    meanAnomaly: toFloat(orbit?.mean_anomaly)
+  }
+  if (epochJd === null || Object.values(elements).some(v => v === null)) return null
+  return {
+    ...elements,
+    epoch: dateFromJulian(epochJd),
+    moid: toFloat(orbit.minimum_orbit_intersection),
+    orbitClass: orbit.orbit_class?.orbit_class_type ?? null
+  }
+}
+
+/**
+ * A NeoWs near-Earth object as an app record.
+ * @param {Object} neo Object from a NeoWs feed, lookup or browse response
+ * @param {Object} [options]
+ * @param {string} [options.spectralClass] Known spectral class, if any
+ * @param {Date}   [options.after] Pick the first Earth approach after this time
+ *   (default: the earliest listed)
+ */
+export function parseNeo(neo, { spectralClass, after } = {}) {
+  const spectral = spectralClassById(spectralClass)
+  const h = toFloat(neo.absolute_magnitude_h)
+  const meters = neo.estimated_diameter?.meters
+  const diameterMin = toFloat(meters?.estimated_diameter_min) ?? (h !== null ? diameterFromMagnitude(h, UNKNOWN_ALBEDO.high) : null)
+  const diameterMax = toFloat(meters?.estimated_diameter_max) ?? (h !== null ? diameterFromMagnitude(h, UNKNOWN_ALBEDO.low) : null)
+  if (diameterMin === null || diameterMax === null) return null
+
+  const approaches = (neo.close_approach_data ?? [])
+    .map(parseApproach)
+    .filter(a => a && a.orbitingBody === 'Earth')
+    .sort((a, b) => a.epoch - b.epoch)
+  // With `after`, the next approach, or the most recent if none is due
+  const approach = after
+    ? approaches.find(a => a.epoch >= after) ?? approaches[approaches.length - 1] ?? null
+    : approaches[0] ?? null
+
+  return {
+    id: String(neo.id ?? neo.neo_reference_id),
+    name: neo.name,
+    absoluteMagnitude: h,
+    // NeoWs bounds the size with albedos of 0.25 and 0.05; their geometric
+    // mean corresponds to an albedo of about 0.11
+    diameter: Math.sqrt(diameterMin * diameterMax),
+    diameterMin,
+    diameterMax,
+    spectralClass: spectral.id,
+    density: spectral.density,
+    isHazardous: Boolean(neo.is_potentially_hazardous_asteroid),
+    isSentryObject: Boolean(neo.is_sentry_object),
+    approaches,
+    approach,
+    orbit: parseOrbitalData(neo.orbital_data),
+    jplUrl: neo.nasa_jpl_url ?? null
+  }
+}
+
+// All objects in a NeoWs feed response, earliest approach first
+export function parseNeoFeed(data) {
+  return Object.values(data?.near_earth_objects ?? {})
+    .flat()
+    .map(neo => parseNeo(neo))
+    .filter(neo => neo && neo.approach)
+    .sort((a, b) => a.approach.epoch - b.approach.epoch)
+}
+
+const apiKeyOr = (apiKey) => apiKey || import.meta.env?.VITE_NASA_API_KEY || 'DEMO_KEY'
+
+const request = async (baseUrl, path, params) => {
+  const url = new URL(`${baseUrl.replace(/\/$/, '')}/${path}`)
+  Object.entries(params).forEach(([key, value]) => url.searchParams.append(key, value))
+  const response = await fetch(url)
+  if (!response.ok) {
+    const error = new Error(`NeoWs HTTP ${response.status}: ${response.statusText}`)
+    error.status = response.status
+    throw error
+  }
+  return response.json()
+}
+
+// Fetch and parse the NeoWs feed for the days starting at `start`
+// (the API allows at most seven)
+export const fetchNeoFeed = async ({ start = new Date(), days = 7, apiKey, baseUrl = DEFAULT_BASE_URL } = {}) => {
+  const isoDate = (d) => d.toISOString().split('T')[0]
+  const data = await request(baseUrl, 'feed', {
+    start_date: isoDate(start),
+    end_date: isoDate(new Date(start.getTime() + days * DAY_MS)),
+    api_key: apiKeyOr(apiKey)
+  })
+  return parseNeoFeed(data)
+}
+
+// One object by SPK-ID, with its next Earth approach
+export const lookupNeo = async (id, { apiKey, baseUrl = DEFAULT_BASE_URL } = {}) => {
+  const data = await request(baseUrl, `neo/${encodeURIComponent(id)}`, { api_key: apiKeyOr(apiKey) })
+  return parseNeo(data, { after: new Date() })
+}
+
+/**
+ * One page of the full NeoWs catalogue.
+ * @returns {Promise<{ objects: Object[], page: number, size: number, totalPages: number, totalElements: number }>}
+ *   page numbers start at 0, as in the API
+ */
+export const browseNeos = async ({ page = 0, size = 20, apiKey, baseUrl = DEFAULT_BASE_URL } = {}) => {
+  const data = await request(baseUrl, 'neo/browse', { page, size, api_key: apiKeyOr(apiKey) })
+  const now = new Date()
+  return {
+    objects: (data.near_earth_objects ?? []).map(neo => parseNeo(neo, { after: now })).filter(Boolean),
+    page: data.page?.number ?? page,
+    size: data.page?.size ?? size,
+    totalPages: data.page?.total_pages ?? 1,
+    totalElements: data.page?.total_elements ?? 0
+  }
+}
+
+// SPK-IDs of numbered asteroids are 2,000,000 plus the number
+const NUMBERED_SPK_OFFSET = 2000000
+
+/**
+ * Find objects by name, designation or SPK-ID. NeoWs can only look objects up
+ * by SPK-ID, so numbers are tried as an SPK-ID and as an asteroid number, and
+ * names are matched against the records already loaded.
+ * @param {string} query
+ * @param {Object[]} [loaded] Parsed records to match names against
+ */
+export const searchNeos = async (query, loaded = [], options = {}) => {
+  const text = query.trim()
+  if (!text) return []
+
+  const byName = loaded.filter(neo => neo.name.toLowerCase().includes(text.toLowerCase()))
+  // "433", "(433) Eros" or "2000433", but not a provisional designation
+  // such as "2019 OK"
+  const isDesignation = /^\(?\d{4}\)?\s+[A-Z]{2}\d*$/i.test(text)
+  const number = isDesignation ? null : /^\(?(\d+)\)?(\s+\D.*)?$/.exec(text)?.[1]
+  if (!number) return byName
+
+  const ids = Number(number) < NUMBERED_SPK_OFFSET
+    ? [String(NUMBERED_SPK_OFFSET + Number(number)), number]
+    : [number]
+  for (const id of ids) {
+    try {
+      const neo = await lookupNeo(id, options)
+      if (neo) return [neo, ...byName.filter(n => n.id !== neo.id)]
+    } catch (error) {
+      if (error.status !== 404 && error.status !== 400) throw error
+    }
+  }
+  return byName
+}
+
+export const SORT_KEYS = [
+  { id: 'date', label: 'Approach date' },
+  { id: 'size', label: 'Size' },
+  { id: 'velocity', label: 'Velocity' },
+  { id: 'distance', label: 'Miss distance' },
+  { id: 'hazard', label: 'Hazard' }
+]
+
+// Kinetic energy (J) if the object struck at its approach speed
+export const approachEnergy = (neo) => {
+  if (!neo.approach) return 0
+  const mass = neo.density * Math.PI / 6 * Math.pow(neo.diameter, 3)
+  const v = neo.approach.velocity * 1000
+  return 0.5 * mass * v * v
+}
+
+const comparators = {
+  date: (a, b) => (a.approach?.epoch ?? Infinity) - (b.approach?.epoch ?? Infinity),
+  size: (a, b) => b.diameter - a.diameter,
+  velocity: (a, b) => (b.approach?.velocity ?? 0) - (a.approach?.velocity ?? 0),
+  distance: (a, b) => (a.approach?.missDistance ?? Infinity) - (b.approach?.missDistance ?? Infinity),
+  hazard: (a, b) => (b.isHazardous - a.isHazardous) || approachEnergy(b) - approachEnergy(a)
+}
+
+// Sort records by one of SORT_KEYS: soonest, biggest, fastest, closest or
+// most hazardous first (PHAs ahead of everything else, then by energy)
+export const sortNeos = (neos, key) => {
+  const compare = comparators[key]
+  return compare ? [...neos].sort(compare) : neos
+}
+
+export const filterNeos = (neos, { phaOnly = false, minDiameter = 0 } = {}) =>
+  neos.filter(neo => (!phaOnly || neo.isHazardous) && neo.diameter >= minDiameter)
+
+/**
+ * Every Earth approach of the given records as one list, earliest first.
+ * Records that appear more than once (feed, browse, catalog) are merged by
+ * id, and the same approach listed twice is kept once.
+ * @param {Object[]} neos Parsed NeoWs or catalog records
+ * @returns {{ neo: Object, approach: Object }[]}
+ */
+export function flattenApproaches(neos) {
+  const seen = new Set()
+  const entries = []
+  for (const neo of neos) {
+    for (const approach of neo.approaches ?? []) {
+      // Approaches within a day of each other are the same encounter
+      const key = `${neo.id}:${Math.round(approach.epoch.getTime() / DAY_MS)}`
+      if (seen.has(key)) continue
+      seen.add(key)
+      entries.push({ neo, approach })
+    }
+  }
+  return entries.sort((a, b) => a.approach.epoch - b.approach.epoch)
+}
+
+// Flattened approaches on or after `now` ('upcoming'), before it ('past') or
+// all of them ('all')
+export const approachesInRange = (entries, range, now = new Date()) => {
+  if (range === 'upcoming') return entries.filter(e => e.approach.epoch >= now)
+  if (range === 'past') return entries.filter(e => e.approach.epoch < now)
+  return entries
+}
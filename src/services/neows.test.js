@@ -0,0 +1,258 @@
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import feed from '../data/fixtures/neowsFeed.json'
+import { DEFAULT_SPECTRAL_CLASS, spectralClassById } from '../data/spectralClasses.js'
+import {
+  parseApproach,
+  parseNeo,
+  parseNeoFeed,
+  flattenApproaches,
+  approachesInRange,
+  sortNeos,
+  filterNeos,
+  fetchNeoFeed,
+  browseNeos,
+  searchNeos,
+  DEFAULT_BASE_URL
+} from './neows.js'
+
+describe('parseNeoFeed', () => {
+  const neos = parseNeoFeed(feed)
+  const byName = (name) => neos.find(neo => neo.name.includes(name))
+
+  it('parses every object in the recorded feed, earliest approach first', () => {
+    expect(neos).toHaveLength(feed.element_count)
+    const epochs = neos.map(neo => neo.approach.epoch.getTime())
+    expect(epochs).toEqual([...epochs].sort((a, b) => a - b))
+  })
+
+  it('reads relative velocity, miss distance and epoch from the approach', () => {
+    const apophis = byName('Apophis')
+    expect(apophis.approach.velocity).toBe(7.42)
+    expect(apophis.approach.missDistance).toBe(38012)
+    expect(apophis.approach.missDistanceLunar).toBeCloseTo(0.0989, 3)
+    expect(apophis.approach.epoch.toISOString()).toBe('2029-04-13T21:46:00.000Z')
+    expect(apophis.approach.orbitingBody).toBe('Earth')
+  })
+
+  it('keeps the hazardous flag', () => {
+    expect(byName('Apophis').isHazardous).toBe(true)
+    expect(byName('2001 FO32').isHazardous).toBe(true)
+    expect(byName('Duende').isHazardous).toBe(false)
+  })
+
+  it('estimates the size from H when the diameter estimate is missing', () => {
+    const bu = byName('2023 BU')
+    expect(bu.diameterMin).toBeGreaterThan(0)
+    expect(bu.diameterMax).toBeGreaterThan(bu.diameterMin)
+    expect(bu.diameter).toBeCloseTo(Math.sqrt(bu.diameterMin * bu.diameterMax))
+  })
+
+  it('uses the default spectral class, since the feed carries no taxonomy', () => {
+    expect(neos.every(neo => neo.spectralClass === DEFAULT_SPECTRAL_CLASS)).toBe(true)
+    expect(byName('Apophis').density).toBe(spectralClassById(DEFAULT_SPECTRAL_CLASS).density)
+  })
+
+  it('leaves the orbit empty, since the feed has no orbital data', () => {
+    expect(byName('Apophis').orbit).toBeNull()
+  })
+
+  it('returns nothing for a response without objects', () => {
+    expect(parseNeoFeed({})).toEqual([])
+    expect(parseNeoFeed(null)).toEqual([])
+  })
+})
+
+describe('parseApproach', () => {
+  const [recorded] = feed.near_earth_objects['2029-04-13'][0].close_approach_data
+
+  it('uses the calendar date when the epoch is missing', () => {
+    const { epoch_date_close_approach: _, ...approach } = recorded
+    expect(parseApproach(approach).epoch.toISOString()).toBe('2029-04-13T00:00:00.000Z')
+  })
+
+  it('derives AU and lunar distances from kilometres when they are missing', () => {
+    const approach = { ...recorded, miss_distance: { kilometers: '149597870.7' } }
+    expect(parseApproach(approach).missDistanceAu).toBeCloseTo(1)
+    expect(parseApproach(approach).missDistanceLunar).toBeCloseTo(149597870.7 / 384400)
+  })
+
+  it('assumes Earth when the orbiting body is missing', () => {
+    const { orbiting_body: _, ...approach } = recorded
+    expect(parseApproach(approach).orbitingBody).toBe('Earth')
+  })
+
+  it('rejects approaches without a velocity, miss distance or date', () => {
+    expect(parseApproach({ ...recorded, relative_velocity: {} })).toBeNull()
+    expect(parseApproach({ ...recorded, miss_distance: { kilometers: 'n/a' } })).toBeNull()
+    expect(parseApproach({ relative_velocity: recorded.relative_velocity, miss_distance: recorded.miss_distance })).toBeNull()
+    expect(parseApproach(undefined)).toBeNull()
+  })
+})
+
+describe('parseNeo', () => {
+  const [recorded] = feed.near_earth_objects['2029-04-13']
+
+  it('drops objects with neither a diameter estimate nor H', () => {
+    const { estimated_diameter: _, absolute_magnitude_h: __, ...neo } = recorded
+    expect(parseNeo(neo)).toBeNull()
+  })
+
+  it('leaves the approach empty when none is listed', () => {
+    const neo = parseNeo({ ...recorded, close_approach_data: undefined })
+    expect(neo.approaches).toEqual([])
+    expect(neo.approach).toBeNull()
+  })
+
+  it('ignores approaches to other bodies', () => {
+    const mars = { ...recorded.close_approach_data[0], orbiting_body: 'Mars' }
+    expect(parseNeo({ ...recorded, close_approach_data: [mars] }).approach).toBeNull()
+  })
+})
+
+describe('approach timeline', () => {
+  const neos = parseNeoFeed(feed)
+  const names = (entries) => entries.map(entry => entry.neo.name)
+
+  it('lists every approach once, earliest first', () => {
+    const entries = flattenApproaches(neos)
+    expect(entries).toHaveLength(feed.element_count)
+    expect(names(entries)[0]).toContain('Duende')
+    expect(names(entries).at(-1)).toContain('Apophis')
+  })
+
+  it('merges records loaded twice and approaches listed twice', () => {
+    const apophis = neos.find(neo => neo.name.includes('Apophis'))
+    // The same approach a few hours off, as a second source might list it
+    const shifted = { ...apophis.approach, epoch: new Date(apophis.approach.epoch.getTime() + 3 * 3600e3) }
+    const entries = flattenApproaches([...neos, { ...apophis, approaches: [...apophis.approaches, shifted] }])
+    expect(entries).toHaveLength(feed.element_count)
+  })
+
+  it('keeps separate encounters of the same object', () => {
+    const apophis = neos.find(neo => neo.name.includes('Apophis'))
+    const later = { ...apophis.approach, epoch: new Date('2036-03-27T00:00:00Z') }
+    const entries = flattenApproaches([{ ...apophis, approaches: [...apophis.approaches, later] }])
+    expect(entries.map(entry => entry.approach.epoch.getUTCFullYear())).toEqual([2029, 2036])
+  })
+
+  it('splits upcoming and past approaches at the given time', () => {
+    const entries = flattenApproaches(neos)
+    const now = new Date('2022-01-01T00:00:00Z')
+    const upcoming = approachesInRange(entries, 'upcoming', now)
+    const past = approachesInRange(entries, 'past', now)
+    expect(names(upcoming)).toEqual(['7482 (1994 PC1)', '(2023 BU)', '(2024 MK)', '99942 Apophis (2004 MN4)'])
+    expect(upcoming.length + past.length).toBe(entries.length)
+    expect(approachesInRange(entries, 'all', now)).toBe(entries)
+  })
+})
+
+describe('sortNeos and filterNeos', () => {
+  const neos = parseNeoFeed(feed)
+  const names = (list) => list.map(neo => neo.name)
+
+  it('sorts by velocity and miss distance', () => {
+    expect(sortNeos(neos, 'velocity')[0].name).toContain('2001 FO32')
+    expect(sortNeos(neos, 'distance')[0].name).toContain('2023 BU')
+  })
+
+  it('puts hazardous objects first when sorting by hazard', () => {
+    const sorted = sortNeos(neos, 'hazard')
+    const hazardous = neos.filter(neo => neo.isHazardous).length
+    expect(sorted.slice(0, hazardous).every(neo => neo.isHazardous)).toBe(true)
+    expect(sorted.slice(hazardous).some(neo => neo.isHazardous)).toBe(false)
+  })
+
+  it('leaves the order alone for an unknown key', () => {
+    expect(sortNeos(neos, 'colour')).toBe(neos)
+  })
+
+  it('filters to hazardous objects and a minimum size', () => {
+    expect(names(filterNeos(neos, { phaOnly: true })).sort()).toEqual(names(neos.filter(neo => neo.isHazardous)).sort())
+    expect(filterNeos(neos, { minDiameter: 1000 }).every(neo => neo.diameter >= 1000)).toBe(true)
+    expect(filterNeos(neos)).toEqual(neos)
+  })
+})
+
+describe('requests', () => {
+  const BASE_URL = 'http://localhost:4000/neows/'
+  const records = Object.values(feed.near_earth_objects).flat()
+  const eros = { ...records[0], id: '2000433', name: '433 Eros (A898 PA)' }
+
+  // Answers each request with the first matching [path, status, body] route
+  // and records the URLs asked for
+  const stubFetch = (routes) => {
+    const fetch = vi.fn(async (url) => {
+      const { pathname } = new URL(url)
+      const [, status, body] = routes.find(([path]) => pathname.endsWith(path)) ?? [null, 404, {}]
+      return { ok: status < 400, status, statusText: status < 400 ? 'OK' : 'Error', json: async () => body }
+    })
+    vi.stubGlobal('fetch', fetch)
+    return () => fetch.mock.calls.map(([url]) => new URL(url))
+  }
+
+  afterEach(() => vi.unstubAllGlobals())
+
+  it('browses one page at the configured base URL', async () => {
+    const urls = stubFetch([['/neo/browse', 200, {
+      near_earth_objects: records.slice(0, 2),
+      page: { number: 3, size: 2, total_pages: 40, total_elements: 80 }
+    }]])
+    const result = await browseNeos({ page: 3, size: 2, apiKey: 'KEY', baseUrl: BASE_URL })
+    const [url] = urls()
+    expect(url.href.startsWith(`${BASE_URL}neo/browse?`)).toBe(true)
+    expect(Object.fromEntries(url.searchParams)).toEqual({ page: '3', size: '2', api_key: 'KEY' })
+    expect(result.objects).toHaveLength(2)
+    expect(result).toMatchObject({ page: 3, size: 2, totalPages: 40, totalElements: 80 })
+  })
+
+  it('keeps the requested paging when the response has none', async () => {
+    stubFetch([['/neo/browse', 200, { near_earth_objects: [] }]])
+    expect(await browseNeos({ page: 2, size: 10, baseUrl: BASE_URL })).toEqual({
+      objects: [], page: 2, size: 10, totalPages: 1, totalElements: 0
+    })
+  })
+
+  it('goes to the default base URL unless told otherwise', async () => {
+    const urls = stubFetch([['/neo/browse', 200, { near_earth_objects: [] }]])
+    await browseNeos()
+    expect(urls()[0].href.startsWith(`${DEFAULT_BASE_URL}/neo/browse`)).toBe(true)
+  })
+
+  it('asks the feed for the days from the start date', async () => {
+    const urls = stubFetch([['/feed', 200, feed]])
+    const neos = await fetchNeoFeed({ start: new Date('2029-04-10T00:00:00Z'), days: 7, baseUrl: BASE_URL })
+    expect(urls()[0].searchParams.get('start_date')).toBe('2029-04-10')
+    expect(urls()[0].searchParams.get('end_date')).toBe('2029-04-17')
+    expect(neos).toHaveLength(feed.element_count)
+  })
+
+  it('throws with the HTTP status when a request fails', async () => {
+    stubFetch([['/neo/browse', 500, {}]])
+    await expect(browseNeos({ baseUrl: BASE_URL })).rejects.toMatchObject({ status: 500, message: 'NeoWs HTTP 500: Error' })
+  })
+
+  it('searches a number as an SPK-ID and then as an asteroid number', async () => {
+    const urls = stubFetch([['/neo/2000433', 200, eros]])
+    const found = await searchNeos('(433) Eros', [], { baseUrl: BASE_URL })
+    expect(found.map(neo => neo.id)).toEqual(['2000433'])
+    expect(urls().map(url => url.pathname)).toEqual(['/neows/neo/2000433'])
+  })
+
+  it('falls back to names already loaded when the lookups find nothing', async () => {
+    const urls = stubFetch([['/neo/433', 400, {}]])
+    const loaded = [parseNeo(eros)]
+    expect(await searchNeos('433', loaded, { baseUrl: BASE_URL })).toEqual(loaded)
+    expect(urls().map(url => url.pathname)).toEqual(['/neows/neo/2000433', '/neows/neo/433'])
+  })
+
+  it('does not look up provisional designations', async () => {
+    const urls = stubFetch([])
+    expect(await searchNeos('2019 OK', [], { baseUrl: BASE_URL })).toEqual([])
+    expect(urls()).toEqual([])
+  })
+
+  it('passes on errors other than not found', async () => {
+    stubFetch([['/neo/2000433', 503, {}]])
+    await expect(searchNeos('433', [], { baseUrl: BASE_URL })).rejects.toMatchObject({ status: 503 })
+  })
+})
@@ -0,0 +1,155 @@
+// JPL Sentry impact monitoring client and response parser.
+//
+// Sentry lists objects with a non-zero chance of hitting Earth in the next
+// century or so. The parser accepts both of its JSON shapes: the summary
+// table (one row per object) and the single-object response, whose data
+// array lists each potential impact ("virtual impactor"). Torino and Palermo
+// values are recomputed by engine/risk.js; Sentry's own are kept alongside
+// as `reported`.
+
+import { assessRisk, cumulativePalermo, impactMegatons } from '../engine/risk.js'
+import { impactSpeedFromVInfinity } from '../engine/speed.js'
+
+// Requests go to VITE_SENTRY_BASE_URL when set, so a local mock server can
+// stand in for the API
+export const DEFAULT_BASE_URL = import.meta.env?.VITE_SENTRY_BASE_URL || 'https://ssd-api.jpl.nasa.gov'
+
+// Sentry sizes objects from H with an albedo of 0.154 and computes masses
+// with this bulk density
+export const SENTRY_DENSITY = 2600 // kg/m³
+
+const YEAR_MS = 365.25 * 24 * 60 * 60 * 1000
+
+const toFloat = (value) => {
+  const n = parseFloat(value)
+  return Number.isFinite(n) ? n : null
+}
+
+// Sentry dates look like "2182-09-24.57" (fractional day, TDB)
+const parseSentryDate = (value) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})(\.\d+)?$/.exec(String(value ?? '').trim())
+  if (!match) return null
+  const [, year, month, day, fraction] = match
+  return new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)) + (Number(fraction) || 0) * 864e5)
+}
+
+// A summary row gives only the cumulative probability, the number of
+// potential impacts and their year range, so the probability is shared
+// evenly between impacts spaced evenly across the range
+const spreadImpacts = (probability, count, firstYear, lastYear) => {
+  if (!Number.isFinite(firstYear)) return []
+  const span = Number.isFinite(lastYear) ? lastYear - firstYear : 0
+  return Array.from({ length: count }, (_, i) => ({
+    probability: probability / count,
+    date: new Date(Date.UTC(firstYear, 6, 1) + (count > 1 ? i / (count - 1) : 0) * span * YEAR_MS)
+  }))
+}
+
+/**
+ * One Sentry object as a risk table row.
+ * @param {Object} summary Summary-table row, or the summary of an object response
+ * @param {Object[]} [impacts] Virtual impactors from an object response
+ * @param {Date} [now]
+ * @returns {Object|null} null when the row lacks a probability or size
+ */
+export function parseSentryObject(summary, impacts = [], now = new Date()) {
+  const probability = toFloat(summary?.ip)
+  const diameterKm = toFloat(summary?.diameter)
+  if (probability === null || diameterKm === null) return null
+
+  const vInfinity = toFloat(summary.v_inf)
+  const speed = impactSpeedFromVInfinity(vInfinity ?? 0)
+  const diameter = diameterKm * 1000
+  const megatons = toFloat(summary.energy) ?? impactMegatons(diameter, SENTRY_DENSITY, speed * 1000)
+  const [firstYear, lastYear] = summary.range ? String(summary.range).split('-').map(Number) : []
+
+  // With the individual impacts each is rated on its own date and energy
+  const rated = impacts
+    .map(vi => ({ date: parseSentryDate(vi.date), probability: toFloat(vi.ip), megatons: toFloat(vi.energy) ?? megatons }))
+    .filter(vi => vi.date && vi.probability !== null)
+    .map(vi => ({ ...vi, ...assessRisk({ ...vi, now }) }))
+  const risks = rated.length > 0
+    ? rated
+    : spreadImpacts(probability, Number(summary.n_imp) || 1, firstYear, lastYear)
+      .map(vi => ({ ...vi, ...assessRisk({ ...vi, megatons, now }) }))
+  const torinos = risks.map(r => r.torino).filter(t => t !== null)
+  const dates = risks.map(r => r.date).filter(date => date instanceof Date && !Number.isNaN(date.getTime()))
+
+  return {
+    id: String(summary.id ?? summary.des),
+    designation: String(summary.des),
+    name: summary.fullname?.trim() || String(summary.des),
+    probability,
+    megatons,
+    diameter,
+    density: SENTRY_DENSITY,
+    absoluteMagnitude: toFloat(summary.h),
+    vInfinity,
+    impactSpeed: speed,
+    firstYear: Number.isFinite(firstYear) ? firstYear : null,
+    lastYear: Number.isFinite(lastYear) ? lastYear : null,
+    impactCount: Number(summary.n_imp) || rated.length,
+    lastObserved: summary.last_obs ?? null,
+    impacts: rated,
+    // Earliest potential impact, as the epoch to simulate it at
+    impactDate: dates.length > 0 ? dates.reduce((first, date) => date < first ? date : first) : null,
+    palermo: risks.length > 0 ? cumulativePalermo(risks.map(r => r.palermo)) : null,
+    torino: torinos.length > 0 ? Math.max(...torinos) : null,
+    reported: {
+      palermo: toFloat(summary.ps_cum),
+      torino: toFloat(summary.ts_max)
+    }
+  }
+}
+
+/**
+ * Risk table rows from a Sentry response, highest Palermo value first.
+ * @param {Object} data Parsed JSON from sentry.api, a file or a mock endpoint
+ * @param {Object} [options]
+ * @param {Date} [options.now] Reference time for time to impact
+ * @throws {Error} when the JSON is not a Sentry response
+ */
+export function parseSentry(data, { now = new Date() } = {}) {
+  if (data?.error) throw new Error(`Sentry error: ${data.error}`)
+
+  let rows
+  if (data?.summary) {
+    rows = [parseSentryObject(data.summary, Array.isArray(data.data) ? data.data : [], now)]
+  } else if (Array.isArray(data?.data)) {
+    rows = data.data.map(row => parseSentryObject(row, [], now))
+  } else {
+    throw new Error('Not a Sentry response: expected a "data" array or an object "summary"')
+  }
+  return rows
+    .filter(Boolean)
+    .sort((a, b) => (b.palermo ?? -Infinity) - (a.palermo ?? -Infinity))
+}
+
+/**
+ * Fetch the Sentry summary table, or one object's impacts with `designation`.
+ * @param {Object} [options]
+ * @param {string} [options.designation]
+ * @param {string} [options.baseUrl]
+ */
+export const fetchSentry = async ({ designation, baseUrl = DEFAULT_BASE_URL } = {}) => {
+  const url = new URL(`${baseUrl.replace(/\/$/, '')}/sentry.api`)
+  if (designation) url.searchParams.append('des', designation)
+  const response = await fetch(url)
+  if (!response.ok) {
+    const error = new Error(`Sentry HTTP ${response.status}: ${response.statusText}`)
+    error.status = response.status
+    throw error
+  }
+  return parseSentry(await response.json())
+}
+
+// Parse a Sentry JSON file chosen by the user
+export const readSentryFile = async (file) => {
+  let data
+  try {
+    data = JSON.parse(await file.text())
+  } catch (error) {
+    throw new Error(`${file.name} is not valid JSON: ${error.message}`)
+  }
+  return parseSentry(data)
+}
@@ -0,0 +1,45 @@
+import { describe, it, expect } from 'vitest'
+import sample from '../data/fixtures/sentrySummary.json'
+import { parseSentry, parseSentryObject } from './sentry.js'
+
+const now = new Date('2025-01-01T00:00:00Z')
+
+describe('parseSentry', () => {
+  const rows = parseSentry(sample, { now })
+
+  it('dates every summary row from its year range', () => {
+    expect(rows.length).toBeGreaterThan(0)
+    expect(rows.every(row => row.impactDate instanceof Date)).toBe(true)
+    const da = rows.find(row => row.designation === '29075')
+    expect(da.impactDate.getUTCFullYear()).toBe(2880)
+  })
+
+  it('puts the highest Palermo value first', () => {
+    const palermos = rows.map(row => row.palermo)
+    expect(palermos).toEqual([...palermos].sort((a, b) => b - a))
+  })
+})
+
+describe('parseSentryObject', () => {
+  const summary = { des: '2000 XX', ip: '1e-4', diameter: '0.1', v_inf: '10', n_imp: 3, range: '2040-2060' }
+
+  it('takes the earliest of the spread impacts as the impact date', () => {
+    const row = parseSentryObject(summary, [], now)
+    expect(row.impactDate.getUTCFullYear()).toBe(2040)
+  })
+
+  it('takes the earliest dated virtual impactor when they are given', () => {
+    const impacts = [
+      { date: '2055-03-01.5', ip: '5e-5' },
+      { date: 'unknown', ip: '5e-5' },
+      { date: '2047-09-12.0', ip: '5e-5' }
+    ]
+    const row = parseSentryObject(summary, impacts, now)
+    expect(row.impacts).toHaveLength(2)
+    expect(row.impactDate.toISOString()).toBe('2047-09-12T00:00:00.000Z')
+  })
+
+  it('leaves the impact date empty without a year range', () => {
+    expect(parseSentryObject({ ...summary, range: undefined }, [], now).impactDate).toBeNull()
+  })
+})
@@ -0,0 +1,62 @@
+// Fetch measured population density from the WorldPop API. This only
+// refines the engine's bundled population grid near the impact point, so
+// any failure returns null and the grid is used on its own.
+export const fetchPopulationDensity = async (lat, lng) => {
+  try {
+    const controller = new AbortController()
+    const timeoutId = setTimeout(() => controller.abort(), 5000) // 5 second timeout
+    
+    const url = new URL('https://worldpop.arcgis.com/arcgis/rest/services/WorldPop_Population_Density_1km/ImageServer/identify')
+    url.searchParams.append('geometry', JSON.stringify({x: lng, y: lat}))
+    url.searchParams.append('geometryType', 'esriGeometryPoint')
+    url.searchParams.append('sr', '4326')
+    url.searchParams.append('returnCatalogItems', 'false')
+    url.searchParams.append('returnGeometry', 'false')
+    url.searchParams.append('f', 'json')
+    
+    const response = await fetch(url, { 
+      signal: controller.signal,
+      mode: 'cors' 
+    })
+    clearTimeout(timeoutId)
+    
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`)
+    }
+    
+    const data = await response.json()
+    
+    // WorldPop returns population density per km²
+    // Handle various response formats and null values
+    let density = data.value !== null && data.value !== undefined ? data.value : null
+    
+    // Check for 'noData' string which indicates water/uninhabited areas
+    if (data.value === 'noData' || data.value === 'NoData') {
+      console.log(`Impact location over water/uninhabited area (${lat.toFixed(3)}, ${lng.toFixed(3)}), using 0 population density`)
+      return 0
+    }
+    
+    if (density === null && data.results && data.results.length > 0) {
+      density = data.results[0].value
+      if (density === 'noData' || density === 'NoData') {
+        console.log(`Impact location over water/uninhabited area (${lat.toFixed(3)}, ${lng.toFixed(3)}), using 0 population density`)
+        return 0
+      }
+    }
+    
+    // No data available (API error, not water): leave it to the grid
+    if (density === null || density === undefined || isNaN(density)) {
+      console.log(`No population data for coordinates (${lat.toFixed(3)}, ${lng.toFixed(3)}), using the bundled population grid`)
+      return null
+    }
+    
+    return Math.max(0, Math.round(density)) // Ensure non-negative integer
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      console.warn('Population API request timeout')
+    } else {
+      console.warn('Failed to fetch population data:', error.message)
+    }
+    return null // Fall back to the bundled population grid
+  }
+}
@@ -0,0 +1,81 @@
+// Saving rendered charts as files
+
+const SVG_NS = 'http://www.w3.org/2000/svg'
+
+// Standalone markup for an SVG element, so the file opens outside the app
+const serialize = (svg) => {
+  const clone = svg.cloneNode(true)
+  clone.setAttribute('xmlns', SVG_NS)
+  return new XMLSerializer().serializeToString(clone)
+}
+
+// Some browsers cancel a download whose object URL is revoked right after
+// the click, so it is released a little later
+const REVOKE_DELAY_MS = 1000
+
+// Download an object URL, then release it
+const save = (url, filename) => {
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  link.click()
+  setTimeout(() => URL.revokeObjectURL(url), REVOKE_DELAY_MS)
+}
+
+/**
+ * Download an SVG element as an .svg file.
+ * @param {SVGSVGElement} svg
+ * @param {string} filename
+ */
+export function downloadSvg(svg, filename) {
+  const url = URL.createObjectURL(new Blob([serialize(svg)], { type: 'image/svg+xml' }))
+  save(url, filename)
+}
+
+/**
+ * Download an SVG element as a .png, drawn at its viewBox size times scale
+ * on a white background.
+ * @param {SVGSVGElement} svg
+ * @param {string} filename
+ * @param {number} [scale]
+ * @returns {Promise<void>}
+ */
+export function downloadPng(svg, filename, scale = 3) {
+  const { width, height } = svg.viewBox.baseVal
+  const source = URL.createObjectURL(new Blob([serialize(svg)], { type: 'image/svg+xml' }))
+  return new Promise((resolve, reject) => {
+    const image = new Image()
+    image.onload = () => {
+      const canvas = document.createElement('canvas')
+      canvas.width = width * scale
+      canvas.height = height * scale
+      const context = canvas.getContext('2d')
+      context.fillStyle = 'white'
+      context.fillRect(0, 0, canvas.width, canvas.height)
+      context.drawImage(image, 0, 0, canvas.width, canvas.height)
+      URL.revokeObjectURL(source)
+      canvas.toBlob((blob) => {
+        if (!blob) return reject(new Error('Could not render the chart as PNG'))
+        const url = URL.createObjectURL(blob)
+        save(url, filename)
+        resolve()
+      }, 'image/png')
+    }
+    image.onerror = () => {
+      URL.revokeObjectURL(source)
+      reject(new Error('Could not render the chart as PNG'))
+    }
+    image.src = source
+  })
+}
+
+/**
+ * Download text, such as JSON, as a file.
+ * @param {string} text
+ * @param {string} filename
+ * @param {string} [type] MIME type
+ */
+export function downloadText(text, filename, type = 'application/json') {
+  const url = URL.createObjectURL(new Blob([text], { type }))
+  save(url, filename)
+}
@@ -0,0 +1,39 @@
+// Display helpers for engine results. The engine only returns numbers;
+// anything human-readable is produced here.
+
+const ROMAN = [[10, 'X'], [9, 'IX'], [5, 'V'], [4, 'IV'], [1, 'I']]
+
+// Roman numerals for Mercalli intensities (1-12)
+export const toRoman = (value) => {
+  let n = Math.floor(value)
+  if (n <= 0) return '—'
+  let out = ''
+  for (const [amount, numeral] of ROMAN) {
+    while (n >= amount) {
+      out += numeral
+      n -= amount
+    }
+  }
+  return out
+}
+
+// Lengths given in meters, in the most readable unit
+export const formatLength = (meters) => {
+  if (!(meters > 0)) return '0 m'
+  if (meters >= 1000) return `${(meters / 1000).toFixed(meters >= 10000 ? 0 : 1)} km`
+  if (meters >= 1) return `${meters.toFixed(meters >= 10 ? 0 : 1)} m`
+  if (meters >= 0.01) return `${(meters * 100).toFixed(1)} cm`
+  if (meters >= 0.001) return `${(meters * 1000).toFixed(1)} mm`
+  return `${(meters * 1e6).toFixed(0)} µm`
+}
+
+// Small velocity changes, as in deflection, in m/s or mm/s
+export const formatDeltaV = (mps) => mps >= 0.1 ? `${mps.toFixed(2)} m/s` : `${(mps * 1000).toPrecision(3)} mm/s`
+
+// Durations given in seconds
+export const formatDuration = (seconds) => {
+  if (!(seconds > 0)) return '0 s'
+  if (seconds < 60) return `${seconds.toFixed(0)} s`
+  if (seconds < 3600) return `${(seconds / 60).toFixed(1)} min`
+  return `${(seconds / 3600).toFixed(1)} h`
+}